@@ -0,0 +1,25 @@
+import type { Core } from '@strapi/strapi';
+
+export default {
+  // Re-checks every live redirect's destination, e.g. after content was unpublished or deleted.
+  redirectDestinationReport: {
+    task: async ({ strapi }: { strapi: Core.Strapi }) => {
+      await strapi.service('api::redirect.redirect').runDestinationReport();
+    },
+    options: {
+      rule: process.env.REDIRECT_DESTINATION_REPORT_CRON || '0 4 * * *',
+    },
+  },
+  // Keeps the 404 log to recent and frequently hit paths.
+  missingPathsPrune: {
+    task: async ({ strapi }: { strapi: Core.Strapi }) => {
+      const deleted = await strapi.service('api::missing-path.missing-path').prune();
+      if (deleted > 0) {
+        strapi.log.info(`Pruned ${deleted} missing path(s) from the 404 log.`);
+      }
+    },
+    options: {
+      rule: process.env.MISSING_PATHS_PRUNE_CRON || '30 4 * * *',
+    },
+  },
+};
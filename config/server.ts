@@ -1,11 +1,21 @@
 import type { Core } from '@strapi/strapi';
+import cronTasks from './cron-tasks';
 
 const config = ({ env }: Core.Config.Shared.ConfigParams): Core.Config.Server => ({
   host: env('HOST', '0.0.0.0'),
   port: env.int('PORT', 1337),
+  // Trust X-Forwarded-Proto/Host from the hosting proxy so host rules see the public host and protocol.
+  // Strapi reads `proxy.koa` at runtime, but the `Proxy` type doesn't declare it yet.
+  proxy: {
+    koa: env.bool('IS_PROXIED', false),
+  } as Core.Config.Server['proxy'],
   app: {
     keys: env.array('APP_KEYS'),
   },
+  cron: {
+    enabled: env.bool('CRON_ENABLED', true),
+    tasks: cronTasks,
+  },
 });
 
 export default config;
@@ -0,0 +1,15 @@
+'use strict';
+
+/**
+ * The redirect `statusCode` enum used to spell its 302 value `Redirecct-302`.
+ * Rewrites stored rows (drafts and published versions) to `Redirect-302`.
+ */
+module.exports = {
+  async up(knex) {
+    if (!(await knex.schema.hasTable('redirects'))) {
+      return;
+    }
+
+    await knex('redirects').where('status_code', 'Redirecct-302').update({ status_code: 'Redirect-302' });
+  },
+};
@@ -0,0 +1,32 @@
+'use strict';
+
+/**
+ * `matchType` and `queryPolicy` are required on redirects, but rows stored before they
+ * existed have them NULL, so republishing one fails validation. Sets them to their
+ * defaults on drafts and published versions.
+ *
+ * Migrations run before the schema sync, so on the deploy that introduces the fields the
+ * columns are added here, with the type the sync gives an enumeration.
+ */
+const DEFAULTS = {
+  match_type: 'exact',
+  query_policy: 'preserve',
+};
+
+module.exports = {
+  async up(knex) {
+    if (!(await knex.schema.hasTable('redirects'))) {
+      return;
+    }
+
+    for (const [column, value] of Object.entries(DEFAULTS)) {
+      if (!(await knex.schema.hasColumn('redirects', column))) {
+        await knex.schema.alterTable('redirects', (table) => {
+          table.string(column);
+        });
+      }
+
+      await knex('redirects').whereNull(column).update({ [column]: value });
+    }
+  },
+};
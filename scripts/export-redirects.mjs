@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+
+import fs from "node:fs/promises";
+import path from "node:path";
+
+const STRAPI_URL = (process.env.STRAPI_URL || "http://localhost:1337").replace(/\/+$/, "");
+const STRAPI_TOKEN = process.env.STRAPI_TOKEN;
+const FORMAT = (process.argv[2] || "csv").toLowerCase(); // csv | nginx | apache | netlify | vercel
+const OUTPUT_PATH = process.argv[3];
+const EXPORT_STATUS = process.env.EXPORT_STATUS || "published"; // published | draft
+const EXPORT_ACTIVE = process.env.EXPORT_ACTIVE || "true"; // true | false | all
+const EXPORT_STATUS_CODES = process.env.EXPORT_STATUS_CODES || ""; // e.g. 301,302
+
+const FORMATS = ["csv", "nginx", "apache", "netlify", "vercel"];
+
+function assertConfig() {
+  if (!FORMATS.includes(FORMAT)) {
+    throw new Error(
+      `Unknown format '${FORMAT}'. Usage: npm run export:redirects -- <${FORMATS.join("|")}> [output-file]`
+    );
+  }
+  if (!STRAPI_TOKEN) {
+    throw new Error(
+      "Missing STRAPI_TOKEN environment variable. Set it to a Strapi token with redirect export permission."
+    );
+  }
+}
+
+async function strapiRequest(endpoint, options = {}) {
+  const response = await fetch(`${STRAPI_URL}${endpoint}`, {
+    ...options,
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${STRAPI_TOKEN}`,
+      ...(options.headers || {}),
+    },
+  });
+
+  if (!response.ok) {
+    const body = await response.text();
+    throw new Error(`${response.status} ${response.statusText} :: ${body}`);
+  }
+
+  return response.json();
+}
+
+async function run() {
+  assertConfig();
+
+  const params = new URLSearchParams({
+    format: FORMAT,
+    status: EXPORT_STATUS,
+    active: EXPORT_ACTIVE,
+    statusCodes: EXPORT_STATUS_CODES,
+  });
+  const { data } = await strapiRequest(`/api/redirects/export?${params.toString()}`);
+
+  for (const item of data.skipped) {
+    console.error(`[skip] ${item.fromPath}: ${item.message}`);
+  }
+  for (const item of data.warnings) {
+    console.error(`[note] ${item.fromPath}: ${item.message}`);
+  }
+
+  if (!OUTPUT_PATH) {
+    process.stdout.write(data.content);
+    return;
+  }
+
+  const absoluteOutputPath = path.resolve(process.cwd(), OUTPUT_PATH);
+  await fs.writeFile(absoluteOutputPath, data.content, "utf8");
+  console.error(
+    `Exported ${data.exported} redirects to ${absoluteOutputPath} (${FORMAT}, skipped ${data.skipped.length}).`
+  );
+}
+
+run().catch((error) => {
+  console.error(`Export failed: ${error.message}`);
+  process.exit(1);
+});
@@ -3,6 +3,9 @@
 import fs from "node:fs/promises";
 import path from "node:path";
 
+import { parseCsv } from "../src/utils/csv.js";
+import { REDIRECT_HEADER_ALIASES, prepareRow } from "../src/plugins/redirect-import/server/utils/import-rows.js";
+
 const STRAPI_URL = (process.env.STRAPI_URL || "http://localhost:1337").replace(/\/+$/, "");
 const STRAPI_TOKEN = process.env.STRAPI_TOKEN;
 const CSV_PATH = process.argv[2];
@@ -10,14 +13,6 @@ const UPSERT_MODE = (process.env.REDIRECT_UPSERT_MODE || "update").toLowerCase()
 const DRY_RUN = process.env.DRY_RUN === "true";
 const FORCE_PUBLISH = process.env.FORCE_PUBLISH === "true";
 
-const STATUS_MAP = {
-  "301": "Redirect-301",
-  "302": "Redirecct-302",
-  "redirect-301": "Redirect-301",
-  "redirecct-302": "Redirecct-302",
-  "redirect-302": "Redirecct-302",
-};
-
 function assertConfig() {
   if (!CSV_PATH) {
     throw new Error(
@@ -34,80 +29,6 @@ function assertConfig() {
   }
 }
 
-function parseBoolean(value, fallback = true) {
-  if (value === undefined || value === null || value === "") return fallback;
-  const normalized = String(value).trim().toLowerCase();
-  if (["true", "1", "yes", "y"].includes(normalized)) return true;
-  if (["false", "0", "no", "n"].includes(normalized)) return false;
-  return fallback;
-}
-
-function toStatusCode(value) {
-  if (!value) return "Redirect-301";
-  const normalized = String(value).trim().toLowerCase();
-  return STATUS_MAP[normalized] || "Redirect-301";
-}
-
-function parseCsvLine(line) {
-  const cells = [];
-  let current = "";
-  let inQuotes = false;
-
-  for (let i = 0; i < line.length; i += 1) {
-    const char = line[i];
-    const next = line[i + 1];
-
-    if (char === '"' && inQuotes && next === '"') {
-      current += '"';
-      i += 1;
-      continue;
-    }
-
-    if (char === '"') {
-      inQuotes = !inQuotes;
-      continue;
-    }
-
-    if (char === "," && !inQuotes) {
-      cells.push(current.trim());
-      current = "";
-      continue;
-    }
-
-    current += char;
-  }
-
-  cells.push(current.trim());
-  return cells;
-}
-
-function parseCsv(text) {
-  const lines = text
-    .split(/\r?\n/)
-    .map((line) => line.trim())
-    .filter(Boolean);
-
-  if (lines.length < 2) return [];
-
-  const headers = parseCsvLine(lines[0]).map((h) => h.trim());
-  return lines.slice(1).map((line, index) => {
-    const cells = parseCsvLine(line);
-    const row = {};
-    headers.forEach((header, i) => {
-      row[header] = cells[i] ?? "";
-    });
-    row.__line = index + 2;
-    return row;
-  });
-}
-
-function normalisePath(value) {
-  if (!value) return "";
-  const trimmed = String(value).trim();
-  if (!trimmed) return "";
-  return trimmed.startsWith("/") ? trimmed : `/${trimmed}`;
-}
-
 async function strapiRequest(endpoint, options = {}) {
   const response = await fetch(`${STRAPI_URL}${endpoint}`, {
     ...options,
@@ -130,9 +51,19 @@ function getEntryId(entry) {
   return entry?.documentId ?? entry?.id ?? null;
 }
 
-async function findExistingByFromPath(fromPath) {
+async function findExisting(fromPath, sourceHost, queryMatch) {
   const params = new URLSearchParams();
   params.set("filters[fromPath][$eq]", fromPath);
+  if (sourceHost) {
+    params.set("filters[sourceHost][$eq]", sourceHost);
+  } else {
+    params.set("filters[sourceHost][$null]", "true");
+  }
+  if (queryMatch) {
+    params.set("filters[queryMatch][$eq]", queryMatch);
+  } else {
+    params.set("filters[queryMatch][$null]", "true");
+  }
   params.set("pagination[pageSize]", "1");
   const result = await strapiRequest(`/api/redirects?${params.toString()}`);
   return result?.data?.[0] || null;
@@ -157,7 +88,7 @@ async function run() {
 
   const absoluteCsvPath = path.resolve(process.cwd(), CSV_PATH);
   const fileContent = await fs.readFile(absoluteCsvPath, "utf8");
-  const rows = parseCsv(fileContent);
+  const { rows } = parseCsv(fileContent, { aliases: REDIRECT_HEADER_ALIASES });
 
   if (rows.length === 0) {
     console.log("No CSV rows found. Ensure the file has a header and at least 1 row.");
@@ -174,31 +105,22 @@ async function run() {
   );
 
   for (const row of rows) {
-    const fromPath = normalisePath(row.fromPath);
-    const toUrl = (row.toUrl || "").trim();
+    // The same normalisation and per-row checks as the Redirect Import page.
+    const { payload, resultRow } = prepareRow(row);
+    const { fromPath, toUrl, statusCode } = payload;
 
-    if (!fromPath || !toUrl) {
+    if (resultRow.error) {
       failed += 1;
-      console.error(
-        `[line ${row.__line}] Missing required fields. fromPath='${fromPath}', toUrl='${toUrl}'`
-      );
+      console.error(`[line ${resultRow.line}] ${resultRow.error}`);
       continue;
     }
 
-    const payload = {
-      fromPath,
-      toUrl,
-      statusCode: toStatusCode(row.statusCode),
-      isActive: parseBoolean(row.isActive, true),
-      notes: (row.notes || "").trim() || null,
-    };
-
     if (FORCE_PUBLISH) {
       payload.publishedAt = new Date().toISOString();
     }
 
     try {
-      const existing = await findExistingByFromPath(fromPath);
+      const existing = await findExisting(fromPath, payload.sourceHost, payload.queryMatch);
 
       if (existing) {
         if (UPSERT_MODE === "skip") {
@@ -218,7 +140,7 @@ async function run() {
           await updateRedirect(entryId, payload);
         }
         updated += 1;
-        console.log(`[update] ${fromPath} -> ${toUrl}`);
+        console.log(`[update] ${fromPath} -> ${toUrl || statusCode}`);
         continue;
       }
 
@@ -226,7 +148,7 @@ async function run() {
         await createRedirect(payload);
       }
       created += 1;
-      console.log(`[create] ${fromPath} -> ${toUrl}`);
+      console.log(`[create] ${fromPath} -> ${toUrl || statusCode}`);
     } catch (error) {
       failed += 1;
       console.error(`[line ${row.__line}] Failed '${fromPath}': ${error.message}`);
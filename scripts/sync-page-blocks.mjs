@@ -3,6 +3,8 @@
 import fs from "node:fs/promises";
 import path from "node:path";
 
+import { parseCsv } from "../src/utils/csv.js";
+
 const STRAPI_URL = (process.env.STRAPI_URL || "http://localhost:1337").replace(/\/+$/, "");
 const STRAPI_TOKEN = process.env.STRAPI_TOKEN;
 const INPUT_PATH = process.argv[2] || "./scripts/pages.seed.json";
@@ -27,91 +29,6 @@ function normalizePath(pathname) {
   return withLeading.replace(/\/+$/, "");
 }
 
-function parseCsv(text) {
-  const source = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
-
-  const records = [];
-  const recordStartLines = [];
-  let row = [];
-  let cell = "";
-  let inQuotes = false;
-  let line = 1;
-  let rowStartLine = 1;
-
-  const pushCell = () => {
-    row.push(cell);
-    cell = "";
-  };
-
-  const pushRow = () => {
-    pushCell();
-    records.push(row);
-    recordStartLines.push(rowStartLine);
-    row = [];
-    rowStartLine = line;
-  };
-
-  for (let i = 0; i < source.length; i += 1) {
-    const char = source[i];
-    const next = source[i + 1];
-
-    if (char === '"') {
-      if (inQuotes && next === '"') {
-        cell += '"';
-        i += 1;
-      } else {
-        inQuotes = !inQuotes;
-      }
-      continue;
-    }
-
-    if (!inQuotes && char === ",") {
-      pushCell();
-      continue;
-    }
-
-    if (!inQuotes && (char === "\n" || char === "\r")) {
-      if (char === "\r" && next === "\n") i += 1;
-      pushRow();
-      line += 1;
-      rowStartLine = line;
-      continue;
-    }
-
-    cell += char;
-  }
-
-  if (inQuotes) {
-    throw new Error("Invalid CSV: unmatched quote in input file.");
-  }
-
-  if (cell.length > 0 || row.length > 0) {
-    pushRow();
-  }
-
-  if (records.length < 2) return [];
-
-  const headers = records[0].map((h) => String(h ?? "").trim());
-  const dataRows = records.slice(1);
-  const dataLines = recordStartLines.slice(1);
-
-  const mapped = [];
-  for (let i = 0; i < dataRows.length; i += 1) {
-    const cells = dataRows[i];
-    const hasAnyValue = cells.some((value) => String(value ?? "").trim() !== "");
-    if (!hasAnyValue) continue;
-
-    const rowData = {};
-    headers.forEach((header, index) => {
-      rowData[header] = cells[index] ?? "";
-    });
-    rowData.__line = dataLines[i] ?? i + 2;
-    mapped.push(rowData);
-  }
-
-  return mapped;
-}
-
 async function parseInput(filePath) {
   const absolutePath = path.resolve(process.cwd(), filePath);
   const raw = await fs.readFile(absolutePath, "utf8");
@@ -122,10 +39,10 @@ async function parseInput(filePath) {
     const parsed = JSON.parse(raw);
     rows = Array.isArray(parsed) ? parsed : [];
     rows = rows.map((row, index) => ({ ...row, __line: index + 1 }));
-  } else if (ext === ".csv") {
-    rows = parseCsv(raw);
+  } else if (ext === ".csv" || ext === ".tsv") {
+    rows = parseCsv(raw, { tolerant: true }).rows;
   } else {
-    throw new Error("Unsupported file format. Use .json or .csv");
+    throw new Error("Unsupported file format. Use .json, .csv or .tsv");
   }
 
   return { absolutePath, rows };
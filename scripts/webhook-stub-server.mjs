@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+
+// Local stand-in for the website purge endpoint and webhook receivers. Point
+// WEBSITE_PURGE_URL or a webhook endpoint's URL at it and watch what Strapi sends.
+
+import crypto from "node:crypto";
+import http from "node:http";
+
+const PORT = Number.parseInt(process.env.PORT || "4010", 10);
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || "";
+const PURGE_TOKEN = process.env.WEBSITE_PURGE_TOKEN || "";
+const STUB_STATUS = Number.parseInt(process.env.STUB_STATUS || "200", 10);
+// Answer this many requests with 503 before STUB_STATUS, to watch automatic retries.
+let failuresLeft = Number.parseInt(process.env.STUB_FAIL_FIRST || "0", 10);
+
+// Same scheme as the website-tools plugin: HMAC-SHA256 of "<timestamp>.<body>".
+function verifySignature(headers, body) {
+  const signature = String(headers["x-webhook-signature"] || "");
+  const timestamp = String(headers["x-webhook-timestamp"] || "");
+
+  if (!signature) return "unsigned";
+  if (!WEBHOOK_SECRET) return "signed (set WEBHOOK_SECRET to verify)";
+
+  const expected = `sha256=${crypto.createHmac("sha256", WEBHOOK_SECRET).update(`${timestamp}.${body}`).digest("hex")}`;
+  const isValid =
+    signature.length === expected.length && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+
+  return isValid ? "valid signature" : "INVALID signature";
+}
+
+const server = http.createServer((request, response) => {
+  const chunks = [];
+
+  request.on("data", (chunk) => chunks.push(chunk));
+  request.on("end", () => {
+    const body = Buffer.concat(chunks).toString("utf8");
+    const receivedAt = new Date().toISOString();
+    let parsed = body;
+    try {
+      parsed = body ? JSON.parse(body) : null;
+    } catch {
+      // Not JSON; log it as text.
+    }
+
+    const purgeToken = request.headers["x-cache-purge-token"];
+    const checks = [
+      purgeToken !== undefined
+        ? `purge token ${!PURGE_TOKEN ? "present" : purgeToken === PURGE_TOKEN ? "matches" : "DOES NOT MATCH"}`
+        : verifySignature(request.headers, body),
+    ];
+    if (request.headers["x-webhook-event"]) checks.push(`event ${request.headers["x-webhook-event"]}`);
+    if (request.headers["x-cache-purge-dry-run"]) checks.push("dry run");
+
+    // Health checks verify the token with a dry run, so reject a wrong one there.
+    const isRejected = Boolean(request.headers["x-cache-purge-dry-run"] && PURGE_TOKEN && purgeToken !== PURGE_TOKEN);
+    const status = isRejected ? 401 : failuresLeft > 0 ? 503 : STUB_STATUS;
+    if (!isRejected && failuresLeft > 0) failuresLeft -= 1;
+
+    console.log(`\n[${receivedAt}] ${request.method} ${request.url} -> ${status} (${checks.join(", ")})`);
+    console.log(typeof parsed === "string" ? parsed : JSON.stringify(parsed, null, 2));
+
+    response.writeHead(status, { "content-type": "application/json" });
+    response.end(
+      JSON.stringify(
+        status < 400
+          ? { ok: true, receivedAt, purgedAt: receivedAt }
+          : { ok: false, message: `Stub server answered ${status}.` },
+      ),
+    );
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Webhook stub server listening on http://localhost:${PORT}`);
+  console.log("Stop it with Ctrl+C.");
+});
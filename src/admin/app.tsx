@@ -1,5 +1,5 @@
 import type { StrapiApp } from '@strapi/strapi/admin';
-import { CloudUpload, Server } from '@strapi/icons';
+import { ChartPie, CloudUpload, Search, Server } from '@strapi/icons';
 
 export default {
   config: {
@@ -29,6 +29,42 @@ export default {
       name: 'Redirect Import',
     });
 
+    app.addMenuLink({
+      to: 'plugins/redirect-analytics',
+      icon: ChartPie,
+      intlLabel: {
+        id: 'redirect-analytics.menu.label',
+        defaultMessage: 'Redirect Analytics',
+      },
+      Component: async () => {
+        const page = await import('./pages/RedirectAnalyticsPage');
+
+        return {
+          default: page.default,
+        };
+      },
+      permissions: [],
+      position: 9,
+    });
+
+    app.addMenuLink({
+      to: 'plugins/missing-paths',
+      icon: Search,
+      intlLabel: {
+        id: 'missing-paths.menu.label',
+        defaultMessage: 'Missing Pages',
+      },
+      Component: async () => {
+        const page = await import('./pages/MissingPathsPage');
+
+        return {
+          default: page.default,
+        };
+      },
+      permissions: [],
+      position: 9,
+    });
+
     app.addMenuLink({
       to: 'plugins/website-tools',
       icon: Server,
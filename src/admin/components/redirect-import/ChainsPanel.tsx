@@ -0,0 +1,138 @@
+import { useState } from 'react';
+import { useAPIErrorHandler, useFetchClient, useNotification } from '@strapi/strapi/admin';
+import { cardStyle, tableCellStyle } from './styles';
+
+type ChainIssue = {
+  documentId: string;
+  fromPath: string;
+  toUrl: string;
+  kind: 'chain' | 'loop' | 'self';
+  hops: string[];
+  finalDestination: string | null;
+};
+
+export default function ChainsPanel() {
+  const { get, post } = useFetchClient();
+  const { toggleNotification } = useNotification();
+  const { formatAPIError } = useAPIErrorHandler();
+
+  const [isAnalyzing, setIsAnalyzing] = useState(false);
+  const [chainIssues, setChainIssues] = useState<ChainIssue[] | null>(null);
+
+  const analyzeChains = async () => {
+    setIsAnalyzing(true);
+
+    try {
+      const response = await get('/redirect-import/chains');
+      setChainIssues(response.data.issues);
+    } catch (error) {
+      toggleNotification({
+        type: 'danger',
+        message: formatAPIError(error),
+      });
+    } finally {
+      setIsAnalyzing(false);
+    }
+  };
+
+  const flattenChains = async () => {
+    setIsAnalyzing(true);
+
+    try {
+      const response = await post('/redirect-import/chains/flatten', {});
+      toggleNotification({
+        type: 'success',
+        message: `Flattened ${response.data.flattened.length} redirect chain(s).`,
+      });
+      const analysis = await get('/redirect-import/chains');
+      setChainIssues(analysis.data.issues);
+    } catch (error) {
+      toggleNotification({
+        type: 'danger',
+        message: formatAPIError(error),
+      });
+    } finally {
+      setIsAnalyzing(false);
+    }
+  };
+
+  const chainCount = chainIssues?.filter((issue) => issue.kind === 'chain').length ?? 0;
+
+  return (
+    <section style={cardStyle}>
+      <div
+        style={{ display: 'flex', justifyContent: 'space-between', gap: 12, alignItems: 'center', marginBottom: 12 }}
+      >
+        <h2 style={{ fontSize: 22, margin: 0, color: '#221b3d' }}>Chains and loops</h2>
+        <div style={{ display: 'flex', gap: 12, flexWrap: 'wrap' }}>
+          <button
+            type="button"
+            onClick={analyzeChains}
+            disabled={isAnalyzing}
+            style={{
+              borderRadius: 12,
+              border: '1px solid #cfcde8',
+              color: '#221b3d',
+              padding: '10px 16px',
+              fontWeight: 700,
+              background: '#fff',
+              cursor: isAnalyzing ? 'not-allowed' : 'pointer',
+              opacity: isAnalyzing ? 0.65 : 1,
+            }}
+          >
+            {isAnalyzing ? 'Checking...' : 'Check live redirects'}
+          </button>
+          <button
+            type="button"
+            onClick={flattenChains}
+            disabled={isAnalyzing || chainCount === 0}
+            style={{
+              border: 0,
+              borderRadius: 12,
+              background: '#4945ff',
+              color: '#ffffff',
+              padding: '10px 16px',
+              fontWeight: 700,
+              cursor: isAnalyzing || chainCount === 0 ? 'not-allowed' : 'pointer',
+              opacity: isAnalyzing || chainCount === 0 ? 0.65 : 1,
+            }}
+          >
+            Flatten {chainCount} chain(s)
+          </button>
+        </div>
+      </div>
+
+      {chainIssues === null ? (
+        <p style={{ fontSize: 14, color: '#6e6984', margin: 0 }}>
+          Check published redirects for chains (A → B → C), loops and redirects that point at themselves. Flattening
+          points every chained redirect straight at its final destination and republishes it.
+        </p>
+      ) : chainIssues.length === 0 ? (
+        <p style={{ fontSize: 14, color: '#0f6a3d', margin: 0 }}>No chains or loops found.</p>
+      ) : (
+        <div style={{ overflowX: 'auto' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr style={{ textAlign: 'left', background: '#f7f7ff' }}>
+                <th style={tableCellStyle}>Issue</th>
+                <th style={tableCellStyle}>Old path</th>
+                <th style={tableCellStyle}>Route</th>
+                <th style={tableCellStyle}>Final destination</th>
+              </tr>
+            </thead>
+            <tbody>
+              {chainIssues.map((issue) => (
+                <tr key={`${issue.documentId}-${issue.kind}`}>
+                  <td style={tableCellStyle}>{issue.kind}</td>
+                  <td style={tableCellStyle}>{issue.fromPath}</td>
+                  <td style={tableCellStyle}>{issue.hops.join(' → ')}</td>
+                  <td style={tableCellStyle}>{issue.finalDestination ?? '—'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,135 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useAPIErrorHandler, useFetchClient, useNotification } from '@strapi/strapi/admin';
+import { formatDate } from './format';
+import { cardStyle, tableCellStyle } from './styles';
+
+type DestinationKind = 'missing' | 'unpublished' | 'gone';
+
+type DestinationReport = {
+  checkedAt: string;
+  checked: number;
+  broken: Array<{
+    documentId: string;
+    fromPath: string;
+    toUrl: string;
+    kind: DestinationKind;
+    destination: string;
+    message: string;
+    since: string;
+  }>;
+};
+
+const DESTINATION_KIND_LABELS: Record<DestinationKind, string> = {
+  missing: 'Missing',
+  unpublished: 'Unpublished',
+  gone: 'Gone (410/451)',
+};
+
+export default function DestinationsPanel() {
+  const { get, post } = useFetchClient();
+  const { toggleNotification } = useNotification();
+  const { formatAPIError } = useAPIErrorHandler();
+
+  const [destinationReport, setDestinationReport] = useState<DestinationReport | null>(null);
+  const [isCheckingDestinations, setIsCheckingDestinations] = useState(false);
+
+  const loadDestinationReport = useCallback(async () => {
+    try {
+      const response = await get('/redirect-import/destinations');
+      setDestinationReport(response.data.report);
+    } catch (error) {
+      toggleNotification({
+        type: 'danger',
+        message: formatAPIError(error),
+      });
+    }
+  }, [get, toggleNotification, formatAPIError]);
+
+  useEffect(() => {
+    loadDestinationReport();
+  }, [loadDestinationReport]);
+
+  const checkDestinations = async () => {
+    setIsCheckingDestinations(true);
+
+    try {
+      const response = await post('/redirect-import/destinations/check', {});
+      setDestinationReport(response.data.report);
+    } catch (error) {
+      toggleNotification({
+        type: 'danger',
+        message: formatAPIError(error),
+      });
+    } finally {
+      setIsCheckingDestinations(false);
+    }
+  };
+
+  return (
+    <section style={cardStyle}>
+      <div
+        style={{ display: 'flex', justifyContent: 'space-between', gap: 12, alignItems: 'center', marginBottom: 12 }}
+      >
+        <h2 style={{ fontSize: 22, margin: 0, color: '#221b3d' }}>Broken destinations</h2>
+        <button
+          type="button"
+          onClick={checkDestinations}
+          disabled={isCheckingDestinations}
+          style={{
+            borderRadius: 12,
+            border: '1px solid #cfcde8',
+            color: '#221b3d',
+            padding: '10px 16px',
+            fontWeight: 700,
+            background: '#fff',
+            cursor: isCheckingDestinations ? 'not-allowed' : 'pointer',
+            opacity: isCheckingDestinations ? 0.65 : 1,
+          }}
+        >
+          {isCheckingDestinations ? 'Checking...' : 'Check now'}
+        </button>
+      </div>
+
+      {destinationReport === null ? (
+        <p style={{ fontSize: 14, color: '#6e6984', margin: 0 }}>
+          Live and upcoming redirects are checked every night for destinations that were unpublished or deleted. No
+          report has been run yet.
+        </p>
+      ) : (
+        <div style={{ display: 'grid', gap: 12 }}>
+          <div style={{ fontSize: 13, color: '#6e6984' }}>
+            Checked {destinationReport.checked} redirect(s) on {formatDate(destinationReport.checkedAt)}.
+          </div>
+          {destinationReport.broken.length === 0 ? (
+            <p style={{ fontSize: 14, color: '#0f6a3d', margin: 0 }}>Every redirect leads to published content.</p>
+          ) : (
+            <div style={{ overflowX: 'auto' }}>
+              <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                <thead>
+                  <tr style={{ textAlign: 'left', background: '#f7f7ff' }}>
+                    <th style={tableCellStyle}>Problem</th>
+                    <th style={tableCellStyle}>Old path</th>
+                    <th style={tableCellStyle}>toUrl</th>
+                    <th style={tableCellStyle}>Details</th>
+                    <th style={tableCellStyle}>Broken since</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {destinationReport.broken.map((item) => (
+                    <tr key={item.documentId}>
+                      <td style={tableCellStyle}>{DESTINATION_KIND_LABELS[item.kind]}</td>
+                      <td style={tableCellStyle}>{item.fromPath}</td>
+                      <td style={tableCellStyle}>{item.toUrl}</td>
+                      <td style={tableCellStyle}>{item.message}</td>
+                      <td style={tableCellStyle}>{formatDate(item.since)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,175 @@
+import { useState } from 'react';
+import { useAPIErrorHandler, useFetchClient, useNotification } from '@strapi/strapi/admin';
+import { cardStyle } from './styles';
+
+type ExportFormat = 'csv' | 'nginx' | 'apache' | 'netlify' | 'vercel';
+
+type ExportIssue = {
+  fromPath: string;
+  message: string;
+};
+
+type ExportResult = {
+  format: ExportFormat;
+  filename: string;
+  contentType: string;
+  content: string;
+  exported: number;
+  skipped: ExportIssue[];
+  warnings: ExportIssue[];
+};
+
+const EXPORT_FORMAT_LABELS: Record<ExportFormat, string> = {
+  csv: 'CSV (re-importable)',
+  nginx: 'nginx map',
+  apache: 'Apache .htaccess',
+  netlify: 'Netlify _redirects',
+  vercel: 'Vercel redirects JSON',
+};
+
+export default function ExportPanel() {
+  const { get } = useFetchClient();
+  const { toggleNotification } = useNotification();
+  const { formatAPIError } = useAPIErrorHandler();
+
+  const [exportFormat, setExportFormat] = useState<ExportFormat>('csv');
+  const [exportStatus, setExportStatus] = useState<'published' | 'draft'>('published');
+  const [exportActive, setExportActive] = useState<'true' | 'false' | 'all'>('true');
+  const [exportStatusCodes, setExportStatusCodes] = useState('');
+  const [isExporting, setIsExporting] = useState(false);
+  const [exportResult, setExportResult] = useState<ExportResult | null>(null);
+
+  const runExport = async () => {
+    setIsExporting(true);
+
+    try {
+      const params = new URLSearchParams({
+        format: exportFormat,
+        status: exportStatus,
+        active: exportActive,
+        statusCodes: exportStatusCodes,
+      });
+      const response = await get(`/redirect-import/export?${params.toString()}`);
+      const result: ExportResult = response.data;
+      const url = URL.createObjectURL(new Blob([result.content], { type: result.contentType }));
+      const link = document.createElement('a');
+
+      link.href = url;
+      link.download = result.filename;
+      link.click();
+      URL.revokeObjectURL(url);
+      setExportResult(result);
+    } catch (error) {
+      toggleNotification({
+        type: 'danger',
+        message: formatAPIError(error),
+      });
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const exportIssues = exportResult
+    ? [
+        ...exportResult.skipped.map((item) => ({ ...item, kind: 'Skipped' })),
+        ...exportResult.warnings.map((item) => ({ ...item, kind: 'Note' })),
+      ]
+    : [];
+
+  return (
+    <section style={cardStyle}>
+      <h2 style={{ fontSize: 22, margin: '0 0 12px', color: '#221b3d' }}>Export</h2>
+      <div style={{ display: 'flex', gap: 12, flexWrap: 'wrap', alignItems: 'end' }}>
+        <label style={{ display: 'grid', gap: 6, minWidth: 180 }}>
+          <span style={{ fontWeight: 600, color: '#221b3d' }}>Format</span>
+          <select
+            value={exportFormat}
+            onChange={(event) => setExportFormat(event.target.value as ExportFormat)}
+            style={{ padding: '10px 12px', borderRadius: 10, border: '1px solid #cfcde8' }}
+          >
+            {(Object.keys(EXPORT_FORMAT_LABELS) as ExportFormat[]).map((format) => (
+              <option key={format} value={format}>
+                {EXPORT_FORMAT_LABELS[format]}
+              </option>
+            ))}
+          </select>
+        </label>
+
+        <label style={{ display: 'grid', gap: 6, minWidth: 140 }}>
+          <span style={{ fontWeight: 600, color: '#221b3d' }}>Version</span>
+          <select
+            value={exportStatus}
+            onChange={(event) => setExportStatus(event.target.value as 'published' | 'draft')}
+            style={{ padding: '10px 12px', borderRadius: 10, border: '1px solid #cfcde8' }}
+          >
+            <option value="published">Published</option>
+            <option value="draft">Draft</option>
+          </select>
+        </label>
+
+        <label style={{ display: 'grid', gap: 6, minWidth: 140 }}>
+          <span style={{ fontWeight: 600, color: '#221b3d' }}>Active</span>
+          <select
+            value={exportActive}
+            onChange={(event) => setExportActive(event.target.value as 'true' | 'false' | 'all')}
+            style={{ padding: '10px 12px', borderRadius: 10, border: '1px solid #cfcde8' }}
+          >
+            <option value="true">Active only</option>
+            <option value="false">Inactive only</option>
+            <option value="all">All</option>
+          </select>
+        </label>
+
+        <label style={{ display: 'grid', gap: 6, minWidth: 160 }}>
+          <span style={{ fontWeight: 600, color: '#221b3d' }}>Status codes</span>
+          <input
+            value={exportStatusCodes}
+            onChange={(event) => setExportStatusCodes(event.target.value)}
+            placeholder="e.g. 301,410 (all if empty)"
+            style={{ padding: '10px 12px', borderRadius: 10, border: '1px solid #cfcde8' }}
+          />
+        </label>
+
+        <button
+          type="button"
+          onClick={runExport}
+          disabled={isExporting}
+          style={{
+            border: 0,
+            borderRadius: 12,
+            background: '#4945ff',
+            color: '#ffffff',
+            padding: '12px 18px',
+            fontWeight: 700,
+            cursor: isExporting ? 'not-allowed' : 'pointer',
+            opacity: isExporting ? 0.65 : 1,
+          }}
+        >
+          {isExporting ? 'Exporting...' : 'Download export'}
+        </button>
+      </div>
+
+      {exportResult ? (
+        <div style={{ marginTop: 12, fontSize: 13, color: '#3d365b', display: 'grid', gap: 6 }}>
+          <div>
+            Exported {exportResult.exported} rule(s) to <code>{exportResult.filename}</code> · Skipped{' '}
+            {exportResult.skipped.length} · Notes {exportResult.warnings.length}
+          </div>
+          {exportIssues.map((item, index) => (
+            <div
+              key={`${item.kind}-${item.fromPath}-${index}`}
+              style={{ color: item.kind === 'Skipped' ? '#b42318' : '#8a5a00' }}
+            >
+              {item.kind} <code>{item.fromPath}</code>: {item.message}
+            </div>
+          ))}
+        </div>
+      ) : (
+        <p style={{ fontSize: 14, color: '#6e6984', margin: '12px 0 0' }}>
+          CSV exports every matching redirect with all columns and can be imported again. The web server formats only
+          include redirects that are live now and list anything they can't express.
+        </p>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,115 @@
+import { describeStatus, getScheduleState, SCHEDULE_COLORS } from './format';
+import { cardStyle, tableCellStyle } from './styles';
+import type { ImportPreview } from './types';
+
+const DELIMITER_LABELS: Record<',' | ';' | '\t', string> = {
+  ',': 'comma-separated',
+  ';': 'semicolon-separated',
+  '\t': 'tab-separated',
+};
+
+export default function FilePreviewPanel({ preview }: { preview: ImportPreview | null }) {
+  const previewRows = preview?.rows ?? [];
+
+  return (
+    <section style={cardStyle}>
+      <div
+        style={{ display: 'flex', justifyContent: 'space-between', gap: 12, alignItems: 'center', marginBottom: 12 }}
+      >
+        <h2 style={{ fontSize: 22, margin: 0, color: '#221b3d' }}>Preview</h2>
+        <div style={{ fontSize: 13, color: '#6e6984' }}>
+          {previewRows.length} row(s)
+          {preview?.delimiter ? ` · ${DELIMITER_LABELS[preview.delimiter]}` : ''}
+          {preview && preview.warnings.length > 0 ? ` · ${preview.warnings.length} line(s) can't be imported` : ''}
+        </div>
+      </div>
+
+      {previewRows.length === 0 ? (
+        <p style={{ fontSize: 14, color: '#6e6984', margin: 0 }}>
+          Upload a file to preview the redirect rows before import.
+        </p>
+      ) : (
+        <div style={{ overflowX: 'auto' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr style={{ textAlign: 'left', background: '#f7f7ff' }}>
+                <th style={tableCellStyle}>Line</th>
+                <th style={tableCellStyle}>Old path</th>
+                <th style={tableCellStyle}>New URL</th>
+                <th style={tableCellStyle}>Status</th>
+                <th style={tableCellStyle}>Match</th>
+                <th style={tableCellStyle}>Query</th>
+                <th style={tableCellStyle}>Schedule</th>
+                <th style={tableCellStyle}>Active</th>
+                <th style={tableCellStyle}>Notes</th>
+              </tr>
+            </thead>
+            <tbody>
+              {previewRows.map((row) => (
+                <tr key={`${row.line}-${row.fromPath}-${row.toUrl}`}>
+                  <td style={tableCellStyle}>{row.line}</td>
+                  <td style={tableCellStyle}>
+                    {row.sourceHost ? <span style={{ color: '#6e6984' }}>{row.sourceHost}</span> : null}
+                    {row.fromPath || '—'}
+                  </td>
+                  <td style={tableCellStyle}>{row.toUrl || '—'}</td>
+                  <td style={tableCellStyle}>{describeStatus(row.statusCode)}</td>
+                  <td style={tableCellStyle}>{row.matchType || 'exact'}</td>
+                  <td style={tableCellStyle}>
+                    {row.queryPolicy || 'preserve'}
+                    {row.queryMatch ? (
+                      <code style={{ marginLeft: 6 }}>?{row.queryMatch.replace(/^\?/, '')}</code>
+                    ) : null}
+                  </td>
+                  <td style={tableCellStyle}>
+                    {row.activeFrom || row.activeUntil ? (
+                      <>
+                        {row.activeFrom || '…'} → {row.activeUntil || '…'}{' '}
+                        <strong style={{ color: SCHEDULE_COLORS[getScheduleState(row.activeFrom, row.activeUntil)] }}>
+                          ({getScheduleState(row.activeFrom, row.activeUntil)})
+                        </strong>
+                      </>
+                    ) : (
+                      '—'
+                    )}
+                  </td>
+                  <td style={tableCellStyle}>{row.isActive || 'true'}</td>
+                  <td style={tableCellStyle}>
+                    {row.notes || '—'}
+                    {row.warning ? <div style={{ color: '#8a5a00', marginTop: 4 }}>{row.warning}</div> : null}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {preview && preview.warnings.length > 0 ? (
+        <div style={{ overflowX: 'auto', marginTop: 16 }}>
+          <h3 style={{ fontSize: 16, margin: '0 0 8px', color: '#221b3d' }}>Lines that won&apos;t be imported</h3>
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr style={{ textAlign: 'left', background: '#fff5dd' }}>
+                <th style={tableCellStyle}>Line</th>
+                <th style={tableCellStyle}>Rule</th>
+                <th style={tableCellStyle}>Reason</th>
+              </tr>
+            </thead>
+            <tbody>
+              {preview.warnings.map((warning) => (
+                <tr key={`${warning.line}-${warning.message}`}>
+                  <td style={tableCellStyle}>{warning.line}</td>
+                  <td style={tableCellStyle}>
+                    <code>{warning.text}</code>
+                  </td>
+                  <td style={tableCellStyle}>{warning.message}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : null}
+    </section>
+  );
+}
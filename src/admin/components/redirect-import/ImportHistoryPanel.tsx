@@ -0,0 +1,229 @@
+import { useState } from 'react';
+import { useAPIErrorHandler, useFetchClient, useNotification } from '@strapi/strapi/admin';
+import { formatDate, isJobActive } from './format';
+import { cardStyle, tableCellStyle } from './styles';
+import type { BatchState, ImportBatch, ImportBatchDetails, RollbackResult } from './types';
+
+const BATCH_STATE_LABELS: Record<BatchState, { label: string; color: string }> = {
+  queued: { label: 'Queued', color: '#6e6984' },
+  running: { label: 'Running', color: '#4338ca' },
+  completed: { label: 'Imported', color: '#0f6a3d' },
+  cancelled: { label: 'Cancelled', color: '#8a5a00' },
+  failed: { label: 'Failed', color: '#b42318' },
+  'rolled-back': { label: 'Rolled back', color: '#6e6984' },
+  'partially-rolled-back': { label: 'Partly rolled back', color: '#b42318' },
+};
+
+type ImportHistoryPanelProps = {
+  batches: ImportBatch[] | null;
+  /** Called after a rollback so the page can reload the batches and scheduled redirects. */
+  onRolledBack: () => Promise<void>;
+};
+
+export default function ImportHistoryPanel({ batches, onRolledBack }: ImportHistoryPanelProps) {
+  const { get, post } = useFetchClient();
+  const { toggleNotification } = useNotification();
+  const { formatAPIError } = useAPIErrorHandler();
+
+  const [selectedBatch, setSelectedBatch] = useState<ImportBatchDetails | null>(null);
+  const [rollingBackId, setRollingBackId] = useState<string | null>(null);
+
+  const showBatch = async (documentId: string) => {
+    if (selectedBatch?.documentId === documentId) {
+      setSelectedBatch(null);
+      return;
+    }
+
+    try {
+      const response = await get(`/redirect-import/batches/${documentId}`);
+      setSelectedBatch(response.data.batch);
+    } catch (error) {
+      toggleNotification({
+        type: 'danger',
+        message: formatAPIError(error),
+      });
+    }
+  };
+
+  const rollbackBatch = async (batch: ImportBatch) => {
+    const confirmed = window.confirm(
+      `Roll back the import of ${batch.fileName || 'this file'}? Redirects it created are deleted and redirects it updated are restored.`,
+    );
+    if (!confirmed) return;
+
+    setRollingBackId(batch.documentId);
+
+    try {
+      const response = await post(`/redirect-import/batches/${batch.documentId}/rollback`, {});
+      const failedCount = response.data.batch.rollbackResults.filter(
+        (result: RollbackResult) => result.action === 'failed',
+      ).length;
+
+      toggleNotification({
+        type: failedCount > 0 ? 'warning' : 'success',
+        message:
+          failedCount > 0
+            ? `Rolled back with ${failedCount} redirect(s) that could not be restored.`
+            : 'Import rolled back.',
+      });
+      await onRolledBack();
+      const details = await get(`/redirect-import/batches/${batch.documentId}`);
+      setSelectedBatch(details.data.batch);
+    } catch (error) {
+      toggleNotification({
+        type: 'danger',
+        message: formatAPIError(error),
+      });
+    } finally {
+      setRollingBackId(null);
+    }
+  };
+
+  return (
+    <section style={cardStyle}>
+      <h2 style={{ fontSize: 22, margin: '0 0 12px', color: '#221b3d' }}>Import history</h2>
+
+      {batches === null ? (
+        <p style={{ fontSize: 14, color: '#6e6984', margin: 0 }}>Loading imports…</p>
+      ) : batches.length === 0 ? (
+        <p style={{ fontSize: 14, color: '#6e6984', margin: 0 }}>No imports yet.</p>
+      ) : (
+        <div style={{ overflowX: 'auto' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr style={{ textAlign: 'left', background: '#f7f7ff' }}>
+                <th style={tableCellStyle}>When</th>
+                <th style={tableCellStyle}>By</th>
+                <th style={tableCellStyle}>File</th>
+                <th style={tableCellStyle}>Result</th>
+                <th style={tableCellStyle}>State</th>
+                <th style={tableCellStyle} />
+              </tr>
+            </thead>
+            <tbody>
+              {batches.map((batch) => (
+                <tr key={batch.documentId}>
+                  <td style={tableCellStyle}>{formatDate(batch.createdAt)}</td>
+                  <td style={tableCellStyle}>{batch.userName || '—'}</td>
+                  <td style={tableCellStyle}>
+                    {batch.fileName || '—'}
+                    <div style={{ color: '#6e6984' }}>
+                      {batch.format || 'csv'} ·{' '}
+                      {batch.options?.upsertMode === 'skip' ? 'skip existing' : 'update existing'}
+                      {batch.options?.forcePublish ? ' · published' : ''}
+                    </div>
+                  </td>
+                  <td style={tableCellStyle}>
+                    {batch.summary
+                      ? `Created ${batch.summary.created} · Updated ${batch.summary.updated} · Skipped ${batch.summary.skipped} · Failed ${batch.summary.failed}`
+                      : '—'}
+                  </td>
+                  <td style={tableCellStyle}>
+                    <strong style={{ color: BATCH_STATE_LABELS[batch.state].color }}>
+                      {BATCH_STATE_LABELS[batch.state].label}
+                    </strong>
+                    {isJobActive(batch.state) ? (
+                      <div style={{ color: '#6e6984' }}>
+                        {batch.processed ?? 0} / {batch.total ?? 0} rows
+                      </div>
+                    ) : null}
+                    {batch.errorMessage ? <div style={{ color: '#b42318' }}>{batch.errorMessage}</div> : null}
+                    {batch.rolledBackAt ? (
+                      <div style={{ color: '#6e6984' }}>
+                        {formatDate(batch.rolledBackAt)}
+                        {batch.rolledBackBy ? ` by ${batch.rolledBackBy}` : ''}
+                      </div>
+                    ) : null}
+                  </td>
+                  <td style={{ ...tableCellStyle, whiteSpace: 'nowrap' }}>
+                    <button
+                      type="button"
+                      onClick={() => showBatch(batch.documentId)}
+                      style={{
+                        borderRadius: 10,
+                        border: '1px solid #cfcde8',
+                        background: '#fff',
+                        padding: '6px 10px',
+                        fontWeight: 600,
+                        cursor: 'pointer',
+                        marginRight: 8,
+                      }}
+                    >
+                      {selectedBatch?.documentId === batch.documentId ? 'Hide results' : 'Results'}
+                    </button>
+                    {batch.state !== 'rolled-back' && !isJobActive(batch.state) ? (
+                      <button
+                        type="button"
+                        onClick={() => rollbackBatch(batch)}
+                        disabled={rollingBackId !== null}
+                        style={{
+                          borderRadius: 10,
+                          border: '1px solid #f3c1bd',
+                          background: '#fdeaea',
+                          color: '#b42318',
+                          padding: '6px 10px',
+                          fontWeight: 600,
+                          cursor: rollingBackId !== null ? 'not-allowed' : 'pointer',
+                        }}
+                      >
+                        {rollingBackId === batch.documentId ? 'Rolling back…' : 'Roll back'}
+                      </button>
+                    ) : null}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {selectedBatch ? (
+        <div style={{ overflowX: 'auto', marginTop: 16 }}>
+          <h3 style={{ fontSize: 16, margin: '0 0 8px', color: '#221b3d' }}>
+            Results for {selectedBatch.fileName || 'import'} ({formatDate(selectedBatch.createdAt)})
+          </h3>
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr style={{ textAlign: 'left', background: '#f7f7ff' }}>
+                <th style={tableCellStyle}>Line</th>
+                <th style={tableCellStyle}>Old path</th>
+                <th style={tableCellStyle}>New URL</th>
+                <th style={tableCellStyle}>Result</th>
+                <th style={tableCellStyle}>Rollback</th>
+              </tr>
+            </thead>
+            <tbody>
+              {(selectedBatch.results ?? []).map((row) => {
+                const rollback = selectedBatch.rollbackResults?.find((result) => result.line === row.line);
+
+                return (
+                  <tr key={`${row.line}-${row.fromPath}-${row.action}`}>
+                    <td style={tableCellStyle}>{row.line}</td>
+                    <td style={tableCellStyle}>{row.fromPath}</td>
+                    <td style={tableCellStyle}>{row.toUrl || '—'}</td>
+                    <td style={tableCellStyle}>
+                      {row.action}
+                      {row.error || row.warning ? (
+                        <div style={{ color: row.error ? '#b42318' : '#8a5a00' }}>{row.error || row.warning}</div>
+                      ) : null}
+                    </td>
+                    <td style={tableCellStyle}>
+                      {rollback ? (
+                        <span style={{ color: rollback.action === 'failed' ? '#b42318' : '#3d365b' }}>
+                          {rollback.action}
+                          {rollback.error ? `: ${rollback.error}` : ''}
+                        </span>
+                      ) : (
+                        '—'
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      ) : null}
+    </section>
+  );
+}
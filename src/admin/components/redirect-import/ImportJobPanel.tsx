@@ -0,0 +1,133 @@
+import { cardStyle, tableCellStyle } from './styles';
+import type { ImportBatchDetails, ImportSummary, ResultRow } from './types';
+
+type ImportJobPanelProps = {
+  job: ImportBatchDetails | null;
+  isImporting: boolean;
+  isCancelling: boolean;
+  summary: ImportSummary | null;
+  results: ResultRow[];
+  onCancel: () => void;
+};
+
+export default function ImportJobPanel({
+  job,
+  isImporting,
+  isCancelling,
+  summary,
+  results,
+  onCancel,
+}: ImportJobPanelProps) {
+  return (
+    <section style={cardStyle}>
+      <div
+        style={{ display: 'flex', justifyContent: 'space-between', gap: 12, alignItems: 'center', marginBottom: 12 }}
+      >
+        <h2 style={{ fontSize: 22, margin: 0, color: '#221b3d' }}>Import results</h2>
+        {isImporting && job ? (
+          <div style={{ display: 'flex', alignItems: 'center', gap: 12, flex: 1, maxWidth: 420 }}>
+            <div style={{ flex: 1, height: 8, borderRadius: 999, background: '#ecebff', overflow: 'hidden' }}>
+              <div
+                style={{
+                  width: `${job.total ? Math.round(((job.processed ?? 0) / job.total) * 100) : 0}%`,
+                  height: '100%',
+                  background: '#4945ff',
+                }}
+              />
+            </div>
+            <span style={{ fontSize: 13, color: '#3d365b', whiteSpace: 'nowrap' }}>
+              {job.state === 'queued' ? 'Queued' : `${job.processed ?? 0} / ${job.total ?? 0}`}
+            </span>
+            <button
+              type="button"
+              onClick={onCancel}
+              disabled={isCancelling}
+              style={{
+                borderRadius: 10,
+                border: '1px solid #f3c1bd',
+                background: '#fdeaea',
+                color: '#b42318',
+                padding: '6px 10px',
+                fontWeight: 600,
+                cursor: isCancelling ? 'not-allowed' : 'pointer',
+              }}
+            >
+              {isCancelling ? 'Cancelling…' : 'Cancel'}
+            </button>
+          </div>
+        ) : null}
+        {summary ? (
+          <div style={{ fontSize: 13, color: '#3d365b' }}>
+            Total {summary.total} · Created {summary.created} · Updated {summary.updated} · Skipped {summary.skipped} ·
+            Failed {summary.failed}
+          </div>
+        ) : null}
+      </div>
+
+      {results.length === 0 ? (
+        <p style={{ fontSize: 14, color: '#6e6984', margin: 0 }}>
+          Run an import to see per-row results here, then use the redirects table for ongoing management.
+        </p>
+      ) : (
+        <div style={{ overflowX: 'auto' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr style={{ textAlign: 'left', background: '#f7f7ff' }}>
+                <th style={tableCellStyle}>Line</th>
+                <th style={tableCellStyle}>Old path</th>
+                <th style={tableCellStyle}>New URL</th>
+                <th style={tableCellStyle}>Result</th>
+                <th style={tableCellStyle}>Details</th>
+              </tr>
+            </thead>
+            <tbody>
+              {results.map((row) => (
+                <tr key={`${row.line}-${row.fromPath}-${row.action}`}>
+                  <td style={tableCellStyle}>{row.line}</td>
+                  <td style={tableCellStyle}>{row.fromPath}</td>
+                  <td style={tableCellStyle}>{row.toUrl}</td>
+                  <td style={tableCellStyle}>
+                    <span
+                      style={{
+                        display: 'inline-flex',
+                        alignItems: 'center',
+                        borderRadius: 999,
+                        padding: '4px 10px',
+                        fontWeight: 700,
+                        fontSize: 12,
+                        background:
+                          row.action === 'created'
+                            ? '#e7f7ef'
+                            : row.action === 'updated'
+                              ? '#ebeaff'
+                              : row.action === 'skipped'
+                                ? '#fff5dd'
+                                : '#fdeaea',
+                        color:
+                          row.action === 'created'
+                            ? '#0f6a3d'
+                            : row.action === 'updated'
+                              ? '#4338ca'
+                              : row.action === 'skipped'
+                                ? '#8a5a00'
+                                : '#b42318',
+                      }}
+                    >
+                      {row.action}
+                    </span>
+                  </td>
+                  <td style={tableCellStyle}>
+                    {row.error ||
+                      [...row.conflicts.map((conflict) => conflict.message), row.warning].filter(Boolean).join(' ') ||
+                      row.notes ||
+                      'Imported successfully'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  );
+}
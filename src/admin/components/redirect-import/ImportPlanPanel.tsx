@@ -0,0 +1,126 @@
+import { cardStyle, tableCellStyle } from './styles';
+import type { ImportPlan, PlanAction } from './types';
+
+const PLAN_ACTION_COLORS: Record<PlanAction, { background: string; color: string }> = {
+  create: { background: '#e7f7ef', color: '#0f6a3d' },
+  update: { background: '#ebeaff', color: '#4338ca' },
+  skip: { background: '#fff5dd', color: '#8a5a00' },
+  fail: { background: '#fdeaea', color: '#b42318' },
+};
+
+type ImportPlanPanelProps = {
+  plan: ImportPlan;
+  isImporting: boolean;
+  onConfirm: () => void;
+  onDiscard: () => void;
+};
+
+export default function ImportPlanPanel({ plan, isImporting, onConfirm, onDiscard }: ImportPlanPanelProps) {
+  return (
+    <section style={cardStyle}>
+      <div
+        style={{ display: 'flex', justifyContent: 'space-between', gap: 12, alignItems: 'center', marginBottom: 12 }}
+      >
+        <h2 style={{ fontSize: 22, margin: 0, color: '#221b3d' }}>Import plan</h2>
+        <div style={{ fontSize: 13, color: '#3d365b' }}>
+          Create {plan.summary.create} · Update {plan.summary.update} · Skip {plan.summary.skip} · Fail{' '}
+          {plan.summary.fail} · {plan.summary.conflicts} row(s) with conflicts
+        </div>
+      </div>
+
+      <p style={{ fontSize: 14, color: '#5f5a76', margin: '0 0 12px' }}>
+        Nothing has been written yet. Rows marked <strong>fail</strong> will not be imported; other conflicts are
+        imported as planned unless you fix the file and check again.
+      </p>
+
+      <div style={{ overflowX: 'auto' }}>
+        <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+          <thead>
+            <tr style={{ textAlign: 'left', background: '#f7f7ff' }}>
+              <th style={tableCellStyle}>Line</th>
+              <th style={tableCellStyle}>Old path</th>
+              <th style={tableCellStyle}>New URL</th>
+              <th style={tableCellStyle}>Plan</th>
+              <th style={tableCellStyle}>Conflicts</th>
+            </tr>
+          </thead>
+          <tbody>
+            {plan.results.map((row) => (
+              <tr key={`${row.line}-${row.fromPath}-${row.action}`}>
+                <td style={tableCellStyle}>{row.line}</td>
+                <td style={tableCellStyle}>{row.fromPath}</td>
+                <td style={tableCellStyle}>{row.toUrl || '—'}</td>
+                <td style={tableCellStyle}>
+                  <span
+                    style={{
+                      display: 'inline-flex',
+                      alignItems: 'center',
+                      borderRadius: 999,
+                      padding: '4px 10px',
+                      fontWeight: 700,
+                      fontSize: 12,
+                      ...PLAN_ACTION_COLORS[row.action],
+                    }}
+                  >
+                    {row.action}
+                  </span>
+                </td>
+                <td style={tableCellStyle}>
+                  {row.conflicts.length === 0 && !row.error && !row.warning ? '—' : null}
+                  {row.error && !row.conflicts.some((conflict) => conflict.message === row.error) ? (
+                    <div style={{ color: '#b42318' }}>{row.error}</div>
+                  ) : null}
+                  {row.conflicts.map((conflict) => (
+                    <div
+                      key={`${conflict.kind}-${conflict.message}`}
+                      style={{ color: row.error === conflict.message ? '#b42318' : '#8a5a00' }}
+                    >
+                      {conflict.message}
+                    </div>
+                  ))}
+                  {row.warning ? <div style={{ color: '#6e6984' }}>{row.warning}</div> : null}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div style={{ display: 'flex', gap: 12, flexWrap: 'wrap', marginTop: 16 }}>
+        <button
+          type="button"
+          onClick={onConfirm}
+          disabled={isImporting}
+          style={{
+            border: 0,
+            borderRadius: 12,
+            background: '#4945ff',
+            color: '#ffffff',
+            padding: '12px 18px',
+            fontWeight: 700,
+            cursor: isImporting ? 'not-allowed' : 'pointer',
+            opacity: isImporting ? 0.65 : 1,
+          }}
+        >
+          {isImporting ? 'Queued...' : `Confirm import of ${plan.summary.create + plan.summary.update} redirect(s)`}
+        </button>
+        <button
+          type="button"
+          onClick={onDiscard}
+          disabled={isImporting}
+          style={{
+            borderRadius: 12,
+            border: '1px solid #cfcde8',
+            color: '#221b3d',
+            padding: '12px 18px',
+            fontWeight: 700,
+            background: '#fff',
+            cursor: 'pointer',
+          }}
+        >
+          Cancel
+        </button>
+      </div>
+    </section>
+  );
+}
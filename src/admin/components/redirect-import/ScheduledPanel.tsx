@@ -0,0 +1,46 @@
+import { describeStatus, formatDate, SCHEDULE_COLORS } from './format';
+import { cardStyle, tableCellStyle } from './styles';
+import type { ScheduledRedirect } from './types';
+
+export default function ScheduledPanel({ scheduled }: { scheduled: ScheduledRedirect[] | null }) {
+  return (
+    <section style={cardStyle}>
+      <h2 style={{ fontSize: 22, margin: '0 0 12px', color: '#221b3d' }}>Scheduled redirects</h2>
+
+      {scheduled === null ? (
+        <p style={{ fontSize: 14, color: '#6e6984', margin: 0 }}>Loading scheduled redirects...</p>
+      ) : scheduled.length === 0 ? (
+        <p style={{ fontSize: 14, color: '#6e6984', margin: 0 }}>
+          No published redirects have an <code>activeFrom</code> or <code>activeUntil</code> window.
+        </p>
+      ) : (
+        <div style={{ overflowX: 'auto' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr style={{ textAlign: 'left', background: '#f7f7ff' }}>
+                <th style={tableCellStyle}>State</th>
+                <th style={tableCellStyle}>Old path</th>
+                <th style={tableCellStyle}>New URL</th>
+                <th style={tableCellStyle}>Active from</th>
+                <th style={tableCellStyle}>Active until</th>
+              </tr>
+            </thead>
+            <tbody>
+              {scheduled.map((redirect) => (
+                <tr key={redirect.documentId}>
+                  <td style={{ ...tableCellStyle, fontWeight: 700, color: SCHEDULE_COLORS[redirect.state] }}>
+                    {redirect.state}
+                  </td>
+                  <td style={tableCellStyle}>{redirect.fromPath}</td>
+                  <td style={tableCellStyle}>{redirect.toUrl || describeStatus(redirect.statusCode)}</td>
+                  <td style={tableCellStyle}>{formatDate(redirect.activeFrom)}</td>
+                  <td style={tableCellStyle}>{formatDate(redirect.activeUntil)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  );
+}
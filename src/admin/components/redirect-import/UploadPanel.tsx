@@ -0,0 +1,151 @@
+import type { ChangeEvent } from 'react';
+import { cardStyle } from './styles';
+import type { ImportPreview, SourceFormat } from './types';
+
+const SOURCE_FORMAT_LABELS: Record<SourceFormat, string> = {
+  csv: 'CSV',
+  nginx: 'nginx config (rewrite / return)',
+  apache: 'Apache .htaccess (Redirect / RewriteRule)',
+  netlify: 'Netlify _redirects',
+};
+
+type UploadPanelProps = {
+  fileName: string;
+  hasSource: boolean;
+  sourceFormat: SourceFormat | 'auto';
+  preview: ImportPreview | null;
+  upsertMode: 'update' | 'skip';
+  forcePublish: boolean;
+  isPlanning: boolean;
+  isImporting: boolean;
+  onFileChange: (event: ChangeEvent<HTMLInputElement>) => void;
+  onSourceFormatChange: (format: SourceFormat | 'auto') => void;
+  onUpsertModeChange: (mode: 'update' | 'skip') => void;
+  onForcePublishChange: (forcePublish: boolean) => void;
+  onCheck: () => void;
+};
+
+export default function UploadPanel({
+  fileName,
+  hasSource,
+  sourceFormat,
+  preview,
+  upsertMode,
+  forcePublish,
+  isPlanning,
+  isImporting,
+  onFileChange,
+  onSourceFormatChange,
+  onUpsertModeChange,
+  onForcePublishChange,
+  onCheck,
+}: UploadPanelProps) {
+  return (
+    <section style={cardStyle}>
+      <div style={{ display: 'grid', gap: 16 }}>
+        <div style={{ display: 'grid', gap: 8 }}>
+          <label htmlFor="redirect-import-file" style={{ fontWeight: 600, color: '#221b3d' }}>
+            Redirect file
+          </label>
+          <input id="redirect-import-file" type="file" onChange={onFileChange} style={{ fontSize: 14 }} />
+          <div style={{ fontSize: 12, color: '#6e6984' }}>
+            Expected headers: <code>fromPath,toUrl,statusCode,isActive,notes</code>, plus an optional{' '}
+            <code>matchType</code> column (<code>exact</code>, <code>prefix</code>, <code>wildcard</code> or{' '}
+            <code>regex</code>) and optional <code>queryPolicy</code>, <code>queryMatch</code> and{' '}
+            <code>dropParams</code> columns, and <code>activeFrom</code>/<code>activeUntil</code> (ISO 8601) for
+            scheduled redirects, and <code>sourceHost</code> to scope a row to one host. Common names such as{' '}
+            <code>source</code>/<code>target</code> or <code>from</code>/<code>to</code> are accepted too, and
+            semicolon- or tab-separated files (as Excel saves them) are detected. nginx <code>rewrite</code>/
+            <code>return</code>, Apache <code>Redirect</code>/<code>RedirectMatch</code>/<code>RewriteRule</code> and
+            Netlify <code>_redirects</code> files are converted line by line; rules that can&apos;t become redirects are
+            listed with the reason.
+          </div>
+          {fileName ? (
+            <div style={{ fontSize: 13, color: '#3d365b' }}>
+              Loaded file: <strong>{fileName}</strong>
+            </div>
+          ) : null}
+        </div>
+
+        <div style={{ display: 'flex', gap: 12, flexWrap: 'wrap' }}>
+          <label style={{ display: 'grid', gap: 6, minWidth: 180 }}>
+            <span style={{ fontWeight: 600, color: '#221b3d' }}>File format</span>
+            <select
+              value={sourceFormat}
+              onChange={(event) => onSourceFormatChange(event.target.value as SourceFormat | 'auto')}
+              style={{ padding: '10px 12px', borderRadius: 10, border: '1px solid #cfcde8' }}
+            >
+              <option value="auto">
+                Detect automatically
+                {preview && sourceFormat === 'auto' ? ` (${SOURCE_FORMAT_LABELS[preview.format]})` : ''}
+              </option>
+              {(Object.keys(SOURCE_FORMAT_LABELS) as SourceFormat[]).map((format) => (
+                <option key={format} value={format}>
+                  {SOURCE_FORMAT_LABELS[format]}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          <label style={{ display: 'grid', gap: 6, minWidth: 180 }}>
+            <span style={{ fontWeight: 600, color: '#221b3d' }}>When a redirect already exists</span>
+            <select
+              value={upsertMode}
+              onChange={(event) => onUpsertModeChange(event.target.value as 'update' | 'skip')}
+              style={{ padding: '10px 12px', borderRadius: 10, border: '1px solid #cfcde8' }}
+            >
+              <option value="update">Update existing row</option>
+              <option value="skip">Skip existing row</option>
+            </select>
+          </label>
+
+          <label style={{ display: 'flex', alignItems: 'center', gap: 10, fontWeight: 600, color: '#221b3d' }}>
+            <input
+              type="checkbox"
+              checked={forcePublish}
+              onChange={(event) => onForcePublishChange(event.target.checked)}
+            />
+            Publish imported redirects immediately
+          </label>
+        </div>
+
+        <div style={{ display: 'flex', gap: 12, flexWrap: 'wrap' }}>
+          <button
+            type="button"
+            onClick={onCheck}
+            disabled={isPlanning || isImporting || !hasSource}
+            style={{
+              border: 0,
+              borderRadius: 12,
+              background: '#4945ff',
+              color: '#ffffff',
+              padding: '12px 18px',
+              fontWeight: 700,
+              cursor: isPlanning || isImporting || !hasSource ? 'not-allowed' : 'pointer',
+              opacity: isPlanning || isImporting || !hasSource ? 0.65 : 1,
+            }}
+          >
+            {isPlanning ? 'Checking...' : 'Check import'}
+          </button>
+
+          <a
+            href="/admin/content-manager/collection-types/api::redirect.redirect"
+            style={{
+              display: 'inline-flex',
+              alignItems: 'center',
+              borderRadius: 12,
+              border: '1px solid #cfcde8',
+              color: '#221b3d',
+              padding: '12px 18px',
+              fontWeight: 700,
+              textDecoration: 'none',
+              background: '#fff',
+            }}
+          >
+            View redirects table
+          </a>
+        </div>
+      </div>
+    </section>
+  );
+}
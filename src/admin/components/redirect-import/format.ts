@@ -0,0 +1,54 @@
+import type { BatchState, ScheduleState } from './types';
+
+export const isJobActive = (state: BatchState) => state === 'queued' || state === 'running';
+
+export const SCHEDULE_COLORS: Record<ScheduleState, string> = {
+  always: '#6e6984',
+  upcoming: '#8a5a00',
+  live: '#0f6a3d',
+  expired: '#b42318',
+};
+
+// Mirrors getScheduleState in the redirect matcher: activeFrom is inclusive, activeUntil exclusive.
+export function getScheduleState(activeFrom: string, activeUntil: string, now = Date.now()): ScheduleState {
+  const from = activeFrom ? Date.parse(activeFrom) : NaN;
+  const until = activeUntil ? Date.parse(activeUntil) : NaN;
+
+  if (Number.isNaN(from) && Number.isNaN(until)) return 'always';
+  if (!Number.isNaN(from) && now < from) return 'upcoming';
+  if (!Number.isNaN(until) && now >= until) return 'expired';
+  return 'live';
+}
+
+export function formatDate(value: string | null) {
+  return value ? new Date(value).toLocaleString() : '—';
+}
+
+const STATUS_LABELS: Record<string, string> = {
+  '301': '301 Moved Permanently',
+  '302': '302 Found',
+  '307': '307 Temporary Redirect',
+  '308': '308 Permanent Redirect',
+  '410': '410 Gone',
+  '451': '451 Unavailable For Legal Reasons',
+};
+
+// Mirrors the importer's STATUS_MAP so the preview shows what will be stored.
+const STATUS_ALIASES: Record<string, string> = {
+  'redirect-301': '301',
+  'redirect-302': '302',
+  'redirecct-302': '302',
+  'redirect-307': '307',
+  'redirect-308': '308',
+  gone: '410',
+  'gone-410': '410',
+  'unavailable-451': '451',
+};
+
+export function describeStatus(value: string) {
+  const normalized = value.trim().toLowerCase();
+  if (!normalized) return STATUS_LABELS['301'];
+
+  const code = STATUS_ALIASES[normalized] ?? normalized;
+  return STATUS_LABELS[code] ?? `${STATUS_LABELS['301']} (unrecognised "${value}")`;
+}
@@ -0,0 +1,16 @@
+import type { CSSProperties } from 'react';
+
+export const cardStyle: CSSProperties = {
+  border: '1px solid #d9d8ff',
+  borderRadius: 16,
+  padding: 20,
+  background: '#ffffff',
+  boxShadow: '0 18px 40px rgba(18, 18, 38, 0.05)',
+};
+
+export const tableCellStyle: CSSProperties = {
+  padding: '10px 12px',
+  borderBottom: '1px solid #ecebff',
+  fontSize: 13,
+  verticalAlign: 'top',
+};
@@ -0,0 +1,122 @@
+export type PreviewRow = {
+  line: number;
+  sourceHost: string;
+  fromPath: string;
+  toUrl: string;
+  statusCode: string;
+  matchType: string;
+  queryPolicy: string;
+  queryMatch: string;
+  activeFrom: string;
+  activeUntil: string;
+  isActive: string;
+  notes: string;
+  warning: string | null;
+};
+
+export type SourceFormat = 'csv' | 'nginx' | 'apache' | 'netlify';
+
+export type SkippedLine = {
+  line: number;
+  text: string;
+  message: string;
+};
+
+export type ImportPreview = {
+  format: SourceFormat;
+  /** The CSV delimiter the server detected; null for config files. */
+  delimiter: ',' | ';' | '\t' | null;
+  rows: PreviewRow[];
+  warnings: SkippedLine[];
+};
+
+export type ImportConflict = {
+  kind: 'duplicate' | 'shadows-content' | 'chain' | 'self' | 'loop' | 'invalid-url' | 'broken-destination';
+  message: string;
+};
+
+export type ResultRow = {
+  line: number;
+  fromPath: string;
+  toUrl: string;
+  statusCode: string;
+  matchType: string;
+  isActive: boolean;
+  notes: string | null;
+  action: string;
+  error: string | null;
+  warning: string | null;
+  conflicts: ImportConflict[];
+};
+
+export type PlanAction = 'create' | 'update' | 'skip' | 'fail';
+
+export type ImportPlan = {
+  summary: {
+    total: number;
+    create: number;
+    update: number;
+    skip: number;
+    fail: number;
+    conflicts: number;
+  };
+  results: Array<ResultRow & { action: PlanAction }>;
+};
+
+export type ImportSummary = {
+  total: number;
+  created: number;
+  updated: number;
+  skipped: number;
+  failed: number;
+};
+
+export type BatchState =
+  | 'queued'
+  | 'running'
+  | 'completed'
+  | 'cancelled'
+  | 'failed'
+  | 'rolled-back'
+  | 'partially-rolled-back';
+
+export type ImportBatch = {
+  documentId: string;
+  fileName: string | null;
+  format: string | null;
+  options: { upsertMode: string; forcePublish: boolean } | null;
+  userName: string | null;
+  summary: ImportSummary | null;
+  state: BatchState;
+  total: number | null;
+  processed: number | null;
+  errorMessage: string | null;
+  finishedAt: string | null;
+  rolledBackAt: string | null;
+  rolledBackBy: string | null;
+  createdAt: string;
+};
+
+export type RollbackResult = {
+  documentId: string;
+  line: number;
+  action: 'deleted' | 'restored' | 'failed';
+  error: string | null;
+};
+
+export type ImportBatchDetails = ImportBatch & {
+  results: ResultRow[] | null;
+  rollbackResults: RollbackResult[] | null;
+};
+
+export type ScheduleState = 'always' | 'upcoming' | 'live' | 'expired';
+
+export type ScheduledRedirect = {
+  documentId: string;
+  fromPath: string;
+  toUrl: string | null;
+  statusCode: string;
+  activeFrom: string | null;
+  activeUntil: string | null;
+  state: ScheduleState;
+};
@@ -0,0 +1,258 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useAPIErrorHandler, useFetchClient, useNotification } from '@strapi/strapi/admin';
+
+type Suggestion = {
+  path: string;
+  label: string;
+  source: 'page' | 'blog-post' | 'news-article';
+  score: number;
+};
+
+type MissingPath = {
+  id: number;
+  path: string;
+  hitCount: number;
+  firstSeenAt: string | null;
+  lastSeenAt: string | null;
+  topReferrers: Record<string, number> | null;
+  suggestions: Suggestion[];
+};
+
+const SOURCE_LABELS: Record<Suggestion['source'], string> = {
+  page: 'Page',
+  'blog-post': 'Blog post',
+  'news-article': 'News article',
+};
+
+function formatDate(value: string | null) {
+  return value ? new Date(value).toLocaleString() : '—';
+}
+
+export default function MissingPathsPage() {
+  const { get, post } = useFetchClient();
+  const { toggleNotification } = useNotification();
+  const { formatAPIError } = useAPIErrorHandler();
+
+  const [missingPaths, setMissingPaths] = useState<MissingPath[]>([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [busyId, setBusyId] = useState<number | null>(null);
+  const [customTargets, setCustomTargets] = useState<Record<number, string>>({});
+
+  const loadMissingPaths = useCallback(async () => {
+    setIsLoading(true);
+
+    try {
+      const response = await get('/redirect-import/missing-paths');
+      setMissingPaths(response.data.missingPaths);
+    } catch (error) {
+      toggleNotification({
+        type: 'danger',
+        message: formatAPIError(error),
+      });
+    } finally {
+      setIsLoading(false);
+    }
+  }, [get, toggleNotification, formatAPIError]);
+
+  useEffect(() => {
+    loadMissingPaths();
+  }, [loadMissingPaths]);
+
+  const createRedirect = async (missingPath: MissingPath, toUrl: string) => {
+    if (!toUrl.trim()) return;
+
+    setBusyId(missingPath.id);
+
+    try {
+      await post(`/redirect-import/missing-paths/${missingPath.id}/redirect`, { toUrl });
+      setMissingPaths((current) => current.filter((item) => item.id !== missingPath.id));
+      toggleNotification({
+        type: 'success',
+        message: `Redirect created: ${missingPath.path} → ${toUrl}`,
+      });
+    } catch (error) {
+      toggleNotification({
+        type: 'danger',
+        message: formatAPIError(error),
+      });
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const dismiss = async (missingPath: MissingPath) => {
+    setBusyId(missingPath.id);
+
+    try {
+      await post(`/redirect-import/missing-paths/${missingPath.id}/dismiss`, {});
+      setMissingPaths((current) => current.filter((item) => item.id !== missingPath.id));
+    } catch (error) {
+      toggleNotification({
+        type: 'danger',
+        message: formatAPIError(error),
+      });
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const cardStyle: React.CSSProperties = {
+    border: '1px solid #d9d8ff',
+    borderRadius: 16,
+    padding: 20,
+    background: '#ffffff',
+    boxShadow: '0 18px 40px rgba(18, 18, 38, 0.05)',
+  };
+
+  const tableCellStyle: React.CSSProperties = {
+    padding: '10px 12px',
+    borderBottom: '1px solid #ecebff',
+    fontSize: 13,
+    verticalAlign: 'top',
+  };
+
+  const smallButtonStyle = (isDisabled: boolean): React.CSSProperties => ({
+    borderRadius: 10,
+    border: '1px solid #cfcde8',
+    color: '#221b3d',
+    padding: '6px 10px',
+    fontWeight: 600,
+    fontSize: 12,
+    background: '#fff',
+    cursor: isDisabled ? 'not-allowed' : 'pointer',
+    opacity: isDisabled ? 0.65 : 1,
+  });
+
+  return (
+    <main style={{ padding: 32, background: '#f6f6ff', minHeight: '100vh' }}>
+      <div style={{ maxWidth: 1180, margin: '0 auto', display: 'grid', gap: 20 }}>
+        <section style={{ display: 'grid', gap: 8 }}>
+          <h1 style={{ fontSize: 32, lineHeight: 1.1, fontWeight: 700, color: '#221b3d', margin: 0 }}>
+            Missing Pages
+          </h1>
+          <p style={{ fontSize: 15, color: '#5f5a76', margin: 0, maxWidth: 760 }}>
+            Public paths that ended in a 404, most-hit first. Scanner probes and obvious bots are not logged. Pick a
+            suggested page or article to create a published 301 redirect in one click.
+          </p>
+        </section>
+
+        <section style={cardStyle}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', gap: 12, alignItems: 'center', marginBottom: 12 }}>
+            <h2 style={{ fontSize: 22, margin: 0, color: '#221b3d' }}>Top missing paths</h2>
+            <button
+              type="button"
+              onClick={loadMissingPaths}
+              disabled={isLoading}
+              style={{
+                border: 0,
+                borderRadius: 12,
+                background: '#4945ff',
+                color: '#ffffff',
+                padding: '10px 16px',
+                fontWeight: 700,
+                cursor: isLoading ? 'not-allowed' : 'pointer',
+                opacity: isLoading ? 0.65 : 1,
+              }}
+            >
+              {isLoading ? 'Loading...' : 'Refresh'}
+            </button>
+          </div>
+
+          {missingPaths.length === 0 ? (
+            <p style={{ fontSize: 14, color: '#6e6984', margin: 0 }}>
+              {isLoading ? 'Loading missing paths...' : 'No unresolved 404s recorded.'}
+            </p>
+          ) : (
+            <div style={{ overflowX: 'auto' }}>
+              <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                <thead>
+                  <tr style={{ textAlign: 'left', background: '#f7f7ff' }}>
+                    <th style={tableCellStyle}>Path</th>
+                    <th style={tableCellStyle}>Hits</th>
+                    <th style={tableCellStyle}>Last seen</th>
+                    <th style={tableCellStyle}>Top referrers</th>
+                    <th style={tableCellStyle}>Suggested redirect</th>
+                    <th style={tableCellStyle} />
+                  </tr>
+                </thead>
+                <tbody>
+                  {missingPaths.map((missingPath) => {
+                    const isBusy = busyId === missingPath.id;
+                    const customTarget = customTargets[missingPath.id] ?? '';
+
+                    return (
+                      <tr key={missingPath.id}>
+                        <td style={tableCellStyle}>
+                          <code>{missingPath.path}</code>
+                        </td>
+                        <td style={tableCellStyle}>{missingPath.hitCount}</td>
+                        <td style={tableCellStyle}>{formatDate(missingPath.lastSeenAt)}</td>
+                        <td style={tableCellStyle}>
+                          {Object.entries(missingPath.topReferrers ?? {})
+                            .slice(0, 3)
+                            .map(([referrer, count]) => (
+                              <div key={referrer}>
+                                {referrer} ({count})
+                              </div>
+                            ))}
+                        </td>
+                        <td style={tableCellStyle}>
+                          <div style={{ display: 'grid', gap: 6 }}>
+                            {missingPath.suggestions.map((suggestion) => (
+                              <div key={suggestion.path} style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
+                                <button
+                                  type="button"
+                                  onClick={() => createRedirect(missingPath, suggestion.path)}
+                                  disabled={isBusy}
+                                  style={smallButtonStyle(isBusy)}
+                                >
+                                  Redirect to {suggestion.path}
+                                </button>
+                                <span style={{ fontSize: 12, color: '#6e6984' }}>
+                                  {SOURCE_LABELS[suggestion.source]} · {Math.round(suggestion.score * 100)}% match
+                                </span>
+                              </div>
+                            ))}
+                            <div style={{ display: 'flex', gap: 8 }}>
+                              <input
+                                type="text"
+                                value={customTarget}
+                                placeholder="/other-page"
+                                onChange={(event) =>
+                                  setCustomTargets((current) => ({ ...current, [missingPath.id]: event.target.value }))
+                                }
+                                style={{ padding: '6px 10px', borderRadius: 10, border: '1px solid #cfcde8', fontSize: 12 }}
+                              />
+                              <button
+                                type="button"
+                                onClick={() => createRedirect(missingPath, customTarget)}
+                                disabled={isBusy || !customTarget.trim()}
+                                style={smallButtonStyle(isBusy || !customTarget.trim())}
+                              >
+                                Redirect
+                              </button>
+                            </div>
+                          </div>
+                        </td>
+                        <td style={tableCellStyle}>
+                          <button
+                            type="button"
+                            onClick={() => dismiss(missingPath)}
+                            disabled={isBusy}
+                            style={smallButtonStyle(isBusy)}
+                          >
+                            Dismiss
+                          </button>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </section>
+      </div>
+    </main>
+  );
+}
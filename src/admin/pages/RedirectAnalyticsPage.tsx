@@ -0,0 +1,199 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useAPIErrorHandler, useFetchClient, useNotification } from '@strapi/strapi/admin';
+
+type AnalyticsRow = {
+  documentId: string;
+  fromPath: string;
+  toUrl: string;
+  statusCode: string;
+  matchType: string | null;
+  createdAt: string;
+  hitCount: number;
+  firstHitAt: string | null;
+  lastHitAt: string | null;
+  topReferrers: Record<string, number>;
+};
+
+type AnalyticsResponse = {
+  summary: {
+    live: number;
+    tracked: number;
+    stale: number;
+    totalHits: number;
+    staleMonths: number;
+    staleBefore: string;
+  };
+  top: AnalyticsRow[];
+  stale: AnalyticsRow[];
+};
+
+const STALE_MONTH_OPTIONS = [6, 12, 18, 24];
+
+function formatDate(value: string | null) {
+  return value ? new Date(value).toLocaleString() : 'Never';
+}
+
+function topReferrerLabel(referrers: Record<string, number>) {
+  const [first] = Object.entries(referrers ?? {}).sort((a, b) => b[1] - a[1]);
+  return first ? `${first[0]} (${first[1]})` : '—';
+}
+
+export default function RedirectAnalyticsPage() {
+  const { get } = useFetchClient();
+  const { toggleNotification } = useNotification();
+  const { formatAPIError } = useAPIErrorHandler();
+
+  const [staleMonths, setStaleMonths] = useState(12);
+  const [isLoading, setIsLoading] = useState(false);
+  const [analytics, setAnalytics] = useState<AnalyticsResponse | null>(null);
+
+  const loadAnalytics = useCallback(
+    async (months: number) => {
+      setIsLoading(true);
+
+      try {
+        const response = await get(`/redirect-import/analytics?staleMonths=${months}`);
+        setAnalytics(response.data);
+      } catch (error) {
+        toggleNotification({
+          type: 'danger',
+          message: formatAPIError(error),
+        });
+      } finally {
+        setIsLoading(false);
+      }
+    },
+    [get, toggleNotification, formatAPIError],
+  );
+
+  useEffect(() => {
+    loadAnalytics(staleMonths);
+  }, [loadAnalytics, staleMonths]);
+
+  const cardStyle: React.CSSProperties = {
+    border: '1px solid #d9d8ff',
+    borderRadius: 16,
+    padding: 20,
+    background: '#ffffff',
+    boxShadow: '0 18px 40px rgba(18, 18, 38, 0.05)',
+  };
+
+  const tableCellStyle: React.CSSProperties = {
+    padding: '10px 12px',
+    borderBottom: '1px solid #ecebff',
+    fontSize: 13,
+    verticalAlign: 'top',
+  };
+
+  const renderTable = (rows: AnalyticsRow[], emptyMessage: string) =>
+    rows.length === 0 ? (
+      <p style={{ fontSize: 14, color: '#6e6984', margin: 0 }}>{emptyMessage}</p>
+    ) : (
+      <div style={{ overflowX: 'auto' }}>
+        <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+          <thead>
+            <tr style={{ textAlign: 'left', background: '#f7f7ff' }}>
+              <th style={tableCellStyle}>Old path</th>
+              <th style={tableCellStyle}>New URL</th>
+              <th style={tableCellStyle}>Hits</th>
+              <th style={tableCellStyle}>Last hit</th>
+              <th style={tableCellStyle}>First hit</th>
+              <th style={tableCellStyle}>Top referrer</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row) => (
+              <tr key={row.documentId}>
+                <td style={tableCellStyle}>
+                  <a
+                    href={`/admin/content-manager/collection-types/api::redirect.redirect/${row.documentId}`}
+                    style={{ color: '#4945ff', fontWeight: 600 }}
+                  >
+                    {row.fromPath}
+                  </a>
+                </td>
+                <td style={tableCellStyle}>{row.toUrl}</td>
+                <td style={tableCellStyle}>{row.hitCount}</td>
+                <td style={tableCellStyle}>{formatDate(row.lastHitAt)}</td>
+                <td style={tableCellStyle}>{formatDate(row.firstHitAt)}</td>
+                <td style={tableCellStyle}>{topReferrerLabel(row.topReferrers)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    );
+
+  return (
+    <main style={{ padding: 32, background: '#f6f6ff', minHeight: '100vh' }}>
+      <div style={{ maxWidth: 1180, margin: '0 auto', display: 'grid', gap: 20 }}>
+        <section style={{ display: 'grid', gap: 8 }}>
+          <h1 style={{ fontSize: 32, lineHeight: 1.1, fontWeight: 700, color: '#221b3d', margin: 0 }}>
+            Redirect Analytics
+          </h1>
+          <p style={{ fontSize: 15, color: '#5f5a76', margin: 0, maxWidth: 760 }}>
+            See which redirects are still used. Retire stale redirects from the redirects table, and fix internal
+            links that keep sending visitors through the most-hit ones. Hits are counted from the moment tracking was
+            enabled.
+          </p>
+        </section>
+
+        <section style={cardStyle}>
+          <div style={{ display: 'flex', gap: 16, flexWrap: 'wrap', alignItems: 'end', justifyContent: 'space-between' }}>
+            <label style={{ display: 'grid', gap: 6, minWidth: 180 }}>
+              <span style={{ fontWeight: 600, color: '#221b3d' }}>Stale after</span>
+              <select
+                value={staleMonths}
+                onChange={(event) => setStaleMonths(Number(event.target.value))}
+                style={{ padding: '10px 12px', borderRadius: 10, border: '1px solid #cfcde8' }}
+              >
+                {STALE_MONTH_OPTIONS.map((months) => (
+                  <option key={months} value={months}>
+                    {months} months without hits
+                  </option>
+                ))}
+              </select>
+            </label>
+
+            {analytics ? (
+              <div style={{ fontSize: 13, color: '#3d365b' }}>
+                Live {analytics.summary.live} · With hits {analytics.summary.tracked} · Stale {analytics.summary.stale} ·
+                Total hits {analytics.summary.totalHits}
+              </div>
+            ) : null}
+
+            <button
+              type="button"
+              onClick={() => loadAnalytics(staleMonths)}
+              disabled={isLoading}
+              style={{
+                border: 0,
+                borderRadius: 12,
+                background: '#4945ff',
+                color: '#ffffff',
+                padding: '12px 18px',
+                fontWeight: 700,
+                cursor: isLoading ? 'not-allowed' : 'pointer',
+                opacity: isLoading ? 0.65 : 1,
+              }}
+            >
+              {isLoading ? 'Loading...' : 'Refresh'}
+            </button>
+          </div>
+        </section>
+
+        <section style={cardStyle}>
+          <h2 style={{ fontSize: 22, margin: '0 0 12px', color: '#221b3d' }}>Most-hit redirects</h2>
+          {renderTable(analytics?.top ?? [], 'No redirect hits recorded yet.')}
+        </section>
+
+        <section style={cardStyle}>
+          <h2 style={{ fontSize: 22, margin: '0 0 12px', color: '#221b3d' }}>
+            Stale redirects ({staleMonths}+ months without hits)
+          </h2>
+          {renderTable(analytics?.stale ?? [], 'No stale redirects. Every live redirect has been used recently.')}
+        </section>
+      </div>
+    </main>
+  );
+}
@@ -1,162 +1,237 @@
-import { useMemo, useState } from 'react';
+import { useCallback, useEffect, useState } from 'react';
+import type { ChangeEvent } from 'react';
 import { useAPIErrorHandler, useFetchClient, useNotification } from '@strapi/strapi/admin';
-
-type PreviewRow = {
-  line: number;
-  fromPath: string;
-  toUrl: string;
-  statusCode: string;
-  isActive: string;
-  notes: string;
-};
-
-type ResultRow = {
-  line: number;
-  fromPath: string;
-  toUrl: string;
-  statusCode: string;
-  isActive: boolean;
-  notes: string | null;
-  action: string;
-  error: string | null;
-};
-
-function parseCsvLine(line: string) {
-  const cells: string[] = [];
-  let current = '';
-  let inQuotes = false;
-
-  for (let index = 0; index < line.length; index += 1) {
-    const char = line[index];
-    const next = line[index + 1];
-
-    if (char === '"' && inQuotes && next === '"') {
-      current += '"';
-      index += 1;
-      continue;
-    }
-
-    if (char === '"') {
-      inQuotes = !inQuotes;
-      continue;
-    }
-
-    if (char === ',' && !inQuotes) {
-      cells.push(current.trim());
-      current = '';
-      continue;
-    }
-
-    current += char;
-  }
-
-  cells.push(current.trim());
-  return cells;
-}
-
-function parsePreviewRows(csvText: string): PreviewRow[] {
-  const lines = String(csvText ?? '')
-    .split(/\r?\n/)
-    .map((line) => line.trim())
-    .filter(Boolean);
-
-  if (lines.length < 2) return [];
-
-  const headers = parseCsvLine(lines[0]).map((header) => header.trim());
-
-  return lines.slice(1).map((line, index) => {
-    const cells = parseCsvLine(line);
-    const row = Object.fromEntries(headers.map((header, cellIndex) => [header, cells[cellIndex] ?? '']));
-    return {
-      line: index + 2,
-      fromPath: String(row.fromPath ?? ''),
-      toUrl: String(row.toUrl ?? ''),
-      statusCode: String(row.statusCode ?? ''),
-      isActive: String(row.isActive ?? ''),
-      notes: String(row.notes ?? ''),
-    };
-  });
-}
+import ChainsPanel from '../components/redirect-import/ChainsPanel';
+import DestinationsPanel from '../components/redirect-import/DestinationsPanel';
+import ExportPanel from '../components/redirect-import/ExportPanel';
+import FilePreviewPanel from '../components/redirect-import/FilePreviewPanel';
+import ImportHistoryPanel from '../components/redirect-import/ImportHistoryPanel';
+import ImportJobPanel from '../components/redirect-import/ImportJobPanel';
+import ImportPlanPanel from '../components/redirect-import/ImportPlanPanel';
+import ScheduledPanel from '../components/redirect-import/ScheduledPanel';
+import UploadPanel from '../components/redirect-import/UploadPanel';
+import { isJobActive } from '../components/redirect-import/format';
+import type {
+  ImportBatch,
+  ImportBatchDetails,
+  ImportPlan,
+  ImportPreview,
+  ImportSummary,
+  ResultRow,
+  ScheduledRedirect,
+  SourceFormat,
+} from '../components/redirect-import/types';
+
+// How often the page polls a running import job.
+const JOB_POLL_INTERVAL_MS = 1000;
 
 export default function RedirectImportPage() {
-  const { post } = useFetchClient();
+  const { get, post } = useFetchClient();
   const { toggleNotification } = useNotification();
   const { formatAPIError } = useAPIErrorHandler();
 
-  const [csvText, setCsvText] = useState('');
+  const [sourceText, setSourceText] = useState('');
   const [fileName, setFileName] = useState('');
+  const [sourceFormat, setSourceFormat] = useState<SourceFormat | 'auto'>('auto');
+  const [preview, setPreview] = useState<ImportPreview | null>(null);
   const [upsertMode, setUpsertMode] = useState<'update' | 'skip'>('update');
   const [forcePublish, setForcePublish] = useState(true);
-  const [isImporting, setIsImporting] = useState(false);
+  const [job, setJob] = useState<ImportBatchDetails | null>(null);
+  const [isCancelling, setIsCancelling] = useState(false);
+  const [isPlanning, setIsPlanning] = useState(false);
+  const [plan, setPlan] = useState<ImportPlan | null>(null);
   const [results, setResults] = useState<ResultRow[]>([]);
-  const [summary, setSummary] = useState<null | {
-    total: number;
-    created: number;
-    updated: number;
-    skipped: number;
-    failed: number;
-  }>(null);
+  const [summary, setSummary] = useState<ImportSummary | null>(null);
+
+  const [scheduled, setScheduled] = useState<ScheduledRedirect[] | null>(null);
+  const [batches, setBatches] = useState<ImportBatch[] | null>(null);
+
+  const loadScheduled = useCallback(async () => {
+    try {
+      const response = await get('/redirect-import/scheduled');
+      setScheduled(response.data.redirects);
+    } catch (error) {
+      toggleNotification({
+        type: 'danger',
+        message: formatAPIError(error),
+      });
+    }
+  }, [get, toggleNotification, formatAPIError]);
 
-  const previewRows = useMemo(() => parsePreviewRows(csvText), [csvText]);
+  const loadBatches = useCallback(async () => {
+    try {
+      const response = await get('/redirect-import/batches');
+      setBatches(response.data.batches);
+    } catch (error) {
+      toggleNotification({
+        type: 'danger',
+        message: formatAPIError(error),
+      });
+    }
+  }, [get, toggleNotification, formatAPIError]);
+
+  useEffect(() => {
+    loadScheduled();
+    loadBatches();
+  }, [loadScheduled, loadBatches]);
 
-  const onFileChange = async (event: React.ChangeEvent<HTMLInputElement>) => {
+  const loadPreview = async (text: string, format: SourceFormat | 'auto', name: string) => {
+    try {
+      const response = await post('/redirect-import/import/preview', { text, format, fileName: name });
+      setPreview(response.data);
+    } catch (error) {
+      setPreview(null);
+      toggleNotification({
+        type: 'danger',
+        message: formatAPIError(error),
+      });
+    }
+  };
+
+  const onFileChange = async (event: ChangeEvent<HTMLInputElement>) => {
     const file = event.target.files?.[0];
     if (!file) return;
 
     const text = await file.text();
-    setCsvText(text);
+    setSourceText(text);
     setFileName(file.name);
     setResults([]);
     setSummary(null);
+    setPlan(null);
+    loadPreview(text, sourceFormat, file.name);
   };
 
-  const runImport = async () => {
-    if (!csvText.trim()) {
+  const onSourceFormatChange = (format: SourceFormat | 'auto') => {
+    setSourceFormat(format);
+    setPlan(null);
+    if (sourceText.trim()) loadPreview(sourceText, format, fileName);
+  };
+
+  // Asks the server what the import would do, without writing, so conflicts can be
+  // reviewed before anything changes.
+  const checkImport = async () => {
+    if (!sourceText.trim()) {
       toggleNotification({
         type: 'warning',
-        message: 'Upload a CSV file first.',
+        message: 'Upload a redirect file first.',
       });
       return;
     }
 
-    setIsImporting(true);
+    setIsPlanning(true);
 
     try {
       const response = await post('/redirect-import/import', {
-        csvText,
+        text: sourceText,
+        format: preview?.format ?? sourceFormat,
+        upsertMode,
+        dryRun: true,
+      });
+
+      setPlan(response.data);
+    } catch (error) {
+      toggleNotification({
+        type: 'danger',
+        message: formatAPIError(error),
+      });
+    } finally {
+      setIsPlanning(false);
+    }
+  };
+
+  const isImporting = job !== null && isJobActive(job.state);
+
+  // The import runs as a background job; poll it until it stops, showing rows as they land.
+  useEffect(() => {
+    if (!job || !isJobActive(job.state)) return undefined;
+
+    const timer = window.setTimeout(async () => {
+      try {
+        const response = await get(`/redirect-import/batches/${job.documentId}`);
+        const batch: ImportBatchDetails = response.data.batch;
+
+        setJob(batch);
+        setSummary(batch.summary);
+        setResults(batch.results ?? []);
+
+        if (!isJobActive(batch.state)) {
+          loadScheduled();
+          loadBatches();
+          toggleNotification({
+            type: batch.state === 'completed' ? 'success' : batch.state === 'cancelled' ? 'warning' : 'danger',
+            message:
+              batch.state === 'completed'
+                ? 'Redirect import completed.'
+                : batch.state === 'cancelled'
+                  ? 'Redirect import cancelled. Rows written before the cancel were kept; roll the import back to undo them.'
+                  : `Redirect import failed: ${batch.errorMessage ?? 'unknown error'}`,
+          });
+        }
+      } catch (error) {
+        setJob(null);
+        toggleNotification({
+          type: 'danger',
+          message: formatAPIError(error),
+        });
+      }
+    }, JOB_POLL_INTERVAL_MS);
+
+    return () => window.clearTimeout(timer);
+  }, [job, get, loadScheduled, loadBatches, toggleNotification, formatAPIError]);
+
+  const runImport = async () => {
+    try {
+      const response = await post('/redirect-import/import', {
+        text: sourceText,
+        format: preview?.format ?? sourceFormat,
+        fileName,
         upsertMode,
         forcePublish,
       });
 
-      setSummary(response.data.summary);
-      setResults(response.data.results);
+      setPlan(null);
+      setResults([]);
+      setSummary(null);
+      setJob({
+        documentId: response.data.jobId,
+        state: response.data.state,
+        total: response.data.total,
+        processed: 0,
+      } as ImportBatchDetails);
+      loadBatches();
+    } catch (error) {
       toggleNotification({
-        type: 'success',
-        message: 'Redirect import completed.',
+        type: 'danger',
+        message: formatAPIError(error),
       });
+    }
+  };
+
+  const cancelImport = async () => {
+    if (!job) return;
+
+    setIsCancelling(true);
+
+    try {
+      await post(`/redirect-import/batches/${job.documentId}/cancel`, {});
     } catch (error) {
       toggleNotification({
         type: 'danger',
         message: formatAPIError(error),
       });
     } finally {
-      setIsImporting(false);
+      setIsCancelling(false);
     }
   };
 
-  const infoCardStyle: React.CSSProperties = {
-    border: '1px solid #d9d8ff',
-    borderRadius: 16,
-    padding: 20,
-    background: '#ffffff',
-    boxShadow: '0 18px 40px rgba(18, 18, 38, 0.05)',
+  const onUpsertModeChange = (mode: 'update' | 'skip') => {
+    setUpsertMode(mode);
+    setPlan(null);
   };
 
-  const tableCellStyle: React.CSSProperties = {
-    padding: '10px 12px',
-    borderBottom: '1px solid #ecebff',
-    fontSize: 13,
-    verticalAlign: 'top',
+  const onRolledBack = async () => {
+    await loadBatches();
+    loadScheduled();
   };
 
   return (
@@ -167,206 +242,48 @@ export default function RedirectImportPage() {
             Redirect Import
           </h1>
           <p style={{ fontSize: 15, color: '#5f5a76', margin: 0, maxWidth: 760 }}>
-            Upload a CSV of old and new redirect paths, import them in bulk, then jump back to the
-            redirects collection table to review everything in the CMS.
+            Upload a CSV of old and new redirect paths, or an existing nginx, Apache or Netlify redirect file, import
+            them in bulk, then jump back to the redirects collection table to review everything in the CMS.
           </p>
         </section>
 
-        <section style={infoCardStyle}>
-          <div style={{ display: 'grid', gap: 16 }}>
-            <div style={{ display: 'grid', gap: 8 }}>
-              <label htmlFor="redirect-import-file" style={{ fontWeight: 600, color: '#221b3d' }}>
-                CSV file
-              </label>
-              <input
-                id="redirect-import-file"
-                type="file"
-                accept=".csv,text/csv"
-                onChange={onFileChange}
-                style={{ fontSize: 14 }}
-              />
-              <div style={{ fontSize: 12, color: '#6e6984' }}>
-                Expected headers: <code>fromPath,toUrl,statusCode,isActive,notes</code>
-              </div>
-              {fileName ? (
-                <div style={{ fontSize: 13, color: '#3d365b' }}>
-                  Loaded file: <strong>{fileName}</strong>
-                </div>
-              ) : null}
-            </div>
-
-            <div style={{ display: 'flex', gap: 12, flexWrap: 'wrap' }}>
-              <label style={{ display: 'grid', gap: 6, minWidth: 180 }}>
-                <span style={{ fontWeight: 600, color: '#221b3d' }}>When a redirect already exists</span>
-                <select
-                  value={upsertMode}
-                  onChange={(event) => setUpsertMode(event.target.value as 'update' | 'skip')}
-                  style={{ padding: '10px 12px', borderRadius: 10, border: '1px solid #cfcde8' }}
-                >
-                  <option value="update">Update existing row</option>
-                  <option value="skip">Skip existing row</option>
-                </select>
-              </label>
-
-              <label style={{ display: 'flex', alignItems: 'center', gap: 10, fontWeight: 600, color: '#221b3d' }}>
-                <input
-                  type="checkbox"
-                  checked={forcePublish}
-                  onChange={(event) => setForcePublish(event.target.checked)}
-                />
-                Publish imported redirects immediately
-              </label>
-            </div>
-
-            <div style={{ display: 'flex', gap: 12, flexWrap: 'wrap' }}>
-              <button
-                type="button"
-                onClick={runImport}
-                disabled={isImporting || !csvText.trim()}
-                style={{
-                  border: 0,
-                  borderRadius: 12,
-                  background: '#4945ff',
-                  color: '#ffffff',
-                  padding: '12px 18px',
-                  fontWeight: 700,
-                  cursor: isImporting || !csvText.trim() ? 'not-allowed' : 'pointer',
-                  opacity: isImporting || !csvText.trim() ? 0.65 : 1,
-                }}
-              >
-                {isImporting ? 'Importing...' : 'Import redirects'}
-              </button>
-
-              <a
-                href="/admin/content-manager/collection-types/api::redirect.redirect"
-                style={{
-                  display: 'inline-flex',
-                  alignItems: 'center',
-                  borderRadius: 12,
-                  border: '1px solid #cfcde8',
-                  color: '#221b3d',
-                  padding: '12px 18px',
-                  fontWeight: 700,
-                  textDecoration: 'none',
-                  background: '#fff',
-                }}
-              >
-                View redirects table
-              </a>
-            </div>
-          </div>
-        </section>
-
-        <section style={infoCardStyle}>
-          <div style={{ display: 'flex', justifyContent: 'space-between', gap: 12, alignItems: 'center', marginBottom: 12 }}>
-            <h2 style={{ fontSize: 22, margin: 0, color: '#221b3d' }}>CSV preview</h2>
-            <div style={{ fontSize: 13, color: '#6e6984' }}>{previewRows.length} row(s)</div>
-          </div>
-
-          {previewRows.length === 0 ? (
-            <p style={{ fontSize: 14, color: '#6e6984', margin: 0 }}>
-              Upload a CSV to preview the redirect rows before import.
-            </p>
-          ) : (
-            <div style={{ overflowX: 'auto' }}>
-              <table style={{ width: '100%', borderCollapse: 'collapse' }}>
-                <thead>
-                  <tr style={{ textAlign: 'left', background: '#f7f7ff' }}>
-                    <th style={tableCellStyle}>Line</th>
-                    <th style={tableCellStyle}>Old path</th>
-                    <th style={tableCellStyle}>New URL</th>
-                    <th style={tableCellStyle}>Status</th>
-                    <th style={tableCellStyle}>Active</th>
-                    <th style={tableCellStyle}>Notes</th>
-                  </tr>
-                </thead>
-                <tbody>
-                  {previewRows.map((row) => (
-                    <tr key={`${row.line}-${row.fromPath}-${row.toUrl}`}>
-                      <td style={tableCellStyle}>{row.line}</td>
-                      <td style={tableCellStyle}>{row.fromPath || '—'}</td>
-                      <td style={tableCellStyle}>{row.toUrl || '—'}</td>
-                      <td style={tableCellStyle}>{row.statusCode || '301'}</td>
-                      <td style={tableCellStyle}>{row.isActive || 'true'}</td>
-                      <td style={tableCellStyle}>{row.notes || '—'}</td>
-                    </tr>
-                  ))}
-                </tbody>
-              </table>
-            </div>
-          )}
-        </section>
-
-        <section style={infoCardStyle}>
-          <div style={{ display: 'flex', justifyContent: 'space-between', gap: 12, alignItems: 'center', marginBottom: 12 }}>
-            <h2 style={{ fontSize: 22, margin: 0, color: '#221b3d' }}>Import results</h2>
-            {summary ? (
-              <div style={{ fontSize: 13, color: '#3d365b' }}>
-                Total {summary.total} · Created {summary.created} · Updated {summary.updated} · Skipped {summary.skipped} · Failed {summary.failed}
-              </div>
-            ) : null}
-          </div>
-
-          {results.length === 0 ? (
-            <p style={{ fontSize: 14, color: '#6e6984', margin: 0 }}>
-              Run an import to see per-row results here, then use the redirects table for ongoing management.
-            </p>
-          ) : (
-            <div style={{ overflowX: 'auto' }}>
-              <table style={{ width: '100%', borderCollapse: 'collapse' }}>
-                <thead>
-                  <tr style={{ textAlign: 'left', background: '#f7f7ff' }}>
-                    <th style={tableCellStyle}>Line</th>
-                    <th style={tableCellStyle}>Old path</th>
-                    <th style={tableCellStyle}>New URL</th>
-                    <th style={tableCellStyle}>Result</th>
-                    <th style={tableCellStyle}>Details</th>
-                  </tr>
-                </thead>
-                <tbody>
-                  {results.map((row) => (
-                    <tr key={`${row.line}-${row.fromPath}-${row.action}`}>
-                      <td style={tableCellStyle}>{row.line}</td>
-                      <td style={tableCellStyle}>{row.fromPath}</td>
-                      <td style={tableCellStyle}>{row.toUrl}</td>
-                      <td style={tableCellStyle}>
-                        <span
-                          style={{
-                            display: 'inline-flex',
-                            alignItems: 'center',
-                            borderRadius: 999,
-                            padding: '4px 10px',
-                            fontWeight: 700,
-                            fontSize: 12,
-                            background:
-                              row.action === 'created'
-                                ? '#e7f7ef'
-                                : row.action === 'updated'
-                                  ? '#ebeaff'
-                                  : row.action === 'skipped'
-                                    ? '#fff5dd'
-                                    : '#fdeaea',
-                            color:
-                              row.action === 'created'
-                                ? '#0f6a3d'
-                                : row.action === 'updated'
-                                  ? '#4338ca'
-                                  : row.action === 'skipped'
-                                    ? '#8a5a00'
-                                    : '#b42318',
-                          }}
-                        >
-                          {row.action}
-                        </span>
-                      </td>
-                      <td style={tableCellStyle}>{row.error || row.notes || 'Imported successfully'}</td>
-                    </tr>
-                  ))}
-                </tbody>
-              </table>
-            </div>
-          )}
-        </section>
+        <UploadPanel
+          fileName={fileName}
+          hasSource={Boolean(sourceText.trim())}
+          sourceFormat={sourceFormat}
+          preview={preview}
+          upsertMode={upsertMode}
+          forcePublish={forcePublish}
+          isPlanning={isPlanning}
+          isImporting={isImporting}
+          onFileChange={onFileChange}
+          onSourceFormatChange={onSourceFormatChange}
+          onUpsertModeChange={onUpsertModeChange}
+          onForcePublishChange={setForcePublish}
+          onCheck={checkImport}
+        />
+        <FilePreviewPanel preview={preview} />
+        {plan ? (
+          <ImportPlanPanel
+            plan={plan}
+            isImporting={isImporting}
+            onConfirm={runImport}
+            onDiscard={() => setPlan(null)}
+          />
+        ) : null}
+        <ImportJobPanel
+          job={job}
+          isImporting={isImporting}
+          isCancelling={isCancelling}
+          summary={summary}
+          results={results}
+          onCancel={cancelImport}
+        />
+        <ImportHistoryPanel batches={batches} onRolledBack={onRolledBack} />
+        <ExportPanel />
+        <ChainsPanel />
+        <DestinationsPanel />
+        <ScheduledPanel scheduled={scheduled} />
       </div>
     </main>
   );
@@ -1,27 +1,337 @@
-import { useState } from 'react';
+import { Fragment, useCallback, useEffect, useState } from 'react';
 import { useAPIErrorHandler, useFetchClient, useNotification } from '@strapi/strapi/admin';
 
+type PurgeScope = 'all' | 'paths' | 'content-type' | 'tag' | 'caches';
+
+type PurgeOptions = {
+  maxPaths: number;
+  caches: Array<{ key: string; label: string }>;
+  contentTypes: Array<{ uid: string; label: string }>;
+  tags: Array<{ name: string; slug: string }>;
+};
+
 type PurgeResponse = {
   ok?: boolean;
   purgedAt?: string;
   caches?: Record<string, unknown>;
+  request?: Record<string, unknown>;
+};
+
+type DeliveryState = 'sending' | 'succeeded' | 'failed' | 'retry-scheduled';
+
+type Delivery = {
+  documentId: string;
+  kind: 'purge' | 'webhook';
+  trigger: 'manual' | 'automatic';
+  event: string | null;
+  endpointName: string | null;
+  userName: string | null;
+  url: string | null;
+  payload: Record<string, any> | null;
+  state: DeliveryState;
+  attempts: number | null;
+  responseStatus: number | null;
+  responseBody?: string | null;
+  errorMessage: string | null;
+  durationMs: number | null;
+  nextAttemptAt: string | null;
+  finishedAt: string | null;
+  retryOf: string | null;
+  createdAt: string;
+};
+
+const DELIVERY_STATE_LABELS: Record<DeliveryState, string> = {
+  sending: 'Sending',
+  succeeded: 'Succeeded',
+  failed: 'Failed',
+  'retry-scheduled': 'Retry scheduled',
+};
+
+const DELIVERY_STATE_COLORS: Record<DeliveryState, string> = {
+  sending: '#5f5a76',
+  succeeded: '#328048',
+  failed: '#d02b20',
+  'retry-scheduled': '#b45f06',
+};
+
+type WebhookEndpoint = {
+  documentId: string;
+  name: string;
+  url: string;
+  isActive: boolean | null;
+  events: string[];
+  contentTypes: string[] | null;
+  payloadTemplate: string | null;
+  notes: string | null;
+};
+
+type HealthStatus = 'ok' | 'warning' | 'error' | 'skipped';
+
+type HealthCheck = {
+  key: string;
+  label: string;
+  status: HealthStatus;
+  message: string;
+  remediation: string | null;
+  durationMs: number;
+};
+
+type HealthReport = {
+  checkedAt: string;
+  status: HealthStatus;
+  checks: HealthCheck[];
+};
+
+const HEALTH_STATUS_LABELS: Record<HealthStatus, string> = {
+  ok: 'OK',
+  warning: 'Warning',
+  error: 'Problem',
+  skipped: 'Skipped',
+};
+
+const HEALTH_STATUS_COLORS: Record<HealthStatus, string> = {
+  ok: '#328048',
+  warning: '#b45f06',
+  error: '#d02b20',
+  skipped: '#5f5a76',
+};
+
+const WEBHOOK_ENDPOINTS_URL = '/admin/content-manager/collection-types/api::webhook-endpoint.webhook-endpoint';
+
+const KIND_LABELS: Record<Delivery['kind'], string> = {
+  purge: 'Cache purge',
+  webhook: 'Webhook',
+};
+
+const TRIGGER_LABELS: Record<Delivery['trigger'], string> = {
+  manual: 'Manual',
+  automatic: 'Automatic',
+};
+
+function formatDate(value: string | null) {
+  return value ? new Date(value).toLocaleString() : '—';
+}
+
+// One line saying what a delivery covered, for the history table.
+function describeDelivery(delivery: Delivery) {
+  const { payload } = delivery;
+
+  if (delivery.kind === 'webhook') {
+    return `${delivery.endpointName ?? 'Deleted endpoint'}: ${delivery.event === 'test' ? 'test delivery' : (delivery.event ?? '').split(',').join(', ')}`;
+  }
+
+  if (!payload) return '—';
+
+  switch (payload.scope) {
+    case 'paths':
+      return `${payload.paths?.length ?? 0} path(s): ${(payload.paths ?? []).slice(0, 3).join(', ')}${payload.paths?.length > 3 ? ', …' : ''}`;
+    case 'content-type':
+      return `Content type ${payload.contentType?.pluralName ?? payload.contentType?.uid}`;
+    case 'tag':
+      return `Tag ${payload.tag?.name ?? payload.tag?.slug} (${payload.tag?.paths?.length ?? 0} path(s))`;
+    case 'caches':
+      return `Caches: ${(payload.caches ?? []).join(', ')}`;
+    case 'changes':
+      return `${payload.changes?.length ?? 0} change(s): ${payload.paths?.length ?? 0} path(s)${payload.caches?.length ? `, caches ${payload.caches.join(', ')}` : ''}`;
+    default:
+      return payload.reason ? `Everything (${payload.reason})` : 'Everything';
+  }
+}
+
+const SCOPE_LABELS: Record<PurgeScope, string> = {
+  paths: 'Specific paths',
+  'content-type': 'A content type',
+  tag: 'A tag',
+  caches: 'SEO, redirect and other caches',
+  all: 'Everything',
+};
+
+const SCOPE_HELP: Record<PurgeScope, string> = {
+  paths: 'Purges only the listed pages, e.g. after fixing a typo in one article.',
+  'content-type': 'Purges every page and listing built from one content type.',
+  tag: 'Purges the tag and every published blog post and news article it is attached to.',
+  caches: 'Purges the chosen website caches without touching rendered pages.',
+  all: "Clears the website's SEO, places and route-related caches and every rendered page.",
 };
 
 export default function WebsiteToolsPage() {
-  const { post } = useFetchClient();
+  const { get, post } = useFetchClient();
   const { toggleNotification } = useNotification();
   const { formatAPIError } = useAPIErrorHandler();
+  const [options, setOptions] = useState<PurgeOptions | null>(null);
+  const [scope, setScope] = useState<PurgeScope>('paths');
+  const [pathsText, setPathsText] = useState('');
+  const [contentType, setContentType] = useState('');
+  const [tag, setTag] = useState('');
+  const [caches, setCaches] = useState<string[]>([]);
   const [isPurging, setIsPurging] = useState(false);
   const [result, setResult] = useState<PurgeResponse | null>(null);
+  const [deliveries, setDeliveries] = useState<Delivery[]>([]);
+  const [kindFilter, setKindFilter] = useState<Delivery['kind'] | ''>('');
+  const [triggerFilter, setTriggerFilter] = useState<Delivery['trigger'] | ''>('');
+  const [stateFilter, setStateFilter] = useState<DeliveryState | ''>('');
+  const [isLoadingDeliveries, setIsLoadingDeliveries] = useState(false);
+  const [openDelivery, setOpenDelivery] = useState<Delivery | null>(null);
+  const [retryingId, setRetryingId] = useState<string | null>(null);
+  const [endpoints, setEndpoints] = useState<WebhookEndpoint[]>([]);
+  const [testingId, setTestingId] = useState<string | null>(null);
+  const [health, setHealth] = useState<HealthReport | null>(null);
+  const [isCheckingHealth, setIsCheckingHealth] = useState(false);
+
+  const runHealthChecks = async () => {
+    setIsCheckingHealth(true);
+    try {
+      const response = await get('/website-tools/health');
+      setHealth(response.data);
+    } catch (error) {
+      toggleNotification({
+        type: 'danger',
+        message: formatAPIError(error),
+      });
+    } finally {
+      setIsCheckingHealth(false);
+    }
+  };
+
+  const loadEndpoints = useCallback(async () => {
+    try {
+      const response = await get('/website-tools/webhooks');
+      setEndpoints(response.data.endpoints ?? []);
+    } catch (error) {
+      toggleNotification({
+        type: 'danger',
+        message: formatAPIError(error),
+      });
+    }
+  }, [get, toggleNotification, formatAPIError]);
+
+  const sendTest = async (endpoint: WebhookEndpoint) => {
+    setTestingId(endpoint.documentId);
+    try {
+      const response = await post(`/website-tools/webhooks/${endpoint.documentId}/test`, {});
+      const delivery: Delivery = response.data.delivery;
+      toggleNotification({
+        type: delivery.state === 'succeeded' ? 'success' : 'danger',
+        message:
+          delivery.state === 'succeeded'
+            ? `${endpoint.name} accepted the test delivery.`
+            : `Test delivery to ${endpoint.name} failed: ${delivery.errorMessage ?? 'the endpoint did not accept it.'}`,
+      });
+      await loadDeliveries();
+    } catch (error) {
+      toggleNotification({
+        type: 'danger',
+        message: formatAPIError(error),
+      });
+    } finally {
+      setTestingId(null);
+    }
+  };
+
+  const loadDeliveries = useCallback(async () => {
+    setIsLoadingDeliveries(true);
+    try {
+      const params = new URLSearchParams();
+      if (kindFilter) params.set('kind', kindFilter);
+      if (triggerFilter) params.set('trigger', triggerFilter);
+      if (stateFilter) params.set('state', stateFilter);
+      const response = await get(`/website-tools/deliveries?${params.toString()}`);
+      setDeliveries(response.data.deliveries ?? []);
+    } catch (error) {
+      toggleNotification({
+        type: 'danger',
+        message: formatAPIError(error),
+      });
+    } finally {
+      setIsLoadingDeliveries(false);
+    }
+  }, [get, kindFilter, triggerFilter, stateFilter, toggleNotification, formatAPIError]);
+
+  useEffect(() => {
+    loadDeliveries();
+  }, [loadDeliveries]);
+
+  const toggleDelivery = async (documentId: string) => {
+    if (openDelivery?.documentId === documentId) {
+      setOpenDelivery(null);
+      return;
+    }
+
+    try {
+      const response = await get(`/website-tools/deliveries/${documentId}`);
+      setOpenDelivery(response.data.delivery);
+    } catch (error) {
+      toggleNotification({
+        type: 'danger',
+        message: formatAPIError(error),
+      });
+    }
+  };
+
+  const retryDelivery = async (documentId: string) => {
+    setRetryingId(documentId);
+    try {
+      const response = await post(`/website-tools/deliveries/${documentId}/retry`, {});
+      const delivery: Delivery = response.data.delivery;
+      toggleNotification({
+        type: delivery.state === 'succeeded' ? 'success' : 'danger',
+        message:
+          delivery.state === 'succeeded'
+            ? 'Delivery sent again successfully.'
+            : `Retry failed: ${delivery.errorMessage ?? 'the website did not accept it.'}`,
+      });
+      await loadDeliveries();
+    } catch (error) {
+      toggleNotification({
+        type: 'danger',
+        message: formatAPIError(error),
+      });
+    } finally {
+      setRetryingId(null);
+    }
+  };
+
+  useEffect(() => {
+    const loadOptions = async () => {
+      try {
+        const response = await get('/website-tools/purge-options');
+        setOptions(response.data);
+      } catch (error) {
+        toggleNotification({
+          type: 'danger',
+          message: formatAPIError(error),
+        });
+      }
+    };
+
+    loadOptions();
+    loadEndpoints();
+  }, [get, toggleNotification, formatAPIError, loadEndpoints]);
+
+  const paths = pathsText
+    .split(/\r?\n/)
+    .map((path) => path.trim())
+    .filter(Boolean);
+
+  const isReady =
+    scope === 'all' ||
+    (scope === 'paths' && paths.length > 0) ||
+    (scope === 'content-type' && Boolean(contentType)) ||
+    (scope === 'tag' && Boolean(tag)) ||
+    (scope === 'caches' && caches.length > 0);
+
+  const toggleCache = (key: string, checked: boolean) => {
+    setCaches((current) => (checked ? [...current, key] : current.filter((cache) => cache !== key)));
+  };
 
   const runPurge = async () => {
     setIsPurging(true);
     try {
-      const response = await post('/website-tools/purge-cache', {});
+      const response = await post('/website-tools/purge-cache', { scope, paths, contentType, tag, caches });
       setResult(response.data);
       toggleNotification({
         type: 'success',
-        message: 'Website cache purged successfully.',
+        message: scope === 'all' ? 'Website cache purged successfully.' : 'Website cache purge sent.',
       });
     } catch (error) {
       toggleNotification({
@@ -30,6 +340,7 @@ export default function WebsiteToolsPage() {
       });
     } finally {
       setIsPurging(false);
+      loadDeliveries();
     }
   };
 
@@ -41,6 +352,23 @@ export default function WebsiteToolsPage() {
     boxShadow: '0 18px 40px rgba(18, 18, 38, 0.05)',
   };
 
+  const preStyle: React.CSSProperties = {
+    margin: 0,
+    padding: 16,
+    borderRadius: 12,
+    background: '#f6f6ff',
+    border: '1px solid #ecebff',
+    fontSize: 12,
+    overflowX: 'auto',
+  };
+
+  const tableCellStyle: React.CSSProperties = {
+    padding: '10px 12px',
+    borderBottom: '1px solid #ecebff',
+    fontSize: 13,
+    verticalAlign: 'top',
+  };
+
   return (
     <main style={{ padding: 32, background: '#f6f6ff', minHeight: '100vh' }}>
       <div style={{ maxWidth: 980, margin: '0 auto', display: 'grid', gap: 20 }}>
@@ -53,30 +381,184 @@ export default function WebsiteToolsPage() {
           </p>
         </section>
 
+        <section style={cardStyle}>
+          <div style={{ display: 'grid', gap: 16 }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', gap: 12, flexWrap: 'wrap' }}>
+              <div style={{ display: 'grid', gap: 6 }}>
+                <h2 style={{ margin: 0, fontSize: 20, color: '#221b3d' }}>Health</h2>
+                <div style={{ fontSize: 14, color: '#5f5a76', maxWidth: 640 }}>
+                  Checks the purge settings, that the website is up and accepts the purge token, and where uploads and
+                  content are stored.
+                  {health ? ` Last checked ${formatDate(health.checkedAt)}.` : ''}
+                </div>
+              </div>
+              <button
+                type="button"
+                onClick={runHealthChecks}
+                disabled={isCheckingHealth}
+                style={{
+                  alignSelf: 'start',
+                  border: 0,
+                  borderRadius: 12,
+                  background: '#4945ff',
+                  color: '#ffffff',
+                  padding: '10px 14px',
+                  fontWeight: 700,
+                  cursor: isCheckingHealth ? 'not-allowed' : 'pointer',
+                  opacity: isCheckingHealth ? 0.65 : 1,
+                }}
+              >
+                {isCheckingHealth ? 'Checking...' : health ? 'Check again' : 'Run checks'}
+              </button>
+            </div>
+
+            {health ? (
+              <div style={{ display: 'grid', gap: 10 }}>
+                {health.checks.map((check) => (
+                  <div
+                    key={check.key}
+                    style={{
+                      display: 'grid',
+                      gap: 4,
+                      padding: '10px 12px',
+                      borderRadius: 10,
+                      borderLeft: `4px solid ${HEALTH_STATUS_COLORS[check.status]}`,
+                      background: '#f7f7ff',
+                      fontSize: 14,
+                    }}
+                  >
+                    <div>
+                      <strong style={{ color: '#221b3d' }}>{check.label}</strong>
+                      <span style={{ color: HEALTH_STATUS_COLORS[check.status], fontWeight: 600 }}>
+                        {' '}
+                        · {HEALTH_STATUS_LABELS[check.status]}
+                      </span>
+                    </div>
+                    <div style={{ color: '#3d365b', wordBreak: 'break-word' }}>{check.message}</div>
+                    {check.remediation && check.status !== 'ok' ? (
+                      <div style={{ color: '#5f5a76' }}>
+                        <strong>Fix:</strong> {check.remediation}
+                      </div>
+                    ) : null}
+                  </div>
+                ))}
+              </div>
+            ) : null}
+          </div>
+        </section>
+
         <section style={cardStyle}>
           <div style={{ display: 'grid', gap: 16 }}>
             <div style={{ fontSize: 14, color: '#3d365b', lineHeight: 1.6 }}>
-              This clears the website&apos;s in-memory SEO, places, and route-related caches. It is useful after
-              publishing content, updating redirects, or changing SEO settings.
+              Publishing, unpublishing and deleting content purges the affected pages automatically a few seconds
+              later. Use this form for anything else, and purge only what changed so the rest of the website stays
+              cached: the website receives the paths, content type, tag or caches you choose here.
             </div>
 
+            <fieldset style={{ border: 0, padding: 0, margin: 0, display: 'grid', gap: 8 }}>
+              <legend style={{ fontWeight: 600, color: '#221b3d', marginBottom: 8 }}>What to purge</legend>
+              {(Object.keys(SCOPE_LABELS) as PurgeScope[]).map((key) => (
+                <label key={key} style={{ display: 'flex', alignItems: 'baseline', gap: 10, fontSize: 14 }}>
+                  <input type="radio" name="purge-scope" checked={scope === key} onChange={() => setScope(key)} />
+                  <span>
+                    <strong style={{ color: '#221b3d' }}>{SCOPE_LABELS[key]}</strong>
+                    <span style={{ color: '#5f5a76' }}> — {SCOPE_HELP[key]}</span>
+                  </span>
+                </label>
+              ))}
+            </fieldset>
+
+            {scope === 'paths' ? (
+              <label style={{ display: 'grid', gap: 6 }}>
+                <span style={{ fontWeight: 600, color: '#221b3d' }}>Paths, one per line</span>
+                <textarea
+                  value={pathsText}
+                  onChange={(event) => setPathsText(event.target.value)}
+                  rows={5}
+                  placeholder={'/news/city-council-approves-budget\n/blog/spring-events'}
+                  style={{
+                    padding: '10px 12px',
+                    borderRadius: 10,
+                    border: '1px solid #cfcde8',
+                    fontFamily: 'monospace',
+                    fontSize: 13,
+                  }}
+                />
+                <span style={{ fontSize: 12, color: '#5f5a76' }}>
+                  Up to {options?.maxPaths ?? 200} paths, each starting with /.
+                </span>
+              </label>
+            ) : null}
+
+            {scope === 'content-type' ? (
+              <label style={{ display: 'grid', gap: 6, maxWidth: 320 }}>
+                <span style={{ fontWeight: 600, color: '#221b3d' }}>Content type</span>
+                <select
+                  value={contentType}
+                  onChange={(event) => setContentType(event.target.value)}
+                  style={{ padding: '10px 12px', borderRadius: 10, border: '1px solid #cfcde8' }}
+                >
+                  <option value="">Choose a content type</option>
+                  {(options?.contentTypes ?? []).map((item) => (
+                    <option key={item.uid} value={item.uid}>
+                      {item.label}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            ) : null}
+
+            {scope === 'tag' ? (
+              <label style={{ display: 'grid', gap: 6, maxWidth: 320 }}>
+                <span style={{ fontWeight: 600, color: '#221b3d' }}>Tag</span>
+                <select
+                  value={tag}
+                  onChange={(event) => setTag(event.target.value)}
+                  style={{ padding: '10px 12px', borderRadius: 10, border: '1px solid #cfcde8' }}
+                >
+                  <option value="">Choose a tag</option>
+                  {(options?.tags ?? []).map((item) => (
+                    <option key={item.slug} value={item.slug}>
+                      {item.name}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            ) : null}
+
+            {scope === 'caches' ? (
+              <div style={{ display: 'grid', gap: 8 }}>
+                <span style={{ fontWeight: 600, color: '#221b3d' }}>Caches</span>
+                {(options?.caches ?? []).map((item) => (
+                  <label key={item.key} style={{ display: 'flex', alignItems: 'center', gap: 10, fontSize: 14 }}>
+                    <input
+                      type="checkbox"
+                      checked={caches.includes(item.key)}
+                      onChange={(event) => toggleCache(item.key, event.target.checked)}
+                    />
+                    {item.label}
+                  </label>
+                ))}
+              </div>
+            ) : null}
+
             <div style={{ display: 'flex', gap: 12, flexWrap: 'wrap' }}>
               <button
                 type="button"
                 onClick={runPurge}
-                disabled={isPurging}
+                disabled={isPurging || !isReady}
                 style={{
                   border: 0,
                   borderRadius: 12,
-                  background: '#4945ff',
+                  background: scope === 'all' ? '#d02b20' : '#4945ff',
                   color: '#ffffff',
                   padding: '12px 18px',
                   fontWeight: 700,
-                  cursor: isPurging ? 'not-allowed' : 'pointer',
-                  opacity: isPurging ? 0.65 : 1,
+                  cursor: isPurging || !isReady ? 'not-allowed' : 'pointer',
+                  opacity: isPurging || !isReady ? 0.65 : 1,
                 }}
               >
-                {isPurging ? 'Purging cache...' : 'Purge website cache'}
+                {isPurging ? 'Purging cache...' : scope === 'all' ? 'Purge entire website cache' : 'Purge selected'}
               </button>
             </div>
           </div>
@@ -89,22 +571,295 @@ export default function WebsiteToolsPage() {
               <div style={{ fontSize: 14, color: '#5f5a76' }}>
                 Purged at: <strong>{result.purgedAt ?? 'Unknown'}</strong>
               </div>
-              <pre
+              {result.request ? (
+                <>
+                  <div style={{ fontSize: 14, fontWeight: 600, color: '#221b3d' }}>Sent to the website</div>
+                  <pre style={preStyle}>{JSON.stringify(result.request, null, 2)}</pre>
+                  <div style={{ fontSize: 14, fontWeight: 600, color: '#221b3d' }}>Website response</div>
+                </>
+              ) : null}
+              <pre style={preStyle}>
+                {JSON.stringify(result.caches ?? { ...result, request: undefined }, null, 2)}
+              </pre>
+            </div>
+          </section>
+        ) : null}
+
+        <section style={cardStyle}>
+          <div style={{ display: 'grid', gap: 16 }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', gap: 12, flexWrap: 'wrap' }}>
+              <div style={{ display: 'grid', gap: 6 }}>
+                <h2 style={{ margin: 0, fontSize: 20, color: '#221b3d' }}>Webhook endpoints</h2>
+                <div style={{ fontSize: 14, color: '#5f5a76', maxWidth: 640 }}>
+                  Build hooks, search indexers and chat relays notified when content changes. Each endpoint gets the
+                  events and content types it subscribes to, rendered through its payload template and signed with its
+                  secret.
+                </div>
+              </div>
+              <a
+                href={WEBHOOK_ENDPOINTS_URL}
                 style={{
-                  margin: 0,
-                  padding: 16,
+                  display: 'inline-flex',
+                  alignItems: 'center',
+                  alignSelf: 'start',
                   borderRadius: 12,
-                  background: '#f6f6ff',
-                  border: '1px solid #ecebff',
-                  fontSize: 12,
-                  overflowX: 'auto',
+                  border: '1px solid #cfcde8',
+                  color: '#221b3d',
+                  padding: '10px 14px',
+                  fontWeight: 700,
+                  textDecoration: 'none',
                 }}
               >
-                {JSON.stringify(result.caches ?? result, null, 2)}
-              </pre>
+                Manage endpoints
+              </a>
             </div>
-          </section>
-        ) : null}
+
+            {endpoints.length === 0 ? (
+              <div style={{ fontSize: 14, color: '#5f5a76' }}>No webhook endpoints yet.</div>
+            ) : (
+              <div style={{ overflowX: 'auto' }}>
+                <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                  <thead>
+                    <tr style={{ textAlign: 'left', background: '#f7f7ff' }}>
+                      <th style={tableCellStyle}>Endpoint</th>
+                      <th style={tableCellStyle}>Events</th>
+                      <th style={tableCellStyle}>Content types</th>
+                      <th style={tableCellStyle}>Payload</th>
+                      <th style={tableCellStyle} />
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {endpoints.map((endpoint) => (
+                      <tr key={endpoint.documentId}>
+                        <td style={tableCellStyle}>
+                          <a
+                            href={`${WEBHOOK_ENDPOINTS_URL}/${endpoint.documentId}`}
+                            style={{ color: '#4945ff', fontWeight: 600 }}
+                          >
+                            {endpoint.name}
+                          </a>
+                          {endpoint.isActive === false ? <span style={{ color: '#d02b20' }}> · off</span> : null}
+                          <div style={{ color: '#6e6984', wordBreak: 'break-all' }}>{endpoint.url}</div>
+                        </td>
+                        <td style={tableCellStyle}>{endpoint.events.join(', ')}</td>
+                        <td style={tableCellStyle}>
+                          {endpoint.contentTypes?.length ? endpoint.contentTypes.join(', ') : 'All'}
+                        </td>
+                        <td style={tableCellStyle}>{endpoint.payloadTemplate?.trim() ? 'Template' : 'Default'}</td>
+                        <td style={{ ...tableCellStyle, whiteSpace: 'nowrap' }}>
+                          <button
+                            type="button"
+                            onClick={() => sendTest(endpoint)}
+                            disabled={testingId !== null}
+                            style={{
+                              border: 0,
+                              borderRadius: 10,
+                              background: '#4945ff',
+                              color: '#ffffff',
+                              padding: '6px 10px',
+                              fontWeight: 600,
+                              cursor: testingId !== null ? 'not-allowed' : 'pointer',
+                              opacity: testingId !== null ? 0.65 : 1,
+                            }}
+                          >
+                            {testingId === endpoint.documentId ? 'Sending...' : 'Send test'}
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </section>
+
+        <section style={cardStyle}>
+          <div style={{ display: 'grid', gap: 16 }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', gap: 12, flexWrap: 'wrap' }}>
+              <div style={{ display: 'grid', gap: 6 }}>
+                <h2 style={{ margin: 0, fontSize: 20, color: '#221b3d' }}>Delivery history</h2>
+                <div style={{ fontSize: 14, color: '#5f5a76', maxWidth: 640 }}>
+                  Every purge and webhook Strapi sent, manual or automatic. Failed automatic deliveries are retried with a
+                  growing delay; retry any delivery by hand to send its payload again.
+                </div>
+              </div>
+              <div style={{ display: 'flex', gap: 12, alignItems: 'end', flexWrap: 'wrap' }}>
+                <label style={{ display: 'grid', gap: 6 }}>
+                  <span style={{ fontWeight: 600, color: '#221b3d', fontSize: 13 }}>Type</span>
+                  <select
+                    value={kindFilter}
+                    onChange={(event) => setKindFilter(event.target.value as Delivery['kind'] | '')}
+                    style={{ padding: '8px 10px', borderRadius: 10, border: '1px solid #cfcde8' }}
+                  >
+                    <option value="">All</option>
+                    {(Object.keys(KIND_LABELS) as Delivery['kind'][]).map((kind) => (
+                      <option key={kind} value={kind}>
+                        {KIND_LABELS[kind]}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <label style={{ display: 'grid', gap: 6 }}>
+                  <span style={{ fontWeight: 600, color: '#221b3d', fontSize: 13 }}>Trigger</span>
+                  <select
+                    value={triggerFilter}
+                    onChange={(event) => setTriggerFilter(event.target.value as Delivery['trigger'] | '')}
+                    style={{ padding: '8px 10px', borderRadius: 10, border: '1px solid #cfcde8' }}
+                  >
+                    <option value="">All</option>
+                    {(Object.keys(TRIGGER_LABELS) as Delivery['trigger'][]).map((trigger) => (
+                      <option key={trigger} value={trigger}>
+                        {TRIGGER_LABELS[trigger]}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <label style={{ display: 'grid', gap: 6 }}>
+                  <span style={{ fontWeight: 600, color: '#221b3d', fontSize: 13 }}>Result</span>
+                  <select
+                    value={stateFilter}
+                    onChange={(event) => setStateFilter(event.target.value as DeliveryState | '')}
+                    style={{ padding: '8px 10px', borderRadius: 10, border: '1px solid #cfcde8' }}
+                  >
+                    <option value="">All</option>
+                    {(Object.keys(DELIVERY_STATE_LABELS) as DeliveryState[]).map((state) => (
+                      <option key={state} value={state}>
+                        {DELIVERY_STATE_LABELS[state]}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <button
+                  type="button"
+                  onClick={loadDeliveries}
+                  disabled={isLoadingDeliveries}
+                  style={{
+                    border: '1px solid #cfcde8',
+                    borderRadius: 10,
+                    background: '#ffffff',
+                    color: '#221b3d',
+                    padding: '8px 12px',
+                    fontWeight: 600,
+                    cursor: isLoadingDeliveries ? 'not-allowed' : 'pointer',
+                  }}
+                >
+                  {isLoadingDeliveries ? 'Loading...' : 'Refresh'}
+                </button>
+              </div>
+            </div>
+
+            {deliveries.length === 0 ? (
+              <div style={{ fontSize: 14, color: '#5f5a76' }}>
+                {isLoadingDeliveries ? 'Loading deliveries...' : 'No deliveries match these filters.'}
+              </div>
+            ) : (
+              <div style={{ overflowX: 'auto' }}>
+                <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                  <thead>
+                    <tr style={{ textAlign: 'left', background: '#f7f7ff' }}>
+                      <th style={tableCellStyle}>When</th>
+                      <th style={tableCellStyle}>Trigger</th>
+                      <th style={tableCellStyle}>What</th>
+                      <th style={tableCellStyle}>Result</th>
+                      <th style={tableCellStyle}>Duration</th>
+                      <th style={tableCellStyle} />
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {deliveries.map((delivery) => (
+                      <Fragment key={delivery.documentId}>
+                        <tr>
+                          <td style={{ ...tableCellStyle, whiteSpace: 'nowrap' }}>{formatDate(delivery.createdAt)}</td>
+                          <td style={tableCellStyle}>
+                            {TRIGGER_LABELS[delivery.trigger]}
+                            <div style={{ color: '#6e6984' }}>
+                              {delivery.userName || (delivery.trigger === 'automatic' ? 'Content change' : '—')}
+                            </div>
+                            {delivery.retryOf ? <div style={{ color: '#6e6984' }}>Retry</div> : null}
+                          </td>
+                          <td style={tableCellStyle}>
+                            {describeDelivery(delivery)}
+                            <div style={{ color: '#6e6984' }}>{KIND_LABELS[delivery.kind]}</div>
+                          </td>
+                          <td style={tableCellStyle}>
+                            <strong style={{ color: DELIVERY_STATE_COLORS[delivery.state] }}>
+                              {DELIVERY_STATE_LABELS[delivery.state]}
+                            </strong>
+                            {delivery.responseStatus ? ` · ${delivery.responseStatus}` : ''}
+                            {(delivery.attempts ?? 0) > 1 ? ` · ${delivery.attempts} attempts` : ''}
+                            {delivery.errorMessage ? (
+                              <div style={{ color: '#6e6984' }}>{delivery.errorMessage}</div>
+                            ) : null}
+                            {delivery.state === 'retry-scheduled' ? (
+                              <div style={{ color: '#6e6984' }}>Next attempt {formatDate(delivery.nextAttemptAt)}</div>
+                            ) : null}
+                          </td>
+                          <td style={{ ...tableCellStyle, whiteSpace: 'nowrap' }}>
+                            {delivery.durationMs === null ? '—' : `${delivery.durationMs} ms`}
+                          </td>
+                          <td style={{ ...tableCellStyle, whiteSpace: 'nowrap' }}>
+                            <button
+                              type="button"
+                              onClick={() => toggleDelivery(delivery.documentId)}
+                              style={{
+                                border: '1px solid #cfcde8',
+                                borderRadius: 10,
+                                background: '#ffffff',
+                                color: '#221b3d',
+                                padding: '6px 10px',
+                                fontWeight: 600,
+                                cursor: 'pointer',
+                                marginRight: 8,
+                              }}
+                            >
+                              {openDelivery?.documentId === delivery.documentId ? 'Hide' : 'Details'}
+                            </button>
+                            {delivery.state !== 'sending' ? (
+                              <button
+                                type="button"
+                                onClick={() => retryDelivery(delivery.documentId)}
+                                disabled={retryingId !== null}
+                                style={{
+                                  border: 0,
+                                  borderRadius: 10,
+                                  background: '#4945ff',
+                                  color: '#ffffff',
+                                  padding: '6px 10px',
+                                  fontWeight: 600,
+                                  cursor: retryingId !== null ? 'not-allowed' : 'pointer',
+                                  opacity: retryingId !== null ? 0.65 : 1,
+                                }}
+                              >
+                                {retryingId === delivery.documentId ? 'Retrying...' : 'Retry'}
+                              </button>
+                            ) : null}
+                          </td>
+                        </tr>
+                        {openDelivery?.documentId === delivery.documentId ? (
+                          <tr>
+                            <td colSpan={6} style={tableCellStyle}>
+                              <div style={{ display: 'grid', gap: 8 }}>
+                                <div style={{ color: '#5f5a76' }}>
+                                  Sent to <strong>{openDelivery.url || '—'}</strong>
+                                  {openDelivery.finishedAt ? ` · finished ${formatDate(openDelivery.finishedAt)}` : ''}
+                                </div>
+                                <div style={{ fontWeight: 600, color: '#221b3d' }}>Payload</div>
+                                <pre style={preStyle}>{JSON.stringify(openDelivery.payload, null, 2)}</pre>
+                                <div style={{ fontWeight: 600, color: '#221b3d' }}>Response</div>
+                                <pre style={preStyle}>{openDelivery.responseBody || '(no response body)'}</pre>
+                              </div>
+                            </td>
+                          </tr>
+                        ) : null}
+                      </Fragment>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </section>
       </div>
     </main>
   );
@@ -3,5 +3,35 @@
  */
 
 import { factories } from '@strapi/strapi';
+import { toPublicPath } from '../../../utils/public-urls';
 
-export default factories.createCoreService('api::content-tag.content-tag');
+type TaggedEntry = { slug?: string | null };
+
+export default factories.createCoreService('api::content-tag.content-tag', ({ strapi }) => ({
+  /**
+   * Loads a published tag with the public paths of the published blog posts and news
+   * articles it is attached to, or null when no published tag has that slug.
+   */
+  async findTaggedPaths(slug: string) {
+    const tag = (await strapi.documents('api::content-tag.content-tag').findFirst({
+      filters: { slug },
+      status: 'published',
+      fields: ['name', 'slug'],
+      populate: {
+        blogPosts: { fields: ['slug'] },
+        newsArticles: { fields: ['slug'] },
+      },
+    })) as { name: string; slug: string; blogPosts?: TaggedEntry[]; newsArticles?: TaggedEntry[] } | null;
+
+    if (!tag) {
+      return null;
+    }
+
+    const paths = [
+      ...(tag.blogPosts ?? []).map((entry) => toPublicPath('api::blog-post.blog-post', entry)),
+      ...(tag.newsArticles ?? []).map((entry) => toPublicPath('api::news-article.news-article', entry)),
+    ].filter((path): path is string => Boolean(path));
+
+    return { name: tag.name, slug: tag.slug, paths: Array.from(new Set(paths)) };
+  },
+}));
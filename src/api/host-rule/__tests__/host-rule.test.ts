@@ -0,0 +1,36 @@
+import { describe, expect, it, vi } from 'vitest';
+
+vi.mock('@strapi/strapi', () => ({
+  factories: { createCoreService: (_uid: string, build: unknown) => build },
+}));
+
+const { default: buildService } = await import('../services/host-rule');
+
+type Service = {
+  validateForSave: (action: string, params: { data: Record<string, unknown> }) => Promise<void>;
+};
+
+const createService = (isProxied: boolean) =>
+  (buildService as (context: unknown) => Service)({
+    strapi: {
+      config: { get: (path: string) => (path === 'server.proxy.koa' ? isProxied : undefined) },
+      documents: () => ({ findMany: async () => [] }),
+    },
+  });
+
+describe('validateForSave', () => {
+  it('refuses a forceHttps rule while the proxy is not trusted', async () => {
+    await expect(
+      createService(false).validateForSave('create', { data: { host: 'example.com', forceHttps: true } }),
+    ).rejects.toThrow(/^forceHttps needs IS_PROXIED=true/);
+  });
+
+  it('accepts a forceHttps rule behind a trusted proxy, and other rules either way', async () => {
+    await expect(
+      createService(true).validateForSave('create', { data: { host: 'example.com', forceHttps: true } }),
+    ).resolves.toBeUndefined();
+    await expect(
+      createService(false).validateForSave('create', { data: { host: 'example.com', targetHost: 'www.example.com' } }),
+    ).resolves.toBeUndefined();
+  });
+});
@@ -0,0 +1,53 @@
+import { describe, expect, it } from 'vitest';
+import { findHostLoop, resolveHostRedirect, sortHostRules } from '../utils/host-rules';
+
+describe('resolveHostRedirect', () => {
+  it('prefers an exact host over a wildcard and keeps the protocol unless forceHttps is set', () => {
+    const rules = sortHostRules([
+      { host: '*.example.com', targetHost: 'example.com' },
+      { host: 'www.example.com', targetHost: 'example.com', forceHttps: true },
+    ]);
+
+    expect(resolveHostRedirect(rules, { host: 'www.example.com', protocol: 'http' })).toMatchObject({
+      host: 'example.com',
+      protocol: 'https',
+      rule: { host: 'www.example.com' },
+    });
+    expect(resolveHostRedirect(rules, { host: 'shop.example.com', protocol: 'http' })).toMatchObject({
+      host: 'example.com',
+      protocol: 'http',
+    });
+  });
+
+  it('returns null when no rule applies or the request is already canonical', () => {
+    const rules = sortHostRules([{ host: 'example.com', forceHttps: true }]);
+
+    expect(resolveHostRedirect(rules, { host: 'other.test', protocol: 'http' })).toBeNull();
+    expect(resolveHostRedirect(rules, { host: 'example.com', protocol: 'https' })).toBeNull();
+    expect(resolveHostRedirect(rules, { host: 'example.com', protocol: 'http' })).toMatchObject({
+      host: 'example.com',
+      protocol: 'https',
+    });
+  });
+});
+
+describe('findHostLoop', () => {
+  it('returns the hops of rules that point at each other', () => {
+    const rules = [
+      { host: 'a.example.com', targetHost: 'b.example.com' },
+      { host: 'b.example.com', targetHost: 'a.example.com' },
+    ];
+
+    expect(findHostLoop(rules, { host: 'a.example.com', protocol: 'https' })).toEqual([
+      'https://a.example.com',
+      'https://b.example.com',
+      'https://a.example.com',
+    ]);
+  });
+
+  it('returns null when the rules settle', () => {
+    expect(
+      findHostLoop([{ host: 'example.com', targetHost: 'www.example.com' }], { host: 'example.com', protocol: 'http' }),
+    ).toBeNull();
+  });
+});
@@ -0,0 +1,7 @@
+/**
+ * host-rule controller
+ */
+
+import { factories } from '@strapi/strapi';
+
+export default factories.createCoreController('api::host-rule.host-rule');
@@ -0,0 +1,7 @@
+/**
+ * host-rule router
+ */
+
+import { factories } from '@strapi/strapi';
+
+export default factories.createCoreRouter('api::host-rule.host-rule');
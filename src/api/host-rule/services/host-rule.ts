@@ -0,0 +1,108 @@
+/**
+ * host-rule service
+ */
+
+import { factories } from '@strapi/strapi';
+import { errors } from '@strapi/utils';
+import { normalizeHost } from '../../redirect/utils/matching';
+import { findHostLoop, sortHostRules, type HostRuleEntry } from '../utils/host-rules';
+
+export default factories.createCoreService('api::host-rule.host-rule', ({ strapi }) => {
+  let rules: HostRuleEntry[] | null = null;
+  let pendingRefresh: Promise<HostRuleEntry[]> | null = null;
+  let refreshRequested = false;
+
+  const loadLiveRules = async () =>
+    (await strapi.documents('api::host-rule.host-rule').findMany({
+      filters: {
+        isActive: true,
+      },
+      status: 'published',
+      fields: ['host', 'targetHost', 'forceHttps', 'statusCode'],
+      sort: ['id:asc'],
+    })) as HostRuleEntry[];
+
+  return {
+    /**
+     * Reloads the published, active host rules. Works like the redirect table refresh:
+     * calls made during a reload are coalesced into one follow-up reload.
+     */
+    refreshTable() {
+      if (pendingRefresh) {
+        refreshRequested = true;
+        return pendingRefresh;
+      }
+
+      pendingRefresh = (async () => {
+        try {
+          do {
+            refreshRequested = false;
+            rules = sortHostRules(await loadLiveRules());
+          } while (refreshRequested);
+
+          return rules;
+        } finally {
+          pendingRefresh = null;
+        }
+      })();
+
+      return pendingRefresh;
+    },
+
+    async getRules() {
+      return rules ?? this.refreshTable();
+    },
+
+    /**
+     * Rejects a host rule with no host, one that would do nothing, one that forces HTTPS
+     * while the proxy isn't trusted, or one that sends requests around a loop of hosts.
+     */
+    async validateForSave(
+      action: string,
+      params: { documentId?: string; data?: Partial<HostRuleEntry> & { isActive?: boolean } },
+    ) {
+      const current = params.documentId
+        ? await strapi.documents('api::host-rule.host-rule').findOne({ documentId: params.documentId, status: 'draft' })
+        : null;
+      const candidate = {
+        ...(current ?? {}),
+        ...(action === 'publish' ? {} : (params.data ?? {})),
+        documentId: params.documentId,
+      } as HostRuleEntry & { isActive?: boolean };
+      const host = normalizeHost(candidate.host);
+      const targetHost = normalizeHost(candidate.targetHost);
+
+      if (!host) {
+        throw new errors.ValidationError('host is required.');
+      }
+
+      if (targetHost.includes('*')) {
+        throw new errors.ValidationError('targetHost must be a single hostname, not a wildcard.');
+      }
+
+      if (!candidate.forceHttps && (!targetHost || targetHost === host)) {
+        throw new errors.ValidationError('Set a different targetHost, enable forceHttps, or both.');
+      }
+
+      // Without a trusted proxy every request behind a TLS-terminating proxy looks like
+      // plain HTTP, so a forceHttps rule would redirect forever.
+      if (candidate.forceHttps && !strapi.config.get('server.proxy.koa')) {
+        throw new errors.ValidationError(
+          'forceHttps needs IS_PROXIED=true; without it requests through the proxy look like HTTP and are redirected forever.',
+        );
+      }
+
+      if (candidate.isActive === false) {
+        return;
+      }
+
+      const others = (await loadLiveRules()).filter((rule) => rule.documentId !== params.documentId);
+      const start = host.startsWith('*.') ? targetHost : host;
+      const loop = start ? findHostLoop([candidate, ...others], { host: start, protocol: 'http' }) : null;
+
+      if (loop) {
+        throw new errors.ValidationError(`This host rule would create a loop: ${loop.join(' → ')}`);
+      }
+    },
+  };
+});
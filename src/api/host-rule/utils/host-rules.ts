@@ -0,0 +1,74 @@
+import { matchesHostPattern, normalizeHost } from '../../redirect/utils/matching';
+
+export type HostRuleEntry = {
+  id?: number;
+  documentId?: string;
+  host?: string | null;
+  targetHost?: string | null;
+  forceHttps?: boolean | null;
+  statusCode?: string | null;
+};
+
+export type HostLocation = {
+  host: string;
+  protocol: string;
+};
+
+export type HostRedirect = HostLocation & {
+  rule: HostRuleEntry;
+};
+
+// Host rules can only point at other hosts, so anything longer than this is a loop.
+const MAX_HOPS = 10;
+
+/**
+ * Orders rules so an exact host beats a `*.` wildcard; ties go to the oldest rule.
+ */
+export const sortHostRules = (rules: HostRuleEntry[]) =>
+  rules
+    .filter((rule) => normalizeHost(rule.host))
+    .map((rule, order) => ({ rule, order, isWildcard: normalizeHost(rule.host).startsWith('*.') }))
+    .sort((a, b) => Number(a.isWildcard) - Number(b.isWildcard) || a.order - b.order)
+    .map(({ rule }) => rule);
+
+/**
+ * Returns where a request to `location` should be sent, or null when no rule applies
+ * or the request is already on the rule's canonical host and protocol.
+ * `rules` must already be sorted with `sortHostRules`.
+ */
+export const resolveHostRedirect = (rules: HostRuleEntry[], location: HostLocation): HostRedirect | null => {
+  const host = normalizeHost(location.host);
+  const rule = rules.find((candidate) => matchesHostPattern(candidate.host ?? '', host));
+
+  if (!rule) return null;
+
+  const targetHost = normalizeHost(rule.targetHost) || host;
+  const protocol = rule.forceHttps ? 'https' : location.protocol;
+
+  if (targetHost === host && protocol === location.protocol) return null;
+
+  return { rule, host: targetHost, protocol };
+};
+
+/**
+ * Follows host rules from `start` and returns the hops when they never settle,
+ * e.g. `a.example.com → b.example.com → a.example.com`.
+ */
+export const findHostLoop = (rules: HostRuleEntry[], start: HostLocation) => {
+  const sorted = sortHostRules(rules);
+  const hops = [`${start.protocol}://${normalizeHost(start.host)}`];
+  let current: HostLocation = { host: normalizeHost(start.host), protocol: start.protocol };
+
+  for (let hop = 0; hop < MAX_HOPS; hop += 1) {
+    const next = resolveHostRedirect(sorted, current);
+    if (!next) return null;
+
+    const key = `${next.protocol}://${next.host}`;
+    if (hops.includes(key)) return [...hops, key];
+
+    hops.push(key);
+    current = next;
+  }
+
+  return hops;
+};
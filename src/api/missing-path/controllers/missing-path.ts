@@ -0,0 +1,7 @@
+/**
+ * missing-path controller
+ */
+
+import { factories } from '@strapi/strapi';
+
+export default factories.createCoreController('api::missing-path.missing-path');
@@ -0,0 +1,10 @@
+/**
+ * missing-path router
+ */
+
+import { factories } from '@strapi/strapi';
+
+// Missing paths are written by the redirects middleware only.
+export default factories.createCoreRouter('api::missing-path.missing-path', {
+  only: ['find', 'findOne'],
+});
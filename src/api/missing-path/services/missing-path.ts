@@ -0,0 +1,212 @@
+/**
+ * missing-path service
+ */
+
+import { factories } from '@strapi/strapi';
+import { createHitBuffer, mergeReferrers } from '../../../utils/hit-buffer';
+import { toPublicPath } from '../../../utils/public-urls';
+import { suggestTargets, type SuggestionTarget } from '../utils/suggestions';
+
+type MissingPathRecord = {
+  id: number;
+  path: string;
+  hitCount?: number | null;
+  firstSeenAt?: string | null;
+  lastSeenAt?: string | null;
+  topReferrers?: Record<string, number> | null;
+};
+
+const FLUSH_INTERVAL_MS = Number(process.env.MISSING_PATHS_FLUSH_INTERVAL_MS || 30000);
+// Distinct paths held in memory between flushes, so a burst of random 404s can't grow the buffer without bound.
+const MAX_PENDING_PATHS = Number(process.env.MISSING_PATHS_MAX_PENDING || 5000);
+const MAX_PATH_LENGTH = 255;
+
+// Paths not seen for RETENTION_DAYS with fewer than PRUNE_BELOW_HITS hits are dropped, and
+// the log keeps at most MAX_ROWS paths, so one-off typos and probes don't pile up forever.
+const RETENTION_DAYS = Number(process.env.MISSING_PATHS_RETENTION_DAYS || 90);
+const PRUNE_BELOW_HITS = Number(process.env.MISSING_PATHS_PRUNE_BELOW_HITS || 5);
+const MAX_ROWS = Number(process.env.MISSING_PATHS_MAX_ROWS || 10000);
+
+// Ids per delete when trimming the log down to MAX_ROWS.
+const DELETE_CHUNK_SIZE = 500;
+
+// Vulnerability scanners probing for other platforms; these never deserve a redirect.
+const NOISE_PATH_PATTERN =
+  /^\/(wp-|wordpress|xmlrpc|phpmyadmin|pma|cgi-bin|vendor\/|\.git|\.env|\.aws|\.ssh|\.well-known|owa\/|ecp\/|boaform)|\.(php|asp|aspx|jsp|cgi|env|ini|sql|bak|old|swp|log|yml|yaml)$/i;
+const NOISE_USER_AGENT_PATTERN =
+  /curl|wget|python-requests|python-urllib|go-http-client|libwww|zgrab|masscan|nikto|sqlmap|nmap|nuclei|scanner|httpclient/i;
+
+const isNoise = (path: string, userAgent?: string | null) =>
+  !userAgent || NOISE_USER_AGENT_PATTERN.test(userAgent) || NOISE_PATH_PATTERN.test(path);
+
+export default factories.createCoreService('api::missing-path.missing-path', ({ strapi }) => {
+  const buffer = createHitBuffer({
+    trackReferrers: true,
+    flushIntervalMs: FLUSH_INTERVAL_MS,
+    maxPendingKeys: MAX_PENDING_PATHS,
+    onFlushError(error) {
+      strapi.log.error(`Failed to write missing paths: ${error instanceof Error ? error.message : error}`);
+    },
+    onDropped(count) {
+      strapi.log.warn(
+        `Dropped ${count} 404 hit(s) for new paths: over ${MAX_PENDING_PATHS} paths were waiting to be written.`,
+      );
+    },
+    async write(batch) {
+      const query = strapi.db.query('api::missing-path.missing-path');
+
+      await strapi.db.transaction(async () => {
+        for (const [path, hits] of batch) {
+          const existing = (await query.findOne({ where: { path } })) as MissingPathRecord | null;
+
+          if (!existing) {
+            await query.create({
+              data: {
+                path,
+                hitCount: hits.hits,
+                firstSeenAt: hits.firstAt,
+                lastSeenAt: hits.lastAt,
+                topReferrers: mergeReferrers(null, hits.referrers),
+              },
+            });
+            continue;
+          }
+
+          // A path that 404s again after being resolved shows up in the log again.
+          await query.update({
+            where: { id: existing.id },
+            data: {
+              hitCount: (existing.hitCount ?? 0) + hits.hits,
+              lastSeenAt: hits.lastAt,
+              topReferrers: mergeReferrers(existing.topReferrers, hits.referrers),
+              resolvedAt: null,
+            },
+          });
+        }
+      });
+    },
+  });
+
+  const loadTargets = async (): Promise<SuggestionTarget[]> => {
+    const [pages, blogPosts, newsArticles] = await Promise.all([
+      strapi.documents('api::page.page').findMany({
+        filters: { isActive: true },
+        status: 'published',
+        fields: ['routePath', 'pageName'],
+      }),
+      strapi.documents('api::blog-post.blog-post').findMany({
+        status: 'published',
+        fields: ['slug', 'title'],
+      }),
+      strapi.documents('api::news-article.news-article').findMany({
+        status: 'published',
+        fields: ['slug', 'title'],
+      }),
+    ]);
+
+    return [
+      ...pages.map((page) => ({
+        path: toPublicPath('api::page.page', page),
+        label: page.pageName,
+        source: 'page' as const,
+      })),
+      ...blogPosts.map((post) => ({
+        path: toPublicPath('api::blog-post.blog-post', post),
+        label: post.title,
+        source: 'blog-post' as const,
+      })),
+      ...newsArticles.map((article) => ({
+        path: toPublicPath('api::news-article.news-article', article),
+        label: article.title,
+        source: 'news-article' as const,
+      })),
+    ].filter((target): target is SuggestionTarget => target.path !== null);
+  };
+
+  return {
+    /**
+     * Counts a 404 in memory unless it looks like scanner noise.
+     * Counts are written by `flush`, so recording never delays the response.
+     */
+    record(path: string, { userAgent, referrer }: { userAgent?: string | null; referrer?: string | null }) {
+      if (path.length > MAX_PATH_LENGTH || isNoise(path, userAgent)) {
+        return;
+      }
+
+      buffer.record(path, path, referrer);
+    },
+
+    flush() {
+      return buffer.flush();
+    },
+
+    startFlushTimer() {
+      buffer.start();
+    },
+
+    stopFlushTimer() {
+      return buffer.stop();
+    },
+
+    /**
+     * Lists the most-hit unresolved missing paths, each with likely redirect targets.
+     */
+    async listUnresolved(limit: number) {
+      await buffer.flush();
+
+      const [records, targets] = await Promise.all([
+        strapi.db.query('api::missing-path.missing-path').findMany({
+          where: { resolvedAt: { $null: true } },
+          orderBy: [{ hitCount: 'desc' }, { lastSeenAt: 'desc' }],
+          limit,
+        }) as Promise<MissingPathRecord[]>,
+        loadTargets(),
+      ]);
+
+      return records.map((record) => ({
+        ...record,
+        suggestions: suggestTargets(record.path, targets),
+      }));
+    },
+
+    /**
+     * Deletes stale, rarely hit paths, then the least-hit, longest-unseen paths beyond
+     * MAX_ROWS. Returns how many were deleted.
+     */
+    async prune() {
+      await buffer.flush();
+
+      const query = strapi.db.query('api::missing-path.missing-path');
+      const cutoff = new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000);
+      const { count: stale } = await query.deleteMany({
+        where: { lastSeenAt: { $lt: cutoff }, hitCount: { $lt: PRUNE_BELOW_HITS } },
+      });
+
+      const excess = (await query.count()) - MAX_ROWS;
+      let trimmed = 0;
+
+      if (excess > 0) {
+        const records = (await query.findMany({
+          select: ['id'],
+          orderBy: [{ hitCount: 'asc' }, { lastSeenAt: 'asc' }],
+          limit: excess,
+        })) as Array<Pick<MissingPathRecord, 'id'>>;
+
+        for (let index = 0; index < records.length; index += DELETE_CHUNK_SIZE) {
+          const ids = records.slice(index, index + DELETE_CHUNK_SIZE).map((record) => record.id);
+          const { count } = await query.deleteMany({ where: { id: { $in: ids } } });
+          trimmed += count;
+        }
+      }
+
+      return stale + trimmed;
+    },
+
+    async resolve(id: number, redirectDocumentId: string | null) {
+      return strapi.db.query('api::missing-path.missing-path').update({
+        where: { id },
+        data: { resolvedAt: new Date(), redirectDocumentId },
+      });
+    },
+  };
+});
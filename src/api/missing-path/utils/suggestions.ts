@@ -0,0 +1,85 @@
+import { normalizePath } from '../../redirect/utils/matching';
+
+export type SuggestionTarget = {
+  path: string;
+  label: string;
+  source: 'page' | 'blog-post' | 'news-article';
+};
+
+export type Suggestion = SuggestionTarget & {
+  score: number;
+};
+
+const MIN_SCORE = 0.45;
+
+const tokenize = (value: string) =>
+  value
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+
+const lastSegment = (value: string) => value.split('/').filter(Boolean).pop() ?? '';
+
+const parentPath = (value: string) => value.split('/').filter(Boolean).slice(0, -1).join('/');
+
+const levenshtein = (a: string, b: string) => {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+const similarity = (a: string, b: string) => {
+  const longest = Math.max(a.length, b.length);
+  return longest === 0 ? 1 : 1 - levenshtein(a, b) / longest;
+};
+
+const jaccard = (a: string[], b: string[]) => {
+  const left = new Set(a);
+  const right = new Set(b);
+  const shared = Array.from(left).filter((token) => right.has(token)).length;
+  const total = new Set([...left, ...right]).size;
+  return total === 0 ? 0 : shared / total;
+};
+
+/**
+ * Scores how likely `target` is the page a missing path meant.
+ * Blends edit distance of the final segment (typos, renamed slugs), shared
+ * words across the whole path (reordered slugs) and staying in the same section.
+ */
+const scoreTarget = (missingPath: string, target: SuggestionTarget) => {
+  const missing = missingPath.toLowerCase();
+  const candidate = target.path.toLowerCase();
+
+  const slugScore = similarity(lastSegment(missing), lastSegment(candidate));
+  const tokenScore = jaccard(tokenize(missing), tokenize(candidate));
+  const sectionScore = parentPath(missing) === parentPath(candidate) ? 1 : 0;
+
+  return 0.5 * slugScore + 0.3 * tokenScore + 0.2 * sectionScore;
+};
+
+export const suggestTargets = (missingPath: string, targets: SuggestionTarget[], limit = 3): Suggestion[] => {
+  const path = normalizePath(missingPath);
+
+  return targets
+    .filter((target) => target.path !== path)
+    .map((target) => ({ ...target, score: Math.round(scoreTarget(path, target) * 100) / 100 }))
+    .filter((suggestion) => suggestion.score >= MIN_SCORE)
+    .sort((a, b) => b.score - a.score || a.path.localeCompare(b.path))
+    .slice(0, limit);
+};
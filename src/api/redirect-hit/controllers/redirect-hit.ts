@@ -0,0 +1,7 @@
+/**
+ * redirect-hit controller
+ */
+
+import { factories } from '@strapi/strapi';
+
+export default factories.createCoreController('api::redirect-hit.redirect-hit');
@@ -0,0 +1,10 @@
+/**
+ * redirect-hit router
+ */
+
+import { factories } from '@strapi/strapi';
+
+// Hit counters are written by the redirects middleware only.
+export default factories.createCoreRouter('api::redirect-hit.redirect-hit', {
+  only: ['find', 'findOne'],
+});
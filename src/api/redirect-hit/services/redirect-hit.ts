@@ -0,0 +1,84 @@
+/**
+ * redirect-hit service
+ */
+
+import { factories } from '@strapi/strapi';
+import { createHitBuffer, mergeReferrers } from '../../../utils/hit-buffer';
+
+type HitRecord = {
+  id: number;
+  hitCount?: number | null;
+  firstHitAt?: string | null;
+  topReferrers?: Record<string, number> | null;
+};
+
+const FLUSH_INTERVAL_MS = Number(process.env.REDIRECT_HITS_FLUSH_INTERVAL_MS || 30000);
+const TRACK_REFERRERS = process.env.REDIRECT_HITS_TRACK_REFERRERS !== 'false';
+
+export default factories.createCoreService('api::redirect-hit.redirect-hit', ({ strapi }) => {
+  const buffer = createHitBuffer({
+    trackReferrers: TRACK_REFERRERS,
+    flushIntervalMs: FLUSH_INTERVAL_MS,
+    onFlushError(error) {
+      strapi.log.error(`Failed to write redirect hits: ${error instanceof Error ? error.message : error}`);
+    },
+    async write(batch) {
+      const query = strapi.db.query('api::redirect-hit.redirect-hit');
+
+      await strapi.db.transaction(async () => {
+        for (const [redirectDocumentId, hits] of batch) {
+          const existing = (await query.findOne({ where: { redirectDocumentId } })) as HitRecord | null;
+
+          if (!existing) {
+            await query.create({
+              data: {
+                redirectDocumentId,
+                fromPath: hits.label,
+                hitCount: hits.hits,
+                firstHitAt: hits.firstAt,
+                lastHitAt: hits.lastAt,
+                topReferrers: mergeReferrers(null, hits.referrers),
+              },
+            });
+            continue;
+          }
+
+          await query.update({
+            where: { id: existing.id },
+            data: {
+              fromPath: hits.label,
+              hitCount: (existing.hitCount ?? 0) + hits.hits,
+              firstHitAt: existing.firstHitAt ?? hits.firstAt,
+              lastHitAt: hits.lastAt,
+              topReferrers: mergeReferrers(existing.topReferrers, hits.referrers),
+            },
+          });
+        }
+      });
+    },
+  });
+
+  return {
+    /**
+     * Counts a redirect hit in memory. Counts are written by `flush`,
+     * so recording never delays the redirect response.
+     */
+    record(redirect: { documentId?: string; fromPath?: string | null }, referrer?: string | null) {
+      if (redirect.documentId) {
+        buffer.record(redirect.documentId, redirect.fromPath ?? '', referrer);
+      }
+    },
+
+    flush() {
+      return buffer.flush();
+    },
+
+    startFlushTimer() {
+      buffer.start();
+    },
+
+    stopFlushTimer() {
+      return buffer.stop();
+    },
+  };
+});
@@ -0,0 +1,99 @@
+import { describe, expect, it, vi } from 'vitest';
+
+vi.mock('@strapi/strapi', () => ({
+  factories: { createCoreService: (_uid: string, build: unknown) => build },
+}));
+
+const { default: buildService } = await import('../services/redirect-import-batch');
+
+type Service = {
+  rollback: (documentId: string, rolledBackBy: string | null) => Promise<unknown>;
+};
+
+const createService = (batch: Record<string, unknown>, drafts: string[], published: string[] = []) => {
+  const calls: string[] = [];
+  const redirects = {
+    findOne: vi.fn(async ({ documentId, status }: { documentId: string; status: string }) =>
+      (status === 'published' ? published : drafts).includes(documentId) ? { documentId } : null,
+    ),
+    delete: vi.fn(async ({ documentId }: { documentId: string }) => calls.push(`delete ${documentId}`)),
+    unpublish: vi.fn(async ({ documentId }: { documentId: string }) => calls.push(`unpublish ${documentId}`)),
+    update: vi.fn(async ({ documentId, status }: { documentId: string; status?: string }) =>
+      calls.push(`update ${documentId}${status ? ` ${status}` : ''}`),
+    ),
+  };
+  const batches = {
+    findOne: async () => batch,
+    update: vi.fn(async ({ data }: { data: unknown }) => data),
+  };
+  const service = (buildService as (context: unknown) => Service)({
+    strapi: {
+      documents: (uid: string) => (uid === 'api::redirect.redirect' ? redirects : batches),
+    },
+  });
+
+  return { service, redirects, calls };
+};
+
+describe('rollback', () => {
+  it('undoes the changes newest first and reports the ones it cannot undo', async () => {
+    const { service, redirects, calls } = createService(
+      {
+        documentId: 'batch',
+        state: 'completed',
+        changes: [
+          { documentId: 'created', line: 2, action: 'created', before: null },
+          {
+            documentId: 'was-published',
+            line: 3,
+            action: 'updated',
+            before: { draft: { toUrl: '/draft' }, published: { toUrl: '/live' } },
+          },
+          {
+            documentId: 'was-draft',
+            line: 4,
+            action: 'updated',
+            before: { draft: { toUrl: '/draft' }, published: null },
+          },
+          { documentId: 'deleted-since', line: 5, action: 'updated', before: { draft: {}, published: null } },
+        ],
+      },
+      ['created', 'was-published', 'was-draft'],
+      ['created', 'was-published', 'was-draft'],
+    );
+
+    const result = await service.rollback('batch', 'Editor');
+
+    expect(calls).toEqual([
+      'unpublish was-draft',
+      'update was-draft',
+      'update was-published published',
+      'update was-published',
+      'delete created',
+    ]);
+    expect(redirects.update).toHaveBeenCalledWith({
+      documentId: 'was-published',
+      data: { toUrl: '/live' },
+      status: 'published',
+    });
+    expect(result).toMatchObject({
+      state: 'partially-rolled-back',
+      rolledBackBy: 'Editor',
+      rollbackResults: [
+        { documentId: 'deleted-since', action: 'failed', error: 'The redirect has been deleted since the import.' },
+        { documentId: 'was-draft', action: 'restored' },
+        { documentId: 'was-published', action: 'restored' },
+        { documentId: 'created', action: 'deleted' },
+      ],
+    });
+  });
+
+  it('refuses batches that are rolled back or still running', async () => {
+    await expect(
+      createService({ documentId: 'batch', state: 'rolled-back', changes: [] }, []).service.rollback('batch', null),
+    ).rejects.toThrow('This import has already been rolled back.');
+    await expect(
+      createService({ documentId: 'batch', state: 'running', changes: [] }, []).service.rollback('batch', null),
+    ).rejects.toThrow('Cancel the import or wait for it to finish before rolling it back.');
+  });
+});
@@ -0,0 +1,7 @@
+/**
+ * redirect-import-batch controller
+ */
+
+import { factories } from '@strapi/strapi';
+
+export default factories.createCoreController('api::redirect-import-batch.redirect-import-batch');
@@ -0,0 +1,10 @@
+/**
+ * redirect-import-batch router
+ */
+
+import { factories } from '@strapi/strapi';
+
+// Batches are written by the redirect importer only.
+export default factories.createCoreRouter('api::redirect-import-batch.redirect-import-batch', {
+  only: ['find', 'findOne'],
+});
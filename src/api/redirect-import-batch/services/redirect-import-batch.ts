@@ -0,0 +1,211 @@
+/**
+ * redirect-import-batch service
+ */
+
+import { factories } from '@strapi/strapi';
+import type { Modules } from '@strapi/strapi';
+import { errors } from '@strapi/utils';
+
+// Every redirect attribute an import can write, and so every one a rollback restores.
+const REDIRECT_FIELDS = [
+  'sourceHost',
+  'fromPath',
+  'toUrl',
+  'statusCode',
+  'matchType',
+  'queryPolicy',
+  'queryMatch',
+  'dropParams',
+  'activeFrom',
+  'activeUntil',
+  'isActive',
+  'notes',
+] as const;
+
+type RedirectInput = Modules.Documents.Params.Data.Input<'api::redirect.redirect'>;
+
+type RedirectSnapshot = Partial<Pick<RedirectInput, (typeof REDIRECT_FIELDS)[number]>>;
+
+export type RedirectBeforeState = {
+  draft: RedirectSnapshot;
+  /** The published version, or null when the redirect wasn't published. */
+  published: RedirectSnapshot | null;
+};
+
+export type BatchChange = {
+  documentId: string;
+  line: number;
+  action: 'created' | 'updated';
+  /** Null for created redirects, which a rollback deletes. */
+  before: RedirectBeforeState | null;
+};
+
+type RollbackResult = {
+  documentId: string;
+  line: number;
+  action: 'deleted' | 'restored' | 'failed';
+  error: string | null;
+};
+
+type BatchRecord = {
+  documentId: string;
+  state: 'queued' | 'running' | 'completed' | 'cancelled' | 'failed' | 'rolled-back' | 'partially-rolled-back';
+  changes: BatchChange[] | null;
+};
+
+const toSnapshot = (entry: Record<string, unknown>): RedirectSnapshot =>
+  Object.fromEntries(REDIRECT_FIELDS.map((field) => [field, entry[field] ?? null]));
+
+export default factories.createCoreService('api::redirect-import-batch.redirect-import-batch', ({ strapi }) => {
+  const redirects = () => strapi.documents('api::redirect.redirect');
+
+  const restore = async (documentId: string, before: RedirectBeforeState) => {
+    const published = await redirects().findOne({ documentId, status: 'published' });
+
+    if (before.published) {
+      await redirects().update({ documentId, data: before.published, status: 'published' });
+    } else if (published) {
+      await redirects().unpublish({ documentId });
+    }
+
+    // Publishing copies the draft, so put back a draft that differed from the published version.
+    if (!before.published || JSON.stringify(before.draft) !== JSON.stringify(before.published)) {
+      await redirects().update({ documentId, data: before.draft });
+    }
+  };
+
+  return {
+    /**
+     * Captures the draft and published versions of a redirect before an import updates it.
+     */
+    async snapshot(documentId: string): Promise<RedirectBeforeState | null> {
+      const [draft, published] = await Promise.all([
+        redirects().findOne({ documentId, status: 'draft' }),
+        redirects().findOne({ documentId, status: 'published' }),
+      ]);
+
+      if (!draft) return null;
+
+      return {
+        draft: toSnapshot(draft),
+        published: published ? toSnapshot(published) : null,
+      };
+    },
+
+    /**
+     * Captures the before-state of several redirects with two queries, keyed by document id.
+     */
+    async snapshotMany(documentIds: string[]) {
+      const snapshots = new Map<string, RedirectBeforeState>();
+      if (documentIds.length === 0) return snapshots;
+
+      const filters = { documentId: { $in: documentIds } };
+      const [drafts, published] = await Promise.all([
+        redirects().findMany({ filters, status: 'draft' }),
+        redirects().findMany({ filters, status: 'published' }),
+      ]);
+
+      for (const draft of drafts) {
+        const live = published.find((entry) => entry.documentId === draft.documentId);
+        snapshots.set(draft.documentId, {
+          draft: toSnapshot(draft),
+          published: live ? toSnapshot(live) : null,
+        });
+      }
+
+      return snapshots;
+    },
+
+    /**
+     * Lists recent batches without their per-row results and before-states.
+     */
+    async listRecent(limit: number) {
+      return strapi.documents('api::redirect-import-batch.redirect-import-batch').findMany({
+        fields: [
+          'fileName',
+          'format',
+          'options',
+          'userName',
+          'summary',
+          'state',
+          'total',
+          'processed',
+          'errorMessage',
+          'finishedAt',
+          'rolledBackAt',
+          'rolledBackBy',
+          'createdAt',
+        ],
+        sort: ['createdAt:desc'],
+        limit,
+      });
+    },
+
+    /**
+     * Undoes a batch, newest change first: deletes the redirects it created and puts
+     * the ones it updated back the way they were, published or not. A partly failed
+     * rollback can be run again.
+     */
+    async rollback(documentId: string, rolledBackBy: string | null) {
+      const batch = (await strapi
+        .documents('api::redirect-import-batch.redirect-import-batch')
+        .findOne({ documentId })) as unknown as BatchRecord | null;
+
+      if (!batch) {
+        throw new errors.NotFoundError('Import batch not found.');
+      }
+
+      if (batch.state === 'rolled-back') {
+        throw new errors.ValidationError('This import has already been rolled back.');
+      }
+
+      if (batch.state === 'queued' || batch.state === 'running') {
+        throw new errors.ValidationError('Cancel the import or wait for it to finish before rolling it back.');
+      }
+
+      const results: RollbackResult[] = [];
+
+      for (const change of [...(batch.changes ?? [])].reverse()) {
+        try {
+          const exists = await redirects().findOne({ documentId: change.documentId, status: 'draft' });
+
+          if (change.action === 'created') {
+            if (exists) await redirects().delete({ documentId: change.documentId });
+            results.push({ documentId: change.documentId, line: change.line, action: 'deleted', error: null });
+            continue;
+          }
+
+          if (!exists) {
+            throw new Error('The redirect has been deleted since the import.');
+          }
+
+          if (!change.before) {
+            throw new Error('No earlier version of this redirect was recorded.');
+          }
+
+          await restore(change.documentId, change.before);
+          results.push({ documentId: change.documentId, line: change.line, action: 'restored', error: null });
+        } catch (error) {
+          results.push({
+            documentId: change.documentId,
+            line: change.line,
+            action: 'failed',
+            error: error instanceof Error ? error.message : 'Unknown error',
+          });
+        }
+      }
+
+      const failed = results.filter((result) => result.action === 'failed').length;
+
+      return strapi.documents('api::redirect-import-batch.redirect-import-batch').update({
+        documentId,
+        data: {
+          state: failed > 0 ? 'partially-rolled-back' : 'rolled-back',
+          rolledBackAt: new Date().toISOString(),
+          rolledBackBy,
+          rollbackResults: results,
+        },
+      });
+    },
+  };
+});
@@ -0,0 +1,115 @@
+import { describe, expect, it } from 'vitest';
+import { formatRedirects, type ExportableRedirect } from '../utils/export-formats';
+
+const redirect = (fields: Partial<ExportableRedirect>): ExportableRedirect => ({
+  documentId: fields.fromPath,
+  fromPath: '/x',
+  toUrl: '/y',
+  statusCode: 'Redirect-301',
+  matchType: 'exact',
+  queryPolicy: 'preserve',
+  isActive: true,
+  ...fields,
+});
+
+const mapValue = (content: string) => /"(\d{3} [^"]*)";/.exec(content)?.[1];
+
+describe('nginx export', () => {
+  it('appends the request query to a destination with its own query only when there is one', () => {
+    const { content } = formatRedirects('nginx', [redirect({ toUrl: '/y?utm_source=a' })]);
+
+    expect(mapValue(content)).toBe('301 /y?utm_source=a$cms_and_args');
+    expect(content).toContain('map $args $cms_and_args {\n  "" "";\n  default "&$args";\n}');
+  });
+
+  it('forwards the query with $is_args to a destination without one', () => {
+    const { content } = formatRedirects('nginx', [redirect({})]);
+
+    expect(mapValue(content)).toBe('301 /y$is_args$args');
+    expect(content).not.toContain('$cms_and_args');
+  });
+
+  it('forwards nothing for drop without dropParams', () => {
+    const result = formatRedirects('nginx', [redirect({ toUrl: '/y?utm_source=a', queryPolicy: 'drop' })]);
+
+    expect(mapValue(result.content)).toBe('301 /y?utm_source=a');
+    expect(result.warnings).toEqual([]);
+  });
+
+  it('notes that drop with dropParams forwards the query unchanged', () => {
+    const { warnings } = formatRedirects('nginx', [redirect({ queryPolicy: 'drop', dropParams: 'utm_*' })]);
+
+    expect(warnings).toEqual([{ fromPath: '/x', message: expect.stringContaining("can't drop single parameters") }]);
+  });
+});
+
+describe('apache export', () => {
+  it('discards the query for drop without dropParams and appends it otherwise', () => {
+    const { content } = formatRedirects('apache', [
+      redirect({ fromPath: '/a', toUrl: '/b?k=1', queryPolicy: 'drop' }),
+      redirect({ fromPath: '/c', toUrl: '/d?k=1' }),
+    ]);
+
+    expect(content).toContain('RewriteRule ^ /b?k=1 [R=301,L,NE,QSD]');
+    expect(content).toContain('RewriteRule ^ /d?k=1 [R=301,L,NE,QSA]');
+  });
+});
+
+describe('csv export', () => {
+  it('keeps every redirect and quotes cells that need it', () => {
+    const { content, exported } = formatRedirects('csv', [
+      redirect({ fromPath: '/a', toUrl: '/b', notes: 'Moved, "again"' }),
+      redirect({ fromPath: '/off', isActive: false }),
+    ]);
+
+    expect(exported).toBe(2);
+    expect(content.split('\n').slice(0, 3)).toEqual([
+      'fromPath,toUrl,statusCode,matchType,queryPolicy,queryMatch,dropParams,sourceHost,activeFrom,activeUntil,isActive,notes',
+      '/a,/b,301,exact,preserve,,,,,,true,"Moved, ""again"""',
+      '/off,/y,301,exact,preserve,,,,,,false,',
+    ]);
+  });
+});
+
+describe('edge exports', () => {
+  it('skips inactive and scheduled-out redirects', () => {
+    const { skipped, exported } = formatRedirects('nginx', [
+      redirect({ fromPath: '/off', isActive: false }),
+      redirect({ fromPath: '/later', activeFrom: '2999-01-01T00:00:00Z' }),
+      redirect({ fromPath: '/on' }),
+    ]);
+
+    expect(exported).toBe(1);
+    expect(skipped.map((item) => item.fromPath)).toEqual(['/off', '/later']);
+  });
+
+  it('translates wildcard captures into nginx and Apache group references', () => {
+    const wildcard = redirect({ fromPath: '/blog/:slug', toUrl: '/articles/:slug', matchType: 'wildcard' });
+
+    expect(mapValue(formatRedirects('nginx', [wildcard]).content)).toBe('301 /articles/$1$is_args$args');
+    expect(formatRedirects('apache', [wildcard]).content).toContain(
+      'RewriteCond %{REQUEST_URI} ^\\/blog\\/([^/]+)$\nRewriteRule ^ /articles/%1 [R=301,L,NE]',
+    );
+  });
+
+  it('writes prefix rules as Netlify splats and Vercel path patterns', () => {
+    const prefix = redirect({
+      fromPath: '/old',
+      toUrl: '/new/:splat',
+      matchType: 'prefix',
+      statusCode: 'Redirect-308',
+    });
+
+    expect(formatRedirects('netlify', [prefix]).content).toContain('/old/* /new/:splat 308!');
+    expect(JSON.parse(formatRedirects('vercel', [prefix]).content)).toEqual({
+      redirects: [{ source: '/old/:splat*', destination: '/new/:splat*', statusCode: 308 }],
+    });
+  });
+
+  it('skips regexes with numbered groups for Netlify and Vercel', () => {
+    const regex = redirect({ fromPath: '/p/(\\d+)', toUrl: '/products/$1', matchType: 'regex' });
+
+    expect(formatRedirects('netlify', [regex]).skipped).toHaveLength(1);
+    expect(formatRedirects('vercel', [regex]).skipped).toHaveLength(1);
+  });
+});
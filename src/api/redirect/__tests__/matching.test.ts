@@ -0,0 +1,151 @@
+import { describe, expect, it } from 'vitest';
+import {
+  applyParams,
+  buildRedirectTable,
+  getForwardedQuery,
+  matchRedirect,
+  matchesHostPattern,
+  type RedirectEntry,
+} from '../utils/matching';
+
+const match = (entries: RedirectEntry[], path: string, query = '', host: string | null = null) =>
+  matchRedirect(buildRedirectTable(entries), { path, query, host });
+
+describe('matchRedirect', () => {
+  it('matches wildcard segments, inner stars and a trailing splat', () => {
+    const entries: RedirectEntry[] = [
+      { fromPath: '/blog/:year/:slug', toUrl: '/articles/:slug', matchType: 'wildcard' },
+      { fromPath: '/files/*.pdf', toUrl: '/docs/$1', matchType: 'wildcard' },
+      { fromPath: '/shop/*', toUrl: '/store/:splat', matchType: 'wildcard' },
+    ];
+
+    expect(match(entries, '/blog/2024/hello')?.params).toEqual({ year: '2024', slug: 'hello' });
+    expect(match(entries, '/blog/2024/hello/extra')).toBeNull();
+    expect(match(entries, '/files/guide.pdf')?.params).toEqual({ '1': 'guide' });
+    expect(match(entries, '/shop/a/b')?.params).toEqual({ splat: 'a/b' });
+    expect(match(entries, '/shop')?.params).toEqual({ splat: '' });
+  });
+
+  it('matches a prefix and everything below it, but not a longer segment', () => {
+    const entries: RedirectEntry[] = [{ fromPath: '/old', toUrl: '/new/:splat', matchType: 'prefix' }];
+
+    expect(match(entries, '/old')?.params).toEqual({ splat: '' });
+    expect(match(entries, '/old/a/b')?.params).toEqual({ splat: 'a/b' });
+    expect(match(entries, '/older')).toBeNull();
+  });
+
+  it('matches a regex against the whole path with numbered and named groups', () => {
+    const entries: RedirectEntry[] = [
+      { fromPath: '/p/(\\d+)-(?<slug>[a-z-]+)', toUrl: '/products/$<slug>?id=$1', matchType: 'regex' },
+    ];
+
+    expect(match(entries, '/p/12-red-shoe')?.params).toEqual({ '1': '12', '2': 'red-shoe', slug: 'red-shoe' });
+    expect(match(entries, '/x/p/12-red-shoe')).toBeNull();
+  });
+
+  it('prefers exact paths, then wildcards, prefixes and regexes, then the longest literal part', () => {
+    const entries: RedirectEntry[] = [
+      { fromPath: '/a/.*', toUrl: '/regex', matchType: 'regex' },
+      { fromPath: '/a', toUrl: '/prefix', matchType: 'prefix' },
+      { fromPath: '/a/*', toUrl: '/wildcard', matchType: 'wildcard' },
+      { fromPath: '/a/b/*', toUrl: '/longer-wildcard', matchType: 'wildcard' },
+      { fromPath: '/a/b/c', toUrl: '/exact' },
+    ];
+
+    expect(match(entries, '/a/b/c')?.entry.toUrl).toBe('/exact');
+    expect(match(entries, '/a/b/d')?.entry.toUrl).toBe('/longer-wildcard');
+    expect(match(entries, '/a/x')?.entry.toUrl).toBe('/wildcard');
+    expect(match(entries.slice(0, 2), '/a/x')?.entry.toUrl).toBe('/prefix');
+    expect(match(entries.slice(0, 1), '/a/x')?.entry.toUrl).toBe('/regex');
+  });
+
+  it('reports and skips regexes that do not compile', () => {
+    const invalid: RedirectEntry[] = [];
+    const table = buildRedirectTable([{ fromPath: '/(', toUrl: '/x', matchType: 'regex' }], (entry) =>
+      invalid.push(entry),
+    );
+
+    expect(invalid).toHaveLength(1);
+    expect(table.patterns).toHaveLength(0);
+  });
+
+  it('applies match-exact and match-params query rules before query-agnostic ones', () => {
+    const entries: RedirectEntry[] = [
+      { fromPath: '/item', toUrl: '/any' },
+      { fromPath: '/item', toUrl: '/params', queryPolicy: 'match-params', queryMatch: 'id=1&lang' },
+      { fromPath: '/item', toUrl: '/exact', queryPolicy: 'match-exact', queryMatch: 'b=2&a=1' },
+    ];
+
+    expect(match(entries, '/item', 'a=1&b=2')?.entry.toUrl).toBe('/exact');
+    expect(match(entries, '/item', 'lang=de&id=1&x=y')?.entry.toUrl).toBe('/params');
+    expect(match(entries, '/item', 'id=1')?.entry.toUrl).toBe('/any');
+  });
+
+  it('prefers rules scoped to the request host and skips rules for other hosts', () => {
+    const entries: RedirectEntry[] = [
+      { fromPath: '/x', toUrl: '/any-host' },
+      { fromPath: '/x', toUrl: '/subdomain', sourceHost: '*.example.com' },
+      { fromPath: '/x', toUrl: '/www', sourceHost: 'www.example.com' },
+    ];
+
+    expect(match(entries, '/x', '', 'www.example.com')?.entry.toUrl).toBe('/www');
+    expect(match(entries, '/x', '', 'shop.example.com')?.entry.toUrl).toBe('/subdomain');
+    expect(match(entries, '/x', '', 'other.test')?.entry.toUrl).toBe('/any-host');
+    expect(match(entries.slice(1), '/x')).toBeNull();
+  });
+
+  it('only matches scheduled rules inside their window', () => {
+    const entries: RedirectEntry[] = [
+      { fromPath: '/sale', toUrl: '/always' },
+      { fromPath: '/sale', toUrl: '/live', activeFrom: '2026-01-01T00:00:00Z', activeUntil: '2026-02-01T00:00:00Z' },
+    ];
+    const table = buildRedirectTable(entries);
+
+    expect(matchRedirect(table, { path: '/sale' }, Date.parse('2026-01-15T00:00:00Z'))?.entry.toUrl).toBe('/live');
+    expect(matchRedirect(table, { path: '/sale' }, Date.parse('2026-02-01T00:00:00Z'))?.entry.toUrl).toBe('/always');
+  });
+});
+
+describe('matchesHostPattern', () => {
+  it('matches subdomains for *. patterns but not the bare domain', () => {
+    expect(matchesHostPattern('*.example.com', 'a.example.com')).toBe(true);
+    expect(matchesHostPattern('*.example.com', 'example.com')).toBe(false);
+    expect(matchesHostPattern('https://Example.com:443/', 'example.com')).toBe(true);
+    expect(matchesHostPattern('', 'anything.test')).toBe(true);
+  });
+});
+
+describe('applyParams', () => {
+  it('substitutes named, numbered and splat parameters and leaves unknown ones', () => {
+    expect(applyParams('/n/:slug/$1/$<id>/:splat/:missing', { slug: 's', '1': 'one', id: '7', splat: 'a/b' })).toBe(
+      '/n/s/one/7/a/b/:missing',
+    );
+  });
+});
+
+describe('getForwardedQuery', () => {
+  it('forwards the query for preserve and nothing for ignore or match-exact', () => {
+    expect(getForwardedQuery({ fromPath: '/x' }, 'a=1')).toBe('a=1');
+    expect(getForwardedQuery({ fromPath: '/x', queryPolicy: 'ignore' }, 'a=1')).toBe('');
+    expect(getForwardedQuery({ fromPath: '/x', queryPolicy: 'match-exact', queryMatch: 'a=1' }, 'a=1')).toBe('');
+  });
+
+  it('drops the whole query for drop without dropParams', () => {
+    expect(getForwardedQuery({ fromPath: '/x', queryPolicy: 'drop' }, 'utm_source=z&k=1')).toBe('');
+  });
+
+  it('drops only the listed parameters, with * suffix wildcards', () => {
+    expect(
+      getForwardedQuery(
+        { fromPath: '/x', queryPolicy: 'drop', dropParams: 'utm_*, fbclid' },
+        'utm_source=z&k=1&fbclid=f',
+      ),
+    ).toBe('k=1');
+  });
+
+  it('forwards everything but the matched parameters for match-params', () => {
+    expect(getForwardedQuery({ fromPath: '/x', queryPolicy: 'match-params', queryMatch: 'id=1' }, 'id=1&page=2')).toBe(
+      'page=2',
+    );
+  });
+});
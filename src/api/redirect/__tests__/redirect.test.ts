@@ -0,0 +1,96 @@
+import { describe, expect, it, vi } from 'vitest';
+
+vi.mock('@strapi/strapi', () => ({
+  factories: { createCoreService: (_uid: string, build: unknown) => build },
+}));
+
+const { default: buildService } = await import('../services/redirect');
+
+type Service = {
+  analyze: () => Promise<unknown[]>;
+  checkDestinations: (traces: unknown[]) => Promise<unknown[]>;
+  flattenChains: () => Promise<Array<{ documentId: string; toUrl: string }>>;
+};
+
+// A redirect saved before matchType and queryPolicy existed: both are null in the database.
+const legacyChain = {
+  kind: 'chain',
+  entry: {
+    documentId: 'a',
+    fromPath: '/a',
+    toUrl: '/b',
+    statusCode: 'Redirect-301',
+    matchType: null,
+    queryPolicy: null,
+  },
+  hops: ['/a', '/b', '/c'],
+  finalDestination: '/c',
+};
+
+const createService = (update: (params: Record<string, unknown>) => Promise<unknown>) => {
+  const publish = vi.fn();
+  const service = (buildService as (context: unknown) => Service)({
+    strapi: { documents: () => ({ update, publish }) },
+  });
+
+  service.analyze = async () => [legacyChain];
+  service.checkDestinations = async (traces) => traces.map(() => null);
+
+  return { service, publish };
+};
+
+describe('flattenChains', () => {
+  it('writes the default matchType and queryPolicy when flattening a legacy redirect', async () => {
+    const update = vi.fn(async () => ({}));
+    const { service, publish } = createService(update);
+
+    const flattened = await service.flattenChains();
+
+    expect(flattened).toEqual([expect.objectContaining({ documentId: 'a', toUrl: '/c' })]);
+    expect(update).toHaveBeenCalledWith({
+      documentId: 'a',
+      data: { toUrl: '/c', matchType: 'exact', queryPolicy: 'preserve' },
+      status: 'published',
+    });
+    expect(publish).not.toHaveBeenCalled();
+  });
+
+  it('changes and publishes the draft in one call, so a rejected publish leaves nothing half-written', async () => {
+    const update = vi.fn(async () => {
+      throw new Error('matchType must be defined.');
+    });
+    const { service, publish } = createService(update);
+
+    await expect(service.flattenChains()).rejects.toThrow('matchType must be defined.');
+    expect(update).toHaveBeenCalledTimes(1);
+    expect(publish).not.toHaveBeenCalled();
+  });
+});
+
+describe('redirectMovedUrl', () => {
+  it('fills the defaults and publishes in one update when retargeting a legacy redirect', async () => {
+    const legacy = { documentId: 'old', fromPath: '/blog/old', toUrl: '/x', matchType: null, queryPolicy: null };
+    const update = vi.fn(async () => ({}));
+    const service = (
+      buildService as (context: unknown) => {
+        redirectMovedUrl: (oldPath: string, newPath: string, reason: string) => Promise<{ action: string }>;
+      }
+    )({
+      strapi: {
+        documents: () => ({
+          findMany: async ({ status }: { status: string }) => (status === 'draft' ? [legacy] : [{ documentId: 'old' }]),
+          update,
+        }),
+      },
+    });
+
+    const change = await service.redirectMovedUrl('/blog/old', '/blog/new', 'Blog post slug');
+
+    expect(change.action).toBe('updated');
+    expect(update).toHaveBeenCalledWith({
+      documentId: 'old',
+      data: expect.objectContaining({ toUrl: '/blog/new', matchType: 'exact', queryPolicy: 'preserve' }),
+      status: 'published',
+    });
+  });
+});
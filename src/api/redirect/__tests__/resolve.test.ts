@@ -0,0 +1,90 @@
+import { describe, expect, it } from 'vitest';
+import { sortHostRules } from '../../host-rule/utils/host-rules';
+import { buildRedirectTable, type RedirectEntry } from '../utils/matching';
+import { followRedirects, resolveRequest } from '../utils/resolve';
+
+const table = (entries: RedirectEntry[]) => buildRedirectTable(entries);
+
+describe('resolveRequest', () => {
+  it('redirects with the captured parameters and the forwarded query', () => {
+    const decision = resolveRequest(
+      table([{ fromPath: '/blog/:slug', toUrl: '/articles/:slug', matchType: 'wildcard', statusCode: 'Redirect-302' }]),
+      [],
+      { path: '/blog/hello/', query: 'utm=1', protocol: 'https' },
+    );
+
+    expect(decision).toMatchObject({ kind: 'redirect', status: 302, location: '/articles/hello?utm=1' });
+  });
+
+  it('answers gone rules without a location', () => {
+    const decision = resolveRequest(table([{ fromPath: '/old', statusCode: 'Gone-410' }]), [], {
+      path: '/old',
+      protocol: 'https',
+    });
+
+    expect(decision).toMatchObject({ kind: 'gone', status: 410 });
+  });
+
+  it("leaves Strapi's own paths and redirects back to the request alone", () => {
+    const redirects = table([
+      { fromPath: '/admin', toUrl: '/elsewhere' },
+      { fromPath: '/same', toUrl: '/same?b=2&a=1', queryPolicy: 'ignore' },
+    ]);
+
+    expect(resolveRequest(redirects, [], { path: '/admin', protocol: 'https' })).toBeNull();
+    expect(resolveRequest(redirects, [], { path: '/same', query: 'a=1&b=2', protocol: 'https' })).toBeNull();
+  });
+
+  it('applies host rules before path redirects and keeps the path and query', () => {
+    const hostRules = sortHostRules([{ host: 'example.com', targetHost: 'www.example.com', forceHttps: true }]);
+    const decision = resolveRequest(table([{ fromPath: '/a', toUrl: '/b' }]), hostRules, {
+      path: '/a',
+      query: 'q=1',
+      host: 'Example.com:80',
+      protocol: 'http',
+    });
+
+    expect(decision).toMatchObject({ kind: 'host', status: 301, location: 'https://www.example.com/a?q=1' });
+  });
+});
+
+describe('followRedirects', () => {
+  it('follows a chain through host rules and path redirects to the final location', () => {
+    const hostRules = sortHostRules([{ host: 'example.com', targetHost: 'www.example.com' }]);
+    const redirects = table([
+      { fromPath: '/a', toUrl: '/b' },
+      { fromPath: '/b', toUrl: '/c' },
+    ]);
+    const request = { path: '/a', host: 'example.com', protocol: 'https' };
+    const first = resolveRequest(redirects, hostRules, request);
+
+    expect(followRedirects(redirects, hostRules, request, first!)).toEqual({
+      location: 'https://www.example.com/c',
+      hops: ['https://www.example.com/a', 'https://www.example.com/b', 'https://www.example.com/c'],
+      status: null,
+    });
+  });
+
+  it('reports a loop with a null location', () => {
+    const redirects = table([
+      { fromPath: '/a', toUrl: '/b' },
+      { fromPath: '/b', toUrl: '/a' },
+    ]);
+    const request = { path: '/a', protocol: 'https' };
+
+    expect(followRedirects(redirects, [], request, resolveRequest(redirects, [], request)!).location).toBeNull();
+  });
+
+  it('ends on a gone rule with its status', () => {
+    const redirects = table([
+      { fromPath: '/a', toUrl: '/b' },
+      { fromPath: '/b', statusCode: 'Gone-410' },
+    ]);
+    const request = { path: '/a', protocol: 'https' };
+
+    expect(followRedirects(redirects, [], request, resolveRequest(redirects, [], request)!)).toMatchObject({
+      location: '/b',
+      status: 410,
+    });
+  });
+});
@@ -2,6 +2,94 @@
  * redirect controller
  */
 
-import { factories } from '@strapi/strapi';
+import { factories, type Core } from '@strapi/strapi';
 
-export default factories.createCoreController('api::redirect.redirect');
+// How long clients and CDNs may cache a resolve answer. Scheduled redirects can change it.
+const RESOLVE_MAX_AGE = Number(process.env.REDIRECT_RESOLVE_MAX_AGE || 60);
+
+type Context = Parameters<Core.ControllerHandler>[0];
+
+// Reads the URL to resolve from the query, or answers 400 and returns null.
+function readResolveRequest(ctx: Context) {
+  const { path, host, query, protocol = 'https' } = ctx.query as Record<string, string | undefined>;
+
+  if (typeof path !== 'string' || !path.startsWith('/')) {
+    ctx.badRequest('path is required and must start with /.');
+    return null;
+  }
+
+  if (!['http', 'https'].includes(protocol)) {
+    ctx.badRequest("protocol must be 'http' or 'https'.");
+    return null;
+  }
+
+  const [pathname, ...queryParts] = path.split('#')[0].split('?');
+
+  return {
+    path: pathname,
+    query: typeof query === 'string' ? query.replace(/^\?/, '') : queryParts.join('?'),
+    host: typeof host === 'string' ? host : null,
+    protocol,
+  };
+}
+
+export default factories.createCoreController('api::redirect.redirect', ({ strapi }) => ({
+  /**
+   * Exports redirects in the format given by `?format=` (see the redirect service).
+   * Used by `npm run export:redirects`.
+   */
+  async export(ctx) {
+    ctx.body = {
+      data: await strapi.service('api::redirect.redirect').exportRedirects(ctx.query),
+    };
+  },
+
+  /**
+   * Resolves `?path=` the way the redirects middleware would, for a frontend that
+   * renders routes itself. Optional `host`, `query` (or a query in `path`) and `protocol`
+   * (default https). Public, so it never counts a hit; see `visit`.
+   */
+  async resolve(ctx) {
+    const request = readResolveRequest(ctx);
+    if (!request) return;
+
+    ctx.set('Cache-Control', `public, max-age=${RESOLVE_MAX_AGE}`);
+    ctx.body = { data: await strapi.service('api::redirect.redirect').resolve(request) };
+  },
+
+  /**
+   * Resolves like `resolve` and counts a hit for the matched redirect, with the visitor's
+   * `Referer` header, which the frontend forwards. Needs an API token, and the answer isn't
+   * cached so every visit reaches the counter.
+   */
+  async visit(ctx) {
+    const request = readResolveRequest(ctx);
+    if (!request) return;
+
+    ctx.set('Cache-Control', 'no-store');
+    ctx.body = {
+      data: await strapi
+        .service('api::redirect.redirect')
+        .resolve(request, { track: true, referrer: ctx.get('referer') || null }),
+    };
+  },
+
+  /**
+   * The whole redirect table in match order, for edge workers. Answers 304 when the
+   * `If-None-Match` version is still current.
+   */
+  async table(ctx) {
+    const { version, data } = await strapi.service('api::redirect.redirect').getEdgeTable();
+
+    ctx.status = 200;
+    ctx.set('ETag', `"${version}"`);
+    ctx.set('Cache-Control', 'no-cache');
+
+    if (ctx.fresh) {
+      ctx.status = 304;
+      return;
+    }
+
+    ctx.body = { data, meta: { version } };
+  },
+}));
@@ -0,0 +1,15 @@
+/**
+ * redirect export router
+ *
+ * Registered before the core router so `/redirects/export` isn't read as a document id.
+ */
+
+export default {
+  routes: [
+    {
+      method: 'GET',
+      path: '/redirects/export',
+      handler: 'redirect.export',
+    },
+  ],
+};
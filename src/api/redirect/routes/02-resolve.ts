@@ -0,0 +1,30 @@
+/**
+ * redirect resolution router
+ *
+ * For the frontend and edge workers. Registered before the core router so
+ * `/redirects/resolve`, `/redirects/visit` and `/redirects/table` aren't read as document ids.
+ */
+
+export default {
+  routes: [
+    {
+      method: 'GET',
+      path: '/redirects/resolve',
+      handler: 'redirect.resolve',
+      config: {
+        // Answers what the website itself would do for a URL, so it needs no token.
+        auth: false,
+      },
+    },
+    {
+      method: 'GET',
+      path: '/redirects/visit',
+      handler: 'redirect.visit',
+    },
+    {
+      method: 'GET',
+      path: '/redirects/table',
+      handler: 'redirect.table',
+    },
+  ],
+};
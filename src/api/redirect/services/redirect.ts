@@ -3,5 +3,572 @@
  */
 
 import { factories } from '@strapi/strapi';
+import { errors } from '@strapi/utils';
+import { listContentPaths, listPublishedPaths } from '../../../utils/public-urls';
+import {
+  analyzeRedirects,
+  describeTrace,
+  findShadowedPaths,
+  traceCandidates,
+  traceRedirects,
+  type RedirectTrace,
+} from '../utils/analysis';
+import { checkDestination, type DestinationProblem } from '../utils/destinations';
+import { getEdgeTableVersion, toEdgeTable, type EdgeTable } from '../utils/edge-table';
+import { EXPORT_FORMATS, formatRedirects, type ExportFormat, type ExportableRedirect } from '../utils/export-formats';
+import {
+  buildRedirectTable,
+  getScheduleState,
+  isRedirectStatus,
+  normalizeHost,
+  normalizePath,
+  toHttpStatus,
+  toMatchType,
+  toQueryPolicy,
+  type RedirectEntry,
+  type RedirectTable,
+} from '../utils/matching';
+import { followRedirects, resolveRequest, type ResolveRequest } from '../utils/resolve';
 
-export default factories.createCoreService('api::redirect.redirect');
+// Matches the varchar(255) a Strapi string column gets on Postgres and MySQL.
+const MAX_NOTES_LENGTH = 255;
+
+// 'report' only flags a redirect into missing content; 'publish' also rejects publishing it.
+// Reporting is the default because the website has routes the CMS doesn't know about.
+const DESTINATION_CHECK = process.env.REDIRECT_DESTINATION_CHECK === 'publish' ? 'publish' : 'report';
+
+// Website routes that have no CMS entry, such as listing pages. A trailing /* covers everything below.
+const STATIC_PATHS = (process.env.REDIRECT_STATIC_PATHS ?? '/,/blog,/news')
+  .split(',')
+  .map((path) => path.trim())
+  .filter(Boolean);
+
+const DESTINATION_REPORT_KEY = { type: 'api', name: 'redirect', key: 'destination-report' };
+
+type DestinationReport = {
+  checkedAt: string;
+  /** Live and upcoming redirects checked. */
+  checked: number;
+  broken: Array<
+    DestinationProblem & {
+      documentId: string;
+      fromPath: string;
+      toUrl: string;
+      /** When this redirect was first reported with this destination. */
+      since: string;
+    }
+  >;
+};
+
+export default factories.createCoreService('api::redirect.redirect', ({ strapi }) => {
+  let table: RedirectTable | null = null;
+  let pendingRefresh: Promise<RedirectTable> | null = null;
+  let refreshRequested = false;
+  // The edge table built from the current redirect table and host rules; rebuilt when either reloads.
+  let edgeTable: { table: RedirectTable; hostRules: unknown; data: EdgeTable; version: string } | null = null;
+
+  // Expired redirects are left out; upcoming ones are loaded and matched once their window opens.
+  const loadLiveEntries = async () =>
+    (await strapi.documents('api::redirect.redirect').findMany({
+      filters: {
+        isActive: true,
+        $or: [{ activeUntil: { $null: true } }, { activeUntil: { $gt: new Date().toISOString() } }],
+      },
+      status: 'published',
+      fields: [
+        'fromPath',
+        'toUrl',
+        'statusCode',
+        'matchType',
+        'queryPolicy',
+        'queryMatch',
+        'dropParams',
+        'activeFrom',
+        'activeUntil',
+        'sourceHost',
+      ],
+      sort: ['id:asc'],
+    })) as RedirectEntry[];
+
+  const loadTable = async () =>
+    buildRedirectTable(await loadLiveEntries(), (entry, error) => {
+      strapi.log.warn(
+        `Skipping redirect ${entry.documentId} (${entry.fromPath}): ${error instanceof Error ? error.message : error}`,
+      );
+    });
+
+  return {
+    /**
+     * Rebuilds the in-memory table of published, active redirects.
+     * Calls made while a rebuild is running are coalesced into one follow-up rebuild,
+     * so a burst of writes (e.g. a CSV import) doesn't queue a query per write.
+     */
+    refreshTable() {
+      if (pendingRefresh) {
+        refreshRequested = true;
+        return pendingRefresh;
+      }
+
+      pendingRefresh = (async () => {
+        try {
+          do {
+            refreshRequested = false;
+            table = await loadTable();
+          } while (refreshRequested);
+
+          return table;
+        } finally {
+          pendingRefresh = null;
+        }
+      })();
+
+      return pendingRefresh;
+    },
+
+    async getTable() {
+      return table ?? this.refreshTable();
+    },
+
+    /**
+     * Resolves a request the way the redirects middleware would, and follows the result
+     * through any further redirects. Counts a hit for the matched redirect, with the
+     * visitor's `referrer`, when `track` is set.
+     */
+    async resolve(
+      request: ResolveRequest,
+      { track = false, referrer = null }: { track?: boolean; referrer?: string | null } = {},
+    ) {
+      const [redirectTable, hostRules] = await Promise.all([
+        this.getTable(),
+        strapi.service('api::host-rule.host-rule').getRules(),
+      ]);
+      const decision = resolveRequest(redirectTable, hostRules, request);
+      const requested = {
+        path: normalizePath(request.path),
+        query: request.query ?? '',
+        host: normalizeHost(request.host),
+      };
+
+      if (!decision) {
+        return { ...requested, action: 'none', status: null, location: null, final: null, rule: null };
+      }
+
+      if (decision.kind !== 'host' && track) {
+        strapi.service('api::redirect-hit.redirect-hit').record(decision.entry, referrer);
+      }
+
+      const rule =
+        decision.kind === 'host'
+          ? {
+              type: 'host-rule',
+              documentId: decision.rule.documentId,
+              host: decision.rule.host,
+              targetHost: decision.rule.targetHost ?? null,
+              forceHttps: Boolean(decision.rule.forceHttps),
+            }
+          : {
+              type: 'redirect',
+              documentId: decision.entry.documentId,
+              fromPath: decision.entry.fromPath,
+              toUrl: decision.entry.toUrl ?? null,
+              matchType: toMatchType(decision.entry.matchType),
+              sourceHost: decision.entry.sourceHost ?? null,
+              queryPolicy: toQueryPolicy(decision.entry.queryPolicy),
+              queryMatch: decision.entry.queryMatch ?? null,
+            };
+
+      if (decision.kind === 'gone') {
+        return { ...requested, action: 'gone', status: decision.status, location: null, final: null, rule };
+      }
+
+      return {
+        ...requested,
+        action: decision.kind,
+        status: decision.status,
+        location: decision.location,
+        final: followRedirects(redirectTable, hostRules, request, decision),
+        rule,
+      };
+    },
+
+    /**
+     * The redirect table and host rules as compact JSON for edge workers, with a version
+     * hash to use as an ETag.
+     */
+    async getEdgeTable() {
+      const [redirectTable, hostRules] = await Promise.all([
+        this.getTable(),
+        strapi.service('api::host-rule.host-rule').getRules(),
+      ]);
+
+      if (!edgeTable || edgeTable.table !== redirectTable || edgeTable.hostRules !== hostRules) {
+        const data = toEdgeTable(redirectTable, hostRules);
+        edgeTable = { table: redirectTable, hostRules, data, version: getEdgeTableVersion(data) };
+      }
+
+      return { version: edgeTable.version, data: edgeTable.data };
+    },
+
+    /**
+     * Lists live redirects that point at another redirect (chains), never
+     * settle (loops) or point at their own source.
+     */
+    async analyze() {
+      return analyzeRedirects(await loadLiveEntries());
+    },
+
+    /**
+     * Lists published, active redirects that have an `activeFrom` or `activeUntil`
+     * window, with whether the window is upcoming, live or expired.
+     */
+    async listScheduled() {
+      const entries = (await strapi.documents('api::redirect.redirect').findMany({
+        filters: {
+          isActive: true,
+          $or: [{ activeFrom: { $notNull: true } }, { activeUntil: { $notNull: true } }],
+        },
+        status: 'published',
+        fields: ['fromPath', 'toUrl', 'statusCode', 'matchType', 'activeFrom', 'activeUntil'],
+        sort: ['activeFrom:asc', 'id:asc'],
+      })) as RedirectEntry[];
+      const now = Date.now();
+
+      return entries.map((entry) => ({
+        documentId: entry.documentId,
+        fromPath: entry.fromPath,
+        toUrl: entry.toUrl,
+        statusCode: entry.statusCode,
+        activeFrom: entry.activeFrom ?? null,
+        activeUntil: entry.activeUntil ?? null,
+        state: getScheduleState(entry, now),
+      }));
+    },
+
+    /**
+     * Traces redirects that are about to be written as if they were already live.
+     * Returns one trace per candidate, or null when the candidate is incomplete or not a redirect.
+     */
+    async traceCandidates(candidates: RedirectEntry[]): Promise<Array<RedirectTrace | null>> {
+      return traceCandidates(await loadLiveEntries(), candidates);
+    },
+
+    /**
+     * Returns, per candidate, the published page, blog post and news article paths
+     * it would redirect away from.
+     */
+    async findShadowedContent(candidates: RedirectEntry[]) {
+      return findShadowedPaths(candidates, await listPublishedPaths(strapi));
+    },
+
+    /**
+     * Checks where each traced redirect finally lands against published content, drafts
+     * and REDIRECT_STATIC_PATHS. Returns a problem or null per trace.
+     */
+    async checkDestinations(traces: Array<RedirectTrace | null>) {
+      const known = { ...(await listContentPaths(strapi)), staticPaths: STATIC_PATHS };
+
+      return traces.map((trace) => checkDestination(trace, known));
+    },
+
+    /**
+     * Whether publishing `candidate` into a broken destination is rejected. Redirects
+     * outside their schedule window aren't, since the content may not exist yet.
+     */
+    blocksBrokenDestination(candidate: RedirectEntry) {
+      return DESTINATION_CHECK === 'publish' && ['always', 'live'].includes(getScheduleState(candidate));
+    },
+
+    /**
+     * Rejects a create, update or publish that would leave a redirect without a
+     * destination or make a redirect loop, and publishing a redirect into content
+     * that doesn't exist. The candidate is the stored draft merged with the incoming data.
+     */
+    async validateForSave(
+      action: string,
+      params: {
+        documentId?: string;
+        status?: string;
+        data?: Partial<RedirectEntry> & { isActive?: boolean };
+        validatedInBatch?: boolean;
+      },
+    ) {
+      const current = params.documentId
+        ? await strapi.documents('api::redirect.redirect').findOne({ documentId: params.documentId, status: 'draft' })
+        : null;
+      const candidate = {
+        ...(current ?? {}),
+        ...(action === 'publish' ? {} : (params.data ?? {})),
+        documentId: params.documentId,
+      } as RedirectEntry & { isActive?: boolean };
+
+      if (isRedirectStatus(candidate.statusCode) && !candidate.toUrl?.trim()) {
+        throw new errors.ValidationError('toUrl is required for 301, 302, 307 and 308 redirects.');
+      }
+
+      if (normalizeHost(candidate.sourceHost).replace(/^\*\./, '').includes('*')) {
+        throw new errors.ValidationError('sourceHost must be a hostname or a leading wildcard such as *.example.com.');
+      }
+
+      if (toQueryPolicy(candidate.queryPolicy) === 'match-params' && !candidate.queryMatch?.trim()) {
+        throw new errors.ValidationError('queryMatch must list at least one parameter for the match-params policy.');
+      }
+
+      if (
+        candidate.activeFrom &&
+        candidate.activeUntil &&
+        new Date(candidate.activeUntil).getTime() <= new Date(candidate.activeFrom).getTime()
+      ) {
+        throw new errors.ValidationError('activeUntil must be later than activeFrom.');
+      }
+
+      // Imports trace and check a whole file against the table before writing it, so their
+      // rows skip the per-save scans here.
+      if (candidate.isActive === false || params.validatedInBatch) {
+        return;
+      }
+
+      const [trace] = await this.traceCandidates([candidate]);
+
+      if (trace?.kind === 'loop') {
+        throw new errors.ValidationError(`This redirect would create a loop: ${describeTrace(trace)}`);
+      }
+
+      if (trace?.kind === 'self') {
+        throw new errors.ValidationError(`This redirect points to its own source: ${describeTrace(trace)}`);
+      }
+
+      const isPublishing = action === 'publish' || params.status === 'published';
+
+      if (isPublishing && this.blocksBrokenDestination(candidate)) {
+        const [problem] = await this.checkDestinations([trace]);
+
+        if (problem) {
+          throw new errors.ValidationError(
+            `${problem.message} Publish the destination first, or save this redirect as a draft.`,
+          );
+        }
+      }
+    },
+
+    async getDestinationReport() {
+      return ((await strapi.store.get(DESTINATION_REPORT_KEY)) as DestinationReport | null) ?? null;
+    },
+
+    /**
+     * Checks the destination of every live and upcoming redirect, stores the result as
+     * the destination report and logs redirects that broke since the last run.
+     */
+    async runDestinationReport(): Promise<DestinationReport> {
+      const previous = await this.getDestinationReport();
+      const traces = traceRedirects(await loadLiveEntries());
+      const problems = await this.checkDestinations(traces);
+      const checkedAt = new Date().toISOString();
+
+      const broken = traces.flatMap((trace, index) => {
+        const problem = problems[index];
+        if (!problem) return [];
+
+        const earlier = previous?.broken.find(
+          (item) => item.documentId === trace.entry.documentId && item.destination === problem.destination,
+        );
+
+        return [
+          {
+            ...problem,
+            documentId: trace.entry.documentId,
+            fromPath: trace.entry.fromPath,
+            toUrl: trace.entry.toUrl,
+            since: earlier?.since ?? checkedAt,
+          },
+        ];
+      });
+
+      const report = { checkedAt, checked: traces.length, broken };
+      await strapi.store.set({ ...DESTINATION_REPORT_KEY, value: report });
+
+      const fresh = broken.filter((item) => item.since === checkedAt);
+      if (fresh.length > 0) {
+        strapi.log.warn(
+          `${fresh.length} redirect(s) now lead to missing or unpublished content: ${fresh
+            .slice(0, 5)
+            .map((item) => `${item.fromPath} → ${item.destination}`)
+            .join(', ')}${fresh.length > 5 ? ', …' : ''}`,
+        );
+      }
+
+      return report;
+    },
+
+    /**
+     * Keeps an old public URL working after a page or article moves: points a 301 from
+     * `oldPath` at `newPath`, retargets redirects that pointed at `oldPath`, and
+     * deactivates redirects from `newPath`, which is a live URL again. Each changed
+     * redirect gets a note and, when it was already published, is republished.
+     */
+    async redirectMovedUrl(oldPath: string, newPath: string, reason: string) {
+      const documents = strapi.documents('api::redirect.redirect');
+      const note = `${reason} changed from ${oldPath} to ${newPath} on ${new Date().toISOString().slice(0, 10)}.`;
+      const withNote = (notes?: string | null) => (notes ? `${notes} | ${note}` : note).slice(-MAX_NOTES_LENGTH);
+      const variants = (path: string) => [path, `${path}/`];
+      // Only plain redirects are managed here; host, query and pattern rules are left to editors.
+      const isPlain = (entry: RedirectEntry) =>
+        toMatchType(entry.matchType) === 'exact' &&
+        !entry.sourceHost &&
+        !['match-exact', 'match-params'].includes(toQueryPolicy(entry.queryPolicy));
+
+      const related = (await documents.findMany({
+        filters: {
+          $or: [
+            { fromPath: { $in: [...variants(oldPath), ...variants(newPath)] } },
+            { toUrl: { $in: variants(oldPath) } },
+          ],
+        },
+        status: 'draft',
+      })) as Array<RedirectEntry & { isActive?: boolean; notes?: string | null }>;
+      const publishedIds = new Set(
+        (
+          await documents.findMany({
+            filters: { documentId: { $in: related.map((entry) => entry.documentId) } },
+            status: 'published',
+            fields: ['documentId'],
+          })
+        ).map((entry) => entry.documentId),
+      );
+
+      // Writes matchType and queryPolicy too, which redirects saved before they existed lack,
+      // and publishes in the same update so a rejected publish leaves the draft unchanged.
+      const save = async (entry: RedirectEntry, data: Record<string, unknown>, publish: boolean) => {
+        await documents.update({
+          documentId: entry.documentId,
+          data: { matchType: toMatchType(entry.matchType), queryPolicy: toQueryPolicy(entry.queryPolicy), ...data },
+          ...(publish ? { status: 'published' as const } : {}),
+        });
+      };
+
+      const reopened = related.filter(
+        (entry) => isPlain(entry) && normalizePath(entry.fromPath) === newPath && entry.isActive !== false,
+      );
+      for (const entry of reopened) {
+        await save(entry, { isActive: false, notes: withNote(entry.notes) }, publishedIds.has(entry.documentId));
+      }
+
+      const existing = related.find((entry) => isPlain(entry) && normalizePath(entry.fromPath) === oldPath);
+      const data = { toUrl: newPath, statusCode: 'Redirect-301' as const, isActive: true };
+      let documentId = existing?.documentId;
+
+      if (existing) {
+        await save(existing, { ...data, notes: withNote(existing.notes) }, true);
+      } else {
+        documentId = (
+          await documents.create({
+            data: { ...data, fromPath: oldPath, matchType: 'exact', queryPolicy: 'preserve', notes: note },
+            status: 'published',
+          })
+        ).documentId;
+      }
+
+      const retargeted = related.filter(
+        (entry) =>
+          entry.documentId !== documentId &&
+          !reopened.includes(entry) &&
+          entry.isActive !== false &&
+          normalizePath(entry.toUrl ?? '') === oldPath &&
+          !/^https?:\/\//i.test(entry.toUrl ?? ''),
+      );
+      for (const entry of retargeted) {
+        await save(entry, { toUrl: newPath, notes: withNote(entry.notes) }, publishedIds.has(entry.documentId));
+      }
+
+      return {
+        documentId,
+        action: existing ? 'updated' : 'created',
+        retargeted: retargeted.length,
+        deactivated: reopened.length,
+      };
+    },
+
+    /**
+     * Exports redirects as CSV or as nginx, Apache, Netlify or Vercel rules.
+     * `status` picks the published or draft versions, `active` filters on `isActive`
+     * ('true', 'false' or 'all'), and `statusCodes` keeps only the given HTTP statuses.
+     */
+    async exportRedirects({
+      format,
+      status = 'published',
+      active = 'true',
+      statusCodes = '',
+    }: {
+      format?: string;
+      status?: string;
+      active?: string;
+      statusCodes?: string;
+    }) {
+      const normalizedFormat = String(format ?? 'csv').toLowerCase() as ExportFormat;
+
+      if (!EXPORT_FORMATS.includes(normalizedFormat)) {
+        throw new errors.ValidationError(`format must be one of ${EXPORT_FORMATS.join(', ')}.`);
+      }
+
+      if (!['published', 'draft'].includes(status)) {
+        throw new errors.ValidationError("status must be either 'published' or 'draft'.");
+      }
+
+      if (!['true', 'false', 'all'].includes(active)) {
+        throw new errors.ValidationError("active must be 'true', 'false' or 'all'.");
+      }
+
+      const codes = String(statusCodes)
+        .split(',')
+        .map((code) => Number(code.trim()))
+        .filter(Boolean);
+      const entries = (await strapi.documents('api::redirect.redirect').findMany({
+        filters: active === 'all' ? {} : { isActive: active === 'true' },
+        status: status as 'published' | 'draft',
+        sort: ['id:asc'],
+      })) as ExportableRedirect[];
+
+      return formatRedirects(
+        normalizedFormat,
+        codes.length ? entries.filter((entry) => codes.includes(toHttpStatus(entry.statusCode))) : entries,
+      );
+    },
+
+    /**
+     * Points every redirect in a chain straight at the chain's final destination.
+     * Each rewritten redirect is republished, so pending draft edits on it go live too.
+     * Chains that end in missing content are left alone: republishing them would be
+     * rejected, and the destination report lists them.
+     */
+    async flattenChains() {
+      const chains = (await this.analyze()).filter((trace) => trace.kind === 'chain');
+      const problems = await this.checkDestinations(chains);
+      const flattened = [];
+
+      for (const [index, trace] of chains.entries()) {
+        if (problems[index] && this.blocksBrokenDestination(trace.entry)) continue;
+
+        // One update that also publishes, so a rejected publish leaves the draft as it was.
+        // Rows saved before matchType and queryPolicy existed get their defaults written too.
+        await strapi.documents('api::redirect.redirect').update({
+          documentId: trace.entry.documentId,
+          data: {
+            toUrl: trace.finalDestination,
+            matchType: toMatchType(trace.entry.matchType),
+            queryPolicy: toQueryPolicy(trace.entry.queryPolicy),
+          },
+          status: 'published',
+        });
+
+        flattened.push({
+          documentId: trace.entry.documentId,
+          fromPath: trace.entry.fromPath,
+          previousToUrl: trace.entry.toUrl,
+          toUrl: trace.finalDestination,
+          hops: trace.hops,
+        });
+      }
+
+      return flattened;
+    },
+  };
+});
@@ -0,0 +1,207 @@
+import {
+  applyParams,
+  buildRedirectTable,
+  getForwardedQuery,
+  getQueryPart,
+  isRedirectStatus,
+  matchRedirect,
+  normalizeHost,
+  normalizePath,
+  normalizeQuery,
+  toMatchType,
+  toQueryPolicy,
+  withQueryString,
+  type RedirectEntry,
+  type RedirectTable,
+} from './matching';
+
+export type RedirectTrace = {
+  entry: RedirectEntry;
+  kind: 'ok' | 'self' | 'chain' | 'loop';
+  hops: string[];
+  /** Every redirect followed, starting with `entry`. */
+  entries: RedirectEntry[];
+  /** Where a request to `entry` finally ends up; null for loops. */
+  finalDestination: string | null;
+  /** The 410 or 451 rule that answers the final destination, if the chain ends on one. */
+  terminal: RedirectEntry | null;
+};
+
+// Guards against pathological regex rules that keep producing new paths.
+const MAX_HOPS = 20;
+
+const PLACEHOLDER_PATTERN = /:[A-Za-z_][A-Za-z0-9_]*|\$<[A-Za-z_][A-Za-z0-9_]*>|\$\d+/;
+
+const isAbsoluteUrl = (value: string) => /^https?:\/\//i.test(value);
+
+type Location = { path: string; query: string };
+
+/**
+ * Absolute URLs are treated as leaving the site, so they always end a chain.
+ */
+const toLocation = (destination: string): Location | null =>
+  isAbsoluteUrl(destination)
+    ? null
+    : { path: normalizePath(destination), query: normalizeQuery(getQueryPart(destination)) };
+
+const toKey = (location: Location) => (location.query ? `${location.path}?${location.query}` : location.path);
+
+/**
+ * The query a request needs to reach `entry`: its `queryMatch` for query-matching
+ * rules, none otherwise.
+ */
+const getSourceQuery = (entry: RedirectEntry) =>
+  ['match-exact', 'match-params'].includes(toQueryPolicy(entry.queryPolicy))
+    ? normalizeQuery(entry.queryMatch?.trim() ?? '')
+    : '';
+
+/**
+ * Follows a redirect through the table the way a client would, carrying the
+ * query string each rule forwards. Pattern redirects whose `toUrl` still needs
+ * captured values can't be followed without a concrete request path, so they
+ * are reported as `ok`.
+ */
+export const traceRedirect = (table: RedirectTable, entry: RedirectEntry): RedirectTrace => {
+  const fromPath = entry.fromPath.trim();
+  const firstDestination = entry.toUrl.trim();
+  const isExact = toMatchType(entry.matchType) === 'exact';
+  const sourceQuery = getSourceQuery(entry);
+  // Relative destinations stay on the request's host; a wildcard host can't be followed to one host.
+  const sourceHost = normalizeHost(entry.sourceHost).startsWith('*.') ? null : normalizeHost(entry.sourceHost) || null;
+  const trace: RedirectTrace = {
+    entry,
+    kind: 'ok',
+    hops: [toKey({ path: fromPath, query: sourceQuery })],
+    entries: [entry],
+    finalDestination: firstDestination,
+    terminal: null,
+  };
+
+  if (!isExact && PLACEHOLDER_PATTERN.test(firstDestination)) {
+    return trace;
+  }
+
+  const visited = new Set(isExact ? [toKey({ path: normalizePath(fromPath), query: sourceQuery })] : []);
+  let current = toLocation(withQueryString(firstDestination, getForwardedQuery(entry, sourceQuery)));
+
+  if (current !== null && visited.has(toKey(current))) {
+    // Stripping the query from a path and sending it back to the same path is a cleanup rule, not a loop.
+    if (['ignore', 'drop'].includes(toQueryPolicy(entry.queryPolicy))) return trace;
+
+    return { ...trace, kind: 'self', hops: [trace.hops[0], toKey(current)] };
+  }
+
+  while (current !== null) {
+    const currentKey = toKey(current);
+    trace.hops.push(currentKey);
+    visited.add(currentKey);
+
+    // Schedules are ignored: a redirect that loops during its window is still a loop.
+    const match = matchRedirect(table, { path: current.path, query: current.query, host: sourceHost }, null);
+
+    if (!match) break;
+
+    // A 410/451 rule answers the request itself, so the chain ends on this path.
+    if (!isRedirectStatus(match.entry.statusCode)) {
+      trace.terminal = match.entry;
+      break;
+    }
+
+    const destination = applyParams(match.entry.toUrl.trim(), match.params);
+    const next = toLocation(withQueryString(destination, getForwardedQuery(match.entry, current.query)));
+
+    // The middleware never redirects a request to its own location, so this hop is a dead end.
+    if (next !== null && toKey(next) === currentKey) break;
+
+    trace.entries.push(match.entry);
+    trace.finalDestination = destination;
+
+    if ((next !== null && visited.has(toKey(next))) || trace.entries.length > MAX_HOPS) {
+      trace.hops.push(next ? toKey(next) : destination);
+      return { ...trace, kind: 'loop', finalDestination: null };
+    }
+
+    current = next;
+  }
+
+  return { ...trace, kind: trace.entries.length > 1 ? 'chain' : 'ok' };
+};
+
+const isTraceable = (entry: RedirectEntry) =>
+  Boolean(entry.fromPath?.trim() && entry.toUrl?.trim() && isRedirectStatus(entry.statusCode));
+
+/**
+ * Traces every redirect in `entries` against a table of the same entries.
+ */
+export const traceRedirects = (entries: RedirectEntry[]) => {
+  const table = buildRedirectTable(entries);
+
+  return entries.filter(isTraceable).map((entry) => traceRedirect(table, entry));
+};
+
+export const analyzeRedirects = (entries: RedirectEntry[]) =>
+  traceRedirects(entries).filter((trace) => trace.kind !== 'ok');
+
+const isSameSource = (a: RedirectEntry, b: RedirectEntry) => {
+  const matchType = toMatchType(a.matchType);
+
+  if (matchType !== toMatchType(b.matchType)) return false;
+  if (normalizeHost(a.sourceHost) !== normalizeHost(b.sourceHost)) return false;
+  if (getSourceQuery(a) !== getSourceQuery(b) || toQueryPolicy(a.queryPolicy) !== toQueryPolicy(b.queryPolicy)) {
+    return false;
+  }
+  if (matchType === 'regex') return a.fromPath.trim() === b.fromPath.trim();
+  return normalizePath(a.fromPath) === normalizePath(b.fromPath);
+};
+
+/**
+ * Traces candidate redirects as if they were live alongside `liveEntries`.
+ * A candidate replaces the live entry with the same document id or the same source.
+ */
+export const traceCandidates = (liveEntries: RedirectEntry[], candidates: RedirectEntry[]) => {
+  const complete = candidates.filter(
+    (candidate) => candidate.fromPath?.trim() && (candidate.toUrl?.trim() || !isRedirectStatus(candidate.statusCode)),
+  );
+  const remaining = liveEntries.filter(
+    (entry) =>
+      !complete.some(
+        (candidate) =>
+          (candidate.documentId && candidate.documentId === entry.documentId) || isSameSource(candidate, entry),
+      ),
+  );
+  const table = buildRedirectTable([...complete, ...remaining]);
+
+  return candidates.map((candidate) =>
+    complete.includes(candidate) && isTraceable(candidate) ? traceRedirect(table, candidate) : null,
+  );
+};
+
+export const describeTrace = (trace: RedirectTrace) => trace.hops.join(' → ');
+
+/**
+ * Lists, for each candidate, the public `paths` it would redirect away from. Paths are
+ * requested without a query, and a host-scoped candidate is tried on its own host;
+ * `*.` wildcard hosts aren't tried.
+ */
+export const findShadowedPaths = (candidates: RedirectEntry[], paths: string[]) => {
+  const table = buildRedirectTable(candidates);
+  const hosts = [
+    null,
+    ...new Set(
+      candidates.map((candidate) => normalizeHost(candidate.sourceHost)).filter((host) => host && !host.startsWith('*.')),
+    ),
+  ];
+  const shadowed = new Map<RedirectEntry, string[]>();
+
+  for (const path of new Set(paths)) {
+    for (const host of hosts) {
+      const match = matchRedirect(table, { path, host }, null);
+      if (!match) continue;
+
+      const matched = shadowed.get(match.entry) ?? [];
+      if (!matched.includes(path)) shadowed.set(match.entry, [...matched, path]);
+    }
+  }
+
+  return candidates.map((candidate) => shadowed.get(candidate) ?? []);
+};
@@ -0,0 +1,68 @@
+import type { RedirectTrace } from './analysis';
+import { isReservedPath, normalizePath, toHttpStatus } from './matching';
+
+export type DestinationProblem = {
+  kind: 'missing' | 'unpublished' | 'gone';
+  /** The path the redirect finally sends visitors to. */
+  destination: string;
+  message: string;
+};
+
+export type KnownPaths = {
+  /** Public paths of published pages, articles and SEO routes. */
+  published: Set<string>;
+  /** Paths that only exist on drafts: content that was unpublished or never published. */
+  drafts: Set<string>;
+  /** Routes the website serves without CMS content; a trailing `/*` also matches everything below. */
+  staticPaths: string[];
+};
+
+const PLACEHOLDER_PATTERN = /:[A-Za-z_][A-Za-z0-9_]*|\$<[A-Za-z_][A-Za-z0-9_]*>|\$\d+/;
+
+const isStaticPath = (path: string, staticPaths: string[]) =>
+  staticPaths.some((pattern) => {
+    if (!pattern.endsWith('/*')) return normalizePath(pattern) === path;
+    const prefix = normalizePath(pattern.slice(0, -2));
+    return path === prefix || path.startsWith(prefix === '/' ? '/' : `${prefix}/`);
+  });
+
+/**
+ * Checks where a traced redirect finally lands. Absolute URLs, destinations that still
+ * need captured values and Strapi's own paths can't be checked and pass; loops are
+ * reported by the trace itself.
+ */
+export const checkDestination = (trace: RedirectTrace | null, known: KnownPaths): DestinationProblem | null => {
+  if (!trace || trace.kind === 'loop' || trace.kind === 'self') return null;
+
+  const destination = trace.finalDestination?.trim();
+
+  if (!destination || /^[a-z][a-z0-9+.-]*:/i.test(destination) || destination.startsWith('//')) return null;
+  if (PLACEHOLDER_PATTERN.test(destination)) return null;
+
+  const path = normalizePath(destination.split('#')[0]);
+  const via = trace.entries.length > 1 ? ` (via ${trace.hops.slice(1, -1).join(' → ')})` : '';
+
+  if (trace.terminal) {
+    return {
+      kind: 'gone',
+      destination: path,
+      message: `${path}${via} answers ${toHttpStatus(trace.terminal.statusCode)}, so visitors never reach a page.`,
+    };
+  }
+
+  if (isReservedPath(path) || known.published.has(path) || isStaticPath(path, known.staticPaths)) return null;
+
+  if (known.drafts.has(path)) {
+    return {
+      kind: 'unpublished',
+      destination: path,
+      message: `${path}${via} is not published: the page or article there is a draft or was unpublished.`,
+    };
+  }
+
+  return {
+    kind: 'missing',
+    destination: path,
+    message: `Nothing is published at ${path}${via}: no page, blog post, news article or SEO route has that path.`,
+  };
+};
@@ -0,0 +1,102 @@
+import { createHash } from 'crypto';
+import type { HostRuleEntry } from '../../host-rule/utils/host-rules';
+import {
+  getPatternSource,
+  isRedirectStatus,
+  normalizeHost,
+  toHttpStatus,
+  toQueryPolicy,
+  type RedirectTable,
+} from './matching';
+
+type TableRule = RedirectTable['patterns'][number];
+
+/**
+ * One redirect in the edge table. Defaults are left out: no `to` for 410/451, no
+ * `query` for `preserve`, no `host`, `from` or `until` when unset.
+ */
+export type EdgeRule = {
+  status: number;
+  to?: string;
+  /** Anchored regular expression the normalised path must match; pattern rules only. */
+  pattern?: string;
+  /** Parameter name of each capture group in `pattern`, for `:name` and `$1` in `to`. */
+  params?: string[];
+  host?: string;
+  query?: 'ignore' | 'drop' | 'match-exact' | 'match-params';
+  queryMatch?: string;
+  /** Parameters the `drop` policy removes; without them it drops the whole query. */
+  dropParams?: string;
+  /** Schedule window in epoch milliseconds; `from` inclusive, `until` exclusive. */
+  from?: number;
+  until?: number;
+};
+
+export type EdgeHostRule = {
+  host: string;
+  targetHost?: string;
+  https?: true;
+  status: number;
+};
+
+export type EdgeTable = {
+  generatedAt: string;
+  /** Checked first, in order; the first rule matching the request host applies. */
+  hostRules: EdgeHostRule[];
+  /** Rules by normalised path, in precedence order. A request tries these, then `patterns`. */
+  exact: Record<string, EdgeRule[]>;
+  /** Pattern rules in precedence order. */
+  patterns: EdgeRule[];
+};
+
+const toEdgeRule = (rule: TableRule, isPattern: boolean): EdgeRule => {
+  const { entry } = rule;
+  const policy = toQueryPolicy(entry.queryPolicy);
+  const edgeRule: EdgeRule = { status: toHttpStatus(entry.statusCode) };
+
+  if (isRedirectStatus(entry.statusCode)) edgeRule.to = entry.toUrl.trim();
+
+  if (isPattern) {
+    const { source, names } = getPatternSource(entry);
+    edgeRule.pattern = source;
+    if (names.length > 0) edgeRule.params = names;
+  }
+
+  if (normalizeHost(entry.sourceHost)) edgeRule.host = normalizeHost(entry.sourceHost);
+  if (policy !== 'preserve') edgeRule.query = policy;
+  if (['match-exact', 'match-params'].includes(policy)) edgeRule.queryMatch = entry.queryMatch?.trim() ?? '';
+  if (policy === 'drop' && entry.dropParams?.trim()) edgeRule.dropParams = entry.dropParams.trim();
+  if (rule.activeFrom !== null) edgeRule.from = rule.activeFrom;
+  if (rule.activeUntil !== null) edgeRule.until = rule.activeUntil;
+
+  return edgeRule;
+};
+
+/**
+ * Flattens the middleware's redirect table and host rules into plain JSON, in the same
+ * precedence order, so an edge worker can resolve requests without calling Strapi.
+ * Pattern rules carry their compiled regular expression, so the worker only needs the
+ * query and schedule checks. `hostRules` must already be sorted with `sortHostRules`.
+ */
+export const toEdgeTable = (table: RedirectTable, hostRules: HostRuleEntry[]): EdgeTable => ({
+  generatedAt: new Date().toISOString(),
+  hostRules: hostRules.map((rule) => ({
+    host: normalizeHost(rule.host),
+    ...(normalizeHost(rule.targetHost) ? { targetHost: normalizeHost(rule.targetHost) } : {}),
+    ...(rule.forceHttps ? { https: true as const } : {}),
+    status: toHttpStatus(rule.statusCode),
+  })),
+  exact: Object.fromEntries(
+    Array.from(table.exact.entries()).map(([path, rules]) => [path, rules.map((rule) => toEdgeRule(rule, false))]),
+  ),
+  patterns: table.patterns.map((rule) => toEdgeRule(rule, true)),
+});
+
+/**
+ * A hash of the table's rules, used as its ETag. `generatedAt` is left out, so a rebuild
+ * that changed nothing keeps the same version.
+ */
+export const getEdgeTableVersion = (edgeTable: EdgeTable) =>
+  createHash('sha1')
+    .update(JSON.stringify({ ...edgeTable, generatedAt: undefined }))
+    .digest('hex');
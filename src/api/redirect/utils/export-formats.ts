@@ -0,0 +1,538 @@
+import {
+  buildRedirectTable,
+  getPatternSource,
+  getScheduleState,
+  isRedirectStatus,
+  normalizeHost,
+  normalizePath,
+  normalizeQuery,
+  parseParamList,
+  toHttpStatus,
+  toMatchType,
+  toQueryPolicy,
+  type RedirectEntry,
+} from './matching';
+
+export const EXPORT_FORMATS = ['csv', 'nginx', 'apache', 'netlify', 'vercel'] as const;
+
+export type ExportFormat = (typeof EXPORT_FORMATS)[number];
+
+export type ExportableRedirect = RedirectEntry & {
+  isActive?: boolean | null;
+  notes?: string | null;
+};
+
+export type ExportIssue = {
+  fromPath: string;
+  message: string;
+};
+
+export type RedirectExport = {
+  format: ExportFormat;
+  filename: string;
+  contentType: string;
+  content: string;
+  exported: number;
+  /** Redirects left out because the target can't express them. */
+  skipped: ExportIssue[];
+  /** Redirects exported with behaviour that differs slightly from the CMS. */
+  warnings: ExportIssue[];
+};
+
+// Same columns the importer reads, so a CSV export can be imported again unchanged.
+export const CSV_COLUMNS = [
+  'fromPath',
+  'toUrl',
+  'statusCode',
+  'matchType',
+  'queryPolicy',
+  'queryMatch',
+  'dropParams',
+  'sourceHost',
+  'activeFrom',
+  'activeUntil',
+  'isActive',
+  'notes',
+] as const;
+
+const FILES: Record<ExportFormat, { filename: string; contentType: string }> = {
+  csv: { filename: 'redirects.csv', contentType: 'text/csv' },
+  nginx: { filename: 'redirects.nginx.conf', contentType: 'text/plain' },
+  apache: { filename: '.htaccess', contentType: 'text/plain' },
+  netlify: { filename: '_redirects', contentType: 'text/plain' },
+  vercel: { filename: 'vercel.json', contentType: 'application/json' },
+};
+
+const REFERENCE_PATTERN = /\$<([A-Za-z_][A-Za-z0-9_]*)>|\$(\d+)|:([A-Za-z_][A-Za-z0-9_]*)/g;
+
+type Collector = {
+  skipped: ExportIssue[];
+  warnings: ExportIssue[];
+};
+
+type Rule = {
+  entry: ExportableRedirect;
+  fromPath: string;
+  toUrl: string;
+  status: number;
+  isRedirect: boolean;
+  matchType: ReturnType<typeof toMatchType>;
+  queryPolicy: ReturnType<typeof toQueryPolicy>;
+  /** Parameters from `queryMatch`, sorted; values are '' when any value is accepted. */
+  queryParams: Array<[string, string]>;
+  host: string;
+  source: string;
+  names: string[];
+};
+
+const toIso = (value?: string | Date | null) => {
+  if (!value) return '';
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? String(value) : date.toISOString();
+};
+
+const toCsvCell = (value: unknown) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const escapeRegExp = (value: string) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const quote = (value: string) => `"${value.replace(/(["\\])/g, '\\$1')}"`;
+
+/**
+ * Rewrites `$1`, `$<name>` and `:name` in a destination using `replace`, which gets
+ * the 1-based capture group number (or null when the name isn't captured) and the name.
+ * Literal text is passed through `escapeLiteral`.
+ */
+const mapReferences = (
+  toUrl: string,
+  names: string[],
+  replace: (index: number | null, name: string, token: string) => string,
+  escapeLiteral: (text: string) => string = (text) => text,
+) => {
+  let result = '';
+  let lastIndex = 0;
+
+  for (const match of toUrl.matchAll(REFERENCE_PATTERN)) {
+    const [token, named, numbered, colon] = match;
+    const name = named ?? numbered ?? colon;
+    const index = numbered ? Number(numbered) : names.indexOf(name) + 1;
+
+    result += escapeLiteral(toUrl.slice(lastIndex, match.index));
+    result += replace(index > 0 && index <= names.length ? index : null, name, token);
+    lastIndex = (match.index ?? 0) + token.length;
+  }
+
+  return result + escapeLiteral(toUrl.slice(lastIndex));
+};
+
+const issue = (entry: RedirectEntry, message: string): ExportIssue => ({ fromPath: entry.fromPath ?? '', message });
+
+/**
+ * Drops redirects an edge server shouldn't get (inactive, outside their schedule,
+ * incomplete or invalid) and returns the rest in matching precedence order.
+ */
+const prepareRules = (entries: ExportableRedirect[], now: number, collector: Collector): Rule[] => {
+  const eligible = entries.filter((entry) => {
+    const state = getScheduleState(entry, now);
+
+    if (entry.isActive === false) {
+      collector.skipped.push(issue(entry, 'Inactive.'));
+      return false;
+    }
+
+    if (state === 'upcoming' || state === 'expired') {
+      collector.skipped.push(issue(entry, `Scheduled redirect is ${state}; only live redirects are exported.`));
+      return false;
+    }
+
+    if (!entry.fromPath?.trim() || (isRedirectStatus(entry.statusCode) && !entry.toUrl?.trim())) {
+      collector.skipped.push(issue(entry, 'Missing fromPath or toUrl.'));
+      return false;
+    }
+
+    if (state === 'live') {
+      collector.warnings.push(
+        issue(entry, `Scheduled until ${toIso(entry.activeUntil) || 'further notice'}; remove it by hand when it ends.`),
+      );
+    }
+
+    return true;
+  });
+  const table = buildRedirectTable(eligible, (entry, error) => {
+    collector.skipped.push(issue(entry, `Invalid pattern: ${error instanceof Error ? error.message : error}`));
+  });
+
+  return [...Array.from(table.exact.values()).flat(), ...table.patterns].map(({ entry }) => {
+    const { source, names } = getPatternSource(entry);
+    const queryParams = Array.from(new URLSearchParams(normalizeQuery(entry.queryMatch?.trim() ?? '')).entries());
+
+    return {
+      entry,
+      fromPath: entry.fromPath.trim(),
+      toUrl: entry.toUrl?.trim() ?? '',
+      status: toHttpStatus(entry.statusCode),
+      isRedirect: isRedirectStatus(entry.statusCode),
+      matchType: toMatchType(entry.matchType),
+      queryPolicy: toQueryPolicy(entry.queryPolicy),
+      queryParams,
+      host: normalizeHost(entry.sourceHost),
+      source,
+      names,
+    };
+  });
+};
+
+const isQueryMatchRule = (rule: Rule) => ['match-exact', 'match-params'].includes(rule.queryPolicy);
+
+// `drop` without `dropParams` drops the whole query, like `ignore`.
+const dropsWholeQuery = (rule: Rule) =>
+  ['ignore', 'match-exact'].includes(rule.queryPolicy) ||
+  (rule.queryPolicy === 'drop' && parseParamList(rule.entry.dropParams).length === 0);
+
+/**
+ * Notes the query policies an edge format can only approximate by forwarding the
+ * request query unchanged.
+ */
+const warnForwardedQuery = (rule: Rule, collector: Collector, target: string) => {
+  if (rule.queryPolicy === 'drop' && !dropsWholeQuery(rule)) {
+    collector.warnings.push(issue(rule.entry, `${target} can't drop single parameters; the query is forwarded unchanged.`));
+  } else if (rule.queryPolicy === 'match-params') {
+    collector.warnings.push(issue(rule.entry, `${target} forwards the matched parameters too.`));
+  }
+};
+
+const header = (format: ExportFormat, count: number, collector: Collector) =>
+  [
+    `# Redirects exported from the CMS on ${new Date().toISOString()} (${format}, ${count} rules).`,
+    ...collector.skipped.map((item) => `# Skipped ${item.fromPath}: ${item.message}`),
+    ...collector.warnings.map((item) => `# Note ${item.fromPath}: ${item.message}`),
+  ].join('\n');
+
+const toCsv = (entries: ExportableRedirect[]) => {
+  const rows = entries.map((entry) =>
+    [
+      entry.fromPath,
+      entry.toUrl,
+      toHttpStatus(entry.statusCode),
+      toMatchType(entry.matchType),
+      toQueryPolicy(entry.queryPolicy),
+      entry.queryMatch,
+      entry.dropParams,
+      entry.sourceHost,
+      toIso(entry.activeFrom),
+      toIso(entry.activeUntil),
+      entry.isActive !== false,
+      entry.notes,
+    ]
+      .map(toCsvCell)
+      .join(','),
+  );
+
+  return { content: [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n', exported: rows.length };
+};
+
+/**
+ * Strips the outer `^...$` from a pattern source (and from a regex rule's own anchors)
+ * so it can be embedded in a larger expression.
+ */
+const unanchor = (source: string) => {
+  const inner = source.replace(/^\^/, '').replace(/(?<!\\)\$$/, '');
+  const group = /^\(\?:(.*)\)$/.exec(inner);
+
+  return group ? `(?:${group[1].replace(/^\^/, '').replace(/(?<!\\)\$$/, '')})` : inner;
+};
+
+/**
+ * nginx: one `map` (http context) from "$host|$uri|$args" to "<status> <destination>",
+ * with regex keys in precedence order, and one `if` per status (server context) that
+ * answers the request. Requests that match no key fall through to the site untouched.
+ * A destination with its own query gets the request query through `$cms_and_args`,
+ * which is empty when the request has none, so the URL never ends in a stray `&`.
+ */
+const toNginx = (rules: Rule[], collector: Collector) => {
+  const keys: string[] = [];
+  const statuses = new Set<number>();
+  let appendsToQuery = false;
+
+  rules.forEach((rule) => {
+    const host = !rule.host
+      ? '[^|]*'
+      : rule.host.startsWith('*.')
+        ? `[^|]*${escapeRegExp(rule.host.slice(1))}`
+        : escapeRegExp(rule.host);
+    const args =
+      rule.queryPolicy === 'match-exact'
+        ? escapeRegExp(normalizeQuery(rule.entry.queryMatch ?? ''))
+        : rule.queryPolicy === 'match-params'
+          ? `${rule.queryParams
+              .map(([name, value]) => {
+                const param = escapeRegExp(encodeURIComponent(name));
+                return value
+                  ? `(?=(?:.*&)?${param}=${escapeRegExp(encodeURIComponent(value))}(?:&|$))`
+                  : `(?=(?:.*&)?${param}(?:[=&]|$))`;
+              })
+              .join('')}.*`
+          : '.*';
+
+    if (rule.queryPolicy === 'match-exact') {
+      collector.warnings.push(issue(rule.entry, 'nginx compares the query string in the listed parameter order.'));
+    }
+
+    let value = String(rule.status);
+
+    if (rule.isRedirect) {
+      warnForwardedQuery(rule, collector, 'nginx');
+
+      const forwardsQuery = !dropsWholeQuery(rule);
+      const destination = mapReferences(rule.toUrl, rule.names, (index, _name, token) => (index ? `$${index}` : token));
+
+      if (forwardsQuery && destination.includes('?')) appendsToQuery = true;
+      value += ` ${destination}${forwardsQuery ? (destination.includes('?') ? '$cms_and_args' : '$is_args$args') : ''}`;
+    }
+
+    statuses.add(rule.status);
+    keys.push(`  ${quote(`~^${host}\\|${unanchor(rule.source)}\\|${args}$`)} ${quote(value)};`);
+  });
+
+  const dispatch = Array.from(statuses).map((status) =>
+    status < 400
+      ? `if ($cms_redirect ~ "^${status} (.*)$") { return ${status} $1; }`
+      : `if ($cms_redirect = "${status}") { return ${status}; }`,
+  );
+
+  return {
+    content: [
+      header('nginx', keys.length, collector),
+      '',
+      '# --- http {} context ---',
+      'map "$host|$uri|$args" $cms_redirect {',
+      '  default "";',
+      ...keys,
+      '}',
+      ...(appendsToQuery ? ['', 'map $args $cms_and_args {', '  "" "";', '  default "&$args";', '}'] : []),
+      '',
+      '# --- server {} context ---',
+      ...dispatch,
+      '',
+    ].join('\n'),
+    exported: keys.length,
+  };
+};
+
+/**
+ * Apache: one mod_rewrite rule per redirect. The path is matched in a RewriteCond on
+ * REQUEST_URI so the same pattern works in `.htaccess` and server config; its captures
+ * are referenced as %1, %2...
+ */
+const toApache = (rules: Rule[], collector: Collector) => {
+  const blocks = rules.map((rule) => {
+    const lines = [`# ${rule.fromPath} → ${rule.toUrl || rule.status}`];
+    const condition = (test: string, pattern: string, flags = '') =>
+      `RewriteCond ${test} ${/\s/.test(pattern) ? quote(pattern) : pattern}${flags}`;
+
+    if (rule.host) {
+      lines.push(
+        condition(
+          '%{HTTP_HOST}',
+          rule.host.startsWith('*.') ? `${escapeRegExp(rule.host.slice(1))}$` : `^${escapeRegExp(rule.host)}$`,
+          ' [NC]',
+        ),
+      );
+    }
+
+    if (rule.queryPolicy === 'match-exact') {
+      lines.push(condition('%{QUERY_STRING}', `^${escapeRegExp(normalizeQuery(rule.entry.queryMatch ?? ''))}$`));
+      collector.warnings.push(issue(rule.entry, 'Apache compares the query string in the listed parameter order.'));
+    } else if (rule.queryPolicy === 'match-params') {
+      rule.queryParams.forEach(([name, value]) => {
+        const param = escapeRegExp(encodeURIComponent(name));
+        lines.push(
+          condition(
+            '%{QUERY_STRING}',
+            value ? `(^|&)${param}=${escapeRegExp(encodeURIComponent(value))}(&|$)` : `(^|&)${param}(=|&|$)`,
+          ),
+        );
+      });
+    }
+
+    // The path condition goes last so %N refers to its captures.
+    lines.push(condition('%{REQUEST_URI}', rule.source));
+
+    if (!rule.isRedirect) {
+      lines.push(rule.status === 410 ? 'RewriteRule ^ - [G,L]' : `RewriteRule ^ - [R=${rule.status},L]`);
+      return lines.join('\n');
+    }
+
+    warnForwardedQuery(rule, collector, 'Apache');
+
+    const destination = mapReferences(
+      rule.toUrl,
+      rule.names,
+      (index, _name, token) => (index ? `%${index}` : token),
+      (text) => text.replace(/([%$])(?=\d|\{)/g, '\\$1'),
+    );
+    const flags = [`R=${rule.status}`, 'L', 'NE'];
+
+    if (dropsWholeQuery(rule)) {
+      flags.push('QSD');
+    } else if (destination.includes('?')) {
+      flags.push('QSA');
+    }
+
+    lines.push(`RewriteRule ^ ${/\s/.test(destination) ? quote(destination) : destination} [${flags.join(',')}]`);
+    return lines.join('\n');
+  });
+
+  return {
+    content: [header('apache', blocks.length, collector), '', 'RewriteEngine On', '', blocks.join('\n\n'), ''].join('\n'),
+    exported: blocks.length,
+  };
+};
+
+/**
+ * Converts a rule's source to Netlify/Vercel path syntax (`:name` segments plus a
+ * trailing splat), or returns null when it needs a regex.
+ */
+const toPathPattern = (rule: Rule, splat: string) => {
+  if (rule.matchType === 'regex') return null;
+  if (rule.matchType === 'exact') return { paths: [normalizePath(rule.fromPath)] };
+
+  if (rule.matchType === 'prefix') {
+    const base = normalizePath(rule.fromPath.replace(/\/\*$/, ''));
+    return { paths: base === '/' ? [`/${splat}`] : [`${base}/${splat}`] };
+  }
+
+  const path = normalizePath(rule.fromPath);
+  const base = path.endsWith('/*') ? path.slice(0, -1) : path;
+
+  return base.includes('*') ? null : { paths: [base === path ? path : `${base}${splat}`] };
+};
+
+const toNamedDestination = (rule: Rule) => {
+  let usesNumbered = false;
+  const destination = mapReferences(rule.toUrl, rule.names, (index, name, token) => {
+    if (!index) return token;
+    const groupName = rule.names[index - 1];
+    if (/^\d+$/.test(groupName)) usesNumbered = true;
+    return `:${groupName || name}`;
+  });
+
+  return usesNumbered ? null : destination;
+};
+
+const toNetlify = (rules: Rule[], collector: Collector) => {
+  const lines: string[] = [];
+
+  rules.forEach((rule) => {
+    if (!rule.isRedirect) {
+      collector.skipped.push(issue(rule.entry, `Netlify needs a page to serve a ${rule.status}.`));
+      return;
+    }
+
+    if (rule.host.startsWith('*.')) {
+      collector.skipped.push(issue(rule.entry, 'Netlify can\'t match wildcard hosts.'));
+      return;
+    }
+
+    const pattern = toPathPattern(rule, '*');
+    const destination = toNamedDestination(rule);
+
+    if (!pattern || !destination) {
+      collector.skipped.push(issue(rule.entry, 'Netlify only supports :name segments and a trailing /* splat.'));
+      return;
+    }
+
+    if ([...pattern.paths, destination].some((value) => /\s/.test(value))) {
+      collector.skipped.push(issue(rule.entry, 'Netlify rules can\'t contain spaces.'));
+      return;
+    }
+
+    if (rule.queryPolicy === 'match-exact') {
+      collector.warnings.push(issue(rule.entry, 'Netlify matches the listed parameters, not the exact query.'));
+    } else if (['ignore', 'drop'].includes(rule.queryPolicy)) {
+      collector.warnings.push(issue(rule.entry, 'Netlify forwards the query string unchanged.'));
+    }
+
+    const query = isQueryMatchRule(rule)
+      ? rule.queryParams.map(([name, value]) => ` ${name}=${value || `:${name.replace(/\W/g, '_')}`}`).join('')
+      : '';
+    const sources = rule.host
+      ? pattern.paths.flatMap((path) => [`http://${rule.host}${path}`, `https://${rule.host}${path}`])
+      : pattern.paths;
+
+    sources.forEach((source) => lines.push(`${source}${query} ${destination} ${rule.status}!`));
+  });
+
+  return {
+    content: [header('netlify', lines.length, collector), ...lines, ''].join('\n'),
+    exported: lines.length,
+  };
+};
+
+const toVercel = (rules: Rule[], collector: Collector) => {
+  const redirects = rules.flatMap((rule) => {
+    if (!rule.isRedirect) {
+      collector.skipped.push(issue(rule.entry, `Vercel redirects can't answer ${rule.status}.`));
+      return [];
+    }
+
+    const pattern = toPathPattern(rule, ':splat*');
+    const destination = toNamedDestination(rule);
+
+    if (!pattern || !destination) {
+      collector.skipped.push(issue(rule.entry, 'Vercel export only supports :name segments and a trailing /* splat.'));
+      return [];
+    }
+
+    if (rule.queryPolicy === 'match-exact') {
+      collector.warnings.push(issue(rule.entry, 'Vercel matches the listed parameters, not the exact query.'));
+    } else if (['ignore', 'drop'].includes(rule.queryPolicy)) {
+      collector.warnings.push(issue(rule.entry, 'Vercel forwards the query string unchanged.'));
+    }
+
+    const has = [
+      ...(rule.host
+        ? [{ type: 'host', value: rule.host.startsWith('*.') ? `.*${escapeRegExp(rule.host.slice(1))}` : rule.host }]
+        : []),
+      ...(isQueryMatchRule(rule)
+        ? rule.queryParams.map(([key, value]) => (value ? { type: 'query', key, value } : { type: 'query', key }))
+        : []),
+    ];
+
+    return pattern.paths.map((source) => ({
+      source,
+      destination: destination.replace(/:splat\b/g, ':splat*'),
+      statusCode: rule.status,
+      ...(has.length ? { has } : {}),
+    }));
+  });
+
+  return { content: `${JSON.stringify({ redirects }, null, 2)}\n`, exported: redirects.length };
+};
+
+/**
+ * Formats redirects for another server or host. CSV keeps every redirect and field so
+ * it can be imported again; the other formats only get redirects that are live now,
+ * in the middleware's precedence order, and report what they can't express.
+ */
+export const formatRedirects = (
+  format: ExportFormat,
+  entries: ExportableRedirect[],
+  now = Date.now(),
+): RedirectExport => {
+  const collector: Collector = { skipped: [], warnings: [] };
+  const result =
+    format === 'csv'
+      ? toCsv(entries)
+      : format === 'nginx'
+        ? toNginx(prepareRules(entries, now, collector), collector)
+        : format === 'apache'
+          ? toApache(prepareRules(entries, now, collector), collector)
+          : format === 'netlify'
+            ? toNetlify(prepareRules(entries, now, collector), collector)
+            : toVercel(prepareRules(entries, now, collector), collector);
+
+  return { format, ...FILES[format], ...result, ...collector };
+};
@@ -0,0 +1,571 @@
+export type MatchType = 'exact' | 'prefix' | 'wildcard' | 'regex';
+
+export type QueryPolicy = 'preserve' | 'ignore' | 'drop' | 'match-exact' | 'match-params';
+
+export type RedirectEntry = {
+  id?: number;
+  documentId?: string;
+  fromPath?: string | null;
+  toUrl?: string | null;
+  statusCode?: string | null;
+  matchType?: MatchType | null;
+  queryPolicy?: QueryPolicy | null;
+  queryMatch?: string | null;
+  dropParams?: string | null;
+  activeFrom?: string | Date | null;
+  activeUntil?: string | Date | null;
+  sourceHost?: string | null;
+};
+
+export type RedirectRequest = {
+  path: string;
+  query?: string;
+  /** Hostname without port; rules scoped to another host are skipped. Omit to match host-agnostic rules only. */
+  host?: string | null;
+};
+
+export type ScheduleState = 'always' | 'upcoming' | 'live' | 'expired';
+
+type Rule = {
+  entry: RedirectEntry;
+  order: number;
+  rank: number;
+  specificity: number;
+  querySpecificity: number;
+  hostSpecificity: number;
+  matchesHost: ((host: string) => boolean) | null;
+  match: (requestPath: string) => Record<string, string> | null;
+  matchesQuery: ((query: URLSearchParams) => boolean) | null;
+  activeFrom: number | null;
+  activeUntil: number | null;
+};
+
+export type RedirectTable = {
+  exact: Map<string, Rule[]>;
+  patterns: Rule[];
+};
+
+export type RedirectMatch = {
+  entry: RedirectEntry;
+  params: Record<string, string>;
+};
+
+export const RESERVED_PREFIXES = ['/admin', '/api', '/uploads', '/content-manager'];
+
+// Lower rank wins. Exact paths always beat patterns; see `buildRedirectTable` for ties.
+const MATCH_TYPE_RANK: Record<MatchType, number> = {
+  exact: 0,
+  wildcard: 1,
+  prefix: 2,
+  regex: 3,
+};
+
+export const normalizePath = (value: string) => {
+  const trimmed = value.trim();
+
+  if (!trimmed) {
+    return '/';
+  }
+
+  if (/^https?:\/\//i.test(trimmed)) {
+    try {
+      return new URL(trimmed).pathname || '/';
+    } catch {
+      return trimmed;
+    }
+  }
+
+  const withLeadingSlash = trimmed.startsWith('/') ? trimmed : `/${trimmed}`;
+  const withoutQuery = withLeadingSlash.split('?')[0] || '/';
+
+  if (withoutQuery.length > 1 && withoutQuery.endsWith('/')) {
+    return withoutQuery.slice(0, -1);
+  }
+
+  return withoutQuery || '/';
+};
+
+export const isReservedPath = (requestPath: string) =>
+  RESERVED_PREFIXES.some((prefix) => requestPath === prefix || requestPath.startsWith(`${prefix}/`));
+
+export const withQueryString = (targetUrl: string, queryString: string) => {
+  if (!queryString) {
+    return targetUrl;
+  }
+
+  const separator = targetUrl.includes('?') ? '&' : '?';
+  return `${targetUrl}${separator}${queryString}`;
+};
+
+const HTTP_STATUS: Record<string, number> = {
+  'Redirect-301': 301,
+  'Redirect-302': 302,
+  // Misspelled value from before the enum was fixed; kept until every row is migrated.
+  'Redirecct-302': 302,
+  'Redirect-307': 307,
+  'Redirect-308': 308,
+  'Gone-410': 410,
+  'Unavailable-451': 451,
+};
+
+export const toHttpStatus = (statusCode?: string | null) => HTTP_STATUS[statusCode ?? ''] ?? 301;
+
+/**
+ * 410 Gone and 451 Unavailable For Legal Reasons end the request without a destination.
+ */
+export const isRedirectStatus = (statusCode?: string | null) => toHttpStatus(statusCode) < 400;
+
+/**
+ * Lowercases a hostname and strips any scheme, port, path or trailing dot, so
+ * `https://WWW.Example.com:443/` is stored and compared as `www.example.com`.
+ */
+export const normalizeHost = (value?: string | null) =>
+  String(value ?? '')
+    .trim()
+    .toLowerCase()
+    .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+    .replace(/[/?#].*$/, '')
+    .replace(/:\d+$/, '')
+    .replace(/\.$/, '');
+
+/**
+ * `example.com` matches only that host; `*.example.com` matches any subdomain of it
+ * (but not `example.com` itself). An empty pattern matches every host.
+ */
+export const matchesHostPattern = (pattern: string, host: string) => {
+  const normalizedPattern = normalizeHost(pattern);
+  const normalizedHost = normalizeHost(host);
+
+  if (!normalizedPattern) return true;
+  if (normalizedPattern.startsWith('*.')) return normalizedHost.endsWith(normalizedPattern.slice(1));
+  return normalizedHost === normalizedPattern;
+};
+
+const getHostSpecificity = (entry: RedirectEntry) => {
+  const host = normalizeHost(entry.sourceHost);
+  if (!host) return 0;
+  return host.startsWith('*.') ? 1 : 2;
+};
+
+const QUERY_POLICIES: QueryPolicy[] = ['preserve', 'ignore', 'drop', 'match-exact', 'match-params'];
+
+export const toQueryPolicy = (value?: string | null): QueryPolicy => {
+  const normalized = String(value ?? '').trim().toLowerCase();
+  return QUERY_POLICIES.includes(normalized as QueryPolicy) ? (normalized as QueryPolicy) : 'preserve';
+};
+
+const parseQuery = (value?: string | null) => new URLSearchParams(String(value ?? '').trim().replace(/^\?/, ''));
+
+/**
+ * Sorts parameters so `b=2&a=1` and `a=1&b=2` compare equal.
+ */
+export const normalizeQuery = (query: URLSearchParams | string) => {
+  const params = new URLSearchParams(typeof query === 'string' ? query.replace(/^\?/, '') : query);
+  params.sort();
+  return params.toString();
+};
+
+export const parseParamList = (value?: string | null) =>
+  String(value ?? '')
+    .split(/[\s,]+/)
+    .filter(Boolean);
+
+const isListedParam = (name: string, patterns: string[]) =>
+  patterns.some((pattern) => (pattern.endsWith('*') ? name.startsWith(pattern.slice(0, -1)) : name === pattern));
+
+/**
+ * `match-exact` needs the request query to equal `queryMatch` (in any order; an empty
+ * `queryMatch` means no query at all). `match-params` needs every listed parameter, with
+ * the listed value or any value when the value is left empty (`id=123&lang`).
+ */
+const compileQueryMatcher = (entry: RedirectEntry) => {
+  const policy = toQueryPolicy(entry.queryPolicy);
+  const expected = parseQuery(entry.queryMatch);
+
+  if (policy === 'match-exact') {
+    const normalized = normalizeQuery(expected);
+    return (query: URLSearchParams) => normalizeQuery(query) === normalized;
+  }
+
+  if (policy === 'match-params') {
+    const pairs = Array.from(expected.entries());
+    return (query: URLSearchParams) =>
+      pairs.every(([name, value]) => query.has(name) && (value === '' || query.getAll(name).includes(value)));
+  }
+
+  return null;
+};
+
+/**
+ * Query rules beat query-agnostic rules on the same source; exact query matches
+ * beat parameter matches, and more parameters beat fewer.
+ */
+const getQuerySpecificity = (entry: RedirectEntry) => {
+  const policy = toQueryPolicy(entry.queryPolicy);
+  const paramCount = Array.from(parseQuery(entry.queryMatch).keys()).length;
+
+  if (policy === 'match-exact') return 1000 + paramCount;
+  if (policy === 'match-params') return paramCount;
+  return -1;
+};
+
+/**
+ * Returns the query string to append to a redirect's destination:
+ * `preserve` forwards the request query untouched, `ignore` and `match-exact` forward
+ * nothing, `drop` removes the `dropParams` (or the whole query when none are listed), and
+ * `match-params` forwards everything except the matched parameters.
+ */
+export const getForwardedQuery = (entry: RedirectEntry, querystring: string) => {
+  const policy = toQueryPolicy(entry.queryPolicy);
+
+  if (!querystring || policy === 'ignore' || policy === 'match-exact') return '';
+  if (policy === 'preserve') return querystring;
+
+  const dropped =
+    policy === 'drop' ? parseParamList(entry.dropParams) : Array.from(parseQuery(entry.queryMatch).keys());
+  if (policy === 'drop' && dropped.length === 0) return '';
+
+  const params = new URLSearchParams(querystring);
+
+  Array.from(new Set(params.keys()))
+    .filter((name) => isListedParam(name, dropped))
+    .forEach((name) => params.delete(name));
+
+  return params.toString();
+};
+
+/**
+ * True when `target` (a path or absolute URL, with or without a query) is the
+ * request's own location, which the middleware never redirects to. An absolute URL
+ * on another host is never the same location.
+ */
+export const isSameLocation = (request: RedirectRequest, target: string) => {
+  if (/^https?:\/\//i.test(target) && normalizeHost(target) !== normalizeHost(request.host)) {
+    return false;
+  }
+
+  return (
+    normalizePath(target) === request.path &&
+    normalizeQuery(getQueryPart(target)) === normalizeQuery(request.query ?? '')
+  );
+};
+
+/**
+ * The query string of a path or absolute URL, without the leading `?` or any fragment.
+ */
+export const getQueryPart = (target: string) => target.split('#')[0].split('?').slice(1).join('?');
+
+const toTimestamp = (value?: string | Date | null) => {
+  if (value === null || value === undefined || value === '') return null;
+  const timestamp = value instanceof Date ? value.getTime() : Date.parse(value);
+  return Number.isNaN(timestamp) ? null : timestamp;
+};
+
+/**
+ * Where `now` falls in a redirect's `activeFrom`/`activeUntil` window.
+ * `activeFrom` is inclusive and `activeUntil` exclusive; an unset bound is open.
+ */
+export const getScheduleState = (entry: RedirectEntry, now = Date.now()): ScheduleState => {
+  const activeFrom = toTimestamp(entry.activeFrom);
+  const activeUntil = toTimestamp(entry.activeUntil);
+
+  if (activeFrom === null && activeUntil === null) return 'always';
+  if (activeFrom !== null && now < activeFrom) return 'upcoming';
+  if (activeUntil !== null && now >= activeUntil) return 'expired';
+  return 'live';
+};
+
+const isWithinWindow = (rule: Rule, now: number) =>
+  (rule.activeFrom === null || now >= rule.activeFrom) && (rule.activeUntil === null || now < rule.activeUntil);
+
+export const toMatchType = (value?: string | null): MatchType => {
+  const normalized = String(value ?? '').trim().toLowerCase();
+
+  if (normalized === 'glob') {
+    return 'wildcard';
+  }
+
+  return normalized in MATCH_TYPE_RANK ? (normalized as MatchType) : 'exact';
+};
+
+const escapeRegExp = (value: string) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Compiles a wildcard path into an anchored regular expression.
+ * `:name` matches one path segment, `*` matches within a segment, and a trailing `/*`
+ * matches the rest of the path. The trailing wildcard is also exposed as `:splat`.
+ */
+const compileWildcard = (fromPath: string) => {
+  const pattern = normalizePath(fromPath);
+  const names: string[] = [];
+  let starIndex = 0;
+  let source = '';
+
+  const tokens = pattern.split(/(:[A-Za-z_][A-Za-z0-9_]*|\*)/);
+
+  tokens.forEach((token, index) => {
+    if (token === '*') {
+      starIndex += 1;
+      const isTrailing = index === tokens.length - 2 && tokens[index + 1] === '' && source.endsWith('/');
+
+      if (isTrailing) {
+        source = `${source.slice(0, -1)}(?:/(.*))?`;
+        names.push('splat');
+      } else {
+        source += '([^/]*)';
+        names.push(String(starIndex));
+      }
+      return;
+    }
+
+    if (token.startsWith(':')) {
+      source += '([^/]+)';
+      names.push(token.slice(1));
+      return;
+    }
+
+    source += escapeRegExp(token);
+  });
+
+  return {
+    regex: new RegExp(`^${source}$`),
+    names,
+    specificity: pattern.replace(/:[A-Za-z_][A-Za-z0-9_]*|\*/g, '').length,
+  };
+};
+
+const compilePattern = (entry: RedirectEntry, matchType: MatchType): Rule['match'] => {
+  const fromPath = entry.fromPath.trim();
+
+  if (matchType === 'prefix') {
+    const base = normalizePath(fromPath.replace(/\/\*$/, ''));
+
+    return (requestPath) => {
+      if (base === '/') {
+        return { splat: requestPath.slice(1) };
+      }
+
+      if (requestPath === base) {
+        return { splat: '' };
+      }
+
+      return requestPath.startsWith(`${base}/`) ? { splat: requestPath.slice(base.length + 1) } : null;
+    };
+  }
+
+  if (matchType === 'regex') {
+    const regex = new RegExp(`^(?:${fromPath})$`);
+
+    return (requestPath) => {
+      const result = regex.exec(requestPath);
+      if (!result) return null;
+
+      const params: Record<string, string> = { ...(result.groups ?? {}) };
+      result.slice(1).forEach((value, index) => {
+        params[String(index + 1)] = value ?? '';
+      });
+      return params;
+    };
+  }
+
+  const { regex, names } = compileWildcard(fromPath);
+
+  return (requestPath) => {
+    const result = regex.exec(requestPath);
+    if (!result) return null;
+
+    return Object.fromEntries(names.map((name, index) => [name, result[index + 1] ?? '']));
+  };
+};
+
+/**
+ * Lists the capture groups of a regex source in order: named groups by name,
+ * the others by their number.
+ */
+const listCaptureGroups = (source: string) => {
+  const names: string[] = [];
+  let inClass = false;
+
+  for (let index = 0; index < source.length; index += 1) {
+    const char = source[index];
+
+    if (char === '\\') {
+      index += 1;
+    } else if (inClass) {
+      inClass = char !== ']';
+    } else if (char === '[') {
+      inClass = true;
+    } else if (char === '(') {
+      const named = /^\?<([A-Za-z_][A-Za-z0-9_]*)>/.exec(source.slice(index + 1));
+
+      if (named) {
+        names.push(named[1]);
+      } else if (source[index + 1] !== '?') {
+        names.push(String(names.length + 1));
+      }
+    }
+  }
+
+  return names;
+};
+
+/**
+ * Returns the anchored regular expression an entry is matched with and the parameter
+ * name of each capture group, so rules can be translated for other web servers.
+ * Exact paths also match with a trailing slash, like the middleware.
+ */
+export const getPatternSource = (entry: RedirectEntry) => {
+  const matchType = toMatchType(entry.matchType);
+  const fromPath = entry.fromPath?.trim() ?? '';
+
+  if (matchType === 'regex') {
+    return { source: `^(?:${fromPath})$`, names: listCaptureGroups(fromPath) };
+  }
+
+  if (matchType === 'wildcard') {
+    const { regex, names } = compileWildcard(fromPath);
+    return { source: regex.source, names };
+  }
+
+  const base = normalizePath(matchType === 'prefix' ? fromPath.replace(/\/\*$/, '') : fromPath);
+
+  if (matchType === 'prefix') {
+    return { source: base === '/' ? '^/(.*)$' : `^${escapeRegExp(base)}(?:/(.*))?$`, names: ['splat'] };
+  }
+
+  return { source: base === '/' ? '^/$' : `^${escapeRegExp(base)}/?$`, names: [] as string[] };
+};
+
+/**
+ * Throws when an entry's `fromPath` cannot be compiled for its match type
+ * (currently only invalid regular expressions).
+ */
+export const assertValidPattern = (entry: RedirectEntry) => {
+  const matchType = toMatchType(entry.matchType);
+
+  if (matchType !== 'exact' && entry.fromPath?.trim()) {
+    compilePattern(entry, matchType);
+  }
+};
+
+const getSpecificity = (entry: RedirectEntry, matchType: MatchType) => {
+  if (matchType === 'regex') return 0;
+  if (matchType === 'wildcard') return compileWildcard(entry.fromPath).specificity;
+  return normalizePath(entry.fromPath.replace(/\/\*$/, '')).length;
+};
+
+/**
+ * Builds the lookup table used by the redirects middleware.
+ *
+ * Precedence is deterministic: exact paths first, then wildcard, prefix and regex rules.
+ * Within a match type, the rule with the longest literal part wins, then rules scoped to
+ * a host (an exact host before a `*.` wildcard) over host-agnostic ones, then the most
+ * specific query rule (see `getQuerySpecificity`), then scheduled rules (so a temporary
+ * redirect overrides a permanent one while it is live), then the earliest entry in
+ * `entries` (callers pass entries sorted by id). Entries whose pattern does not compile are
+ * reported through `onInvalid` and left out.
+ */
+export const buildRedirectTable = (
+  entries: RedirectEntry[],
+  onInvalid?: (entry: RedirectEntry, error: unknown) => void,
+): RedirectTable => {
+  const exact = new Map<string, Rule[]>();
+  const patterns: Rule[] = [];
+
+  entries.forEach((entry, order) => {
+    const fromPath = entry.fromPath?.trim();
+    const toUrl = entry.toUrl?.trim();
+
+    if (!fromPath || (!toUrl && isRedirectStatus(entry.statusCode))) {
+      return;
+    }
+
+    const matchType = toMatchType(entry.matchType);
+
+    try {
+      const rule: Rule = {
+        entry,
+        order,
+        rank: MATCH_TYPE_RANK[matchType],
+        specificity: matchType === 'exact' ? 0 : getSpecificity(entry, matchType),
+        querySpecificity: getQuerySpecificity(entry),
+        hostSpecificity: getHostSpecificity(entry),
+        matchesHost: normalizeHost(entry.sourceHost)
+          ? (host: string) => matchesHostPattern(entry.sourceHost ?? '', host)
+          : null,
+        match: matchType === 'exact' ? () => ({}) : compilePattern(entry, matchType),
+        matchesQuery: compileQueryMatcher(entry),
+        activeFrom: toTimestamp(entry.activeFrom),
+        activeUntil: toTimestamp(entry.activeUntil),
+      };
+
+      if (matchType === 'exact') {
+        const key = normalizePath(fromPath);
+        exact.set(key, [...(exact.get(key) ?? []), rule]);
+      } else {
+        patterns.push(rule);
+      }
+    } catch (error) {
+      onInvalid?.(entry, error);
+    }
+  });
+
+  const isScheduled = (rule: Rule) => rule.activeFrom !== null || rule.activeUntil !== null;
+  const byPrecedence = (a: Rule, b: Rule) =>
+    a.rank - b.rank ||
+    b.specificity - a.specificity ||
+    b.hostSpecificity - a.hostSpecificity ||
+    b.querySpecificity - a.querySpecificity ||
+    Number(isScheduled(b)) - Number(isScheduled(a)) ||
+    a.order - b.order;
+
+  exact.forEach((rules) => rules.sort(byPrecedence));
+  patterns.sort(byPrecedence);
+
+  return { exact, patterns };
+};
+
+/**
+ * Finds the redirect for a request. Scheduled rules only match while `now` is inside
+ * their window, so the table doesn't need rebuilding when a window opens or closes.
+ * Pass `now: null` to ignore schedules (used when checking for loops).
+ */
+export const matchRedirect = (
+  table: RedirectTable,
+  request: RedirectRequest,
+  now: number | null = Date.now(),
+): RedirectMatch | null => {
+  const query = new URLSearchParams(request.query ?? '');
+  const host = normalizeHost(request.host);
+  const candidates = [...(table.exact.get(request.path) ?? []), ...table.patterns];
+
+  for (const rule of candidates) {
+    if (now !== null && !isWithinWindow(rule, now)) {
+      continue;
+    }
+
+    if (rule.matchesHost && !(host && rule.matchesHost(host))) {
+      continue;
+    }
+
+    if (rule.matchesQuery && !rule.matchesQuery(query)) {
+      continue;
+    }
+
+    const params = rule.match(request.path);
+    if (params) {
+      return { entry: rule.entry, params };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Substitutes captured values into a destination: `:name` for named segments and
+ * `:splat`, `$1`/`$<name>` for regex groups. Unknown placeholders are left as-is.
+ */
+export const applyParams = (toUrl: string, params: Record<string, string>) =>
+  toUrl
+    .replace(/\$<([A-Za-z_][A-Za-z0-9_]*)>|\$(\d+)/g, (token, name, index) => params[name ?? index] ?? token)
+    .replace(/:([A-Za-z_][A-Za-z0-9_]*)/g, (token, name) => params[name] ?? token);
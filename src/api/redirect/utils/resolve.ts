@@ -0,0 +1,133 @@
+import { resolveHostRedirect, type HostRuleEntry } from '../../host-rule/utils/host-rules';
+import {
+  applyParams,
+  getForwardedQuery,
+  getQueryPart,
+  isRedirectStatus,
+  isReservedPath,
+  isSameLocation,
+  matchRedirect,
+  normalizeHost,
+  normalizePath,
+  toHttpStatus,
+  withQueryString,
+  type RedirectEntry,
+  type RedirectTable,
+} from './matching';
+
+export type ResolveRequest = {
+  /** The request path as received, before normalisation. */
+  path: string;
+  /** Query string without the leading `?`. */
+  query?: string;
+  host?: string | null;
+  protocol: string;
+};
+
+export type RedirectDecision =
+  | { kind: 'host'; status: number; location: string; rule: HostRuleEntry }
+  | { kind: 'redirect'; status: number; location: string; entry: RedirectEntry }
+  | { kind: 'gone'; status: number; entry: RedirectEntry };
+
+// Same limit as the chain analysis; anything longer is treated as a loop.
+const MAX_HOPS = 20;
+
+/**
+ * Decides what the redirects middleware does with a request: host rules (canonical
+ * host, HTTPS) first, then path redirects. Returns null when the request should be
+ * served normally, including for Strapi's own paths and redirects back to the request.
+ * `hostRules` must already be sorted with `sortHostRules`.
+ */
+export const resolveRequest = (
+  table: RedirectTable,
+  hostRules: HostRuleEntry[],
+  request: ResolveRequest,
+  now = Date.now(),
+): RedirectDecision | null => {
+  const path = normalizePath(request.path);
+
+  if (isReservedPath(path)) {
+    return null;
+  }
+
+  const host = normalizeHost(request.host);
+  const query = request.query ?? '';
+  const hostRedirect = resolveHostRedirect(hostRules, { host, protocol: request.protocol });
+
+  if (hostRedirect) {
+    return {
+      kind: 'host',
+      status: toHttpStatus(hostRedirect.rule.statusCode),
+      location: `${hostRedirect.protocol}://${hostRedirect.host}${withQueryString(request.path, query)}`,
+      rule: hostRedirect.rule,
+    };
+  }
+
+  const match = matchRedirect(table, { path, query, host }, now);
+
+  if (!match) {
+    return null;
+  }
+
+  if (!isRedirectStatus(match.entry.statusCode)) {
+    return { kind: 'gone', status: toHttpStatus(match.entry.statusCode), entry: match.entry };
+  }
+
+  const destination = applyParams(match.entry.toUrl.trim(), match.params);
+  const location = destination ? withQueryString(destination, getForwardedQuery(match.entry, query)) : '';
+
+  if (!location || isSameLocation({ path, query, host }, location)) {
+    return null;
+  }
+
+  return { kind: 'redirect', status: toHttpStatus(match.entry.statusCode), location, entry: match.entry };
+};
+
+/**
+ * Follows a decision through further host rules and redirects the way a browser would,
+ * so a client can skip the intermediate hops. Absolute URLs on another host leave the
+ * site and end the chain. `location` is null when the redirects loop.
+ */
+export const followRedirects = (
+  table: RedirectTable,
+  hostRules: HostRuleEntry[],
+  request: ResolveRequest,
+  first: RedirectDecision,
+  now = Date.now(),
+) => {
+  const hops: string[] = [];
+  const start = { ...request, host: normalizeHost(request.host) };
+  let current = start;
+  let decision: RedirectDecision | null = first;
+
+  while (decision && decision.kind !== 'gone') {
+    const isAbsolute = /^https?:\/\//i.test(decision.location);
+    // Once a host rule has moved the request, relative destinations are only valid on the new host.
+    const isMoved = current.host !== start.host || current.protocol !== start.protocol;
+    hops.push(isAbsolute || !isMoved ? decision.location : `${current.protocol}://${current.host}${decision.location}`);
+
+    // Relative destinations stay on the request's host; only host rules move a request to another host here.
+    if (isAbsolute && decision.kind === 'redirect' && normalizeHost(decision.location) !== current.host) break;
+
+    const url = new URL(decision.location, `${current.protocol}://${current.host || 'localhost'}`);
+    current = {
+      path: url.pathname,
+      query: getQueryPart(decision.location),
+      host: isAbsolute ? normalizeHost(url.hostname) : current.host,
+      protocol: url.protocol.slice(0, -1),
+    };
+
+    if (hops.length > MAX_HOPS || hops.slice(0, -1).includes(hops[hops.length - 1])) {
+      return { location: null, hops, status: null };
+    }
+
+    decision = resolveRequest(table, hostRules, current, now);
+  }
+
+  return {
+    location: hops[hops.length - 1] ?? null,
+    hops,
+    // A chain that ends on a 410/451 rule answers with that status, not a page.
+    status: decision?.kind === 'gone' ? decision.status : null,
+  };
+};
@@ -0,0 +1,127 @@
+import { describe, expect, it, vi } from 'vitest';
+
+vi.mock('@strapi/strapi', () => ({
+  factories: { createCoreService: (_uid: string, build: unknown) => build },
+}));
+
+const { default: buildService } = await import('../services/site-setting');
+
+type Entries = Record<string, Array<Record<string, unknown>>>;
+
+// Just enough of the document service for the sitemaps: site settings plus one page of entries per type.
+const createStrapi = (entries: Entries, settings: Record<string, unknown> = { siteUrl: 'example.com' }) => ({
+  documents: (uid: string) => ({
+    findFirst: async () => settings,
+    findMany: async ({ start = 0 }: { start?: number }) => (start === 0 ? (entries[uid] ?? []) : []),
+  }),
+});
+
+const renderSitemap = (entries: Entries) =>
+  (buildService as (context: unknown) => { renderSitemap: () => Promise<string> })({
+    strapi: createStrapi(entries),
+  }).renderSitemap();
+
+describe('renderSitemap', () => {
+  it('leaves out a blog post when any of its repeatable seo entries is noindex', async () => {
+    const xml = await renderSitemap({
+      'api::blog-post.blog-post': [
+        { slug: 'listed', seo: [{ noindex: false, canonicalUrl: 'https://example.com/blog/listed' }] },
+        { slug: 'hidden', seo: [{ noindex: false }, { noindex: true }] },
+      ],
+    });
+
+    expect(xml).toContain('<loc>https://example.com/blog/listed</loc>');
+    expect(xml).not.toContain('/blog/hidden');
+  });
+
+  it('leaves out a seo page whose repeatable seo has a canonical pointing elsewhere', async () => {
+    const xml = await renderSitemap({
+      'api::seo-page.seo-page': [
+        { routePath: '/events', isActive: true, seo: [{ canonicalUrl: '/events/' }] },
+        { routePath: '/old-events', isActive: true, seo: [{ canonicalUrl: 'https://example.com/events' }] },
+      ],
+    });
+
+    expect(xml).toContain('<loc>https://example.com/events</loc>');
+    expect(xml).not.toContain('/old-events');
+  });
+
+  it('still reads the single seo component on pages', async () => {
+    const xml = await renderSitemap({
+      'api::page.page': [
+        { routePath: '/about', isActive: true, seo: { noindex: false } },
+        { routePath: '/thanks', isActive: true, seo: { noindex: true } },
+      ],
+    });
+
+    expect(xml).toContain('<loc>https://example.com/about</loc>');
+    expect(xml).not.toContain('/thanks');
+  });
+});
+
+describe('renderNewsSitemap', () => {
+  const now = Date.parse('2026-10-19T12:00:00.000Z');
+  const renderNewsSitemap = (articles: Array<Record<string, unknown>>) =>
+    (buildService as (context: unknown) => { renderNewsSitemap: (now?: number) => Promise<string> })({
+      strapi: createStrapi(
+        { 'api::news-article.news-article': articles },
+        { siteUrl: 'example.com', newsPublicationName: 'City Times', newsPublicationLanguage: 'en' },
+      ),
+    }).renderNewsSitemap(now);
+
+  it('lists only articles published within the last 48 hours', async () => {
+    const xml = await renderNewsSitemap([
+      { title: 'Fresh', slug: 'fresh', publishDate: '2026-10-19', publishedAt: '2026-10-19T08:00:00.000Z' },
+      { title: 'Stale', slug: 'stale', publishDate: '2026-10-17', publishedAt: '2026-10-17T06:00:00.000Z' },
+    ]);
+
+    expect(xml).toContain('<loc>https://example.com/news/fresh</loc>');
+    expect(xml).toContain('<news:publication_date>2026-10-19T08:00:00.000Z</news:publication_date>');
+    expect(xml).not.toContain('/news/stale');
+  });
+
+  it('leaves out articles whose repeatable seo is noindex or canonicalised elsewhere', async () => {
+    const publishedAt = '2026-10-19T08:00:00.000Z';
+    const xml = await renderNewsSitemap([
+      { title: 'Listed', slug: 'listed', publishedAt, seo: [{ noindex: false }] },
+      { title: 'Hidden', slug: 'hidden', publishedAt, seo: [{ noindex: true }] },
+      { title: 'Syndicated', slug: 'syndicated', publishedAt, seo: [{ canonicalUrl: 'https://other.org/story' }] },
+    ]);
+
+    expect(xml).toContain('/news/listed');
+    expect(xml).not.toContain('/news/hidden');
+    expect(xml).not.toContain('/news/syndicated');
+  });
+});
+
+describe('renderChildSitemap', () => {
+  it('loads only the type the child sitemap lists', async () => {
+    const strapi = createStrapi({
+      'api::page.page': [{ routePath: '/about', isActive: true }],
+      'api::blog-post.blog-post': [{ slug: 'hello' }],
+    });
+    const documents = vi.spyOn(strapi, 'documents');
+
+    const xml = await (buildService as (context: unknown) => { renderChildSitemap: (name: string) => Promise<string> })(
+      { strapi },
+    ).renderChildSitemap('blog-posts-1.xml');
+
+    expect(xml).toContain('<loc>https://example.com/blog/hello</loc>');
+    expect(xml).not.toContain('/about');
+    expect(documents.mock.calls.map(([uid]) => uid)).toEqual([
+      'api::site-setting.site-setting',
+      'api::blog-post.blog-post',
+    ]);
+  });
+
+  it('answers 404 for a page past the end or a custom sitemap without manual entries', async () => {
+    const service = (buildService as (context: unknown) => { renderChildSitemap: (name: string) => Promise<string> })({
+      strapi: createStrapi({ 'api::blog-post.blog-post': [{ slug: 'hello' }] }),
+    });
+
+    await expect(service.renderChildSitemap('blog-posts-2.xml')).rejects.toThrow(
+      "No sitemap named 'blog-posts-2.xml'.",
+    );
+    await expect(service.renderChildSitemap('custom-1.xml')).rejects.toThrow("No sitemap named 'custom-1.xml'.");
+  });
+});
@@ -4,4 +4,51 @@
 
 import { factories } from '@strapi/strapi';
 
-export default factories.createCoreController('api::site-setting.site-setting');
+// How long clients and CDNs may cache the sitemaps and robots.txt.
+const SITEMAP_MAX_AGE = Number(process.env.SITEMAP_MAX_AGE || 600);
+
+export default factories.createCoreController('api::site-setting.site-setting', ({ strapi }) => ({
+  /**
+   * The website's sitemap.xml: a sitemap, or a sitemap index past 50,000 URLs.
+   */
+  async sitemap(ctx) {
+    const xml = await strapi.service('api::site-setting.site-setting').renderSitemap();
+
+    ctx.set('Cache-Control', `public, max-age=${SITEMAP_MAX_AGE}`);
+    ctx.type = 'application/xml';
+    ctx.body = xml;
+  },
+
+  /**
+   * A child sitemap listed by the sitemap index, e.g. `/sitemaps/blog-posts-1.xml`.
+   */
+  async childSitemap(ctx) {
+    const xml = await strapi.service('api::site-setting.site-setting').renderChildSitemap(ctx.params.name);
+
+    ctx.set('Cache-Control', `public, max-age=${SITEMAP_MAX_AGE}`);
+    ctx.type = 'application/xml';
+    ctx.body = xml;
+  },
+
+  /**
+   * The Google News sitemap of articles from the last 48 hours.
+   */
+  async newsSitemap(ctx) {
+    const xml = await strapi.service('api::site-setting.site-setting').renderNewsSitemap();
+
+    ctx.set('Cache-Control', `public, max-age=${SITEMAP_MAX_AGE}`);
+    ctx.type = 'application/xml';
+    ctx.body = xml;
+  },
+
+  /**
+   * The website's robots.txt, pointing crawlers at the sitemaps.
+   */
+  async robots(ctx) {
+    const text = await strapi.service('api::site-setting.site-setting').renderRobotsTxt();
+
+    ctx.set('Cache-Control', `public, max-age=${SITEMAP_MAX_AGE}`);
+    ctx.type = 'text/plain';
+    ctx.body = text;
+  },
+}));
@@ -0,0 +1,44 @@
+/**
+ * sitemap router
+ *
+ * The website proxies `/sitemap.xml`, `/sitemaps/*`, `/news-sitemap.xml` and
+ * `/robots.txt` to these routes.
+ */
+
+export default {
+  routes: [
+    {
+      method: 'GET',
+      path: '/sitemap.xml',
+      handler: 'site-setting.sitemap',
+      config: {
+        // Lists only what the website already shows publicly.
+        auth: false,
+      },
+    },
+    {
+      method: 'GET',
+      path: '/sitemaps/:name',
+      handler: 'site-setting.childSitemap',
+      config: {
+        auth: false,
+      },
+    },
+    {
+      method: 'GET',
+      path: '/news-sitemap.xml',
+      handler: 'site-setting.newsSitemap',
+      config: {
+        auth: false,
+      },
+    },
+    {
+      method: 'GET',
+      path: '/robots.txt',
+      handler: 'site-setting.robots',
+      config: {
+        auth: false,
+      },
+    },
+  ],
+};
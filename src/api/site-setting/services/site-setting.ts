@@ -2,6 +2,377 @@
  * site-setting service
  */
 
+import type { Core } from '@strapi/strapi';
 import { factories } from '@strapi/strapi';
+import { errors } from '@strapi/utils';
+import { normalizePath } from '../../redirect/utils/matching';
+import { toPublicPath } from '../../../utils/public-urls';
+import {
+  SITEMAP_MAX_URLS,
+  extractUrlElements,
+  isExcludedBySeo,
+  renderNewsUrlset,
+  renderSitemapIndex,
+  renderUrlset,
+  toAbsoluteUrl,
+  toLastmod,
+  toSiteOrigin,
+  toUrlElement,
+  type NewsSitemapEntry,
+  type SeoSettings,
+  type SitemapEntry,
+} from '../utils/sitemap';
 
-export default factories.createCoreService('api::site-setting.site-setting');
+// Where the website serves the sitemaps, proxied to the same paths under `/api`.
+const SITEMAP_PATH = '/sitemap.xml';
+const SITEMAP_CHILD_PATH = '/sitemaps';
+const NEWS_SITEMAP_PATH = '/news-sitemap.xml';
+
+// Google News only reads articles from the last two days, and at most 1,000 per sitemap.
+const NEWS_WINDOW_MS = 48 * 60 * 60 * 1000;
+const NEWS_SITEMAP_MAX_URLS = 1000;
+
+// Entries loaded per query while building a sitemap.
+const PAGE_SIZE = 1000;
+
+type SitemapSource = {
+  /** Loads one page of published entries, starting at `start`. */
+  load: (strapi: Core.Strapi, start: number) => Promise<SitemapRecord[]>;
+  /** Public path of an entry, or null to leave it out. */
+  toPath: (entry: SitemapRecord) => string | null;
+  /** Dates tried in order for `lastmod`. */
+  dates: Array<keyof SitemapRecord>;
+};
+
+type SitemapRecord = {
+  routePath?: string | null;
+  slug?: string | null;
+  isActive?: boolean | null;
+  publishDate?: string | Date | null;
+  updatedAt?: string | Date | null;
+  /** A single component on pages, repeatable on the other types. */
+  seo?: SeoSettings | SeoSettings[] | null;
+};
+
+type NewsRecord = SitemapRecord & {
+  title?: string | null;
+  publishedAt?: string | Date | null;
+  tags?: Array<{ name?: string | null }> | null;
+};
+
+// Child sitemaps by name, in the order the index lists them.
+const SITEMAP_SOURCES: Record<string, SitemapSource> = {
+  pages: {
+    load: (strapi, start) =>
+      strapi.documents('api::page.page').findMany({
+        status: 'published',
+        fields: ['routePath', 'isActive', 'updatedAt'],
+        populate: { seo: { fields: ['noindex', 'canonicalUrl'] } },
+        sort: 'id:asc',
+        start,
+        limit: PAGE_SIZE,
+      }),
+    toPath: (entry) => (entry.isActive === false ? null : toPublicPath('api::page.page', entry)),
+    dates: ['updatedAt'],
+  },
+  'seo-pages': {
+    load: (strapi, start) =>
+      strapi.documents('api::seo-page.seo-page').findMany({
+        status: 'published',
+        fields: ['routePath', 'isActive', 'updatedAt'],
+        populate: { seo: { fields: ['noindex', 'canonicalUrl'] } },
+        sort: 'id:asc',
+        start,
+        limit: PAGE_SIZE,
+      }),
+    toPath: (entry) => (entry.isActive === false || !entry.routePath?.trim() ? null : normalizePath(entry.routePath)),
+    dates: ['updatedAt'],
+  },
+  'blog-posts': {
+    load: (strapi, start) =>
+      strapi.documents('api::blog-post.blog-post').findMany({
+        status: 'published',
+        fields: ['slug', 'publishDate', 'updatedAt'],
+        populate: { seo: { fields: ['noindex', 'canonicalUrl'] } },
+        sort: 'id:asc',
+        start,
+        limit: PAGE_SIZE,
+      }),
+    toPath: (entry) => toPublicPath('api::blog-post.blog-post', entry),
+    dates: ['updatedAt', 'publishDate'],
+  },
+  'news-articles': {
+    load: (strapi, start) =>
+      strapi.documents('api::news-article.news-article').findMany({
+        status: 'published',
+        fields: ['slug', 'publishDate', 'updatedAt'],
+        populate: { seo: { fields: ['noindex', 'canonicalUrl'] } },
+        sort: 'id:asc',
+        start,
+        limit: PAGE_SIZE,
+      }),
+    toPath: (entry) => toPublicPath('api::news-article.news-article', entry),
+    dates: ['updatedAt', 'publishDate'],
+  },
+};
+
+// Child sitemap holding the manual `sitemapXml` entries in append mode.
+const MANUAL_SECTION = 'custom';
+
+const latest = (dates: Array<string | null | undefined>) =>
+  dates.reduce<string | null>((current, date) => (date && (!current || date > current) ? date : current), null);
+
+export default factories.createCoreService('api::site-setting.site-setting', ({ strapi }) => {
+  const loadPublished = async (source: SitemapSource) => {
+    const entries: SitemapRecord[] = [];
+
+    for (let start = 0; ; start += PAGE_SIZE) {
+      const page = await source.load(strapi, start);
+
+      entries.push(...page);
+
+      if (page.length < PAGE_SIZE) {
+        return entries;
+      }
+    }
+  };
+
+  /**
+   * Loads the settings the sitemaps and robots.txt are built from. The news publication
+   * is null until both its name and language are set.
+   */
+  const loadSitemapSettings = async () => {
+    const settings = await strapi.documents('api::site-setting.site-setting').findFirst({
+      fields: [
+        'siteUrl',
+        'robotsTxt',
+        'sitemapXml',
+        'sitemapXmlMode',
+        'newsPublicationName',
+        'newsPublicationLanguage',
+      ],
+    });
+    const manualXml = settings?.sitemapXml ?? '';
+    const newsName = settings?.newsPublicationName?.trim();
+    const newsLanguage = settings?.newsPublicationLanguage?.trim().toLowerCase();
+
+    return {
+      origin: toSiteOrigin(settings?.siteUrl),
+      robotsTxt: settings?.robotsTxt ?? '',
+      manualXml,
+      isOverridden: settings?.sitemapXmlMode === 'override' && Boolean(manualXml.trim()),
+      newsPublication: newsName && newsLanguage ? { name: newsName, language: newsLanguage } : null,
+    };
+  };
+
+  // Generated sitemaps need absolute URLs.
+  const requireOrigin = (origin: string | null) => {
+    if (!origin) {
+      throw new errors.NotFoundError('Set siteUrl in the site settings to publish a sitemap.');
+    }
+
+    return origin;
+  };
+
+  /**
+   * Builds the entries of one content type's child sitemap. Each type is built on its
+   * own, so a child sitemap needs only its own type's entries.
+   */
+  const buildSection = async (origin: string, source: SitemapSource) => {
+    const seen = new Set<string>();
+    const entries: SitemapEntry[] = [];
+
+    for (const record of await loadPublished(source)) {
+      const path = source.toPath(record);
+
+      if (!path || isExcludedBySeo(record.seo, origin, path)) {
+        continue;
+      }
+
+      const loc = toAbsoluteUrl(origin, path);
+
+      if (!seen.has(loc)) {
+        seen.add(loc);
+        entries.push({
+          loc,
+          lastmod: toLastmod(...source.dates.map((field) => record[field] as string | Date | null)),
+        });
+      }
+    }
+
+    return entries;
+  };
+
+  return {
+    /**
+     * Renders the website's sitemap: published, active pages and SEO routes and every
+     * published blog post and news article, leaving out noindex entries and entries
+     * whose canonical URL names another page. Past SITEMAP_MAX_URLS URLs it becomes a
+     * sitemap index of per-type child sitemaps, rendered by `renderChildSitemap`.
+     *
+     * The index also lists the news sitemap once a news publication is set.
+     *
+     * The manual `sitemapXml` setting replaces the whole sitemap when `sitemapXmlMode`
+     * is `override`; otherwise its `<url>` elements are appended.
+     */
+    async renderSitemap() {
+      const { origin, manualXml, isOverridden, newsPublication } = await loadSitemapSettings();
+
+      if (isOverridden) {
+        return manualXml;
+      }
+
+      const siteOrigin = requireOrigin(origin);
+      const manualUrls = extractUrlElements(manualXml);
+      const sections: Array<{ name: string; entries: SitemapEntry[] }> = [];
+
+      for (const [name, source] of Object.entries(SITEMAP_SOURCES)) {
+        sections.push({ name, entries: await buildSection(siteOrigin, source) });
+      }
+
+      const total = sections.reduce((sum, section) => sum + section.entries.length, manualUrls.length);
+
+      // A page listed by several types is listed once, by the first of them. Child sitemaps
+      // are built one type at a time, so in an index it appears in each type's sitemap.
+      if (total <= SITEMAP_MAX_URLS) {
+        const locs = new Set<string>();
+        const urls: string[] = [];
+
+        for (const entry of sections.flatMap((section) => section.entries)) {
+          if (!locs.has(entry.loc)) {
+            locs.add(entry.loc);
+            urls.push(toUrlElement(entry));
+          }
+        }
+
+        return renderUrlset([...urls, ...manualUrls]);
+      }
+
+      const children = [
+        ...sections.map((section) => ({
+          name: section.name,
+          count: section.entries.length,
+          lastmod: latest(section.entries.map((entry) => entry.lastmod)),
+        })),
+        ...(manualUrls.length > 0 ? [{ name: MANUAL_SECTION, count: manualUrls.length, lastmod: null }] : []),
+      ];
+
+      return renderSitemapIndex([
+        ...children.flatMap((child) =>
+          Array.from({ length: Math.ceil(child.count / SITEMAP_MAX_URLS) }, (_, index) => ({
+            loc: `${siteOrigin}${SITEMAP_CHILD_PATH}/${child.name}-${index + 1}.xml`,
+            lastmod: child.lastmod,
+          })),
+        ),
+        ...(newsPublication ? [{ loc: `${siteOrigin}${NEWS_SITEMAP_PATH}` }] : []),
+      ]);
+    },
+
+    /**
+     * Renders one child sitemap of the index, e.g. `blog-posts-2.xml`: up to
+     * SITEMAP_MAX_URLS URLs of one type, or of the manual entries for `custom`. Only
+     * that type is loaded.
+     */
+    async renderChildSitemap(name: string) {
+      const match = /^([a-z-]+)-(\d+)\.xml$/.exec(name);
+      const { origin, manualXml, isOverridden } = await loadSitemapSettings();
+
+      if (!match || (match[1] !== MANUAL_SECTION && !SITEMAP_SOURCES[match[1]]) || isOverridden) {
+        throw new errors.NotFoundError(`No sitemap named '${name}'.`);
+      }
+
+      const siteOrigin = requireOrigin(origin);
+      const urls =
+        match[1] === MANUAL_SECTION
+          ? extractUrlElements(manualXml)
+          : (await buildSection(siteOrigin, SITEMAP_SOURCES[match[1]])).map(toUrlElement);
+      const start = (Number(match[2]) - 1) * SITEMAP_MAX_URLS;
+
+      // The first sitemap of a type is served even when empty; `custom` only exists with entries.
+      if (start < 0 || (start >= urls.length && (start > 0 || match[1] === MANUAL_SECTION))) {
+        throw new errors.NotFoundError(`No sitemap named '${name}'.`);
+      }
+
+      return renderUrlset(urls.slice(start, start + SITEMAP_MAX_URLS));
+    },
+
+    /**
+     * Renders the Google News sitemap: published news articles from the last 48 hours,
+     * newest first, with their tags as keywords. `publishDate` has no time, so the query
+     * narrows by date and the exact cutoff is applied to `publishedAt`. Leaves out the
+     * same entries as the main sitemap. Throws NotFoundError until the news publication
+     * name and language are set.
+     */
+    async renderNewsSitemap(now = Date.now()) {
+      const { origin, newsPublication } = await loadSitemapSettings();
+
+      if (!newsPublication) {
+        throw new errors.NotFoundError(
+          'Set newsPublicationName and newsPublicationLanguage in the site settings to publish a news sitemap.',
+        );
+      }
+
+      const siteOrigin = requireOrigin(origin);
+      const cutoff = now - NEWS_WINDOW_MS;
+      const articles: NewsRecord[] = await strapi.documents('api::news-article.news-article').findMany({
+        status: 'published',
+        filters: {
+          publishDate: {
+            $gte: new Date(cutoff).toISOString().slice(0, 10),
+            $lte: new Date(now).toISOString().slice(0, 10),
+          },
+        },
+        fields: ['title', 'slug', 'publishDate', 'publishedAt', 'updatedAt'],
+        populate: { seo: { fields: ['noindex', 'canonicalUrl'] }, tags: { fields: ['name'] } },
+        sort: ['publishedAt:desc', 'updatedAt:desc'],
+        limit: NEWS_SITEMAP_MAX_URLS,
+      });
+
+      const entries = articles.flatMap((article): NewsSitemapEntry[] => {
+        const path = toPublicPath('api::news-article.news-article', article);
+        const publicationDate = toLastmod(article.publishedAt);
+
+        if (!path || !article.title || !publicationDate || Date.parse(publicationDate) < cutoff) {
+          return [];
+        }
+
+        if (isExcludedBySeo(article.seo, siteOrigin, path)) {
+          return [];
+        }
+
+        return [
+          {
+            loc: toAbsoluteUrl(siteOrigin, path),
+            lastmod: toLastmod(article.updatedAt),
+            title: article.title,
+            publicationDate,
+            keywords: (article.tags ?? [])
+              .map((tag) => tag.name?.trim())
+              .filter((name): name is string => Boolean(name)),
+          },
+        ];
+      });
+
+      return renderNewsUrlset(entries, newsPublication);
+    },
+
+    /**
+     * Renders robots.txt: the `robotsTxt` site setting followed by a `Sitemap:` line for
+     * the sitemap and, once a news publication is set, the news sitemap. Lines the
+     * setting already has aren't repeated, and none are added while `siteUrl` is unset.
+     */
+    async renderRobotsTxt() {
+      const { origin, robotsTxt, newsPublication } = await loadSitemapSettings();
+      const sitemapUrls = origin
+        ? [`${origin}${SITEMAP_PATH}`, ...(newsPublication ? [`${origin}${NEWS_SITEMAP_PATH}`] : [])]
+        : [];
+      const listed = robotsTxt.toLowerCase();
+      const lines = [
+        robotsTxt.trim(),
+        ...sitemapUrls.filter((url) => !listed.includes(url.toLowerCase())).map((url) => `Sitemap: ${url}`),
+      ].filter(Boolean);
+
+      return `${lines.join('\n')}\n`;
+    },
+  };
+});
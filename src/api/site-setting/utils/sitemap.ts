@@ -0,0 +1,177 @@
+import { normalizeHost, normalizePath } from '../../redirect/utils/matching';
+
+/** Most URLs one sitemap file may list, per the sitemaps.org protocol. */
+export const SITEMAP_MAX_URLS = 50000;
+
+export type SitemapEntry = {
+  /** Absolute URL of the page. */
+  loc: string;
+  /** ISO date-time the page last changed. */
+  lastmod?: string | null;
+};
+
+const XML_ESCAPES: Record<string, string> = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&apos;',
+};
+
+export const escapeXml = (value: string) => value.replace(/[&<>"']/g, (character) => XML_ESCAPES[character]);
+
+/**
+ * Turns the `siteUrl` site setting into an origin such as `https://example.com`. The
+ * setting may be stored without a scheme; https is assumed then. Null when it's empty
+ * or not a URL.
+ */
+export const toSiteOrigin = (siteUrl?: string | null) => {
+  const value = String(siteUrl ?? '').trim();
+
+  if (!value) {
+    return null;
+  }
+
+  try {
+    const url = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(value) ? value : `https://${value}`);
+    return ['http:', 'https:'].includes(url.protocol) ? url.origin : null;
+  } catch {
+    return null;
+  }
+};
+
+export const toAbsoluteUrl = (origin: string, path: string) => `${origin}${normalizePath(path)}`;
+
+// Hosts compared without `www.`, so a canonical on either form of the site host counts as the site's.
+const toSiteHost = (host: string) => normalizeHost(host).replace(/^www\./, '');
+
+/**
+ * True when an entry's canonical URL names another page, so search engines should index
+ * that page instead. An empty canonical, or one naming the entry's own path on the site's
+ * host, points nowhere else.
+ */
+export const pointsElsewhere = (canonicalUrl: string | null | undefined, origin: string, path: string) => {
+  const value = String(canonicalUrl ?? '').trim();
+
+  if (!value) {
+    return false;
+  }
+
+  try {
+    const canonical = new URL(value, `${origin}/`);
+    return (
+      toSiteHost(canonical.host) !== toSiteHost(new URL(origin).host) ||
+      normalizePath(canonical.pathname) !== normalizePath(path)
+    );
+  } catch {
+    return false;
+  }
+};
+
+export type SeoSettings = { noindex?: boolean | null; canonicalUrl?: string | null };
+
+/**
+ * True when an entry's SEO component keeps it out of sitemaps: it is marked noindex, or
+ * its canonical URL names another page. `seo` is repeatable on most types; any one of
+ * its entries is enough.
+ */
+export const isExcludedBySeo = (seo: SeoSettings | SeoSettings[] | null | undefined, origin: string, path: string) =>
+  (Array.isArray(seo) ? seo : seo ? [seo] : []).some(
+    (entry) => Boolean(entry?.noindex) || pointsElsewhere(entry?.canonicalUrl, origin, path),
+  );
+
+/**
+ * Returns the first of `values` that is a valid date, as an ISO date-time.
+ */
+export const toLastmod = (...values: Array<string | Date | null | undefined>) => {
+  for (const value of values) {
+    const date = value ? new Date(value) : null;
+
+    if (date && !Number.isNaN(date.getTime())) {
+      return date.toISOString();
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Picks the `<url>` elements out of a hand-written sitemap, whether it's a full
+ * `<urlset>` document or just the elements.
+ */
+export const extractUrlElements = (xml?: string | null) => String(xml ?? '').match(/<url>[\s\S]*?<\/url>/gi) ?? [];
+
+export const toUrlElement = (entry: SitemapEntry) =>
+  `<url><loc>${escapeXml(entry.loc)}</loc>${entry.lastmod ? `<lastmod>${entry.lastmod}</lastmod>` : ''}</url>`;
+
+/**
+ * Renders a `<urlset>` sitemap from `<url>` elements, either from `toUrlElement` or
+ * copied from the manual sitemap.
+ */
+export const renderUrlset = (elements: string[]) =>
+  [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...elements.map((element) => `  ${element.trim()}`),
+    '</urlset>',
+    '',
+  ].join('\n');
+
+/**
+ * Renders a `<sitemapindex>` listing child sitemaps.
+ */
+export const renderSitemapIndex = (sitemaps: SitemapEntry[]) =>
+  [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...sitemaps.map(
+      (sitemap) =>
+        `  <sitemap><loc>${escapeXml(sitemap.loc)}</loc>${sitemap.lastmod ? `<lastmod>${sitemap.lastmod}</lastmod>` : ''}</sitemap>`,
+    ),
+    '</sitemapindex>',
+    '',
+  ].join('\n');
+
+export type NewsSitemapEntry = SitemapEntry & {
+  title: string;
+  /** W3C date or date-time the article was published. */
+  publicationDate: string;
+  keywords: string[];
+};
+
+export type NewsPublication = {
+  name: string;
+  /** ISO 639 language code, e.g. `en` or `zh-cn`. */
+  language: string;
+};
+
+/**
+ * Renders a Google News sitemap: a `<urlset>` whose entries carry the `news:news`
+ * extension.
+ */
+export const renderNewsUrlset = (entries: NewsSitemapEntry[], publication: NewsPublication) =>
+  [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:news="http://www.google.com/schemas/sitemap-news/0.9">',
+    ...entries.map((entry) =>
+      [
+        '  <url>',
+        `    <loc>${escapeXml(entry.loc)}</loc>`,
+        ...(entry.lastmod ? [`    <lastmod>${entry.lastmod}</lastmod>`] : []),
+        '    <news:news>',
+        '      <news:publication>',
+        `        <news:name>${escapeXml(publication.name)}</news:name>`,
+        `        <news:language>${escapeXml(publication.language)}</news:language>`,
+        '      </news:publication>',
+        `      <news:publication_date>${escapeXml(entry.publicationDate)}</news:publication_date>`,
+        `      <news:title>${escapeXml(entry.title)}</news:title>`,
+        ...(entry.keywords.length > 0
+          ? [`      <news:keywords>${escapeXml(entry.keywords.join(', '))}</news:keywords>`]
+          : []),
+        '    </news:news>',
+        '  </url>',
+      ].join('\n'),
+    ),
+    '</urlset>',
+    '',
+  ].join('\n');
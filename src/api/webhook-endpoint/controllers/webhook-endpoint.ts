@@ -0,0 +1,7 @@
+/**
+ * webhook-endpoint controller
+ */
+
+import { factories } from '@strapi/strapi';
+
+export default factories.createCoreController('api::webhook-endpoint.webhook-endpoint');
@@ -0,0 +1,7 @@
+/**
+ * webhook-endpoint service
+ */
+
+import { factories } from '@strapi/strapi';
+
+export default factories.createCoreService('api::webhook-endpoint.webhook-endpoint');
@@ -0,0 +1,7 @@
+/**
+ * website-delivery controller
+ */
+
+import { factories } from '@strapi/strapi';
+
+export default factories.createCoreController('api::website-delivery.website-delivery');
@@ -0,0 +1,10 @@
+/**
+ * website-delivery router
+ */
+
+import { factories } from '@strapi/strapi';
+
+// Deliveries are written by the website-tools plugin only.
+export default factories.createCoreRouter('api::website-delivery.website-delivery', {
+  only: ['find', 'findOne'],
+});
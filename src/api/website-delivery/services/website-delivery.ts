@@ -0,0 +1,62 @@
+/**
+ * website-delivery service
+ */
+
+import { factories } from '@strapi/strapi';
+import type { Modules } from '@strapi/strapi';
+
+export type DeliveryFilters = {
+  kind?: string;
+  trigger?: string;
+  state?: string;
+};
+
+const FILTERED_FIELDS = ['kind', 'trigger', 'state'] as const;
+
+type DeliveryQueryFilters = Modules.Documents.Params.Filters.Any<'api::website-delivery.website-delivery'>;
+
+// Keeps the filters that were given; an unknown value simply matches nothing.
+const toQueryFilters = (filters: DeliveryFilters): DeliveryQueryFilters =>
+  Object.fromEntries(FILTERED_FIELDS.filter((field) => filters[field]).map((field) => [field, filters[field]]));
+
+export default factories.createCoreService('api::website-delivery.website-delivery', ({ strapi }) => ({
+  /**
+   * Lists recent deliveries, newest first, without the website's response bodies.
+   */
+  async listRecent(filters: DeliveryFilters, limit: number) {
+    return strapi.documents('api::website-delivery.website-delivery').findMany({
+      filters: toQueryFilters(filters),
+      fields: [
+        'kind',
+        'trigger',
+        'event',
+        'endpointName',
+        'userName',
+        'url',
+        'payload',
+        'state',
+        'attempts',
+        'responseStatus',
+        'errorMessage',
+        'durationMs',
+        'nextAttemptAt',
+        'finishedAt',
+        'retryOf',
+        'createdAt',
+      ],
+      sort: ['createdAt:desc'],
+      limit,
+    });
+  },
+
+  /**
+   * Lists automatic deliveries whose next retry is due, oldest first.
+   */
+  async listDueRetries(limit: number) {
+    return strapi.documents('api::website-delivery.website-delivery').findMany({
+      filters: { state: 'retry-scheduled', nextAttemptAt: { $lte: new Date().toISOString() } },
+      sort: ['nextAttemptAt:asc'],
+      limit,
+    });
+  },
+}));
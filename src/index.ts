@@ -1,3 +1,21 @@
+import type { Core, UID } from '@strapi/strapi';
+import { findPublishedPath, PUBLIC_URLS } from './utils/public-urls';
+import { findPurgePath, PURGE_TARGETS } from './utils/purge-targets';
+
+// Content types the redirects middleware keeps in memory; each service has refreshTable and validateForSave.
+const REDIRECT_TABLE_UIDS: UID.ContentType[] = ['api::redirect.redirect', 'api::host-rule.host-rule'];
+
+// Document service actions that can change which redirects are published and active.
+const REDIRECT_WRITE_ACTIONS = ['create', 'update', 'delete', 'publish', 'unpublish'];
+
+// Actions that can leave a redirect invalid or looping; checked before they are written.
+const REDIRECT_VALIDATED_ACTIONS = ['create', 'update', 'publish'];
+
+// Actions that change what the website shows, so they purge it and notify webhooks.
+// Creates and updates only do so when they write the published version, or for types without drafts.
+const CHANGE_ACTIONS = ['publish', 'unpublish', 'delete'];
+const CHANGE_WRITE_ACTIONS = ['create', 'update'];
+
 export default {
   /**
    * An asynchronous register function that runs before
@@ -5,7 +23,113 @@ export default {
    *
    * This gives you an opportunity to extend code.
    */
-  register(/* { strapi }: { strapi: Core.Strapi } */) {},
+  register({ strapi }: { strapi: Core.Strapi }) {
+    strapi.documents.use(async (context, next) => {
+      const isRedirectTable = REDIRECT_TABLE_UIDS.includes(context.uid);
+
+      if (isRedirectTable && REDIRECT_VALIDATED_ACTIONS.includes(context.action)) {
+        await strapi.service(context.uid).validateForSave(context.action, context.params);
+      }
+
+      if (context.uid === 'api::webhook-endpoint.webhook-endpoint' && ['create', 'update'].includes(context.action)) {
+        strapi
+          .plugin('website-tools')
+          .service('webhooks')
+          .validateEndpoint((context.params as { data?: Record<string, unknown> }).data);
+      }
+
+      const { documentId, status, validatedInBatch } = (context.params ?? {}) as {
+        documentId?: string;
+        status?: string;
+        validatedInBatch?: boolean;
+      };
+      const isPublishing = context.action === 'publish' || (context.action === 'update' && status === 'published');
+
+      const purgeTarget = PURGE_TARGETS[context.uid];
+      const isContentChange =
+        purgeTarget &&
+        (CHANGE_ACTIONS.includes(context.action) ||
+          (CHANGE_WRITE_ACTIONS.includes(context.action) &&
+            (status === 'published' || !strapi.contentType(context.uid).options?.draftAndPublish)));
+
+      // Publishing a page or article under a new URL adds a redirect from the old one.
+      const urlConfig = PUBLIC_URLS[context.uid];
+      const pathBefore =
+        isContentChange || (urlConfig && isPublishing) ? await findPurgePath(strapi, context.uid, documentId) : null;
+      const previousPath = urlConfig && isPublishing ? pathBefore : null;
+
+      const result = await next();
+
+      if (previousPath) {
+        const redirectMovedUrl = async () => {
+          try {
+            const currentPath = await findPublishedPath(strapi, context.uid, documentId);
+
+            if (currentPath && currentPath !== previousPath) {
+              const change = await strapi
+                .service('api::redirect.redirect')
+                .redirectMovedUrl(previousPath, currentPath, urlConfig.label);
+              strapi.log.info(
+                `Redirected ${previousPath} to ${currentPath} (${change.action}, ${change.retargeted} retargeted, ${change.deactivated} deactivated).`,
+              );
+            }
+          } catch (error) {
+            strapi.log.error(
+              `Failed to redirect ${previousPath} after a ${urlConfig.label} change: ${error instanceof Error ? error.message : error}`,
+            );
+          }
+        };
+
+        // The content manager saves inside its own transaction, which a failed redirect write
+        // would abort along with the editor's save; the redirects wait until it commits.
+        if (strapi.db.inTransaction()) {
+          await strapi.db.transaction(async ({ onCommit }: { onCommit: (callback: () => void) => void }) =>
+            onCommit(redirectMovedUrl),
+          );
+        } else {
+          await redirectMovedUrl();
+        }
+      }
+
+      // The website and webhooks are told about the URL a change removed as well as the one it added.
+      if (isContentChange) {
+        try {
+          const resultId = (result as { documentId?: string } | null)?.documentId ?? documentId;
+          const pathAfter = context.action === 'delete' ? null : await findPurgePath(strapi, context.uid, resultId);
+          const paths = [pathBefore, pathAfter].filter((path): path is string => Boolean(path));
+
+          strapi
+            .plugin('website-tools')
+            .service('content-changes')
+            .queue({
+              uid: context.uid,
+              action: context.action,
+              documentId: resultId,
+              paths: Array.from(new Set([...paths, ...(paths.length > 0 ? (purgeTarget.listingPaths ?? []) : [])])),
+              caches: purgeTarget.caches ?? [],
+            });
+        } catch (error) {
+          strapi.log.error(
+            `Failed to queue a content change for ${context.uid}: ${error instanceof Error ? error.message : error}`,
+          );
+        }
+      }
+
+      // Batch writes such as imports rebuild the table once per chunk instead.
+      if (isRedirectTable && REDIRECT_WRITE_ACTIONS.includes(context.action) && !validatedInBatch) {
+        strapi
+          .service(context.uid)
+          .refreshTable()
+          .catch((error: unknown) => {
+            strapi.log.error(
+              `Failed to rebuild ${context.uid} table: ${error instanceof Error ? error.message : error}`,
+            );
+          });
+      }
+
+      return result;
+    });
+  },
 
   /**
    * An asynchronous bootstrap function that runs before
@@ -14,5 +138,22 @@ export default {
    * This gives you an opportunity to set up your data model,
    * run jobs, or perform some special logic.
    */
-  bootstrap(/* { strapi }: { strapi: Core.Strapi } */) {},
+  async bootstrap({ strapi }: { strapi: Core.Strapi }) {
+    await Promise.all(REDIRECT_TABLE_UIDS.map((uid) => strapi.service(uid).refreshTable()));
+    strapi.service('api::redirect-hit.redirect-hit').startFlushTimer();
+    strapi.service('api::missing-path.missing-path').startFlushTimer();
+  },
+
+  /**
+   * An asynchronous destroy function that runs before
+   * your application shuts down.
+   *
+   * Buffered redirect hits and 404s are written here so a restart doesn't lose them.
+   */
+  async destroy({ strapi }: { strapi: Core.Strapi }) {
+    await Promise.all([
+      strapi.service('api::redirect-hit.redirect-hit').stopFlushTimer(),
+      strapi.service('api::missing-path.missing-path').stopFlushTimer(),
+    ]);
+  },
 };
@@ -1,47 +1,5 @@
-type RedirectEntry = {
-  fromPath?: string | null;
-  toUrl?: string | null;
-  statusCode?: string | null;
-};
-
-const RESERVED_PREFIXES = ['/admin', '/api', '/uploads', '/content-manager'];
-
-const normalizePath = (value: string) => {
-  const trimmed = value.trim();
-
-  if (!trimmed) {
-    return '/';
-  }
-
-  if (/^https?:\/\//i.test(trimmed)) {
-    try {
-      return new URL(trimmed).pathname || '/';
-    } catch {
-      return trimmed;
-    }
-  }
-
-  const withLeadingSlash = trimmed.startsWith('/') ? trimmed : `/${trimmed}`;
-  const withoutQuery = withLeadingSlash.split('?')[0] || '/';
-
-  if (withoutQuery.length > 1 && withoutQuery.endsWith('/')) {
-    return withoutQuery.slice(0, -1);
-  }
-
-  return withoutQuery || '/';
-};
-
-const withQueryString = (targetUrl: string, queryString: string) => {
-  if (!queryString) {
-    return targetUrl;
-  }
-
-  const separator = targetUrl.includes('?') ? '&' : '?';
-  return `${targetUrl}${separator}${queryString}`;
-};
-
-const toHttpStatus = (statusCode?: string | null) =>
-  statusCode === 'Redirecct-302' ? 302 : 301;
+import { isReservedPath, normalizePath } from '../api/redirect/utils/matching';
+import { resolveRequest } from '../api/redirect/utils/resolve';
 
 export default (_config: unknown, { strapi }: { strapi: any }) => {
   return async (ctx: any, next: () => Promise<void>) => {
@@ -51,45 +9,43 @@ export default (_config: unknown, { strapi }: { strapi: any }) => {
 
     const requestPath = normalizePath(ctx.path);
 
-    if (RESERVED_PREFIXES.some((prefix) => requestPath === prefix || requestPath.startsWith(`${prefix}/`))) {
+    if (isReservedPath(requestPath)) {
       return next();
     }
 
-    const candidates = Array.from(
-      new Set([
-        requestPath,
-        requestPath === '/' ? requestPath : `${requestPath}/`,
-      ]),
+    // Host rules (canonical host, HTTPS) run first; path rules apply on the canonical host.
+    const decision = resolveRequest(
+      await strapi.service('api::redirect.redirect').getTable(),
+      await strapi.service('api::host-rule.host-rule').getRules(),
+      { path: ctx.path, query: ctx.request.querystring, host: ctx.hostname, protocol: ctx.protocol },
     );
 
-    const matches = (await strapi.documents('api::redirect.redirect').findMany({
-      filters: {
-        fromPath: {
-          $in: candidates,
-        },
-        isActive: true,
-      },
-      status: 'published',
-      fields: ['fromPath', 'toUrl', 'statusCode'],
-      limit: 1,
-    })) as RedirectEntry[];
+    if (!decision) {
+      await next();
 
-    const match = matches[0];
-    const destination = match?.toUrl?.trim();
+      if (ctx.status === 404) {
+        strapi.service('api::missing-path.missing-path').record(requestPath, {
+          userAgent: ctx.get('user-agent'),
+          referrer: ctx.get('referer'),
+        });
+      }
+      return;
+    }
 
-    if (!destination) {
-      return next();
+    ctx.status = decision.status;
+
+    if (decision.kind === 'host') {
+      ctx.redirect(decision.location);
+      return;
     }
 
-    const destinationPath = /^https?:\/\//i.test(destination)
-      ? normalizePath(destination)
-      : normalizePath(destination.split('?')[0] || destination);
+    strapi.service('api::redirect-hit.redirect-hit').record(decision.entry, ctx.get('referer'));
 
-    if (destinationPath === requestPath) {
-      return next();
+    if (decision.kind === 'gone') {
+      ctx.body = ctx.message;
+      return;
     }
 
-    ctx.status = toHttpStatus(match.statusCode);
-    ctx.redirect(withQueryString(destination, ctx.request.querystring));
+    ctx.redirect(decision.location);
   };
 };
@@ -0,0 +1,83 @@
+'use strict';
+
+const { parseInteger } = require('../../../../utils/parse');
+const { getUserName } = require('../../../../utils/users');
+
+const DEFAULT_LIMIT = 20;
+
+module.exports = {
+  async listBatches(ctx) {
+    const limit = parseInteger(ctx.query.limit, DEFAULT_LIMIT, 1, 100);
+    const batches = await strapi.service('api::redirect-import-batch.redirect-import-batch').listRecent(limit);
+
+    ctx.body = {
+      batches,
+    };
+  },
+
+  async getBatch(ctx) {
+    const batch = await strapi.documents('api::redirect-import-batch.redirect-import-batch').findOne({
+      documentId: ctx.params.documentId,
+      fields: [
+        'fileName',
+        'format',
+        'options',
+        'userName',
+        'summary',
+        'results',
+        'state',
+        'total',
+        'processed',
+        'errorMessage',
+        'finishedAt',
+        'rolledBackAt',
+        'rolledBackBy',
+        'rollbackResults',
+        'createdAt',
+      ],
+    });
+
+    if (!batch) {
+      return ctx.notFound('Import batch not found.');
+    }
+
+    ctx.body = {
+      batch,
+    };
+  },
+
+  async cancelBatch(ctx) {
+    const cancelled = strapi.plugin('redirect-import').service('import-jobs').cancel(ctx.params.documentId);
+
+    if (!cancelled) {
+      return ctx.badRequest('This import is not running.');
+    }
+
+    ctx.body = {
+      cancelRequested: true,
+    };
+  },
+
+  async rollbackBatch(ctx) {
+    try {
+      const batch = await strapi
+        .service('api::redirect-import-batch.redirect-import-batch')
+        .rollback(ctx.params.documentId, getUserName(ctx.state.user));
+
+      ctx.body = {
+        batch: {
+          documentId: batch.documentId,
+          state: batch.state,
+          rolledBackAt: batch.rolledBackAt,
+          rolledBackBy: batch.rolledBackBy,
+          rollbackResults: batch.rollbackResults,
+        },
+      };
+    } catch (error) {
+      if (error && error.name === 'NotFoundError') {
+        return ctx.notFound(error.message);
+      }
+      return ctx.badRequest(error instanceof Error ? error.message : 'Unable to roll back the import.');
+    }
+  },
+};
@@ -1,7 +1,13 @@
 'use strict';
 
+const importBatches = require('./import-batches');
+const missingPaths = require('./missing-paths');
+const redirectAnalytics = require('./redirect-analytics');
 const redirectImport = require('./redirect-import');
 
 module.exports = {
+  'import-batches': importBatches,
+  'missing-paths': missingPaths,
+  'redirect-analytics': redirectAnalytics,
   'redirect-import': redirectImport,
 };
@@ -0,0 +1,73 @@
+'use strict';
+
+const { parseInteger } = require('../../../../utils/parse');
+
+const DEFAULT_LIMIT = 50;
+
+async function findMissingPath(ctx) {
+  const id = parseInteger(ctx.params.id, 0, 0, Number.MAX_SAFE_INTEGER);
+  const missingPath = id
+    ? await strapi.db.query('api::missing-path.missing-path').findOne({ where: { id } })
+    : null;
+
+  if (!missingPath) {
+    ctx.notFound('Missing path not found.');
+    return null;
+  }
+
+  return missingPath;
+}
+
+module.exports = {
+  async listMissingPaths(ctx) {
+    const limit = parseInteger(ctx.query.limit, DEFAULT_LIMIT, 1, 200);
+    const missingPaths = await strapi.service('api::missing-path.missing-path').listUnresolved(limit);
+
+    ctx.body = {
+      missingPaths,
+    };
+  },
+
+  async createRedirect(ctx) {
+    const missingPath = await findMissingPath(ctx);
+    if (!missingPath) return;
+
+    const toUrl = String(ctx.request.body?.toUrl ?? '').trim();
+    if (!toUrl) {
+      return ctx.badRequest('toUrl is required.');
+    }
+
+    try {
+      const redirect = await strapi.documents('api::redirect.redirect').create({
+        data: {
+          fromPath: missingPath.path,
+          toUrl,
+          statusCode: 'Redirect-301',
+          matchType: 'exact',
+          isActive: true,
+          notes: `Created from 404 log (${missingPath.hitCount} hits)`,
+        },
+        status: 'published',
+      });
+
+      await strapi.service('api::missing-path.missing-path').resolve(missingPath.id, redirect.documentId);
+
+      ctx.body = {
+        redirect,
+      };
+    } catch (error) {
+      return ctx.badRequest(error instanceof Error ? error.message : 'Unable to create redirect.');
+    }
+  },
+
+  async dismissMissingPath(ctx) {
+    const missingPath = await findMissingPath(ctx);
+    if (!missingPath) return;
+
+    await strapi.service('api::missing-path.missing-path').resolve(missingPath.id, null);
+
+    ctx.body = {
+      ok: true,
+    };
+  },
+};
@@ -0,0 +1,79 @@
+'use strict';
+
+const { parseInteger } = require('../../../../utils/parse');
+
+const DEFAULT_STALE_MONTHS = 12;
+const DEFAULT_TOP_LIMIT = 25;
+
+function toTime(value) {
+  const time = value ? new Date(value).getTime() : NaN;
+  return Number.isFinite(time) ? time : null;
+}
+
+module.exports = {
+  async getAnalytics(ctx) {
+    const staleMonths = parseInteger(ctx.query.staleMonths, DEFAULT_STALE_MONTHS, 1, 60);
+    const topLimit = parseInteger(ctx.query.limit, DEFAULT_TOP_LIMIT, 1, 200);
+
+    // Include hits still buffered in memory so the report is current.
+    await strapi.service('api::redirect-hit.redirect-hit').flush();
+
+    const [redirects, hits] = await Promise.all([
+      strapi.documents('api::redirect.redirect').findMany({
+        filters: { isActive: true },
+        status: 'published',
+        fields: ['fromPath', 'toUrl', 'statusCode', 'matchType', 'createdAt'],
+        sort: ['id:asc'],
+      }),
+      strapi.db.query('api::redirect-hit.redirect-hit').findMany(),
+    ]);
+
+    const hitsByDocumentId = new Map(hits.map((hit) => [hit.redirectDocumentId, hit]));
+    const rows = redirects.map((redirect) => {
+      const hit = hitsByDocumentId.get(redirect.documentId);
+      return {
+        documentId: redirect.documentId,
+        fromPath: redirect.fromPath,
+        toUrl: redirect.toUrl,
+        statusCode: redirect.statusCode,
+        matchType: redirect.matchType,
+        createdAt: redirect.createdAt,
+        hitCount: hit?.hitCount ?? 0,
+        firstHitAt: hit?.firstHitAt ?? null,
+        lastHitAt: hit?.lastHitAt ?? null,
+        topReferrers: hit?.topReferrers ?? {},
+      };
+    });
+
+    const cutoff = new Date();
+    cutoff.setMonth(cutoff.getMonth() - staleMonths);
+    const cutoffTime = cutoff.getTime();
+
+    // A redirect is stale when neither its last hit nor its creation falls inside the window,
+    // so redirects added recently are not reported just because nobody has hit them yet.
+    const stale = rows
+      .filter((row) => {
+        const lastActivity = toTime(row.lastHitAt) ?? toTime(row.createdAt);
+        return lastActivity !== null && lastActivity < cutoffTime;
+      })
+      .sort((a, b) => (toTime(a.lastHitAt) ?? 0) - (toTime(b.lastHitAt) ?? 0));
+
+    const top = rows
+      .filter((row) => row.hitCount > 0)
+      .sort((a, b) => b.hitCount - a.hitCount)
+      .slice(0, topLimit);
+
+    ctx.body = {
+      summary: {
+        live: rows.length,
+        tracked: rows.filter((row) => row.hitCount > 0).length,
+        stale: stale.length,
+        totalHits: rows.reduce((total, row) => total + row.hitCount, 0),
+        staleMonths,
+        staleBefore: cutoff.toISOString(),
+      },
+      top,
+      stale,
+    };
+  },
+};
@@ -1,191 +1,129 @@
 'use strict';
 
-const STATUS_MAP = {
-  '301': 'Redirect-301',
-  '302': 'Redirecct-302',
-  'redirect-301': 'Redirect-301',
-  'redirecct-302': 'Redirecct-302',
-  'redirect-302': 'Redirecct-302',
-};
+const { readSource, toPreviewRow, toSkippedLines } = require('../utils/import-rows');
 
-function parseBoolean(value, fallback = true) {
-  if (value === undefined || value === null || value === '') return fallback;
-  const normalized = String(value).trim().toLowerCase();
-  if (['true', '1', 'yes', 'y'].includes(normalized)) return true;
-  if (['false', '0', 'no', 'n'].includes(normalized)) return false;
-  return fallback;
+function sortByLine(rows) {
+  return [...rows].sort((a, b) => a.line - b.line);
 }
 
-function toStatusCode(value) {
-  if (!value) return 'Redirect-301';
-  const normalized = String(value).trim().toLowerCase();
-  return STATUS_MAP[normalized] || 'Redirect-301';
-}
+module.exports = {
+  async previewImport(ctx) {
+    const source = readSource(ctx.request.body);
 
-function normalizePath(value) {
-  if (!value) return '';
-  const trimmed = String(value).trim();
-  if (!trimmed) return '';
-  return trimmed.startsWith('/') ? trimmed : `/${trimmed}`;
-}
+    if (source.error) {
+      return ctx.badRequest(source.error);
+    }
 
-function parseCsvLine(line) {
-  const cells = [];
-  let current = '';
-  let inQuotes = false;
+    ctx.body = {
+      format: source.format,
+      delimiter: source.delimiter ?? null,
+      rows: source.rows.map(toPreviewRow),
+      warnings: source.warnings,
+    };
+  },
 
-  for (let index = 0; index < line.length; index += 1) {
-    const char = line[index];
-    const next = line[index + 1];
+  async importCsv(ctx) {
+    const { upsertMode = 'update', forcePublish = false, dryRun = false } = ctx.request.body ?? {};
 
-    if (char === '"' && inQuotes && next === '"') {
-      current += '"';
-      index += 1;
-      continue;
+    if (!['update', 'skip'].includes(String(upsertMode))) {
+      return ctx.badRequest("upsertMode must be either 'update' or 'skip'.");
     }
 
-    if (char === '"') {
-      inQuotes = !inQuotes;
-      continue;
+    const source = readSource(ctx.request.body);
+    if (source.error) {
+      return ctx.badRequest(source.error);
     }
 
-    if (char === ',' && !inQuotes) {
-      cells.push(current.trim());
-      current = '';
-      continue;
+    const importJobs = strapi.plugin('redirect-import').service('import-jobs');
+
+    if (!dryRun) {
+      const batch = await importJobs.enqueue({
+        source,
+        fileName: String(ctx.request.body?.fileName ?? '').trim(),
+        upsertMode,
+        forcePublish,
+        user: ctx.state.user,
+      });
+
+      ctx.status = 202;
+      ctx.body = {
+        jobId: batch.documentId,
+        state: batch.state,
+        total: batch.total,
+      };
+      return;
     }
 
-    current += char;
-  }
+    const prepared = await importJobs.plan(source.rows, { upsertMode, forcePublish });
+    const plan = sortByLine([
+      ...prepared.map(({ resultRow }) => resultRow),
+      ...toSkippedLines(source.warnings, 'skip'),
+    ]);
+    const count = (action) => plan.filter((row) => row.action === action).length;
 
-  cells.push(current.trim());
-  return cells;
-}
+    ctx.body = {
+      dryRun: true,
+      summary: {
+        total: plan.length,
+        create: count('create'),
+        update: count('update'),
+        skip: count('skip'),
+        fail: count('fail'),
+        conflicts: plan.filter((row) => row.conflicts.length > 0).length,
+      },
+      results: plan,
+    };
+  },
 
-function parseCsv(text) {
-  const lines = String(text ?? '')
-    .split(/\r?\n/)
-    .map((line) => line.trim())
-    .filter(Boolean);
-
-  if (lines.length < 2) return [];
-
-  const headers = parseCsvLine(lines[0]).map((header) => header.trim());
-
-  return lines.slice(1).map((line, index) => {
-    const cells = parseCsvLine(line);
-    const row = {};
-    headers.forEach((header, cellIndex) => {
-      row[header] = cells[cellIndex] ?? '';
-    });
-    row.__line = index + 2;
-    return row;
-  });
-}
+  async analyzeChains(ctx) {
+    const issues = await strapi.service('api::redirect.redirect').analyze();
 
-module.exports = {
-  async importCsv(ctx) {
-    const { csvText, upsertMode = 'update', forcePublish = false } = ctx.request.body ?? {};
+    ctx.body = {
+      summary: {
+        chains: issues.filter((issue) => issue.kind === 'chain').length,
+        loops: issues.filter((issue) => issue.kind === 'loop').length,
+        selfRedirects: issues.filter((issue) => issue.kind === 'self').length,
+      },
+      issues: issues.map((issue) => ({
+        documentId: issue.entry.documentId,
+        fromPath: issue.entry.fromPath,
+        toUrl: issue.entry.toUrl,
+        kind: issue.kind,
+        hops: issue.hops,
+        finalDestination: issue.finalDestination,
+      })),
+    };
+  },
 
-    if (!csvText || !String(csvText).trim()) {
-      return ctx.badRequest('csvText is required.');
-    }
+  async getDestinationReport(ctx) {
+    ctx.body = {
+      report: await strapi.service('api::redirect.redirect').getDestinationReport(),
+    };
+  },
 
-    if (!['update', 'skip'].includes(String(upsertMode))) {
-      return ctx.badRequest("upsertMode must be either 'update' or 'skip'.");
-    }
+  async checkDestinations(ctx) {
+    ctx.body = {
+      report: await strapi.service('api::redirect.redirect').runDestinationReport(),
+    };
+  },
 
-    const rows = parseCsv(csvText);
-    if (rows.length === 0) {
-      return ctx.badRequest('No CSV rows found. Include a header row and at least one redirect row.');
-    }
+  async exportRedirects(ctx) {
+    ctx.body = await strapi.service('api::redirect.redirect').exportRedirects(ctx.query);
+  },
 
-    const results = [];
-    let created = 0;
-    let updated = 0;
-    let skipped = 0;
-    let failed = 0;
-
-    for (const row of rows) {
-      const fromPath = normalizePath(row.fromPath);
-      const toUrl = String(row.toUrl ?? '').trim();
-      const payload = {
-        fromPath,
-        toUrl,
-        statusCode: toStatusCode(row.statusCode),
-        isActive: parseBoolean(row.isActive, true),
-        notes: String(row.notes ?? '').trim() || null,
-      };
+  async listScheduled(ctx) {
+    const redirects = await strapi.service('api::redirect.redirect').listScheduled();
 
-      const resultRow = {
-        line: row.__line,
-        fromPath,
-        toUrl,
-        statusCode: payload.statusCode,
-        isActive: payload.isActive,
-        notes: payload.notes,
-        action: 'none',
-        error: null,
-      };
+    ctx.body = {
+      redirects,
+    };
+  },
 
-      if (!fromPath || !toUrl) {
-        failed += 1;
-        resultRow.action = 'failed';
-        resultRow.error = 'Missing required fromPath or toUrl.';
-        results.push(resultRow);
-        continue;
-      }
-
-      try {
-        const existing = await strapi.documents('api::redirect.redirect').findMany({
-          filters: { fromPath },
-          limit: 1,
-          status: 'draft',
-        });
-
-        if (existing.length > 0) {
-          if (upsertMode === 'skip') {
-            skipped += 1;
-            resultRow.action = 'skipped';
-            results.push(resultRow);
-            continue;
-          }
-
-          await strapi.documents('api::redirect.redirect').update({
-            documentId: existing[0].documentId,
-            data: payload,
-            ...(forcePublish ? { status: 'published' } : {}),
-          });
-          updated += 1;
-          resultRow.action = 'updated';
-          results.push(resultRow);
-          continue;
-        }
-
-        await strapi.documents('api::redirect.redirect').create({
-          data: payload,
-          ...(forcePublish ? { status: 'published' } : {}),
-        });
-        created += 1;
-        resultRow.action = 'created';
-        results.push(resultRow);
-      } catch (error) {
-        failed += 1;
-        resultRow.action = 'failed';
-        resultRow.error = error instanceof Error ? error.message : 'Unknown error';
-        results.push(resultRow);
-      }
-    }
+  async flattenChains(ctx) {
+    const flattened = await strapi.service('api::redirect.redirect').flattenChains();
 
     ctx.body = {
-      summary: {
-        total: rows.length,
-        created,
-        updated,
-        skipped,
-        failed,
-      },
-      results,
+      flattened,
     };
   },
 };
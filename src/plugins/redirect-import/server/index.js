@@ -2,8 +2,13 @@
 
 const controllers = require('./controllers');
 const routes = require('./routes');
+const services = require('./services');
 
 module.exports = () => ({
+  async bootstrap({ strapi }) {
+    await strapi.plugin('redirect-import').service('import-jobs').markInterrupted();
+  },
   controllers,
   routes,
+  services,
 });
@@ -3,11 +3,101 @@
 module.exports = {
   type: 'admin',
   routes: [
+    {
+      method: 'POST',
+      path: '/import/preview',
+      handler: 'redirect-import.previewImport',
+      config: {},
+    },
     {
       method: 'POST',
       path: '/import',
       handler: 'redirect-import.importCsv',
       config: {},
     },
+    {
+      method: 'GET',
+      path: '/batches',
+      handler: 'import-batches.listBatches',
+      config: {},
+    },
+    {
+      method: 'GET',
+      path: '/batches/:documentId',
+      handler: 'import-batches.getBatch',
+      config: {},
+    },
+    {
+      method: 'POST',
+      path: '/batches/:documentId/cancel',
+      handler: 'import-batches.cancelBatch',
+      config: {},
+    },
+    {
+      method: 'POST',
+      path: '/batches/:documentId/rollback',
+      handler: 'import-batches.rollbackBatch',
+      config: {},
+    },
+    {
+      method: 'GET',
+      path: '/chains',
+      handler: 'redirect-import.analyzeChains',
+      config: {},
+    },
+    {
+      method: 'POST',
+      path: '/chains/flatten',
+      handler: 'redirect-import.flattenChains',
+      config: {},
+    },
+    {
+      method: 'GET',
+      path: '/destinations',
+      handler: 'redirect-import.getDestinationReport',
+      config: {},
+    },
+    {
+      method: 'POST',
+      path: '/destinations/check',
+      handler: 'redirect-import.checkDestinations',
+      config: {},
+    },
+    {
+      method: 'GET',
+      path: '/export',
+      handler: 'redirect-import.exportRedirects',
+      config: {},
+    },
+    {
+      method: 'GET',
+      path: '/scheduled',
+      handler: 'redirect-import.listScheduled',
+      config: {},
+    },
+    {
+      method: 'GET',
+      path: '/analytics',
+      handler: 'redirect-analytics.getAnalytics',
+      config: {},
+    },
+    {
+      method: 'GET',
+      path: '/missing-paths',
+      handler: 'missing-paths.listMissingPaths',
+      config: {},
+    },
+    {
+      method: 'POST',
+      path: '/missing-paths/:id/redirect',
+      handler: 'missing-paths.createRedirect',
+      config: {},
+    },
+    {
+      method: 'POST',
+      path: '/missing-paths/:id/dismiss',
+      handler: 'missing-paths.dismissMissingPath',
+      config: {},
+    },
   ],
 };
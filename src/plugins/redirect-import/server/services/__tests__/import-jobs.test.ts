@@ -0,0 +1,177 @@
+import { describe, expect, it, vi } from 'vitest';
+import buildImportJobs from '../import-jobs';
+
+const BATCH_UID = 'api::redirect-import-batch.redirect-import-batch';
+
+type Row = Record<string, unknown>;
+
+const toRows = (pairs: Array<[string, string]>) =>
+  pairs.map(([fromPath, toUrl], index) => ({ __line: index + 2, fromPath, toUrl }));
+
+const createStrapi = ({
+  existing = [],
+  traces,
+  create = async () => ({}),
+}: {
+  existing?: Row[];
+  traces?: (payloads: Row[]) => unknown[];
+  create?: (params: { data: Row }) => Promise<unknown>;
+} = {}) => {
+  let created = 0;
+  const batchUpdates: Row[] = [];
+  const redirects = {
+    findMany: vi.fn(async () => existing),
+    create: vi.fn(async (params: { data: Row }) => {
+      await create(params);
+      created += 1;
+      return { documentId: `new-${created}` };
+    }),
+    update: vi.fn(async () => ({})),
+  };
+  const batches = {
+    create: async () => ({ documentId: 'batch' }),
+    update: async ({ data }: { data: Row }) => {
+      batchUpdates.push(structuredClone(data));
+      return {};
+    },
+  };
+  const redirectService = {
+    traceCandidates: async (payloads: Row[]) => (traces ? traces(payloads) : payloads.map(() => null)),
+    findShadowedContent: async (payloads: Row[]) => payloads.map(() => []),
+    checkDestinations: async (list: unknown[]) => list.map(() => null),
+    blocksBrokenDestination: () => false,
+    refreshTable: vi.fn(async () => {}),
+  };
+  const batchService = {
+    snapshot: async () => null,
+    snapshotMany: async (ids: string[]) =>
+      new Map(ids.map((id) => [id, { draft: { toUrl: '/before' }, published: null }])),
+  };
+  const strapi = {
+    documents: (uid: string) => (uid === BATCH_UID ? batches : redirects),
+    service: (uid: string) => (uid === BATCH_UID ? batchService : redirectService),
+    db: { transaction: vi.fn((run: () => Promise<unknown>) => run()) },
+    log: { error: vi.fn() },
+  };
+
+  return { strapi, redirects, redirectService, batchUpdates };
+};
+
+// Enqueues rows and waits for the job to reach a final state.
+const runImport = async (strapi: ReturnType<typeof createStrapi>['strapi'], batchUpdates: Row[], rows: Row[]) => {
+  await buildImportJobs({ strapi }).enqueue({
+    source: { rows, warnings: [], format: 'csv' },
+    upsertMode: 'update',
+    forcePublish: true,
+  });
+
+  await vi.waitFor(() => expect(batchUpdates.at(-1)?.finishedAt).toBeTruthy());
+  return batchUpdates.at(-1)!;
+};
+
+describe('plan', () => {
+  it('creates new sources, updates existing ones and lets the last duplicate in the file win', async () => {
+    const { strapi } = createStrapi({ existing: [{ documentId: 'b1', fromPath: '/b' }] });
+
+    const prepared = await buildImportJobs({ strapi }).plan(
+      toRows([
+        ['/a', '/x'],
+        ['/b', '/y'],
+        ['/a', '/z'],
+        ['', '/missing-source'],
+      ]),
+      { upsertMode: 'update', forcePublish: true },
+    );
+
+    expect(prepared.map(({ resultRow }) => [resultRow.action, resultRow.documentId ?? null])).toEqual([
+      ['create', null],
+      ['update', 'b1'],
+      ['update', null],
+      ['fail', null],
+    ]);
+    expect(prepared[0].resultRow.conflicts).toEqual([
+      { kind: 'duplicate', message: 'Same source as line 4; the last of these rows wins.' },
+    ]);
+  });
+
+  it('skips existing sources in skip mode', async () => {
+    const { strapi } = createStrapi({ existing: [{ documentId: 'b1', fromPath: '/b' }] });
+
+    const [row] = await buildImportJobs({ strapi }).plan(toRows([['/b', '/y']]), {
+      upsertMode: 'skip',
+      forcePublish: true,
+    });
+
+    expect(row.resultRow.action).toBe('skip');
+  });
+
+  it('fails rows that would create a redirect loop', async () => {
+    const { strapi } = createStrapi({
+      traces: (payloads) => payloads.map(() => ({ kind: 'loop', hops: ['/a', '/b', '/a'] })),
+    });
+
+    const [row] = await buildImportJobs({ strapi }).plan(toRows([['/a', '/b']]), {
+      upsertMode: 'update',
+      forcePublish: true,
+    });
+
+    expect(row.resultRow).toMatchObject({ action: 'fail', error: 'Creates a redirect loop: /a → /b → /a' });
+  });
+});
+
+describe('import job', () => {
+  it('writes rows in chunks of 100 and updates a redirect an earlier chunk created', async () => {
+    const pairs = Array.from({ length: 150 }, (_, index): [string, string] => [`/old-${index}`, `/new-${index}`]);
+    pairs[149] = ['/old-0', '/newest'];
+    const { strapi, redirects, redirectService, batchUpdates } = createStrapi();
+
+    const final = await runImport(strapi, batchUpdates, toRows(pairs));
+
+    expect(strapi.db.transaction).toHaveBeenCalledTimes(2);
+    expect(redirectService.refreshTable).toHaveBeenCalledTimes(2);
+    expect(redirects.create).toHaveBeenCalledTimes(149);
+    expect(redirects.update).toHaveBeenCalledWith(
+      expect.objectContaining({ documentId: 'new-1', data: expect.objectContaining({ toUrl: '/newest' }) }),
+    );
+    expect(final).toMatchObject({
+      state: 'completed',
+      processed: 150,
+      summary: { total: 150, created: 149, updated: 1, skipped: 0, failed: 0 },
+    });
+    expect((final.changes as Row[]).at(-1)).toEqual({
+      documentId: 'new-1',
+      line: 151,
+      action: 'updated',
+      before: null,
+    });
+  });
+
+  it('records the before-state of redirects it updates, for the rollback', async () => {
+    const { strapi, batchUpdates } = createStrapi({ existing: [{ documentId: 'b1', fromPath: '/b' }] });
+
+    const final = await runImport(strapi, batchUpdates, toRows([['/b', '/y']]));
+
+    expect(final.changes).toEqual([
+      { documentId: 'b1', line: 2, action: 'updated', before: { draft: { toUrl: '/before' }, published: null } },
+    ]);
+  });
+
+  it('keeps committed chunks and fails the job when a write errors', async () => {
+    const pairs = Array.from({ length: 120 }, (_, index): [string, string] => [`/old-${index}`, `/new-${index}`]);
+    const { strapi, batchUpdates } = createStrapi({
+      create: async ({ data }) => {
+        if (data.fromPath === '/old-110') throw new Error('database is locked');
+      },
+    });
+
+    const final = await runImport(strapi, batchUpdates, toRows(pairs));
+
+    expect(final).toMatchObject({
+      state: 'failed',
+      errorMessage: 'Line 112: database is locked',
+      processed: 100,
+      summary: { created: 100 },
+    });
+    expect(final.changes).toHaveLength(100);
+  });
+});
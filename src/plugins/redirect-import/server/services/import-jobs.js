@@ -0,0 +1,339 @@
+'use strict';
+
+const { addConflict, getSourceKey, prepareRow, toSkippedLines } = require('../utils/import-rows');
+const { getUserName } = require('../../../../utils/users');
+
+const BATCH_UID = 'api::redirect-import-batch.redirect-import-batch';
+const REDIRECT_UID = 'api::redirect.redirect';
+
+// Rows written per transaction, between progress saves and cancel checks.
+const CHUNK_SIZE = 100;
+
+// fromPaths per query when matching rows to existing redirects.
+const LOOKUP_SIZE = 200;
+
+const ACTIVE_STATES = ['queued', 'running'];
+
+function toChunks(items, size) {
+  const chunks = [];
+  for (let index = 0; index < items.length; index += size) {
+    chunks.push(items.slice(index, index + size));
+  }
+  return chunks;
+}
+
+function sortByLine(rows) {
+  return [...rows].sort((a, b) => a.line - b.line);
+}
+
+module.exports = ({ strapi }) => {
+  // Jobs started by this process, by batch document id.
+  const jobs = new Map();
+  let queue = Promise.resolve();
+
+  // Maps source keys to the draft redirect they would update, one query per LOOKUP_SIZE paths.
+  async function findExisting(payloads) {
+    const existing = new Map();
+    const paths = [...new Set(payloads.map((payload) => payload.fromPath))];
+
+    for (const group of toChunks(paths, LOOKUP_SIZE)) {
+      const entries = await strapi.documents(REDIRECT_UID).findMany({
+        filters: { fromPath: { $in: group } },
+        fields: ['fromPath', 'sourceHost', 'queryMatch'],
+        status: 'draft',
+      });
+
+      for (const entry of entries) {
+        const key = getSourceKey({
+          sourceHost: entry.sourceHost || null,
+          fromPath: entry.fromPath,
+          queryMatch: entry.queryMatch || null,
+        });
+        if (!existing.has(key)) existing.set(key, entry.documentId);
+      }
+    }
+
+    return existing;
+  }
+
+  /**
+   * Works out what importing `rows` would do without writing anything: the action for
+   * each row (create, update, skip or fail), the existing redirect it would update, and
+   * any conflicts with the rest of the file, live redirects or published content.
+   * A destination that doesn't exist only fails the rows that would be published.
+   */
+  async function plan(rows, { upsertMode, forcePublish }) {
+    const prepared = rows.map(prepareRow);
+    const linesBySource = new Map();
+
+    for (const { payload, resultRow } of prepared) {
+      if (resultRow.error) continue;
+      const key = getSourceKey(payload);
+      linesBySource.set(key, [...(linesBySource.get(key) ?? []), resultRow.line]);
+    }
+
+    for (const { payload, resultRow } of prepared) {
+      const lines = linesBySource.get(getSourceKey(payload)) ?? [];
+      if (resultRow.error || lines.length < 2) continue;
+
+      const others = lines.filter((line) => line !== resultRow.line);
+      addConflict(
+        resultRow,
+        'duplicate',
+        `Same source as line ${others.join(', ')}; the last of these rows wins.`,
+      );
+    }
+
+    // Trace every valid, active row against the live table plus the rest of the file,
+    // so loops spread across several rows are caught before anything is written.
+    const candidates = prepared.filter(({ payload, resultRow }) => !resultRow.error && payload.isActive);
+    const redirectService = strapi.service(REDIRECT_UID);
+    const [traces, shadowed, existing] = await Promise.all([
+      redirectService.traceCandidates(candidates.map(({ payload }) => payload)),
+      redirectService.findShadowedContent(candidates.map(({ payload }) => payload)),
+      findExisting(prepared.filter(({ resultRow }) => !resultRow.error).map(({ payload }) => payload)),
+    ]);
+    const destinations = await redirectService.checkDestinations(traces);
+
+    candidates.forEach(({ payload, resultRow }, index) => {
+      const trace = traces[index];
+      const paths = shadowed[index];
+      const destination = destinations[index];
+
+      if (trace) {
+        const route = trace.hops.join(' → ');
+        if (trace.kind === 'loop') {
+          addConflict(resultRow, 'loop', `Creates a redirect loop: ${route}`, true);
+        } else if (trace.kind === 'self') {
+          addConflict(resultRow, 'self', `Redirects to itself: ${route}`, true);
+        } else if (trace.kind === 'chain') {
+          addConflict(resultRow, 'chain', `The destination is redirected again: ${route}`);
+        }
+      }
+
+      if (paths.length > 0) {
+        const listed = paths.slice(0, 3).join(', ');
+        const more = paths.length > 3 ? ` and ${paths.length - 3} more` : '';
+        addConflict(resultRow, 'shadows-content', `Takes over published content at ${listed}${more}.`);
+      }
+
+      if (destination) {
+        addConflict(
+          resultRow,
+          'broken-destination',
+          destination.message,
+          Boolean(forcePublish) && redirectService.blocksBrokenDestination(payload),
+        );
+      }
+    });
+
+    const planned = new Set();
+
+    for (const { payload, resultRow } of prepared) {
+      if (resultRow.error) {
+        resultRow.action = 'fail';
+        continue;
+      }
+
+      // An earlier row in the file creates the redirect a later duplicate then hits.
+      const key = getSourceKey(payload);
+      const exists = existing.has(key) || planned.has(key);
+      resultRow.documentId = existing.get(key) ?? null;
+      resultRow.action = !exists ? 'create' : upsertMode === 'skip' ? 'skip' : 'update';
+      planned.add(key);
+    }
+
+    return prepared;
+  }
+
+  // plan() has already checked every row against the live table and the rest of the file,
+  // so the writes skip the per-save table scans (`validatedInBatch`); runJob refreshes the
+  // redirect table once per chunk instead.
+  async function writeChunk(group, { snapshots, createdIds, forcePublish }) {
+    const outcomes = [];
+    // Sources created earlier in this chunk, which createdIds only learns after the commit.
+    const createdHere = new Map();
+
+    for (const { payload, resultRow } of group) {
+      if (resultRow.action === 'fail' || resultRow.action === 'skip') {
+        resultRow.action = resultRow.action === 'fail' ? 'failed' : 'skipped';
+        outcomes.push({ resultRow });
+        continue;
+      }
+
+      try {
+        const key = getSourceKey(payload);
+        const documentId = resultRow.documentId ?? createdIds.get(key) ?? createdHere.get(key);
+
+        if (documentId) {
+          const before = snapshots.get(documentId) ?? (await strapi.service(BATCH_UID).snapshot(documentId));
+          await strapi.documents(REDIRECT_UID).update({
+            documentId,
+            data: payload,
+            ...(forcePublish ? { status: 'published' } : {}),
+            validatedInBatch: true,
+          });
+          resultRow.action = 'updated';
+          outcomes.push({ resultRow, change: { documentId, line: resultRow.line, action: 'updated', before } });
+          continue;
+        }
+
+        const document = await strapi.documents(REDIRECT_UID).create({
+          data: payload,
+          ...(forcePublish ? { status: 'published' } : {}),
+          validatedInBatch: true,
+        });
+        createdHere.set(key, document.documentId);
+        resultRow.action = 'created';
+        outcomes.push({
+          resultRow,
+          change: { documentId: document.documentId, line: resultRow.line, action: 'created', before: null },
+          createdKey: key,
+        });
+      } catch (error) {
+        if (error?.name !== 'ValidationError') {
+          throw new Error(`Line ${resultRow.line}: ${error instanceof Error ? error.message : error}`);
+        }
+
+        resultRow.action = 'failed';
+        resultRow.error = error.message;
+        outcomes.push({ resultRow });
+      }
+    }
+
+    return outcomes;
+  }
+
+  async function runJob(batchId, { rows, warnings, upsertMode, forcePublish }) {
+    const job = jobs.get(batchId);
+    const batches = strapi.service(BATCH_UID);
+    const changes = [];
+    const results = toSkippedLines(warnings, 'skipped');
+    const summary = {
+      total: rows.length + warnings.length,
+      created: 0,
+      updated: 0,
+      skipped: warnings.length,
+      failed: 0,
+    };
+    let processed = warnings.length;
+    // Lets a later duplicate row update the redirect an earlier row created.
+    const createdIds = new Map();
+
+    const save = (data) =>
+      strapi.documents(BATCH_UID).update({
+        documentId: batchId,
+        data: { summary, results: sortByLine(results), changes, processed, ...data },
+      });
+    const finish = (state, errorMessage = null) => save({ state, errorMessage, finishedAt: new Date().toISOString() });
+
+    try {
+      if (job.cancelRequested) {
+        await finish('cancelled');
+        return;
+      }
+
+      await save({ state: 'running' });
+      const prepared = await plan(rows, { upsertMode, forcePublish });
+
+      for (const group of toChunks(prepared, CHUNK_SIZE)) {
+        if (job.cancelRequested) {
+          await finish('cancelled');
+          return;
+        }
+
+        const snapshots = await batches.snapshotMany(
+          group
+            .filter(({ resultRow }) => resultRow.action === 'update' && resultRow.documentId)
+            .map(({ resultRow }) => resultRow.documentId),
+        );
+
+        // Each chunk commits or rolls back as a whole. Rows that fail validation are reported
+        // and the rest of the chunk goes on; any other error rolls the chunk back and ends the job.
+        const outcomes = await strapi.db.transaction(() => writeChunk(group, { snapshots, createdIds, forcePublish }));
+
+        for (const { resultRow, change, createdKey } of outcomes) {
+          summary[resultRow.action] += 1;
+          results.push(resultRow);
+          if (change) changes.push(change);
+          if (createdKey) createdIds.set(createdKey, change.documentId);
+        }
+
+        await strapi.service(REDIRECT_UID).refreshTable();
+        processed += group.length;
+        await save({});
+      }
+
+      await finish('completed');
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'Unknown error';
+      strapi.log.error(`Redirect import ${batchId} failed: ${message}`);
+      await finish('failed', message);
+    } finally {
+      jobs.delete(batchId);
+    }
+  }
+
+  return {
+    plan,
+
+    /**
+     * Records an import batch and queues it. Jobs run one at a time in this process;
+     * poll the batch for progress.
+     */
+    async enqueue({ source, fileName, upsertMode, forcePublish, user }) {
+      const { rows, warnings, format } = source;
+      const batch = await strapi.documents(BATCH_UID).create({
+        data: {
+          fileName: fileName || null,
+          format,
+          options: { upsertMode, forcePublish: Boolean(forcePublish) },
+          userId: user?.id ?? null,
+          userName: getUserName(user),
+          state: 'queued',
+          total: rows.length + warnings.length,
+          processed: 0,
+          summary: { total: rows.length + warnings.length, created: 0, updated: 0, skipped: 0, failed: 0 },
+          results: [],
+          changes: [],
+        },
+      });
+
+      jobs.set(batch.documentId, { cancelRequested: false });
+      queue = queue
+        .then(() => runJob(batch.documentId, { rows, warnings, upsertMode, forcePublish }))
+        .catch((error) => {
+          strapi.log.error(`Redirect import queue error: ${error instanceof Error ? error.message : error}`);
+        });
+
+      return batch;
+    },
+
+    /**
+     * Asks a queued or running job to stop after the chunk it is writing. Rows already
+     * written stay; roll the batch back to undo them. Returns false when the job isn't
+     * running in this process.
+     */
+    cancel(documentId) {
+      const job = jobs.get(documentId);
+      if (!job) return false;
+
+      job.cancelRequested = true;
+      return true;
+    },
+
+    /**
+     * Jobs live in memory, so any still queued or running at startup were cut off by a restart.
+     */
+    async markInterrupted() {
+      await strapi.db.query(BATCH_UID).updateMany({
+        where: { state: { $in: ACTIVE_STATES } },
+        data: {
+          state: 'failed',
+          errorMessage: 'Interrupted by a server restart; roll back to undo the rows it had written.',
+          finishedAt: new Date(),
+        },
+      });
+    },
+  };
+};
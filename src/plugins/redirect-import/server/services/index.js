@@ -0,0 +1,7 @@
+'use strict';
+
+const importJobs = require('./import-jobs');
+
+module.exports = {
+  'import-jobs': importJobs,
+};
@@ -0,0 +1,808 @@
+'use strict';
+
+// Parses redirect rules out of web server configs into the same row objects the CSV
+// importer reads (fromPath, toUrl, statusCode, matchType, ...). Lines that can't be
+// represented as a redirect come back as warnings with their line number instead.
+
+const SOURCE_FORMATS = ['csv', 'nginx', 'apache', 'netlify'];
+
+const FORMAT_LABELS = {
+  nginx: 'nginx',
+  apache: 'Apache',
+  netlify: 'Netlify _redirects',
+};
+
+const REDIRECT_CODES = ['301', '302', '307', '308'];
+const TERMINAL_CODES = ['410', '451'];
+
+const REGEX_META = /[.*+?()[\]{}|^$\\]/;
+
+const MAX_NOTES_LENGTH = 255;
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Regex rules in these configs match anywhere in the path unless anchored;
+// the redirect matcher always anchors, so pad unanchored ends with `.*`.
+function anchorPattern(pattern) {
+  let source = pattern.startsWith('^') ? pattern.slice(1) : `.*${pattern}`;
+  source = /(^|[^\\])\$$/.test(source) ? source.slice(0, -1) : `${source}.*`;
+  return source;
+}
+
+// Returns the plain path a regex source matches, or null when it uses regex syntax.
+// A trailing `/?` is dropped because exact matches already ignore a trailing slash.
+function toLiteralPath(source) {
+  const trimmed = source.replace(/\/\?$/, '');
+  if (REGEX_META.test(trimmed.replace(/\\[^A-Za-z0-9]/g, ''))) return null;
+
+  const literal = trimmed.replace(/\\([^A-Za-z0-9])/g, '$1') || '/';
+  return literal.startsWith('/') ? literal : null;
+}
+
+function toPathRule(source) {
+  const literal = toLiteralPath(source);
+  return literal ? { fromPath: literal, matchType: 'exact' } : { fromPath: source, matchType: 'regex' };
+}
+
+function toStatus(code) {
+  const value = String(code);
+  if (REDIRECT_CODES.includes(value) || TERMINAL_CODES.includes(value)) return { statusCode: value };
+  if (value === '303') {
+    return { statusCode: '302', warning: '303 See Other is imported as 302 Found.' };
+  }
+  return null;
+}
+
+function toNotes(label, line) {
+  return `Imported from ${label} line ${line}`.slice(0, MAX_NOTES_LENGTH);
+}
+
+function createResult(format) {
+  const label = FORMAT_LABELS[format];
+  const rows = [];
+  const warnings = [];
+
+  return {
+    rows,
+    warnings,
+    addRow(line, rule, notes = []) {
+      const warning = notes.filter(Boolean).join(' ');
+      rows.push({
+        fromPath: rule.fromPath,
+        toUrl: rule.toUrl ?? '',
+        statusCode: rule.statusCode,
+        matchType: rule.matchType,
+        queryPolicy: rule.queryPolicy ?? 'preserve',
+        queryMatch: rule.queryMatch ?? '',
+        sourceHost: rule.sourceHost ?? '',
+        isActive: 'true',
+        notes: toNotes(label, line),
+        __line: line,
+        __warning: warning || null,
+      });
+    },
+    skip(line, text, message) {
+      warnings.push({ line, text, message });
+    },
+  };
+}
+
+/* nginx */
+
+function tokenizeNginx(text) {
+  const tokens = [];
+  let line = 1;
+  let index = 0;
+
+  while (index < text.length) {
+    const char = text[index];
+
+    if (char === '\n') {
+      line += 1;
+      index += 1;
+    } else if (/\s/.test(char)) {
+      index += 1;
+    } else if (char === '#') {
+      while (index < text.length && text[index] !== '\n') index += 1;
+    } else if (char === '{' || char === '}' || char === ';') {
+      tokens.push({ value: char, line, quoted: false });
+      index += 1;
+    } else if (char === '"' || char === "'") {
+      const start = line;
+      let value = '';
+      index += 1;
+      while (index < text.length && text[index] !== char) {
+        if (text[index] === '\\' && index + 1 < text.length) {
+          value += text[index + 1];
+          index += 2;
+          continue;
+        }
+        if (text[index] === '\n') line += 1;
+        value += text[index];
+        index += 1;
+      }
+      tokens.push({ value, line: start, quoted: true });
+      index += 1;
+    } else {
+      let value = '';
+      while (index < text.length && !/[\s;{}]/.test(text[index])) {
+        value += text[index];
+        index += 1;
+      }
+      tokens.push({ value, line, quoted: false });
+    }
+  }
+
+  return tokens;
+}
+
+function parseNginxBlock(tokens, state) {
+  const statements = [];
+  let current = null;
+
+  while (state.index < tokens.length) {
+    const token = tokens[state.index];
+    state.index += 1;
+
+    if (!token.quoted && token.value === '}') break;
+
+    if (!token.quoted && token.value === ';') {
+      if (current) statements.push(current);
+      current = null;
+      continue;
+    }
+
+    if (!token.quoted && token.value === '{') {
+      const statement = current ?? { name: '', args: [], line: token.line };
+      statement.block = parseNginxBlock(tokens, state);
+      statements.push(statement);
+      current = null;
+      continue;
+    }
+
+    if (current) {
+      current.args.push(token.value);
+    } else {
+      current = { name: token.value.toLowerCase(), args: [], line: token.line };
+    }
+  }
+
+  if (current) statements.push(current);
+  return statements;
+}
+
+function parseNginxLocation(args) {
+  const [modifier, value] = args;
+
+  if (args.length === 1 && modifier.startsWith('@')) return { type: 'named' };
+  if (args.length === 1 && modifier.startsWith('=') && modifier.length > 1) {
+    return { type: 'exact', path: modifier.slice(1) };
+  }
+  if (args.length === 1) return { type: 'prefix', path: modifier };
+  if (modifier === '=') return { type: 'exact', path: value };
+  if (modifier === '^~') return { type: 'prefix', path: value };
+  if (modifier === '~' || modifier === '~*') {
+    return { type: 'regex', pattern: value, caseInsensitive: modifier === '~*' };
+  }
+  return { type: 'unknown' };
+}
+
+const NGINX_HOST_PREFIX = /^(?:\$scheme|https?):\/\/(?:\$host|\$http_host|\$server_name)(?=\/|$)/;
+
+// Reduces an nginx destination to something the redirect table can store, or explains why not.
+function toNginxDestination(value, { forwardsQuery }) {
+  let toUrl = value.replace(NGINX_HOST_PREFIX, '') || '/';
+  let queryPolicy = forwardsQuery ? 'preserve' : 'ignore';
+
+  if (/(?:\$is_args|\?)\$(?:args|query_string)$/.test(toUrl)) {
+    toUrl = toUrl.replace(/(?:\$is_args|\?)\$(?:args|query_string)$/, '');
+    queryPolicy = 'preserve';
+  } else if (forwardsQuery && toUrl.endsWith('?')) {
+    // A trailing `?` tells nginx not to append the request arguments.
+    toUrl = toUrl.slice(0, -1);
+    queryPolicy = 'ignore';
+  }
+
+  if (/\$(?:request_uri|uri|document_uri)\b/.test(toUrl)) {
+    return {
+      error: 'Forwards the whole request URI, which usually means a host or HTTPS move; use a host rule instead.',
+    };
+  }
+
+  const variable = toUrl.match(/\$(?!\d)(?:\{?[A-Za-z_][A-Za-z0-9_]*\}?)/);
+  if (variable) {
+    return { error: `Uses the nginx variable ${variable[0]}, which redirects can't reproduce.` };
+  }
+
+  return { toUrl: toUrl || '/', queryPolicy };
+}
+
+function toNginxRegex(pattern, notes) {
+  if (pattern.startsWith('(?i)')) {
+    notes.push('Case-insensitive regex imported as case-sensitive.');
+    return anchorPattern(pattern.slice(4));
+  }
+  return anchorPattern(pattern);
+}
+
+function handleNginxRewrite(statement, context, result, text) {
+  const [pattern, replacement, flag] = statement.args;
+
+  if (!pattern || !replacement) {
+    result.skip(statement.line, text, 'rewrite needs a regex and a replacement.');
+    return;
+  }
+
+  if (context.condition) {
+    result.skip(statement.line, text, `Depends on ${context.condition}, which redirects can't express.`);
+    return;
+  }
+
+  const isAbsolute = /^(?:https?:\/\/|\$scheme)/.test(replacement);
+  const statusCode = flag === 'permanent' ? '301' : flag === 'redirect' || (!flag && isAbsolute) ? '302' : null;
+
+  if (!statusCode) {
+    result.skip(statement.line, text, `Internal rewrite${flag ? ` (${flag})` : ''}, not a redirect.`);
+    return;
+  }
+
+  const destination = toNginxDestination(replacement, { forwardsQuery: true });
+  if (destination.error) {
+    result.skip(statement.line, text, destination.error);
+    return;
+  }
+
+  const notes = [];
+  const rule = toPathRule(toNginxRegex(pattern, notes));
+  result.addRow(statement.line, { ...rule, ...destination, statusCode }, notes);
+}
+
+function handleNginxReturn(statement, context, result, text) {
+  const [first, second] = statement.args;
+  const hasCode = /^\d{3}$/.test(first ?? '');
+  const code = hasCode ? first : '302';
+  const target = hasCode ? second : first;
+
+  if (!first) {
+    result.skip(statement.line, text, 'return needs a status code or URL.');
+    return;
+  }
+
+  const status = toStatus(code);
+  if (!status) {
+    result.skip(statement.line, text, `return ${code} is not a redirect.`);
+    return;
+  }
+
+  if (context.condition) {
+    result.skip(statement.line, text, `Depends on ${context.condition}, which redirects can't express.`);
+    return;
+  }
+
+  const { location } = context;
+  if (!location || (location.type === 'prefix' && location.path === '/')) {
+    result.skip(
+      statement.line,
+      text,
+      'Applies to every path on the server; use a host rule for host or HTTPS redirects.',
+    );
+    return;
+  }
+
+  if (location.type !== 'exact' && location.type !== 'prefix' && location.type !== 'regex') {
+    result.skip(statement.line, text, 'Only returns inside exact, prefix or regex locations can be imported.');
+    return;
+  }
+
+  const notes = [status.warning];
+  let rule;
+
+  if (location.type === 'regex') {
+    if (location.caseInsensitive) notes.push('Case-insensitive location (~*) imported as case-sensitive.');
+    rule = toPathRule(toNginxRegex(location.pattern, notes));
+  } else if (location.type === 'exact') {
+    rule = { fromPath: location.path, matchType: 'exact' };
+  } else {
+    if (!location.path.endsWith('/')) {
+      notes.push(`nginx also matches paths like ${location.path}-foo here; imported as a prefix rule for ${location.path}/…`);
+    }
+    rule = { fromPath: location.path.replace(/\/+$/, '') || '/', matchType: 'prefix' };
+  }
+
+  if (TERMINAL_CODES.includes(status.statusCode)) {
+    result.addRow(statement.line, { ...rule, statusCode: status.statusCode, toUrl: '' }, notes);
+    return;
+  }
+
+  if (!target) {
+    result.skip(statement.line, text, `return ${code} needs a destination URL.`);
+    return;
+  }
+
+  const destination = toNginxDestination(target, { forwardsQuery: false });
+  if (destination.error) {
+    result.skip(statement.line, text, destination.error);
+    return;
+  }
+
+  result.addRow(statement.line, { ...rule, ...destination, statusCode: status.statusCode }, notes);
+}
+
+function walkNginx(statements, context, result, lines) {
+  for (const statement of statements) {
+    const text = (lines[statement.line - 1] ?? '').trim();
+
+    if (statement.block) {
+      if (statement.name === 'location') {
+        walkNginx(statement.block, { ...context, location: parseNginxLocation(statement.args) }, result, lines);
+      } else if (statement.name === 'if') {
+        walkNginx(statement.block, { ...context, condition: `if ${statement.args.join(' ')}` }, result, lines);
+      } else {
+        walkNginx(statement.block, context, result, lines);
+      }
+      continue;
+    }
+
+    if (statement.name === 'rewrite') handleNginxRewrite(statement, context, result, text);
+    if (statement.name === 'return') handleNginxReturn(statement, context, result, text);
+  }
+}
+
+function parseNginx(text) {
+  const result = createResult('nginx');
+  const statements = parseNginxBlock(tokenizeNginx(text), { index: 0 });
+
+  walkNginx(statements, { location: null, condition: null }, result, text.split(/\r?\n/));
+  return result;
+}
+
+/* Apache */
+
+function tokenizeApacheLine(line) {
+  const tokens = [];
+  const pattern = /"((?:[^"\\]|\\.)*)"|(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(line))) {
+    tokens.push(match[1] !== undefined ? match[1].replace(/\\(.)/g, '$1') : match[2]);
+  }
+
+  return tokens;
+}
+
+const APACHE_STATUS_KEYWORDS = {
+  permanent: '301',
+  temp: '302',
+  seeother: '303',
+  gone: '410',
+};
+
+const REWRITE_FLAG_NAMES = {
+  redirect: 'r',
+  gone: 'g',
+  forbidden: 'f',
+  nocase: 'nc',
+  qsappend: 'qsa',
+  qsdiscard: 'qsd',
+  last: 'l',
+  proxy: 'p',
+  noescape: 'ne',
+  ornext: 'or',
+};
+
+function parseRewriteFlags(value) {
+  const flags = {};
+  const body = String(value ?? '').replace(/^\[|\]$/g, '');
+
+  for (const part of body.split(',').filter(Boolean)) {
+    const [rawName, flagValue = ''] = part.trim().split('=');
+    const name = rawName.toLowerCase();
+    flags[REWRITE_FLAG_NAMES[name] ?? name] = flagValue;
+  }
+
+  return flags;
+}
+
+function toApacheRewriteSource(pattern, pathPrefix) {
+  const source = anchorPattern(pattern);
+  if (!pathPrefix) return source;
+
+  // Per-directory patterns (.htaccess) see the path without the directory prefix.
+  const prefix = escapeRegExp(pathPrefix);
+  return source.startsWith('/') ? `${prefix.replace(/\/$/, '')}${source}` : `${prefix}${source}`;
+}
+
+// Folds the RewriteConds before a RewriteRule into a host or query condition.
+function applyRewriteConds(conds) {
+  const rule = {};
+
+  for (const cond of conds) {
+    const [testString, condPattern = '', flagText] = cond.args;
+    const flags = parseRewriteFlags(flagText);
+    const variable = testString.toUpperCase();
+
+    if ('or' in flags) {
+      return { error: `RewriteCond on line ${cond.line} uses [OR], which redirects can't express.` };
+    }
+
+    if (/^%\{(?:HTTPS|SERVER_PORT|REQUEST_SCHEME)\}$/.test(variable)) {
+      return { error: 'Depends on the request scheme or port; use a host rule with forceHttps instead.' };
+    }
+
+    if (condPattern.startsWith('!')) {
+      return { error: `RewriteCond on line ${cond.line} is negated, which redirects can't express.` };
+    }
+
+    const isAnchored = condPattern.startsWith('=') || (condPattern.startsWith('^') && condPattern.endsWith('$'));
+    const inner = condPattern.startsWith('=') ? escapeRegExp(condPattern.slice(1)) : condPattern.replace(/^\^|\$$/g, '');
+    const literal = REGEX_META.test(inner.replace(/\\[^A-Za-z0-9]/g, ''))
+      ? null
+      : inner.replace(/\\([^A-Za-z0-9])/g, '$1');
+
+    if (variable === '%{HTTP_HOST}' && literal && isAnchored) {
+      rule.sourceHost = literal.toLowerCase();
+      continue;
+    }
+
+    if (variable === '%{QUERY_STRING}' && literal !== null) {
+      rule.queryPolicy = isAnchored ? 'match-exact' : 'match-params';
+      rule.queryMatch = literal;
+      continue;
+    }
+
+    return {
+      error: `RewriteCond ${testString} ${condPattern} on line ${cond.line} can't be expressed as a redirect condition.`,
+    };
+  }
+
+  return rule;
+}
+
+function handleRewriteRule(tokens, line, context, result, text) {
+  const [, pattern, substitution, flagText] = tokens;
+  const conds = context.conds;
+  context.conds = [];
+
+  if (!pattern || !substitution) {
+    result.skip(line, text, 'RewriteRule needs a pattern and a substitution.');
+    return;
+  }
+
+  if (context.condition) {
+    result.skip(line, text, `Inside <${context.condition}>, which redirects can't express.`);
+    return;
+  }
+
+  if (pattern.startsWith('!')) {
+    result.skip(line, text, "Negated patterns can't be expressed as a redirect.");
+    return;
+  }
+
+  const flags = parseRewriteFlags(flagText);
+  const isAbsolute = /^https?:\/\//i.test(substitution);
+  let code = null;
+
+  if ('g' in flags) {
+    code = '410';
+  } else if ('f' in flags) {
+    result.skip(line, text, 'Forbidden [F] rules are not redirects.');
+    return;
+  } else if ('p' in flags) {
+    result.skip(line, text, 'Proxy [P] rules are not redirects.');
+    return;
+  } else if ('r' in flags) {
+    const value = flags.r.toLowerCase();
+    code = APACHE_STATUS_KEYWORDS[value] ?? (value || '302');
+  } else if (isAbsolute) {
+    code = '302';
+  }
+
+  if (!code) {
+    result.skip(line, text, 'Internal rewrite (no [R] flag), not a redirect.');
+    return;
+  }
+
+  const status = toStatus(code);
+  if (!status) {
+    result.skip(line, text, `Status ${code} can't be imported as a redirect.`);
+    return;
+  }
+
+  const condRule = applyRewriteConds(conds);
+  if (condRule.error) {
+    result.skip(line, text, condRule.error);
+    return;
+  }
+
+  const notes = [status.warning];
+  if ('nc' in flags) notes.push('Case-insensitive [NC] rule imported as case-sensitive.');
+
+  const pathRule = toPathRule(toApacheRewriteSource(pattern, context.perDirectory ? context.base : ''));
+
+  if (TERMINAL_CODES.includes(status.statusCode)) {
+    result.addRow(line, { ...pathRule, ...condRule, statusCode: status.statusCode, toUrl: '' }, notes);
+    return;
+  }
+
+  if (substitution === '-') {
+    result.skip(line, text, 'A redirect needs a substitution URL, not "-".');
+    return;
+  }
+
+  let toUrl = substitution.replace(/^https?:\/\/%\{HTTP_HOST\}(?=\/|$)/i, '') || '/';
+
+  if (/%\{REQUEST_URI\}/i.test(toUrl)) {
+    result.skip(
+      line,
+      text,
+      'Forwards the whole request URI, which usually means a host or HTTPS move; use a host rule instead.',
+    );
+    return;
+  }
+
+  if (/%\{[^}]*\}|%\d/.test(toUrl)) {
+    result.skip(line, text, "Uses server variables or RewriteCond back-references, which redirects can't reproduce.");
+    return;
+  }
+
+  if (!toUrl.startsWith('/') && !/^https?:\/\//i.test(toUrl)) {
+    toUrl = `${context.base}${toUrl}`;
+  }
+
+  // mod_rewrite appends the request query unless the substitution has its own
+  // (or ends in `?`) without [QSA], or [QSD] is set.
+  let queryPolicy = 'preserve';
+  if ('qsd' in flags || (toUrl.includes('?') && !('qsa' in flags))) {
+    queryPolicy = 'ignore';
+  }
+  toUrl = toUrl.replace(/\?$/, '');
+
+  result.addRow(
+    line,
+    { ...pathRule, queryPolicy, ...condRule, toUrl, statusCode: status.statusCode },
+    notes,
+  );
+}
+
+function handleRedirect(tokens, line, context, result, text) {
+  const directive = tokens[0].toLowerCase();
+  const args = tokens.slice(1);
+  let code = directive === 'redirectpermanent' ? '301' : directive === 'redirecttemp' ? '302' : null;
+
+  if (!code) {
+    const keyword = String(args[0] ?? '').toLowerCase();
+    if (APACHE_STATUS_KEYWORDS[keyword] || /^\d{3}$/.test(keyword)) {
+      code = APACHE_STATUS_KEYWORDS[keyword] ?? keyword;
+      args.shift();
+    } else {
+      // mod_alias redirects are temporary unless a status is given.
+      code = '302';
+    }
+  }
+
+  if (context.condition) {
+    result.skip(line, text, `Inside <${context.condition}>, which redirects can't express.`);
+    return;
+  }
+
+  const status = toStatus(code);
+  if (!status) {
+    result.skip(line, text, `Status ${code} can't be imported as a redirect.`);
+    return;
+  }
+
+  const [source, target] = args;
+  const isMatch = directive === 'redirectmatch';
+  const notes = [status.warning];
+
+  if (!source || (!isMatch && !source.startsWith('/'))) {
+    result.skip(line, text, `${tokens[0]} needs a URL path starting with /.`);
+    return;
+  }
+
+  let rule;
+  if (isMatch) {
+    rule = toPathRule(anchorPattern(source));
+  } else {
+    rule = { fromPath: source, matchType: 'exact' };
+    if (source !== '/') {
+      notes.push(`Apache also redirects paths below ${source}; imported as an exact match, so add a prefix or wildcard rule if those matter.`);
+    }
+  }
+
+  if (TERMINAL_CODES.includes(status.statusCode)) {
+    result.addRow(line, { ...rule, statusCode: status.statusCode, toUrl: '' }, notes);
+    return;
+  }
+
+  if (!target) {
+    result.skip(line, text, `${tokens[0]} needs a destination URL.`);
+    return;
+  }
+
+  result.addRow(line, { ...rule, toUrl: target, statusCode: status.statusCode }, notes);
+}
+
+function parseApache(text) {
+  const result = createResult('apache');
+  const context = { base: '/', conds: [], sections: [], condition: null, perDirectory: true };
+  const lines = text.split(/\r?\n/);
+
+  for (let index = 0; index < lines.length; index += 1) {
+    const lineNumber = index + 1;
+    let line = lines[index].trim();
+
+    while (line.endsWith('\\') && index + 1 < lines.length) {
+      index += 1;
+      line = `${line.slice(0, -1)} ${lines[index].trim()}`;
+    }
+
+    if (!line || line.startsWith('#')) continue;
+
+    const section = line.match(/^<(\/?)([A-Za-z]+)/);
+    if (section) {
+      const names = context.sections.map((entry) => entry.toLowerCase());
+      if (section[1]) {
+        context.sections.splice(names.lastIndexOf(section[2].toLowerCase()), 1);
+      } else {
+        context.sections.push(section[2]);
+      }
+
+      const open = context.sections.map((entry) => entry.toLowerCase());
+      context.condition = context.sections.find((entry) => ['if', 'elseif', 'else'].includes(entry.toLowerCase())) ?? null;
+      context.perDirectory = !open.includes('virtualhost') || open.includes('directory');
+      continue;
+    }
+
+    const tokens = tokenizeApacheLine(line);
+    const directive = tokens[0].toLowerCase();
+
+    if (directive === 'rewritebase') {
+      context.base = `${String(tokens[1] ?? '/').replace(/\/+$/, '')}/`;
+    } else if (directive === 'rewritecond') {
+      context.conds.push({ args: tokens.slice(1), line: lineNumber });
+    } else if (directive === 'rewriterule') {
+      handleRewriteRule(tokens, lineNumber, context, result, line);
+    } else if (['redirect', 'redirectmatch', 'redirectpermanent', 'redirecttemp'].includes(directive)) {
+      handleRedirect(tokens, lineNumber, context, result, line);
+    }
+  }
+
+  return result;
+}
+
+/* Netlify */
+
+const NETLIFY_CONDITIONS = ['country', 'language', 'role', 'cookie'];
+
+function parseNetlify(text) {
+  const result = createResult('netlify');
+  const lines = text.split(/\r?\n/);
+
+  lines.forEach((rawLine, index) => {
+    const lineNumber = index + 1;
+    const line = rawLine.replace(/(^|\s)#.*$/, '').trim();
+    if (!line) return;
+
+    const tokens = line.split(/\s+/);
+    let from = tokens.shift();
+    const query = [];
+
+    while (tokens.length > 0 && tokens[0].includes('=') && !/^(?:\/|https?:\/\/)/.test(tokens[0])) {
+      query.push(tokens.shift());
+    }
+
+    const target = tokens[0] && !/^\d{3}!?$/.test(tokens[0]) ? tokens.shift() : '';
+    const statusToken = tokens[0] && /^\d{3}!?$/.test(tokens[0]) ? tokens.shift() : '301';
+    const code = statusToken.replace(/!$/, '');
+    const condition = tokens.find((token) => NETLIFY_CONDITIONS.includes(token.split('=')[0].toLowerCase()));
+
+    if (!target && !TERMINAL_CODES.includes(code)) {
+      result.skip(lineNumber, rawLine.trim(), 'Needs a source path and a destination.');
+      return;
+    }
+
+    if (condition) {
+      result.skip(lineNumber, rawLine.trim(), `Depends on ${condition}, which redirects can't express.`);
+      return;
+    }
+
+    if (code === '200') {
+      result.skip(lineNumber, rawLine.trim(), 'Status 200 is a rewrite or proxy, not a redirect.');
+      return;
+    }
+
+    const status = toStatus(code);
+    if (!status) {
+      result.skip(lineNumber, rawLine.trim(), `Status ${code} can't be imported as a redirect.`);
+      return;
+    }
+
+    let sourceHost = '';
+    const absolute = from.match(/^https?:\/\/([^/]+)(\/.*)?$/i);
+    if (absolute) {
+      sourceHost = absolute[1].toLowerCase();
+      from = absolute[2] || '/';
+    }
+
+    const queryNames = query.map((pair) => pair.split('=')[0]);
+    const queryPlaceholders = query
+      .map((pair) => pair.split('=')[1] ?? '')
+      .filter((value) => value.startsWith(':'))
+      .map((value) => value.slice(1));
+    const usedPlaceholder = queryPlaceholders.find((name) => new RegExp(`:${name}(?![A-Za-z0-9_])`).test(target));
+
+    if (usedPlaceholder) {
+      result.skip(
+        lineNumber,
+        rawLine.trim(),
+        `The destination uses the query value :${usedPlaceholder}, which redirects can't copy.`,
+      );
+      return;
+    }
+
+    const rule = {
+      fromPath: from,
+      matchType: /[*:]/.test(from) ? 'wildcard' : 'exact',
+      sourceHost,
+      statusCode: status.statusCode,
+      toUrl: TERMINAL_CODES.includes(status.statusCode) ? '' : target,
+    };
+
+    if (query.length > 0) {
+      rule.queryPolicy = 'match-params';
+      rule.queryMatch = query
+        .map((pair, pairIndex) => (pair.split('=')[1]?.startsWith(':') ? queryNames[pairIndex] : pair))
+        .join('&');
+    }
+
+    result.addRow(lineNumber, rule, [status.warning]);
+  });
+
+  return result;
+}
+
+/**
+ * Guesses the format of an uploaded file from its name, then its first rule.
+ */
+function detectFormat(text, fileName = '') {
+  const name = String(fileName).toLowerCase();
+  if (name.endsWith('.csv') || name.endsWith('.tsv')) return 'csv';
+  if (name.endsWith('_redirects')) return 'netlify';
+  if (name.endsWith('.htaccess')) return 'apache';
+  if (name.endsWith('.conf') || name.includes('nginx')) return 'nginx';
+
+  const first = String(text ?? '')
+    .replace(/^\uFEFF/, '')
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .find((line) => line && !line.startsWith('#'));
+
+  if (!first) return 'csv';
+  if (/^(?:<IfModule|<VirtualHost|Rewrite(?:Engine|Base|Cond|Rule)|Redirect(?:Match|Permanent|Temp)?)\b/i.test(first)) {
+    return 'apache';
+  }
+  if (/^(?:server|location|rewrite|return|http)\b.*[;{]\s*$/.test(first)) return 'nginx';
+  if (/^(?:\/|https?:\/\/)/.test(first)) return 'netlify';
+  return 'csv';
+}
+
+/**
+ * Parses an nginx, Apache or Netlify redirect file into importer rows plus
+ * per-line warnings for the rules that were skipped.
+ */
+function parseConfig(format, text) {
+  const source = String(text ?? '');
+  if (format === 'nginx') return parseNginx(source);
+  if (format === 'apache') return parseApache(source);
+  if (format === 'netlify') return parseNetlify(source);
+  throw new Error(`Unknown redirect file format '${format}'.`);
+}
+
+module.exports = {
+  SOURCE_FORMATS,
+  detectFormat,
+  parseConfig,
+};
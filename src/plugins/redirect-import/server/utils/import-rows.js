@@ -0,0 +1,287 @@
+'use strict';
+
+// Turns uploaded redirect files into prepared rows: parsing, normalising and the
+// per-row checks that don't need the database.
+
+const { CsvError, parseCsv } = require('../../../../utils/csv');
+const { SOURCE_FORMATS, detectFormat, parseConfig } = require('./config-formats');
+
+const STATUS_MAP = {
+  '301': 'Redirect-301',
+  'redirect-301': 'Redirect-301',
+  '302': 'Redirect-302',
+  'redirect-302': 'Redirect-302',
+  'redirecct-302': 'Redirect-302',
+  '307': 'Redirect-307',
+  'redirect-307': 'Redirect-307',
+  '308': 'Redirect-308',
+  'redirect-308': 'Redirect-308',
+  '410': 'Gone-410',
+  'gone-410': 'Gone-410',
+  'gone': 'Gone-410',
+  '451': 'Unavailable-451',
+  'unavailable-451': 'Unavailable-451',
+};
+
+// Statuses that answer the request themselves and therefore need no toUrl.
+const TERMINAL_STATUSES = ['Gone-410', 'Unavailable-451'];
+
+const MATCH_TYPES = ['exact', 'prefix', 'wildcard', 'regex'];
+
+const QUERY_POLICIES = ['preserve', 'ignore', 'drop', 'match-exact', 'match-params'];
+
+const QUERY_POLICY_ALIASES = {
+  'keep': 'preserve',
+  'strip': 'ignore',
+  'exact': 'match-exact',
+  'params': 'match-params',
+  'match-specific-params': 'match-params',
+};
+
+// Other names spreadsheets and other tools use for the importer's columns.
+const REDIRECT_HEADER_ALIASES = {
+  sourceHost: ['host', 'domain', 'sourceDomain'],
+  fromPath: ['from', 'source', 'sourcePath', 'sourceUrl', 'oldPath', 'oldUrl', 'path'],
+  toUrl: ['to', 'target', 'destination', 'targetUrl', 'destinationUrl', 'newPath', 'newUrl'],
+  statusCode: ['status', 'code', 'httpStatus', 'redirectType'],
+  matchType: ['match'],
+  queryPolicy: ['query', 'queryHandling'],
+  activeFrom: ['start', 'startsAt', 'validFrom'],
+  activeUntil: ['end', 'endsAt', 'expires', 'validUntil'],
+  isActive: ['active', 'enabled'],
+  notes: ['note', 'comment', 'comments', 'description'],
+};
+
+function parseBoolean(value, fallback = true) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const normalized = String(value).trim().toLowerCase();
+  if (['true', '1', 'yes', 'y'].includes(normalized)) return true;
+  if (['false', '0', 'no', 'n'].includes(normalized)) return false;
+  return fallback;
+}
+
+function toStatusCode(value) {
+  if (!value) return 'Redirect-301';
+  const normalized = String(value).trim().toLowerCase();
+  return STATUS_MAP[normalized] || 'Redirect-301';
+}
+
+function toMatchType(value) {
+  if (!value) return 'exact';
+  const normalized = String(value).trim().toLowerCase();
+  if (normalized === 'glob') return 'wildcard';
+  return MATCH_TYPES.includes(normalized) ? normalized : 'exact';
+}
+
+function toQueryPolicy(value) {
+  if (!value) return 'preserve';
+  const normalized = String(value).trim().toLowerCase();
+  const policy = QUERY_POLICY_ALIASES[normalized] || normalized;
+  return QUERY_POLICIES.includes(policy) ? policy : 'preserve';
+}
+
+// Returns an ISO timestamp, null for an empty cell, or undefined when the value isn't a date.
+function parseDateTime(value) {
+  const trimmed = String(value ?? '').trim();
+  if (!trimmed) return null;
+  const timestamp = Date.parse(trimmed);
+  return Number.isNaN(timestamp) ? undefined : new Date(timestamp).toISOString();
+}
+
+function getPatternError(fromPath, matchType) {
+  if (matchType !== 'regex') return null;
+  try {
+    new RegExp(`^(?:${fromPath})$`);
+    return null;
+  } catch (error) {
+    return `Invalid regex fromPath: ${error instanceof Error ? error.message : 'unknown error'}`;
+  }
+}
+
+// Same normalisation as normalizeHost in the redirect matcher.
+function normalizeHost(value) {
+  return String(value ?? '')
+    .trim()
+    .toLowerCase()
+    .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+    .replace(/[/?#].*$/, '')
+    .replace(/:\d+$/, '')
+    .replace(/\.$/, '');
+}
+
+function normalizePath(value) {
+  if (!value) return '';
+  const trimmed = String(value).trim();
+  if (!trimmed) return '';
+  return trimmed.startsWith('/') ? trimmed : `/${trimmed}`;
+}
+
+// Reads the request body's file text (`text`, or `csvText` from older clients) into
+// importer rows, plus warnings for config lines that couldn't become redirects.
+function readSource(body) {
+  const text = String(body?.text ?? body?.csvText ?? '');
+  const requested = String(body?.format ?? 'auto').toLowerCase();
+
+  if (requested !== 'auto' && !SOURCE_FORMATS.includes(requested)) {
+    return { error: `format must be 'auto' or one of: ${SOURCE_FORMATS.join(', ')}.` };
+  }
+
+  if (!text.trim()) {
+    return { error: 'text is required.' };
+  }
+
+  const format = requested === 'auto' ? detectFormat(text, body?.fileName) : requested;
+
+  if (format === 'csv') {
+    let parsed;
+    try {
+      parsed = parseCsv(text, { aliases: REDIRECT_HEADER_ALIASES });
+    } catch (error) {
+      if (error instanceof CsvError) return { error: `Invalid CSV. ${error.message}` };
+      throw error;
+    }
+
+    if (parsed.rows.length === 0) {
+      return { error: 'No CSV rows found. Include a header row and at least one redirect row.' };
+    }
+
+    if (!parsed.headers.includes('fromPath')) {
+      return { error: `No fromPath column found. The header row has: ${parsed.headers.filter(Boolean).join(', ')}.` };
+    }
+
+    return { format, delimiter: parsed.delimiter, rows: parsed.rows, warnings: [] };
+  }
+
+  const { rows, warnings } = parseConfig(format, text);
+  return rows.length === 0 && warnings.length === 0
+    ? { error: `No redirect rules found in the ${format} file.` }
+    : { format, rows, warnings };
+}
+
+function toPreviewRow(row) {
+  const fields = [
+    'sourceHost',
+    'fromPath',
+    'toUrl',
+    'statusCode',
+    'matchType',
+    'queryPolicy',
+    'queryMatch',
+    'activeFrom',
+    'activeUntil',
+    'isActive',
+    'notes',
+  ];
+
+  return {
+    line: row.__line,
+    ...Object.fromEntries(fields.map((field) => [field, String(row[field] ?? '')])),
+    warning: row.__warning ?? null,
+  };
+}
+
+function getDestinationError(toUrl) {
+  if (!toUrl) return null;
+
+  if (toUrl.startsWith('/') && !toUrl.startsWith('//')) {
+    return /\s/.test(toUrl) ? `toUrl '${toUrl}' contains spaces; encode them as %20.` : null;
+  }
+
+  try {
+    const url = new URL(toUrl);
+    return ['http:', 'https:'].includes(url.protocol) ? null : `toUrl '${toUrl}' must use http or https.`;
+  } catch {
+    return `toUrl '${toUrl}' is not a valid URL; use a path starting with / or a full http(s) URL.`;
+  }
+}
+
+function addConflict(resultRow, kind, message, blocking = false) {
+  resultRow.conflicts.push({ kind, message });
+  if (blocking && !resultRow.error) resultRow.error = message;
+}
+
+function prepareRow(row) {
+  const matchType = toMatchType(row.matchType);
+  const fromPath = matchType === 'regex' ? String(row.fromPath ?? '').trim() : normalizePath(row.fromPath);
+  const toUrl = String(row.toUrl ?? '').trim();
+  const payload = {
+    sourceHost: normalizeHost(row.sourceHost) || null,
+    fromPath,
+    toUrl: toUrl || null,
+    statusCode: toStatusCode(row.statusCode),
+    matchType,
+    queryPolicy: toQueryPolicy(row.queryPolicy),
+    queryMatch: String(row.queryMatch ?? '').trim().replace(/^\?/, '') || null,
+    dropParams: String(row.dropParams ?? '').trim() || null,
+    activeFrom: parseDateTime(row.activeFrom),
+    activeUntil: parseDateTime(row.activeUntil),
+    isActive: parseBoolean(row.isActive, true),
+    notes: String(row.notes ?? '').trim() || null,
+  };
+
+  const resultRow = {
+    line: row.__line,
+    sourceHost: payload.sourceHost,
+    fromPath,
+    toUrl,
+    statusCode: payload.statusCode,
+    matchType,
+    queryPolicy: payload.queryPolicy,
+    queryMatch: payload.queryMatch,
+    activeFrom: payload.activeFrom ?? null,
+    activeUntil: payload.activeUntil ?? null,
+    isActive: payload.isActive,
+    notes: payload.notes,
+    action: 'none',
+    error: null,
+    warning: row.__warning ?? null,
+    conflicts: [],
+  };
+
+  if (!fromPath) {
+    resultRow.error = 'Missing required fromPath.';
+  } else if (!toUrl && !TERMINAL_STATUSES.includes(payload.statusCode)) {
+    resultRow.error = 'Missing required toUrl (only 410 and 451 rows may leave it empty).';
+  } else if (payload.activeFrom === undefined || payload.activeUntil === undefined) {
+    resultRow.error = 'activeFrom and activeUntil must be ISO 8601 dates, e.g. 2026-11-01T06:00:00+02:00.';
+  } else if (payload.activeFrom && payload.activeUntil && payload.activeUntil <= payload.activeFrom) {
+    resultRow.error = 'activeUntil must be later than activeFrom.';
+  } else if (payload.queryPolicy === 'match-params' && !payload.queryMatch) {
+    resultRow.error = 'The match-params query policy needs a queryMatch listing at least one parameter.';
+  } else {
+    resultRow.error = getPatternError(fromPath, matchType);
+  }
+
+  const destinationError = getDestinationError(toUrl);
+  if (destinationError) addConflict(resultRow, 'invalid-url', destinationError, true);
+
+  return { payload, resultRow };
+}
+
+// Rows with the same path but a different host or query rule are separate redirects.
+function getSourceKey({ sourceHost, fromPath, queryMatch }) {
+  return [sourceHost ?? '', fromPath, queryMatch ?? ''].join('\n');
+}
+
+// Config lines that couldn't become redirects are reported next to the rows.
+function toSkippedLines(warnings, action) {
+  return warnings.map((warning) => ({
+    line: warning.line,
+    fromPath: warning.text,
+    toUrl: '',
+    action,
+    error: null,
+    warning: warning.message,
+    conflicts: [],
+  }));
+}
+
+module.exports = {
+  REDIRECT_HEADER_ALIASES,
+  addConflict,
+  getSourceKey,
+  prepareRow,
+  readSource,
+  toPreviewRow,
+  toSkippedLines,
+};
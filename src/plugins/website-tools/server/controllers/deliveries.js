@@ -0,0 +1,55 @@
+'use strict';
+
+const { parseInteger } = require('../../../../utils/parse');
+
+const DEFAULT_LIMIT = 50;
+
+module.exports = {
+  async listDeliveries(ctx) {
+    const limit = parseInteger(ctx.query.limit, DEFAULT_LIMIT, 1, 200);
+    const deliveries = await strapi.service('api::website-delivery.website-delivery').listRecent(
+      {
+        kind: ctx.query.kind ? String(ctx.query.kind) : undefined,
+        trigger: ctx.query.trigger ? String(ctx.query.trigger) : undefined,
+        state: ctx.query.state ? String(ctx.query.state) : undefined,
+      },
+      limit,
+    );
+
+    ctx.body = {
+      deliveries,
+    };
+  },
+
+  async getDelivery(ctx) {
+    const delivery = await strapi.documents('api::website-delivery.website-delivery').findOne({
+      documentId: ctx.params.documentId,
+    });
+
+    if (!delivery) {
+      return ctx.notFound('Delivery not found.');
+    }
+
+    ctx.body = {
+      delivery,
+    };
+  },
+
+  async retryDelivery(ctx) {
+    try {
+      const { delivery } = await strapi
+        .plugin('website-tools')
+        .service('deliveries')
+        .retry(ctx.params.documentId, ctx.state.user);
+
+      ctx.body = {
+        delivery,
+      };
+    } catch (error) {
+      if (error && error.name === 'NotFoundError') {
+        return ctx.notFound(error.message);
+      }
+      return ctx.badRequest(error instanceof Error ? error.message : 'Unable to retry the delivery.');
+    }
+  },
+};
@@ -0,0 +1,7 @@
+'use strict';
+
+module.exports = {
+  async getHealth(ctx) {
+    ctx.body = await strapi.plugin('website-tools').service('health').runChecks();
+  },
+};
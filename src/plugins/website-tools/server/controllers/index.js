@@ -1,7 +1,13 @@
 'use strict';
 
+const deliveries = require('./deliveries');
+const health = require('./health');
+const webhooks = require('./webhooks');
 const websiteTools = require('./website-tools');
 
 module.exports = {
+  deliveries,
+  health,
+  webhooks,
   'website-tools': websiteTools,
 };
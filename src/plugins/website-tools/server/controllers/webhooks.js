@@ -0,0 +1,27 @@
+'use strict';
+
+module.exports = {
+  async listEndpoints(ctx) {
+    ctx.body = {
+      endpoints: await strapi.plugin('website-tools').service('webhooks').listEndpoints(),
+    };
+  },
+
+  async sendTest(ctx) {
+    try {
+      const { delivery } = await strapi
+        .plugin('website-tools')
+        .service('webhooks')
+        .sendTest(ctx.params.documentId, ctx.state.user);
+
+      ctx.body = {
+        delivery,
+      };
+    } catch (error) {
+      if (error && error.name === 'NotFoundError') {
+        return ctx.notFound(error.message);
+      }
+      return ctx.badRequest(error instanceof Error ? error.message : 'Unable to send a test delivery.');
+    }
+  },
+};
@@ -1,52 +1,53 @@
 'use strict';
 
-const WEBSITE_PURGE_URL = String(process.env.WEBSITE_PURGE_URL || '').trim();
-const WEBSITE_PURGE_TOKEN = String(process.env.WEBSITE_PURGE_TOKEN || '').trim();
-
 module.exports = {
+  async getPurgeOptions(ctx) {
+    ctx.body = await strapi.plugin('website-tools').service('purge').getOptions();
+  },
+
   async purgeCache(ctx) {
-    if (!WEBSITE_PURGE_URL) {
-      return ctx.badRequest('WEBSITE_PURGE_URL is not configured.');
+    const purge = strapi.plugin('website-tools').service('purge');
+    const configError = purge.getConfigError();
+
+    if (configError) {
+      return ctx.badRequest(configError);
     }
 
-    if (!WEBSITE_PURGE_TOKEN) {
-      return ctx.badRequest('WEBSITE_PURGE_TOKEN is not configured.');
+    const { payload, error } = await purge.describe(ctx.request.body ?? {});
+
+    if (error) {
+      return ctx.badRequest(error);
     }
 
-    try {
-      const response = await fetch(WEBSITE_PURGE_URL, {
-        method: 'POST',
-        headers: {
-          'x-cache-purge-token': WEBSITE_PURGE_TOKEN,
-        },
-      });
-
-      const payloadText = await response.text();
-      let payload = null;
-      try {
-        payload = payloadText ? JSON.parse(payloadText) : null;
-      } catch {
-        payload = { raw: payloadText };
-      }
-
-      if (!response.ok) {
-        ctx.status = response.status;
-        ctx.body = {
-          message: payload?.message || 'Website cache purge failed.',
-          details: payload,
-        };
-        return;
-      }
+    const { delivery, response } = await strapi
+      .plugin('website-tools')
+      .service('deliveries')
+      .deliver({ kind: 'purge', trigger: 'manual', user: ctx.state.user, payload });
 
+    if (!response) {
+      ctx.status = 502;
       ctx.body = {
-        ok: true,
-        ...payload,
+        message: delivery.errorMessage || 'Unable to reach website purge endpoint.',
+        delivery: delivery.documentId,
       };
-    } catch (error) {
-      ctx.status = 502;
+      return;
+    }
+
+    if (!response.ok) {
+      ctx.status = response.status;
       ctx.body = {
-        message: error instanceof Error ? error.message : 'Unable to reach website purge endpoint.',
+        message: response.body?.message || 'Website cache purge failed.',
+        details: response.body,
+        delivery: delivery.documentId,
       };
+      return;
     }
+
+    ctx.body = {
+      ok: true,
+      ...response.body,
+      request: payload,
+      delivery: delivery.documentId,
+    };
   },
 };
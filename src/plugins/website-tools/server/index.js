@@ -2,8 +2,19 @@
 
 const controllers = require('./controllers');
 const routes = require('./routes');
+const services = require('./services');
 
 module.exports = () => ({
+  async bootstrap({ strapi }) {
+    const deliveries = strapi.plugin('website-tools').service('deliveries');
+    await deliveries.markInterrupted();
+    deliveries.startRetryTimer();
+  },
+  async destroy({ strapi }) {
+    await strapi.plugin('website-tools').service('content-changes').stop();
+    await strapi.plugin('website-tools').service('deliveries').stopRetryTimer();
+  },
   controllers,
   routes,
+  services,
 });
@@ -3,11 +3,53 @@
 module.exports = {
   type: 'admin',
   routes: [
+    {
+      method: 'GET',
+      path: '/health',
+      handler: 'health.getHealth',
+      config: {},
+    },
+    {
+      method: 'GET',
+      path: '/purge-options',
+      handler: 'website-tools.getPurgeOptions',
+      config: {},
+    },
     {
       method: 'POST',
       path: '/purge-cache',
       handler: 'website-tools.purgeCache',
       config: {},
     },
+    {
+      method: 'GET',
+      path: '/deliveries',
+      handler: 'deliveries.listDeliveries',
+      config: {},
+    },
+    {
+      method: 'GET',
+      path: '/deliveries/:documentId',
+      handler: 'deliveries.getDelivery',
+      config: {},
+    },
+    {
+      method: 'POST',
+      path: '/deliveries/:documentId/retry',
+      handler: 'deliveries.retryDelivery',
+      config: {},
+    },
+    {
+      method: 'GET',
+      path: '/webhooks',
+      handler: 'webhooks.listEndpoints',
+      config: {},
+    },
+    {
+      method: 'POST',
+      path: '/webhooks/:documentId/test',
+      handler: 'webhooks.sendTest',
+      config: {},
+    },
   ],
 };
@@ -0,0 +1,75 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import buildDeliveries from '../deliveries';
+
+const due = {
+  documentId: 'd1',
+  kind: 'webhook',
+  trigger: 'automatic',
+  state: 'retry-scheduled',
+  attempts: 1,
+  payload: { summary: 'x' },
+};
+
+// `claimed` is how many rows the conditional state update reports changing.
+const createStrapi = (claimed: number) => {
+  const send = vi.fn(async () => ({ ok: true, status: 200, body: null }));
+  const updateMany = vi.fn(async () => ({ count: claimed }));
+  const strapi = {
+    documents: () => ({
+      findOne: async () => due,
+      update: async ({ data }: { data: Record<string, unknown> }) => ({ ...due, ...data }),
+      create: async ({ data }: { data: Record<string, unknown> }) => ({ documentId: 'd2', ...data }),
+    }),
+    db: { query: () => ({ updateMany }) },
+    service: () => ({ listDueRetries: async () => [due] }),
+    plugin: () => ({
+      service: () => ({ send, describeTarget: async () => ({ url: 'https://hooks.test', name: 'Hook' }) }),
+    }),
+    log: { warn: vi.fn(), error: vi.fn() },
+  };
+
+  return { strapi, send, updateMany };
+};
+
+const runRetryTimer = async (service: ReturnType<typeof buildDeliveries>) => {
+  service.startRetryTimer();
+  await vi.advanceTimersByTimeAsync(15000);
+  await service.stopRetryTimer();
+};
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('due retries', () => {
+  it('marks a due delivery as sending before sending it', async () => {
+    vi.useFakeTimers();
+    const { strapi, send, updateMany } = createStrapi(1);
+
+    await runRetryTimer(buildDeliveries({ strapi }));
+
+    expect(updateMany).toHaveBeenCalledWith({
+      where: { documentId: 'd1', state: 'retry-scheduled' },
+      data: { state: 'sending' },
+    });
+    expect(send).toHaveBeenCalledTimes(1);
+  });
+
+  it('skips a due delivery another retry already took', async () => {
+    vi.useFakeTimers();
+    const { strapi, send } = createStrapi(0);
+
+    await runRetryTimer(buildDeliveries({ strapi }));
+
+    expect(send).not.toHaveBeenCalled();
+  });
+});
+
+describe('retry', () => {
+  it('refuses a manual retry while the automatic retry is sending', async () => {
+    const { strapi, send } = createStrapi(0);
+
+    await expect(buildDeliveries({ strapi }).retry('d1', null)).rejects.toThrow('being retried right now');
+    expect(send).not.toHaveBeenCalled();
+  });
+});
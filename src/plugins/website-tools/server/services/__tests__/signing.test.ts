@@ -0,0 +1,45 @@
+import crypto from 'crypto';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import buildWebhooks from '../webhooks';
+
+const createWebhooks = (endpoint: Record<string, unknown>) =>
+  buildWebhooks({ strapi: { documents: () => ({ findOne: async () => endpoint }) } });
+
+const sendAndCapture = async (endpoint: Record<string, unknown>) => {
+  const fetch = vi.fn(async () => new Response('{}', { status: 200 }));
+  vi.stubGlobal('fetch', fetch);
+
+  await createWebhooks(endpoint).send({ text: 'hello' }, { documentId: 'd1', endpointId: 'e1', event: 'publish' });
+
+  const [url, init] = fetch.mock.calls[0] as unknown as [string, { headers: Record<string, string>; body: string }];
+  return { url, headers: init.headers, body: init.body };
+};
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('send', () => {
+  it('signs the timestamp and body with the endpoint secret', async () => {
+    const { url, headers, body } = await sendAndCapture({
+      url: 'https://hooks.example.com/in',
+      isActive: true,
+      secret: 's3cret',
+    });
+    const expected = crypto
+      .createHmac('sha256', 's3cret')
+      .update(`${headers['x-webhook-timestamp']}.${body}`)
+      .digest('hex');
+
+    expect(url).toBe('https://hooks.example.com/in');
+    expect(body).toBe('{"text":"hello"}');
+    expect(headers).toMatchObject({ 'x-webhook-id': 'd1', 'x-webhook-event': 'publish' });
+    expect(headers['x-webhook-signature']).toBe(`sha256=${expected}`);
+  });
+
+  it('sends no signature for an endpoint without a secret', async () => {
+    const { headers } = await sendAndCapture({ url: 'https://hooks.example.com/in', isActive: true, secret: null });
+
+    expect(headers).not.toHaveProperty('x-webhook-signature');
+  });
+});
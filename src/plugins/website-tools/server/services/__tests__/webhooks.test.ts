@@ -0,0 +1,43 @@
+import { describe, expect, it, vi } from 'vitest';
+import buildWebhooks from '../webhooks';
+
+const createStrapi = (endpoints: Array<Record<string, unknown>>) => {
+  const deliveries = {
+    deliver: vi.fn(async () => ({})),
+    recordFailure: vi.fn(async () => ({})),
+  };
+  const strapi = {
+    documents: () => ({ findMany: async () => endpoints }),
+    contentType: () => ({ info: { singularName: 'page' } }),
+    plugin: () => ({ service: () => deliveries }),
+    log: { error: vi.fn() },
+  };
+
+  return { strapi, deliveries };
+};
+
+const change = { uid: 'api::page.page', action: 'publish', documentId: 'p1', paths: ['/about'] };
+
+describe('dispatch', () => {
+  it('records a bad template as a failed delivery for that endpoint and still sends the others', async () => {
+    const { strapi, deliveries } = createStrapi([
+      { documentId: 'broken', name: 'Broken', payloadTemplate: '{ not json' },
+      { documentId: 'fine', name: 'Fine', payloadTemplate: '{"text": "{{summary}}"}' },
+    ]);
+
+    await buildWebhooks({ strapi }).dispatch([change]);
+
+    expect(deliveries.recordFailure).toHaveBeenCalledTimes(1);
+    expect(deliveries.recordFailure).toHaveBeenCalledWith(
+      expect.objectContaining({
+        endpointId: 'broken',
+        event: 'publish',
+        errorMessage: expect.stringMatching(/^The payload template could not be rendered/),
+      }),
+    );
+    expect(deliveries.deliver).toHaveBeenCalledTimes(1);
+    expect(deliveries.deliver).toHaveBeenCalledWith(
+      expect.objectContaining({ endpointId: 'fine', payload: { text: '1 content change(s): publish page /about.' } }),
+    );
+  });
+});
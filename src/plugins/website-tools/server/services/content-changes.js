@@ -0,0 +1,136 @@
+'use strict';
+
+const AUTO_PURGE_ENABLED = process.env.WEBSITE_AUTO_PURGE !== 'false';
+
+// Quiet period after the last change before purges and webhooks are sent, and the longest a change waits.
+const DEBOUNCE_MS = Math.max(Number.parseInt(process.env.WEBSITE_AUTO_PURGE_DEBOUNCE_MS ?? '', 10) || 5000, 0);
+const MAX_WAIT_MS = Math.max(Number.parseInt(process.env.WEBSITE_AUTO_PURGE_MAX_WAIT_MS ?? '', 10) || 30000, DEBOUNCE_MS);
+
+// Content types left out of automatic purges, by uid or singular name, e.g. "redirect,site-setting".
+const EXCLUDED_TYPES = String(process.env.WEBSITE_AUTO_PURGE_EXCLUDE ?? '')
+  .split(',')
+  .map((value) => value.trim())
+  .filter(Boolean);
+
+// A purge touching more paths than this clears everything instead.
+const MAX_PATHS = 200;
+
+// Changes listed individually in a payload; the rest are only counted.
+const MAX_LISTED_CHANGES = 200;
+
+function toPurgePayload(changes) {
+  const paths = new Set(changes.flatMap((change) => change.paths));
+  const caches = new Set(changes.flatMap((change) => change.caches));
+  const requestedAt = new Date().toISOString();
+
+  if (paths.size > MAX_PATHS) {
+    return {
+      scope: 'all',
+      reason: `${changes.length} changes affected ${paths.size} paths.`,
+      requestedAt,
+    };
+  }
+
+  return {
+    scope: 'changes',
+    paths: Array.from(paths),
+    caches: Array.from(caches),
+    changes: changes.slice(0, MAX_LISTED_CHANGES).map(({ caches: _caches, ...change }) => change),
+    ...(changes.length > MAX_LISTED_CHANGES ? { unlistedChanges: changes.length - MAX_LISTED_CHANGES } : {}),
+    requestedAt,
+  };
+}
+
+module.exports = ({ strapi }) => {
+  let pending = [];
+  let firstQueuedAt = null;
+  let timer = null;
+  let sending = null;
+
+  function schedule(delay) {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      timer = null;
+      flush();
+    }, delay);
+    timer.unref?.();
+  }
+
+  function isPurgedFor(uid) {
+    if (!AUTO_PURGE_ENABLED || strapi.plugin('website-tools').service('purge').getConfigError()) return false;
+
+    const singularName = strapi.contentType(uid)?.info?.singularName;
+    return !EXCLUDED_TYPES.some((type) => type === uid || type === singularName);
+  }
+
+  async function purge(changes) {
+    if (changes.length === 0) return;
+
+    const payload = toPurgePayload(changes);
+    const { errorMessage } = await strapi
+      .plugin('website-tools')
+      .service('deliveries')
+      .deliver({ kind: 'purge', trigger: 'automatic', payload });
+
+    if (!errorMessage) {
+      strapi.log.info(
+        `Purged website cache for ${changes.length} change(s): ${payload.scope === 'all' ? 'everything' : `${payload.paths.length} path(s), ${payload.caches.length} cache(s)`}.`,
+      );
+    }
+  }
+
+  // Failed deliveries are retried by the deliveries service, so a batch is sent once here.
+  async function flush() {
+    if (sending || pending.length === 0) return;
+
+    const changes = pending;
+    pending = [];
+    firstQueuedAt = null;
+
+    sending = Promise.allSettled([
+      purge(changes.filter((change) => isPurgedFor(change.uid))),
+      strapi.plugin('website-tools').service('webhooks').dispatch(changes),
+    ]).then((results) => {
+      results
+        .filter((result) => result.status === 'rejected')
+        .forEach((result) => {
+          strapi.log.error(
+            `Failed to send content changes: ${result.reason instanceof Error ? result.reason.message : result.reason}`,
+          );
+        });
+    });
+
+    await sending;
+    sending = null;
+
+    // Changes queued while this batch was in flight.
+    if (pending.length > 0) schedule(DEBOUNCE_MS);
+  }
+
+  return {
+    /**
+     * Queues a content change for the website purge and the webhook endpoints. Changes
+     * arriving within the debounce window of each other are sent together, at most
+     * WEBSITE_AUTO_PURGE_MAX_WAIT_MS after the first. The purge leaves out types in
+     * WEBSITE_AUTO_PURGE_EXCLUDE and is skipped when WEBSITE_AUTO_PURGE is false.
+     */
+    queue({ uid, action, documentId, paths = [], caches = [] }) {
+      const now = Date.now();
+
+      pending.push({ uid, action, ...(documentId ? { documentId } : {}), paths, caches });
+      firstQueuedAt ??= now;
+
+      schedule(Math.max(Math.min(DEBOUNCE_MS, firstQueuedAt + MAX_WAIT_MS - now), 0));
+    },
+
+    /**
+     * Sends whatever is queued right away; used on shutdown.
+     */
+    async stop() {
+      clearTimeout(timer);
+      timer = null;
+      await sending;
+      await flush();
+    },
+  };
+};
@@ -0,0 +1,252 @@
+'use strict';
+
+const { errors } = require('@strapi/utils');
+const { getUserName } = require('../../../../utils/users');
+
+const DELIVERY_UID = 'api::website-delivery.website-delivery';
+
+// Retries of a failed automatic delivery; each waits twice as long as the last, up to an hour.
+const MAX_RETRIES = Math.max(Number.parseInt(process.env.WEBSITE_DELIVERY_RETRIES ?? '', 10) || 5, 0);
+const RETRY_DELAY_MS = Math.max(Number.parseInt(process.env.WEBSITE_DELIVERY_RETRY_DELAY_MS ?? '', 10) || 30000, 1000);
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+
+// How often due retries are picked up, and how many per run.
+const RETRY_POLL_INTERVAL_MS = 15000;
+const RETRY_BATCH_SIZE = 20;
+
+// Longest response body kept for the history.
+const MAX_RESPONSE_LENGTH = 10000;
+
+// The plugin service that sends each kind of delivery; each has `describeTarget(endpointId)`
+// and `send(payload, delivery)`.
+const SENDERS = {
+  purge: 'purge',
+  webhook: 'webhooks',
+};
+
+function isRetryable(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+function toResponseText(body) {
+  if (body === null || body === undefined) return null;
+  const text = typeof body.raw === 'string' ? body.raw : JSON.stringify(body);
+  return text.length > MAX_RESPONSE_LENGTH ? `${text.slice(0, MAX_RESPONSE_LENGTH)}…` : text;
+}
+
+module.exports = ({ strapi }) => {
+  let timer = null;
+  let processing = null;
+
+  const deliveries = () => strapi.documents(DELIVERY_UID);
+  const getSender = (kind) => strapi.plugin('website-tools').service(SENDERS[kind]);
+
+  /**
+   * Sends a recorded delivery once and stores the outcome. Failed automatic deliveries
+   * the website may accept later are scheduled for another attempt.
+   */
+  async function attempt(delivery, attempts) {
+    const startedAt = Date.now();
+    let response = null;
+    let errorMessage = null;
+    let retryable = true;
+
+    try {
+      response = await getSender(delivery.kind).send(delivery.payload, delivery);
+      if (!response.ok) {
+        errorMessage = response.body?.message || `website answered ${response.status}`;
+      }
+    } catch (error) {
+      errorMessage = error instanceof Error ? error.message : String(error);
+      retryable = error?.retryable !== false;
+    }
+
+    const failed = errorMessage !== null;
+    const willRetry =
+      failed &&
+      delivery.trigger === 'automatic' &&
+      attempts <= MAX_RETRIES &&
+      (response ? isRetryable(response.status) : retryable);
+    const delay = Math.min(RETRY_DELAY_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+
+    const updated = await deliveries().update({
+      documentId: delivery.documentId,
+      data: {
+        state: !failed ? 'succeeded' : willRetry ? 'retry-scheduled' : 'failed',
+        attempts,
+        responseStatus: response ? response.status : null,
+        responseBody: response ? toResponseText(response.body) : null,
+        errorMessage,
+        durationMs: Date.now() - startedAt,
+        nextAttemptAt: willRetry ? new Date(Date.now() + delay).toISOString() : null,
+        finishedAt: willRetry ? null : new Date().toISOString(),
+      },
+    });
+
+    if (willRetry) {
+      strapi.log.warn(
+        `Website ${delivery.kind} ${delivery.documentId} failed (${errorMessage}); retrying in ${Math.round(delay / 1000)}s.`,
+      );
+    } else if (failed && delivery.trigger === 'automatic') {
+      strapi.log.error(`Website ${delivery.kind} ${delivery.documentId} failed after ${attempts} attempt(s): ${errorMessage}`);
+    }
+
+    return { delivery: updated, response, errorMessage };
+  }
+
+  /**
+   * Moves a delivery out of `from` only if it is still there, so an automatic retry and a
+   * manual retry from the admin can't both act on it. Resolves with whether it moved.
+   */
+  async function claim(documentId, from, data) {
+    const { count } = await strapi.db.query(DELIVERY_UID).updateMany({ where: { documentId, state: from }, data });
+    return count > 0;
+  }
+
+  async function processDueRetries() {
+    const due = await strapi.service(DELIVERY_UID).listDueRetries(RETRY_BATCH_SIZE);
+
+    for (const delivery of due) {
+      if (!(await claim(delivery.documentId, 'retry-scheduled', { state: 'sending' }))) continue;
+
+      await attempt(delivery, (delivery.attempts ?? 0) + 1);
+    }
+  }
+
+  return {
+    /**
+     * Records and sends a delivery. Resolves with the stored delivery, the website's
+     * response (null when it couldn't be reached) and an error message when it failed.
+     */
+    async deliver({ kind, trigger, user = null, payload, endpointId = null, event = null, retryOf = null }) {
+      const target = await getSender(kind).describeTarget(endpointId);
+      const delivery = await deliveries().create({
+        data: {
+          kind,
+          trigger,
+          event,
+          endpointId,
+          endpointName: target.name,
+          userId: user?.id ?? null,
+          userName: getUserName(user),
+          url: target.url,
+          payload,
+          state: 'sending',
+          retryOf,
+        },
+      });
+
+      return attempt(delivery, 1);
+    },
+
+    /**
+     * Records a delivery that failed before anything could be sent, such as a webhook whose
+     * payload template doesn't render. It isn't retried, since sending again can't fix it.
+     */
+    async recordFailure({ kind, trigger, user = null, endpointId = null, event = null, errorMessage }) {
+      const target = await getSender(kind).describeTarget(endpointId);
+      const delivery = await deliveries().create({
+        data: {
+          kind,
+          trigger,
+          event,
+          endpointId,
+          endpointName: target.name,
+          userId: user?.id ?? null,
+          userName: getUserName(user),
+          url: target.url,
+          payload: null,
+          state: 'failed',
+          attempts: 0,
+          errorMessage,
+          finishedAt: new Date().toISOString(),
+        },
+      });
+
+      strapi.log.error(`Website ${kind} ${delivery.documentId} failed before sending: ${errorMessage}`);
+
+      return { delivery, response: null, errorMessage };
+    },
+
+    /**
+     * Sends a past delivery's payload again as a new manual delivery, to the endpoint's
+     * current URL. A scheduled automatic retry of the original is dropped in its favour.
+     */
+    async retry(documentId, user) {
+      const original = await deliveries().findOne({ documentId });
+
+      if (!original) {
+        throw new errors.NotFoundError('Delivery not found.');
+      }
+
+      if (original.state === 'sending') {
+        throw new errors.ValidationError('This delivery is still being sent.');
+      }
+
+      if (original.payload === null) {
+        throw new errors.ValidationError('This delivery failed before it had a payload; fix the cause and send again.');
+      }
+
+      if (
+        original.state === 'retry-scheduled' &&
+        !(await claim(documentId, 'retry-scheduled', { state: 'failed', nextAttemptAt: null, finishedAt: new Date() }))
+      ) {
+        throw new errors.ValidationError('This delivery is being retried right now.');
+      }
+
+      return this.deliver({
+        kind: original.kind,
+        trigger: 'manual',
+        user,
+        payload: original.payload,
+        endpointId: original.endpointId,
+        event: original.event,
+        retryOf: documentId,
+      });
+    },
+
+    /**
+     * Deliveries a restart cut off never got an answer: automatic ones are retried,
+     * manual ones are marked failed.
+     */
+    async markInterrupted() {
+      await strapi.db.query(DELIVERY_UID).updateMany({
+        where: { state: 'sending', trigger: 'automatic' },
+        data: { state: 'retry-scheduled', nextAttemptAt: new Date() },
+      });
+      await strapi.db.query(DELIVERY_UID).updateMany({
+        where: { state: 'sending' },
+        data: {
+          state: 'failed',
+          errorMessage: 'Interrupted by a server restart before the website answered.',
+          finishedAt: new Date(),
+        },
+      });
+    },
+
+    startRetryTimer() {
+      if (timer) return;
+
+      timer = setInterval(() => {
+        if (processing) return;
+
+        processing = processDueRetries()
+          .catch((error) => {
+            strapi.log.error(
+              `Failed to retry website deliveries: ${error instanceof Error ? error.message : error}`,
+            );
+          })
+          .finally(() => {
+            processing = null;
+          });
+      }, RETRY_POLL_INTERVAL_MS);
+      timer.unref?.();
+    },
+
+    async stopRetryTimer() {
+      clearInterval(timer);
+      timer = null;
+      await processing;
+    },
+  };
+};
@@ -0,0 +1,220 @@
+'use strict';
+
+const WEBSITE_PURGE_URL = String(process.env.WEBSITE_PURGE_URL || '').trim();
+const WEBSITE_PURGE_TOKEN = String(process.env.WEBSITE_PURGE_TOKEN || '').trim();
+const WEBSITE_HEALTH_URL = String(process.env.WEBSITE_HEALTH_URL || '').trim();
+
+// How long the website gets to answer a check.
+const CHECK_TIMEOUT_MS = 5000;
+
+// Placeholder values from .env.example that were never replaced.
+const PLACEHOLDER_VALUES = ['', 'tobemodified'];
+
+const S3_SETTINGS = ['S3_ACCESS_KEY_ID', 'S3_ACCESS_SECRET', 'S3_REGION', 'S3_BUCKET'];
+
+function toCheck(status, message, remediation = null) {
+  return { status, message, remediation };
+}
+
+function getHealthUrl() {
+  if (WEBSITE_HEALTH_URL) return WEBSITE_HEALTH_URL;
+  try {
+    return new URL('/health', WEBSITE_PURGE_URL).toString();
+  } catch {
+    return null;
+  }
+}
+
+function describeFailure(error) {
+  if (error?.name === 'TimeoutError') return `no answer within ${CHECK_TIMEOUT_MS / 1000}s`;
+  return error?.cause?.code || (error instanceof Error ? error.message : String(error));
+}
+
+// Runs a check and records how long it took; an unexpected error fails the check instead of the panel.
+async function runCheck(key, label, run) {
+  const startedAt = Date.now();
+  let check;
+  try {
+    check = await run();
+  } catch (error) {
+    check = toCheck('error', `The check failed: ${describeFailure(error)}.`, 'See the Strapi logs.');
+  }
+  return { key, label, ...check, durationMs: Date.now() - startedAt };
+}
+
+module.exports = ({ strapi }) => {
+  function checkPurgeConfig() {
+    const missing = [
+      !WEBSITE_PURGE_URL ? 'WEBSITE_PURGE_URL' : null,
+      !WEBSITE_PURGE_TOKEN ? 'WEBSITE_PURGE_TOKEN' : null,
+    ].filter(Boolean);
+
+    if (missing.length > 0) {
+      return toCheck(
+        'error',
+        `${missing.join(' and ')} ${missing.length > 1 ? 'are' : 'is'} not set, so nothing can be purged.`,
+        'Set the website purge endpoint URL and the token the website expects in the environment (.env locally, the service settings on the host), then restart Strapi.',
+      );
+    }
+
+    try {
+      const url = new URL(WEBSITE_PURGE_URL);
+      if (!['http:', 'https:'].includes(url.protocol)) throw new Error('unsupported protocol');
+    } catch {
+      return toCheck(
+        'error',
+        `WEBSITE_PURGE_URL "${WEBSITE_PURGE_URL}" is not an http:// or https:// URL.`,
+        'Set WEBSITE_PURGE_URL to the full URL of the website purge endpoint, e.g. https://example.com/api/cache/purge.',
+      );
+    }
+
+    return toCheck('ok', `Purges go to ${WEBSITE_PURGE_URL}.`);
+  }
+
+  async function checkWebsiteHealth() {
+    const url = getHealthUrl();
+
+    if (!url) {
+      return toCheck(
+        'skipped',
+        'No health URL: WEBSITE_HEALTH_URL is not set and WEBSITE_PURGE_URL is missing.',
+        'Set WEBSITE_HEALTH_URL to a website URL that answers 200 when the site is up.',
+      );
+    }
+
+    try {
+      const response = await fetch(url, { signal: AbortSignal.timeout(CHECK_TIMEOUT_MS) });
+
+      if (!response.ok) {
+        return toCheck(
+          'error',
+          `${url} answered ${response.status}.`,
+          response.status === 404
+            ? 'The website has no health endpoint at this URL. Set WEBSITE_HEALTH_URL to one that answers 200.'
+            : 'The website is up but unhealthy. Check its logs and hosting dashboard.',
+        );
+      }
+
+      return toCheck('ok', `${url} answered ${response.status}.`);
+    } catch (error) {
+      return toCheck(
+        'error',
+        `${url} could not be reached: ${describeFailure(error)}.`,
+        'Check that the website is running and that the host name is right; a sleeping free-tier service can take a minute to wake up.',
+      );
+    }
+  }
+
+  async function checkPurgeToken() {
+    if (!WEBSITE_PURGE_URL || !WEBSITE_PURGE_TOKEN) {
+      return toCheck('skipped', 'Purge endpoint or token not configured.');
+    }
+
+    try {
+      const response = await strapi.plugin('website-tools').service('purge').probe(CHECK_TIMEOUT_MS);
+
+      if (response.status === 401 || response.status === 403) {
+        return toCheck(
+          'error',
+          `The website rejected the token with ${response.status}.`,
+          'Make WEBSITE_PURGE_TOKEN in Strapi match the purge token configured on the website, then restart Strapi.',
+        );
+      }
+
+      if (!response.ok) {
+        return toCheck(
+          'error',
+          `The purge endpoint answered ${response.status}${response.body?.message ? `: ${response.body.message}` : ''}.`,
+          response.status === 404
+            ? 'WEBSITE_PURGE_URL points at a page that does not exist. Check the path of the purge endpoint.'
+            : 'The website failed to handle the purge. Check its logs.',
+        );
+      }
+
+      return toCheck('ok', `The purge endpoint accepted a no-op purge (${response.status}).`);
+    } catch (error) {
+      return toCheck(
+        'error',
+        `The purge endpoint could not be reached: ${describeFailure(error)}.`,
+        'Check WEBSITE_PURGE_URL and that the website is running.',
+      );
+    }
+  }
+
+  function checkUploadProvider() {
+    const provider = strapi.config.get('plugin::upload.provider', 'local');
+
+    if (provider === 'aws-s3') {
+      const missing = S3_SETTINGS.filter((name) =>
+        PLACEHOLDER_VALUES.includes(
+          String(process.env[name] ?? '')
+            .trim()
+            .toLowerCase(),
+        ),
+      );
+
+      if (missing.length > 0) {
+        return toCheck(
+          'error',
+          `Uploads go to S3 (aws-s3), but ${missing.join(', ')} ${missing.length > 1 ? 'are' : 'is'} not set.`,
+          'Set the S3 credentials, region and bucket in the environment, or set UPLOAD_PROVIDER=local.',
+        );
+      }
+
+      return toCheck(
+        'ok',
+        `Uploads go to S3 (aws-s3), bucket ${process.env.S3_BUCKET}${process.env.S3_ENDPOINT ? ` at ${process.env.S3_ENDPOINT}` : ''}.`,
+      );
+    }
+
+    if (process.env.NODE_ENV === 'production') {
+      return toCheck(
+        'warning',
+        `Uploads are stored on the server's disk (${provider}).`,
+        'Most hosts wipe the disk on every deploy, taking uploaded media with it. Set UPLOAD_PROVIDER=aws-s3 with S3 settings, or attach a persistent disk.',
+      );
+    }
+
+    return toCheck('ok', `Uploads are stored on the server's disk (${provider}).`);
+  }
+
+  function checkDatabase() {
+    const client = strapi.config.get('database.connection.client', 'unknown');
+
+    if (['sqlite', 'better-sqlite3'].includes(client) && process.env.NODE_ENV === 'production') {
+      return toCheck(
+        'warning',
+        `Using ${client}, a file on the server's disk.`,
+        'Content is lost when the host replaces the disk on deploy. Set DATABASE_CLIENT to postgres or mysql with its connection settings.',
+      );
+    }
+
+    return toCheck('ok', `Using ${client}.`);
+  }
+
+  return {
+    /**
+     * Runs every check. The token check sends a no-op purge, which websites that ignore
+     * the purge body treat as a full purge.
+     */
+    async runChecks() {
+      const checks = await Promise.all([
+        runCheck('purge-config', 'Purge configuration', checkPurgeConfig),
+        runCheck('website-health', 'Website reachable', checkWebsiteHealth),
+        runCheck('purge-token', 'Purge token accepted', checkPurgeToken),
+        runCheck('upload-provider', 'Upload provider', checkUploadProvider),
+        runCheck('database', 'Database', checkDatabase),
+      ]);
+
+      return {
+        checkedAt: new Date().toISOString(),
+        status: checks.some((check) => check.status === 'error')
+          ? 'error'
+          : checks.some((check) => check.status === 'warning')
+            ? 'warning'
+            : 'ok',
+        checks,
+      };
+    },
+  };
+};
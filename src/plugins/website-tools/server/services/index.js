@@ -0,0 +1,15 @@
+'use strict';
+
+const contentChanges = require('./content-changes');
+const deliveries = require('./deliveries');
+const health = require('./health');
+const purge = require('./purge');
+const webhooks = require('./webhooks');
+
+module.exports = {
+  'content-changes': contentChanges,
+  deliveries,
+  health,
+  purge,
+  webhooks,
+};
@@ -0,0 +1,155 @@
+'use strict';
+
+const { postDelivery, readResponse } = require('../utils/http');
+
+const WEBSITE_PURGE_URL = String(process.env.WEBSITE_PURGE_URL || '').trim();
+const WEBSITE_PURGE_TOKEN = String(process.env.WEBSITE_PURGE_TOKEN || '').trim();
+
+const PURGE_SCOPES = ['all', 'paths', 'content-type', 'tag', 'caches'];
+
+// Caches the website keeps apart from rendered pages, purged by name.
+const WEBSITE_CACHES = {
+  seo: 'SEO metadata and site settings',
+  redirects: 'Redirects and host rules',
+  places: 'Places',
+  routes: 'Routes',
+};
+
+// Content types the website renders, so editors can purge everything built from one of them.
+const CONTENT_TYPES = {
+  'api::page.page': 'Pages',
+  'api::blog-post.blog-post': 'Blog posts',
+  'api::news-article.news-article': 'News articles',
+  'api::content-tag.content-tag': 'Tags',
+  'api::seo-page.seo-page': 'SEO pages',
+  'api::site-setting.site-setting': 'Site settings',
+};
+
+// Paths per request; larger changes should purge the content type instead.
+const MAX_PATHS = 200;
+
+function toList(value) {
+  const items = Array.isArray(value) ? value : String(value ?? '').split(/[\r\n,]+/);
+  return [...new Set(items.map((item) => String(item ?? '').trim()).filter(Boolean))];
+}
+
+module.exports = ({ strapi }) => ({
+  getConfigError() {
+    if (!WEBSITE_PURGE_URL) return 'WEBSITE_PURGE_URL is not configured.';
+    if (!WEBSITE_PURGE_TOKEN) return 'WEBSITE_PURGE_TOKEN is not configured.';
+    return null;
+  },
+
+  async describeTarget() {
+    return { url: WEBSITE_PURGE_URL, name: null };
+  },
+
+  async getOptions() {
+    const tags = await strapi.documents('api::content-tag.content-tag').findMany({
+      status: 'published',
+      fields: ['name', 'slug'],
+      sort: ['name:asc'],
+    });
+
+    return {
+      scopes: PURGE_SCOPES,
+      maxPaths: MAX_PATHS,
+      caches: Object.entries(WEBSITE_CACHES).map(([key, label]) => ({ key, label })),
+      contentTypes: Object.entries(CONTENT_TYPES).map(([uid, label]) => ({ uid, label })),
+      tags: tags.map((tag) => ({ name: tag.name, slug: tag.slug })),
+    };
+  },
+
+  /**
+   * Turns an editor's purge request into the payload sent to the website. Returns
+   * `{ error }` when the request is incomplete or names something that doesn't exist.
+   */
+  async describe(input = {}) {
+    const scope = String(input.scope ?? 'all').trim();
+    const requestedAt = new Date().toISOString();
+
+    if (!PURGE_SCOPES.includes(scope)) {
+      return { error: `Unknown purge scope '${scope}'. Use one of: ${PURGE_SCOPES.join(', ')}.` };
+    }
+
+    if (scope === 'all') {
+      return { payload: { scope, requestedAt } };
+    }
+
+    if (scope === 'paths') {
+      const paths = toList(input.paths);
+      const invalid = paths.find((path) => !path.startsWith('/') || path.startsWith('//'));
+
+      if (paths.length === 0) return { error: 'Enter at least one path to purge.' };
+      if (invalid) return { error: `'${invalid}' is not a website path; paths start with a single /.` };
+      if (paths.length > MAX_PATHS) {
+        return { error: `At most ${MAX_PATHS} paths can be purged at once; purge the content type instead.` };
+      }
+
+      return { payload: { scope, paths, requestedAt } };
+    }
+
+    if (scope === 'content-type') {
+      const uid = String(input.contentType ?? '').trim();
+
+      if (!CONTENT_TYPES[uid]) return { error: 'Choose a content type to purge.' };
+
+      const { singularName, pluralName } = strapi.contentType(uid).info;
+      return { payload: { scope, contentType: { uid, singularName, pluralName }, requestedAt } };
+    }
+
+    if (scope === 'tag') {
+      const slug = String(input.tag ?? '').trim();
+
+      if (!slug) return { error: 'Choose a tag to purge.' };
+
+      const tag = await strapi.service('api::content-tag.content-tag').findTaggedPaths(slug);
+      if (!tag) return { error: `No published tag has the slug '${slug}'.` };
+
+      return { payload: { scope, tag, requestedAt } };
+    }
+
+    const caches = toList(input.caches);
+    const unknown = caches.find((cache) => !WEBSITE_CACHES[cache]);
+
+    if (caches.length === 0) return { error: 'Choose at least one cache to purge.' };
+    if (unknown) {
+      return { error: `Unknown cache '${unknown}'. Use one of: ${Object.keys(WEBSITE_CACHES).join(', ')}.` };
+    }
+
+    return { payload: { scope, caches, requestedAt } };
+  },
+
+  /**
+   * POSTs a payload from `describe` to the website. Resolves with the website's status and
+   * parsed body; rejects when the website can't be reached or doesn't answer in time.
+   */
+  async send(payload) {
+    return postDelivery(WEBSITE_PURGE_URL, {
+      headers: {
+        'content-type': 'application/json',
+        'x-cache-purge-token': WEBSITE_PURGE_TOKEN,
+      },
+      body: JSON.stringify(payload),
+    });
+  },
+
+  /**
+   * Sends a no-op purge flagged with `x-cache-purge-dry-run` so the website only checks the
+   * token. Not recorded as a delivery.
+   */
+  async probe(timeoutMs) {
+    const response = await fetch(WEBSITE_PURGE_URL, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json',
+        'x-cache-purge-token': WEBSITE_PURGE_TOKEN,
+        'x-cache-purge-dry-run': 'true',
+      },
+      body: JSON.stringify({ scope: 'noop', requestedAt: new Date().toISOString() }),
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+
+    return { ok: response.ok, status: response.status, body: await readResponse(response) };
+  },
+});
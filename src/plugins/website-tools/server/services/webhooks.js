@@ -0,0 +1,322 @@
+'use strict';
+
+const crypto = require('crypto');
+const { errors } = require('@strapi/utils');
+const { postDelivery } = require('../utils/http');
+
+const ENDPOINT_UID = 'api::webhook-endpoint.webhook-endpoint';
+
+const WEBHOOK_EVENTS = ['publish', 'unpublish', 'delete', 'redirect-changed', 'settings-changed'];
+
+// Types whose changes are one event whatever the action, since the website rebuilds them as a whole.
+const EVENT_BY_TYPE = {
+  'api::redirect.redirect': 'redirect-changed',
+  'api::host-rule.host-rule': 'redirect-changed',
+  'api::site-setting.site-setting': 'settings-changed',
+};
+
+// Values a payload template can use as {{name}}.
+const TEMPLATE_VARIABLES = ['events', 'changes', 'paths', 'summary', 'sentAt', 'endpoint'];
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z]+)\s*\}\}/g;
+
+// Changes named in a summary; the rest are counted.
+const MAX_SUMMARY_CHANGES = 5;
+
+class EndpointError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'EndpointError';
+    // The endpoint is gone or switched off, so trying again later won't help.
+    this.retryable = false;
+  }
+}
+
+function toEvent(change) {
+  if (EVENT_BY_TYPE[change.uid]) return EVENT_BY_TYPE[change.uid];
+  return change.action === 'unpublish' || change.action === 'delete' ? change.action : 'publish';
+}
+
+function toStringList(value) {
+  return Array.isArray(value) ? value.map((item) => String(item).trim()).filter(Boolean) : [];
+}
+
+function summarize(changes) {
+  const lines = changes
+    .slice(0, MAX_SUMMARY_CHANGES)
+    .map((change) => `${change.event} ${change.contentType}${change.paths[0] ? ` ${change.paths[0]}` : ''}`);
+  const more = changes.length - MAX_SUMMARY_CHANGES;
+
+  return `${changes.length} content change(s): ${lines.join(', ')}${more > 0 ? ` and ${more} more` : ''}.`;
+}
+
+/**
+ * Fills a JSON payload template. A string that is only a placeholder becomes the value
+ * itself, so "{{changes}}" is an array; placeholders inside other text are interpolated.
+ * Without a template the payload has every variable except the endpoint name.
+ */
+function render(template, variables) {
+  if (!template || !template.trim()) {
+    const { endpoint, ...payload } = variables;
+    return payload;
+  }
+
+  const fill = (value) => {
+    if (typeof value === 'string') {
+      const whole = value.match(/^\{\{\s*([A-Za-z]+)\s*\}\}$/);
+      if (whole && whole[1] in variables) return variables[whole[1]];
+
+      return value.replace(PLACEHOLDER_PATTERN, (placeholder, name) => {
+        if (!(name in variables)) return placeholder;
+        return typeof variables[name] === 'string' ? variables[name] : JSON.stringify(variables[name]);
+      });
+    }
+    if (Array.isArray(value)) return value.map(fill);
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, fill(item)]));
+    }
+    return value;
+  };
+
+  return fill(JSON.parse(template));
+}
+
+function sign(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+module.exports = ({ strapi }) => {
+  const endpoints = () => strapi.documents(ENDPOINT_UID);
+
+  function matchesType(endpoint, uid) {
+    const types = toStringList(endpoint.contentTypes);
+    if (types.length === 0) return true;
+
+    const singularName = strapi.contentType(uid)?.info?.singularName;
+    return types.some((type) => type === uid || type === singularName);
+  }
+
+  function toVariables(endpoint, changes) {
+    return {
+      events: [...new Set(changes.map((change) => change.event))],
+      changes,
+      paths: [...new Set(changes.flatMap((change) => change.paths))],
+      summary: summarize(changes),
+      sentAt: new Date().toISOString(),
+      endpoint: endpoint.name,
+    };
+  }
+
+  return {
+    /**
+     * Rejects endpoint data the webhook sender couldn't use. Only the attributes present
+     * are checked, so partial updates pass.
+     */
+    validateEndpoint(data = {}) {
+      if ('url' in data) {
+        let url = null;
+        try {
+          url = new URL(String(data.url ?? '').trim());
+        } catch {
+          url = null;
+        }
+        if (!url || !['http:', 'https:'].includes(url.protocol)) {
+          throw new errors.ValidationError('The webhook URL must be an absolute http:// or https:// URL.');
+        }
+      }
+
+      if ('events' in data && data.events !== null) {
+        const unknown = Array.isArray(data.events)
+          ? data.events.find((event) => !WEBHOOK_EVENTS.includes(event))
+          : data.events;
+        if (unknown !== undefined) {
+          throw new errors.ValidationError(
+            `Events must be a list of: ${WEBHOOK_EVENTS.join(', ')}${Array.isArray(data.events) ? `; '${unknown}' is not one` : ''}.`,
+          );
+        }
+      }
+
+      if ('contentTypes' in data && data.contentTypes !== null) {
+        const apiTypes = Object.entries(strapi.contentTypes).filter(([uid]) => uid.startsWith('api::'));
+        const unknown = Array.isArray(data.contentTypes)
+          ? data.contentTypes.find(
+              (type) => !apiTypes.some(([uid, contentType]) => type === uid || type === contentType.info.singularName),
+            )
+          : data.contentTypes;
+        if (unknown !== undefined) {
+          throw new errors.ValidationError(
+            `Content types must be a list of uids or singular names such as "blog-post"${Array.isArray(data.contentTypes) ? `; '${unknown}' is not one` : ''}.`,
+          );
+        }
+      }
+
+      if ('headers' in data && data.headers !== null) {
+        const isStringMap =
+          data.headers &&
+          typeof data.headers === 'object' &&
+          !Array.isArray(data.headers) &&
+          Object.values(data.headers).every((value) => typeof value === 'string');
+        if (!isStringMap) {
+          throw new errors.ValidationError('Headers must be a JSON object of header names and string values.');
+        }
+      }
+
+      if (data.payloadTemplate && String(data.payloadTemplate).trim()) {
+        try {
+          JSON.parse(data.payloadTemplate);
+        } catch (error) {
+          throw new errors.ValidationError(
+            `The payload template must be JSON: ${error instanceof Error ? error.message : error}`,
+          );
+        }
+
+        const unknown = [...String(data.payloadTemplate).matchAll(PLACEHOLDER_PATTERN)]
+          .map((match) => match[1])
+          .find((name) => !TEMPLATE_VARIABLES.includes(name));
+        if (unknown) {
+          throw new errors.ValidationError(
+            `Unknown template variable {{${unknown}}}. Use: ${TEMPLATE_VARIABLES.map((name) => `{{${name}}}`).join(', ')}.`,
+          );
+        }
+      }
+    },
+
+    async listEndpoints() {
+      const entries = await endpoints().findMany({
+        fields: ['name', 'url', 'isActive', 'events', 'contentTypes', 'payloadTemplate', 'notes'],
+        sort: ['name:asc'],
+      });
+
+      return entries.map((entry) => ({
+        ...entry,
+        events: toStringList(entry.events).length > 0 ? toStringList(entry.events) : WEBHOOK_EVENTS,
+      }));
+    },
+
+    /**
+     * Sends each active endpoint the changes it subscribed to, one delivery per endpoint.
+     */
+    async dispatch(changes) {
+      const active = await endpoints().findMany({ filters: { isActive: true } });
+      const deliveries = strapi.plugin('website-tools').service('deliveries');
+
+      // Each endpoint is handled in its own async step, so one that throws can't stop the others.
+      const results = await Promise.allSettled(
+        active.map(async (endpoint) => {
+          const events = toStringList(endpoint.events);
+          const relevant = changes
+            .map((change) => ({
+              event: toEvent(change),
+              contentType: strapi.contentType(change.uid)?.info?.singularName ?? change.uid,
+              ...change,
+            }))
+            .filter((change) => (events.length === 0 || events.includes(change.event)) && matchesType(endpoint, change.uid));
+
+          if (relevant.length === 0) return null;
+
+          const variables = toVariables(endpoint, relevant);
+          const delivery = {
+            kind: 'webhook',
+            trigger: 'automatic',
+            endpointId: endpoint.documentId,
+            event: variables.events.join(','),
+          };
+          let payload;
+
+          try {
+            payload = render(endpoint.payloadTemplate, variables);
+          } catch (error) {
+            return deliveries.recordFailure({
+              ...delivery,
+              errorMessage: `The payload template could not be rendered: ${error instanceof Error ? error.message : error}`,
+            });
+          }
+
+          return deliveries.deliver({ ...delivery, payload });
+        }),
+      );
+
+      results
+        .filter((result) => result.status === 'rejected')
+        .forEach((result) => {
+          strapi.log.error(
+            `Failed to record a webhook delivery: ${result.reason instanceof Error ? result.reason.message : result.reason}`,
+          );
+        });
+    },
+
+    /**
+     * Sends an endpoint a sample publish event through its template, active or not.
+     */
+    async sendTest(documentId, user) {
+      const endpoint = await endpoints().findOne({ documentId });
+
+      if (!endpoint) {
+        throw new errors.NotFoundError('Webhook endpoint not found.');
+      }
+
+      const variables = toVariables(endpoint, [
+        {
+          event: 'publish',
+          contentType: 'page',
+          uid: 'api::page.page',
+          action: 'publish',
+          documentId: 'test',
+          paths: ['/'],
+        },
+      ]);
+
+      return strapi
+        .plugin('website-tools')
+        .service('deliveries')
+        .deliver({
+          kind: 'webhook',
+          trigger: 'manual',
+          user,
+          payload: render(endpoint.payloadTemplate, { ...variables, summary: `Test delivery to ${endpoint.name}.` }),
+          endpointId: documentId,
+          event: 'test',
+        });
+    },
+
+    async describeTarget(endpointId) {
+      const endpoint = endpointId ? await endpoints().findOne({ documentId: endpointId, fields: ['name', 'url'] }) : null;
+      return { url: endpoint?.url ?? null, name: endpoint?.name ?? null };
+    },
+
+    /**
+     * POSTs a rendered payload to the delivery's endpoint, signed with the endpoint's secret.
+     * Automatic deliveries to an endpoint that was deleted or switched off are not sent.
+     */
+    async send(payload, delivery) {
+      const endpoint = delivery.endpointId ? await endpoints().findOne({ documentId: delivery.endpointId }) : null;
+
+      if (!endpoint) {
+        throw new EndpointError('The webhook endpoint no longer exists.');
+      }
+
+      if (!endpoint.isActive && delivery.trigger === 'automatic') {
+        throw new EndpointError('The webhook endpoint is switched off.');
+      }
+
+      const body = JSON.stringify(payload);
+      const timestamp = String(Math.floor(Date.now() / 1000));
+      const headers = {
+        ...(endpoint.headers ?? {}),
+        'content-type': 'application/json',
+        'user-agent': 'Strapi-Webhooks',
+        'x-webhook-id': delivery.documentId,
+        'x-webhook-event': delivery.event ?? '',
+        'x-webhook-timestamp': timestamp,
+      };
+
+      if (endpoint.secret) {
+        headers['x-webhook-signature'] = `sha256=${sign(endpoint.secret, timestamp, body)}`;
+      }
+
+      // An endpoint that doesn't answer in time fails the delivery, which is retried like any
+      // unreachable endpoint, so one slow endpoint can't hold up later changes.
+      return postDelivery(endpoint.url, { headers, body });
+    },
+  };
+};
@@ -0,0 +1,41 @@
+'use strict';
+
+// How long the website or a webhook endpoint gets to answer a delivery.
+const REQUEST_TIMEOUT_MS = Math.max(Number.parseInt(process.env.WEBSITE_REQUEST_TIMEOUT_MS ?? '', 10) || 10000, 1000);
+
+// Parses a response body as JSON, keeping any other text as `{ raw }`.
+async function readResponse(response) {
+  const text = await response.text();
+  try {
+    return text ? JSON.parse(text) : null;
+  } catch {
+    return { raw: text };
+  }
+}
+
+/**
+ * POSTs a delivery and reads the answer, giving up after REQUEST_TIMEOUT_MS. A timeout
+ * rejects like an unreachable host, so the delivery fails and automatic ones are retried.
+ */
+async function postDelivery(url, { headers, body }) {
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers,
+      body,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+
+    return { ok: response.ok, status: response.status, body: await readResponse(response) };
+  } catch (error) {
+    if (error?.name === 'TimeoutError') {
+      throw new Error(`No answer within ${REQUEST_TIMEOUT_MS / 1000}s.`);
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  postDelivery,
+  readResponse,
+};
@@ -0,0 +1,36 @@
+import { describe, expect, it } from 'vitest';
+import { parseCsv } from '../csv';
+
+// A row the article and page scripts accepted before they shared the parser: a stray quote
+// inside an unquoted field and a value past the last header.
+const LEGACY_CSV = 'slug,title\nscreens,The "best" monitor,extra\n';
+
+describe('parseCsv', () => {
+  it('rejects a stray quote in an unquoted field by default', () => {
+    expect(() => parseCsv(LEGACY_CSV)).toThrow(/Line 2, column 13: Unexpected quote/);
+  });
+
+  it('rejects a row with more values than the header by default', () => {
+    expect(() => parseCsv('slug,title\nscreens,Monitors,extra\n')).toThrow(/header only has 2 columns/);
+  });
+
+  it('accepts the row the old script parsers did when tolerant', () => {
+    const { rows } = parseCsv(`${LEGACY_CSV}cables,"Quoted, with a comma"\n`, { tolerant: true });
+
+    // As in the old parsers, the stray quotes open and close quoting and the extra value is dropped.
+    expect(rows).toEqual([
+      { slug: 'screens', title: 'The best monitor', __line: 2 },
+      { slug: 'cables', title: 'Quoted, with a comma', __line: 3 },
+    ]);
+  });
+
+  it('keeps the last column of a repeated header when tolerant', () => {
+    const { rows } = parseCsv('slug,title,title\nscreens,First,Second\n', { tolerant: true });
+
+    expect(rows).toEqual([{ slug: 'screens', title: 'Second', __line: 2 }]);
+  });
+
+  it('still rejects a quoted field that is never closed when tolerant', () => {
+    expect(() => parseCsv('slug,title\nscreens,"Monitors\n', { tolerant: true })).toThrow(/never closed/);
+  });
+});
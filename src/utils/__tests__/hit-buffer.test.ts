@@ -0,0 +1,58 @@
+import { describe, expect, it, vi } from 'vitest';
+import { createHitBuffer, type BufferedHits } from '../hit-buffer';
+
+const createBuffer = (write: (batch: Map<string, BufferedHits>) => Promise<void>) => {
+  const onDropped = vi.fn();
+  const buffer = createHitBuffer({
+    trackReferrers: false,
+    flushIntervalMs: 1000,
+    write,
+    onFlushError: () => {},
+    maxPendingKeys: 2,
+    onDropped,
+  });
+
+  return { buffer, onDropped };
+};
+
+const counts = (batch: Map<string, BufferedHits>) =>
+  Object.fromEntries(Array.from(batch, ([key, hits]) => [key, hits.hits]));
+
+describe('createHitBuffer', () => {
+  it('keeps counting pending keys past the cap and drops hits for new ones', async () => {
+    const batches: Array<Record<string, number>> = [];
+    const { buffer, onDropped } = createBuffer(async (batch) => {
+      batches.push(counts(batch));
+    });
+
+    ['/a', '/b', '/c', '/a', '/d', '/c'].forEach((path) => buffer.record(path, path));
+    await buffer.flush();
+
+    expect(batches).toEqual([{ '/a': 2, '/b': 1 }]);
+    expect(onDropped).toHaveBeenCalledWith(3);
+
+    buffer.record('/c', '/c');
+    await buffer.flush();
+
+    expect(batches[1]).toEqual({ '/c': 1 });
+    expect(onDropped).toHaveBeenCalledTimes(1);
+  });
+
+  it('drops hits of a failed batch that no longer fit when merging it back', async () => {
+    const write = vi.fn(async (_batch: Map<string, BufferedHits>) => {});
+    const { buffer, onDropped } = createBuffer(write);
+
+    buffer.record('/a', '/a');
+    buffer.record('/b', '/b');
+    write.mockImplementationOnce(async () => {
+      buffer.record('/c', '/c');
+      buffer.record('/d', '/d');
+      throw new Error('database is down');
+    });
+    await expect(buffer.flush()).rejects.toThrow('database is down');
+    await buffer.flush();
+
+    expect(onDropped).toHaveBeenCalledWith(2);
+    expect(counts(write.mock.calls[1][0])).toEqual({ '/c': 1, '/d': 1 });
+  });
+});
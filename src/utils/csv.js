@@ -0,0 +1,252 @@
+'use strict';
+
+/**
+ * RFC 4180 CSV/TSV parsing shared by the redirect-import plugin and the import scripts.
+ * Plain CommonJS so the plugins and the .mjs scripts can load it without a build step.
+ */
+
+const DELIMITERS = [',', ';', '\t'];
+
+class CsvError extends Error {
+  constructor(message, line, column) {
+    super(`Line ${line}, column ${column}: ${message}`);
+    this.name = 'CsvError';
+    this.line = line;
+    this.column = column;
+  }
+}
+
+// Header matching ignores case, spaces, underscores and hyphens: "From Path" is fromPath.
+function toHeaderKey(value) {
+  return String(value ?? '')
+    .toLowerCase()
+    .replace(/[\s_-]+/g, '');
+}
+
+function stripBom(text) {
+  const source = String(text ?? '');
+  return source.charCodeAt(0) === 0xfeff ? source.slice(1) : source;
+}
+
+/**
+ * Picks the delimiter used most often in the header record. Excel in a comma-decimal
+ * locale saves ";" and "Unicode text" exports use tabs.
+ */
+function detectDelimiter(text) {
+  const source = stripBom(text);
+  const counts = new Map(DELIMITERS.map((delimiter) => [delimiter, 0]));
+  let inQuotes = false;
+
+  for (const char of source) {
+    if (char === '"') {
+      inQuotes = !inQuotes;
+      continue;
+    }
+    if (!inQuotes && (char === '\n' || char === '\r')) break;
+    if (!inQuotes && counts.has(char)) counts.set(char, counts.get(char) + 1);
+  }
+
+  let best = ',';
+  for (const [delimiter, count] of counts) {
+    if (count > counts.get(best)) best = delimiter;
+  }
+  return best;
+}
+
+/**
+ * Splits text into records of raw cells. Quoted fields may hold delimiters, doubled
+ * quotes and line breaks; each record keeps the line it starts on. When `tolerant`,
+ * a quote anywhere opens or closes quoting instead of being an error.
+ */
+function parseRecords(text, delimiter, tolerant) {
+  const source = stripBom(text);
+  const records = [];
+  let cells = [];
+  let columns = [];
+  let cell = '';
+  let cellColumn = 1;
+  let quoted = false;
+  let inQuotes = false;
+  let afterQuote = false;
+  let line = 1;
+  let column = 1;
+  let recordLine = 1;
+  let quoteLine = 1;
+  let quoteColumn = 1;
+
+  const endCell = () => {
+    cells.push(cell);
+    columns.push(cellColumn);
+    cell = '';
+    quoted = false;
+    afterQuote = false;
+  };
+
+  const endRecord = () => {
+    endCell();
+    records.push({ line: recordLine, cells, columns });
+    cells = [];
+    columns = [];
+  };
+
+  for (let index = 0; index < source.length; index += 1) {
+    const char = source[index];
+    const next = source[index + 1];
+
+    if (inQuotes) {
+      if (char === '"' && next === '"') {
+        cell += '"';
+        index += 1;
+        column += 2;
+        continue;
+      }
+      if (char === '"') {
+        inQuotes = false;
+        afterQuote = true;
+        column += 1;
+        continue;
+      }
+      cell += char;
+      if (char === '\n' || (char === '\r' && next !== '\n')) {
+        line += 1;
+        column = 1;
+      } else {
+        column += 1;
+      }
+      continue;
+    }
+
+    if (char === delimiter) {
+      endCell();
+      column += 1;
+      cellColumn = column;
+      continue;
+    }
+
+    if (char === '\n' || char === '\r') {
+      if (char === '\r' && next === '\n') index += 1;
+      endRecord();
+      line += 1;
+      column = 1;
+      cellColumn = 1;
+      recordLine = line;
+      continue;
+    }
+
+    if (afterQuote && !tolerant) {
+      throw new CsvError(
+        `Unexpected '${char}' after a closing quote; put the whole field inside the quotes.`,
+        line,
+        column,
+      );
+    }
+
+    if (char === '"') {
+      if ((cell !== '' || quoted) && !tolerant) {
+        throw new CsvError(
+          'Unexpected quote inside an unquoted field; quote the whole field and double any quotes in it ("").',
+          line,
+          column,
+        );
+      }
+      quoted = true;
+      inQuotes = true;
+      quoteLine = line;
+      quoteColumn = column;
+      column += 1;
+      continue;
+    }
+
+    cell += char;
+    column += 1;
+  }
+
+  if (inQuotes) {
+    throw new CsvError('This quoted field is never closed.', quoteLine, quoteColumn);
+  }
+
+  // A trailing line break doesn't start another record.
+  if (cell !== '' || quoted || cells.length > 0) endRecord();
+
+  return records;
+}
+
+/**
+ * Parses CSV or TSV text into one object per data row, keyed by header, with the line
+ * the row starts on as `__line`. Blank rows are skipped.
+ *
+ * Options:
+ * - `delimiter`: ',', ';' or '\t'; detected from the header when omitted.
+ * - `aliases`: `{ canonicalHeader: ['alias', ...] }`, so a `source` column reads as `fromPath`.
+ * - `tolerant`: accept what the article and page import scripts always have: stray quotes
+ *   open or close quoting, a repeated header keeps its last column and values past the
+ *   last header are ignored.
+ *
+ * Throws a CsvError with the line and column of a quoted field that is never closed and,
+ * unless `tolerant`, of other malformed quoting, duplicate headers or rows with more
+ * values than the header has columns.
+ */
+function parseCsv(text, options = {}) {
+  const tolerant = Boolean(options.tolerant);
+  const delimiter = options.delimiter ?? detectDelimiter(text);
+  const records = parseRecords(text, delimiter, tolerant);
+  const header = records.find((record) => record.cells.some((cell) => cell.trim() !== ''));
+
+  if (!header) return { headers: [], rows: [], delimiter };
+
+  const aliasKeys = new Map();
+  for (const [canonical, aliases] of Object.entries(options.aliases ?? {})) {
+    for (const alias of [canonical, ...aliases]) aliasKeys.set(toHeaderKey(alias), canonical);
+  }
+
+  const headers = [];
+  const seen = new Map();
+
+  header.cells.forEach((cell, index) => {
+    const raw = cell.trim();
+    const name = aliasKeys.get(toHeaderKey(raw)) ?? raw;
+
+    if (name && seen.has(name) && !tolerant) {
+      throw new CsvError(
+        raw === name
+          ? `Header '${raw}' is repeated; it is already header field ${seen.get(name)}.`
+          : `Header '${raw}' is another name for '${name}', already header field ${seen.get(name)}.`,
+        header.line,
+        header.columns[index],
+      );
+    }
+
+    if (name) seen.set(name, index + 1);
+    headers.push(name);
+  });
+
+  const rows = [];
+
+  for (const record of records.slice(records.indexOf(header) + 1)) {
+    if (record.cells.every((cell) => cell.trim() === '')) continue;
+
+    const extra = record.cells.findIndex((cell, index) => index >= headers.length && cell.trim() !== '');
+    if (extra !== -1 && !tolerant) {
+      throw new CsvError(
+        `This row has a value in field ${extra + 1} but the header only has ${headers.length} columns.`,
+        record.line,
+        record.columns[extra],
+      );
+    }
+
+    const row = {};
+    headers.forEach((name, index) => {
+      if (name) row[name] = record.cells[index] ?? '';
+    });
+    row.__line = record.line;
+    rows.push(row);
+  }
+
+  return { headers, rows, delimiter };
+}
+
+module.exports = {
+  CsvError,
+  detectDelimiter,
+  parseCsv,
+};
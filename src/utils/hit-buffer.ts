@@ -0,0 +1,167 @@
+export type BufferedHits = {
+  label: string;
+  hits: number;
+  firstAt: Date;
+  lastAt: Date;
+  referrers: Map<string, number>;
+};
+
+type HitBufferOptions = {
+  trackReferrers: boolean;
+  flushIntervalMs: number;
+  write: (batch: Map<string, BufferedHits>) => Promise<void>;
+  onFlushError: (error: unknown) => void;
+  /** Most distinct keys held between flushes; hits for new keys past it are dropped. */
+  maxPendingKeys?: number;
+  /** Told at each flush how many hits were dropped since the last one. */
+  onDropped?: (count: number) => void;
+};
+
+const MAX_REFERRERS = 10;
+
+/**
+ * Reduces a Referer header to origin and path so query strings
+ * (tracking ids, search terms) don't fragment the counts.
+ */
+const toReferrerKey = (referrer?: string | null) => {
+  if (!referrer) return null;
+
+  try {
+    const url = new URL(referrer);
+    return `${url.origin}${url.pathname}`;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Adds buffered referrer counts to stored ones, keeping the most frequent.
+ */
+export const mergeReferrers = (stored: Record<string, number> | null | undefined, pending: Map<string, number>) => {
+  const merged = new Map(Object.entries(stored ?? {}));
+
+  pending.forEach((count, referrer) => {
+    merged.set(referrer, (merged.get(referrer) ?? 0) + count);
+  });
+
+  return Object.fromEntries(
+    Array.from(merged.entries())
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, MAX_REFERRERS),
+  );
+};
+
+/**
+ * Counts hits in memory and hands them to `write` in batches, so counting
+ * never waits on the database. Hits recorded while a batch is being written
+ * are kept for the next flush; a failed batch is merged back in. Keys already
+ * pending keep counting once `maxPendingKeys` is reached, but hits for new keys
+ * are only counted as dropped.
+ */
+export const createHitBuffer = ({
+  trackReferrers,
+  flushIntervalMs,
+  write,
+  onFlushError,
+  maxPendingKeys = Infinity,
+  onDropped,
+}: HitBufferOptions) => {
+  let pending = new Map<string, BufferedHits>();
+  let dropped = 0;
+  let flushing: Promise<void> | null = null;
+  let flushTimer: NodeJS.Timeout | null = null;
+
+  const add = (target: BufferedHits, source: BufferedHits) => {
+    target.hits += source.hits;
+    target.lastAt = source.lastAt > target.lastAt ? source.lastAt : target.lastAt;
+    source.referrers.forEach((count, referrer) => {
+      target.referrers.set(referrer, (target.referrers.get(referrer) ?? 0) + count);
+    });
+  };
+
+  return {
+    record(key: string, label: string, referrer?: string | null) {
+      if (!pending.has(key) && pending.size >= maxPendingKeys) {
+        dropped += 1;
+        return;
+      }
+
+      const now = new Date();
+      const hits = pending.get(key) ?? {
+        label,
+        hits: 0,
+        firstAt: now,
+        lastAt: now,
+        referrers: new Map<string, number>(),
+      };
+
+      hits.hits += 1;
+      hits.lastAt = now;
+
+      const referrerKey = trackReferrers ? toReferrerKey(referrer) : null;
+      if (referrerKey) {
+        hits.referrers.set(referrerKey, (hits.referrers.get(referrerKey) ?? 0) + 1);
+      }
+
+      pending.set(key, hits);
+    },
+
+    flush() {
+      if (flushing) {
+        return flushing;
+      }
+
+      if (dropped > 0) {
+        onDropped?.(dropped);
+        dropped = 0;
+      }
+
+      if (pending.size === 0) {
+        return Promise.resolve();
+      }
+
+      const batch = pending;
+      pending = new Map();
+
+      flushing = (async () => {
+        try {
+          await write(batch);
+        } catch (error) {
+          batch.forEach((hits, key) => {
+            const newer = pending.get(key);
+            if (newer) {
+              add(hits, newer);
+            } else if (pending.size >= maxPendingKeys) {
+              dropped += hits.hits;
+              return;
+            }
+            pending.set(key, hits);
+          });
+          throw error;
+        } finally {
+          flushing = null;
+        }
+      })();
+
+      return flushing;
+    },
+
+    start() {
+      if (flushTimer) return;
+
+      flushTimer = setInterval(() => {
+        this.flush().catch(onFlushError);
+      }, flushIntervalMs);
+      flushTimer.unref();
+    },
+
+    async stop() {
+      if (flushTimer) {
+        clearInterval(flushTimer);
+        flushTimer = null;
+      }
+
+      await this.flush();
+    },
+  };
+};
@@ -0,0 +1,11 @@
+'use strict';
+
+function parseInteger(value, fallback, min, max) {
+  const parsed = Number.parseInt(String(value ?? ''), 10);
+  if (!Number.isFinite(parsed)) return fallback;
+  return Math.min(Math.max(parsed, min), max);
+}
+
+module.exports = {
+  parseInteger,
+};
@@ -0,0 +1,117 @@
+import type { Core, Modules, UID } from '@strapi/strapi';
+import { normalizePath } from '../api/redirect/utils/matching';
+
+type PublicUrlConfig<TUID extends UID.ContentType = UID.ContentType> = {
+  /** Attribute the public URL is built from. */
+  field: Modules.Documents.Params.Fields.ArrayNotation<TUID>[number];
+  /** Label used in redirect notes, e.g. "page routePath". */
+  label: string;
+  toPath: (value: string) => string;
+};
+
+/**
+ * Content types that have a public URL on the website, and how that URL is built.
+ */
+export const PUBLIC_URLS: { [TUID in UID.ContentType]?: PublicUrlConfig<TUID> } = {
+  'api::page.page': {
+    field: 'routePath',
+    label: 'page routePath',
+    toPath: (routePath) => normalizePath(routePath),
+  },
+  'api::blog-post.blog-post': {
+    field: 'slug',
+    label: 'blog post slug',
+    toPath: (slug) => `/blog/${slug}`,
+  },
+  'api::news-article.news-article': {
+    field: 'slug',
+    label: 'news article slug',
+    toPath: (slug) => `/news/${slug}`,
+  },
+};
+
+/**
+ * Returns the public path for an entry of `uid`, or null when the type has no
+ * public URL or the entry has no value for the URL field.
+ */
+export const toPublicPath = (uid: UID.ContentType, entry: Record<string, unknown> | null | undefined) => {
+  const config = PUBLIC_URLS[uid];
+  const value = config && entry ? entry[config.field] : null;
+
+  return config && typeof value === 'string' && value.trim() ? config.toPath(value.trim()) : null;
+};
+
+/**
+ * Loads the public path of the published version of a document, or null when the
+ * document isn't published.
+ */
+export const findPublishedPath = async <TUID extends UID.ContentType>(
+  strapi: Core.Strapi,
+  uid: TUID,
+  documentId?: string,
+) => {
+  const config: PublicUrlConfig<TUID> | undefined = PUBLIC_URLS[uid];
+
+  if (!config || !documentId) {
+    return null;
+  }
+
+  const entry = await strapi.documents(uid).findOne({
+    documentId,
+    status: 'published',
+    fields: [config.field],
+  });
+
+  return toPublicPath(uid, entry as Record<string, unknown> | null);
+};
+
+const loadPaths = async <TUID extends UID.ContentType>(strapi: Core.Strapi, uid: TUID, status: 'draft' | 'published') =>
+  (
+    (await strapi.documents(uid).findMany({
+      status,
+      fields: [PUBLIC_URLS[uid]!.field],
+    })) as Array<Record<string, unknown>>
+  )
+    .map((entry) => toPublicPath(uid, entry))
+    .filter((path): path is string => Boolean(path));
+
+/**
+ * Loads the public path of every published entry of every type in `PUBLIC_URLS`.
+ */
+export const listPublishedPaths = async (strapi: Core.Strapi) => {
+  const uids = Object.keys(PUBLIC_URLS) as UID.ContentType[];
+  const paths = await Promise.all(uids.map((uid) => loadPaths(strapi, uid, 'published')));
+
+  return paths.flat();
+};
+
+// SEO pages describe routes the website builds itself, so they aren't in PUBLIC_URLS.
+const loadSeoRoutes = async (strapi: Core.Strapi, status: 'draft' | 'published') =>
+  (
+    (await strapi.documents('api::seo-page.seo-page').findMany({
+      status,
+      fields: ['routePath', 'isActive'],
+    })) as Array<{ routePath?: string | null; isActive?: boolean | null }>
+  )
+    .filter((entry) => entry.routePath?.trim() && (status === 'draft' || entry.isActive !== false))
+    .map((entry) => normalizePath(entry.routePath!));
+
+/**
+ * Loads every path the website serves from CMS content: published pages, articles and
+ * active SEO routes, plus the paths that only exist on drafts.
+ */
+export const listContentPaths = async (strapi: Core.Strapi) => {
+  const uids = Object.keys(PUBLIC_URLS) as UID.ContentType[];
+  const [published, drafts, seoPublished, seoDrafts] = await Promise.all([
+    listPublishedPaths(strapi),
+    Promise.all(uids.map((uid) => loadPaths(strapi, uid, 'draft'))).then((paths) => paths.flat()),
+    loadSeoRoutes(strapi, 'published'),
+    loadSeoRoutes(strapi, 'draft'),
+  ]);
+  const publishedPaths = new Set([...published, ...seoPublished]);
+
+  return {
+    published: publishedPaths,
+    drafts: new Set([...drafts, ...seoDrafts].filter((path) => !publishedPaths.has(path))),
+  };
+};
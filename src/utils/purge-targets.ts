@@ -0,0 +1,41 @@
+import type { Core, UID } from '@strapi/strapi';
+import { normalizePath } from '../api/redirect/utils/matching';
+import { findPublishedPath, PUBLIC_URLS } from './public-urls';
+
+type PurgeTarget = {
+  /** Listing pages that show entries of this type. */
+  listingPaths?: string[];
+  /** Website caches built from this type; see WEBSITE_CACHES in the website-tools plugin. */
+  caches?: string[];
+};
+
+/**
+ * Content types whose changes are purged from the website and sent to webhooks, and what
+ * besides the entry's own public path each change affects.
+ */
+export const PURGE_TARGETS: Partial<Record<UID.ContentType, PurgeTarget>> = {
+  'api::page.page': {},
+  'api::blog-post.blog-post': { listingPaths: ['/blog'] },
+  'api::news-article.news-article': { listingPaths: ['/news'] },
+  'api::seo-page.seo-page': { caches: ['seo'] },
+  'api::redirect.redirect': { caches: ['redirects'] },
+  'api::host-rule.host-rule': { caches: ['redirects'] },
+  'api::site-setting.site-setting': { caches: ['seo'] },
+};
+
+/**
+ * Loads the public path the website currently serves for a document: the published
+ * page or article URL, or an SEO page's route. Null for types without their own path.
+ */
+export const findPurgePath = async (strapi: Core.Strapi, uid: UID.ContentType, documentId?: string) => {
+  if (PUBLIC_URLS[uid]) {
+    return findPublishedPath(strapi, uid, documentId);
+  }
+
+  if (uid !== 'api::seo-page.seo-page' || !documentId) {
+    return null;
+  }
+
+  const entry = await strapi.documents(uid).findOne({ documentId, status: 'published', fields: ['routePath'] });
+  return entry?.routePath?.trim() ? normalizePath(entry.routePath) : null;
+};
@@ -0,0 +1,11 @@
+'use strict';
+
+// Display name of the admin user behind a request, for audit fields.
+function getUserName(user) {
+  if (!user) return null;
+  return [user.firstname, user.lastname].filter(Boolean).join(' ') || user.username || user.email || null;
+}
+
+module.exports = {
+  getUserName,
+};
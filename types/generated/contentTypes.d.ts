@@ -559,6 +559,89 @@ export interface ApiContentTagContentTag extends Struct.CollectionTypeSchema {
   };
 }
 
+export interface ApiHostRuleHostRule extends Struct.CollectionTypeSchema {
+  collectionName: 'host_rules';
+  info: {
+    description: 'Host-level redirects (canonical host, force HTTPS), applied before path redirects.';
+    displayName: 'host-rules';
+    pluralName: 'host-rules';
+    singularName: 'host-rule';
+  };
+  options: {
+    draftAndPublish: true;
+  };
+  attributes: {
+    createdAt: Schema.Attribute.DateTime;
+    createdBy: Schema.Attribute.Relation<'oneToOne', 'admin::user'> &
+      Schema.Attribute.Private;
+    forceHttps: Schema.Attribute.Boolean & Schema.Attribute.DefaultTo<false>;
+    host: Schema.Attribute.String & Schema.Attribute.Required;
+    isActive: Schema.Attribute.Boolean & Schema.Attribute.DefaultTo<true>;
+    locale: Schema.Attribute.String & Schema.Attribute.Private;
+    localizations: Schema.Attribute.Relation<
+      'oneToMany',
+      'api::host-rule.host-rule'
+    > &
+      Schema.Attribute.Private;
+    notes: Schema.Attribute.String;
+    publishedAt: Schema.Attribute.DateTime;
+    statusCode: Schema.Attribute.Enumeration<
+      ['Redirect-301', 'Redirect-302', 'Redirect-307', 'Redirect-308']
+    > &
+      Schema.Attribute.Required &
+      Schema.Attribute.DefaultTo<'Redirect-301'>;
+    targetHost: Schema.Attribute.String;
+    updatedAt: Schema.Attribute.DateTime;
+    updatedBy: Schema.Attribute.Relation<'oneToOne', 'admin::user'> &
+      Schema.Attribute.Private;
+  };
+}
+
+export interface ApiMissingPathMissingPath extends Struct.CollectionTypeSchema {
+  collectionName: 'missing_paths';
+  info: {
+    description: 'Public paths that ended in a 404, aggregated by the redirects middleware.';
+    displayName: 'missing-paths';
+    pluralName: 'missing-paths';
+    singularName: 'missing-path';
+  };
+  options: {
+    draftAndPublish: false;
+  };
+  pluginOptions: {
+    'content-manager': {
+      visible: false;
+    };
+    'content-type-builder': {
+      visible: false;
+    };
+  };
+  attributes: {
+    createdAt: Schema.Attribute.DateTime;
+    createdBy: Schema.Attribute.Relation<'oneToOne', 'admin::user'> &
+      Schema.Attribute.Private;
+    firstSeenAt: Schema.Attribute.DateTime;
+    hitCount: Schema.Attribute.Integer & Schema.Attribute.DefaultTo<0>;
+    lastSeenAt: Schema.Attribute.DateTime;
+    locale: Schema.Attribute.String & Schema.Attribute.Private;
+    localizations: Schema.Attribute.Relation<
+      'oneToMany',
+      'api::missing-path.missing-path'
+    > &
+      Schema.Attribute.Private;
+    path: Schema.Attribute.String &
+      Schema.Attribute.Required &
+      Schema.Attribute.Unique;
+    publishedAt: Schema.Attribute.DateTime;
+    redirectDocumentId: Schema.Attribute.String;
+    resolvedAt: Schema.Attribute.DateTime;
+    topReferrers: Schema.Attribute.JSON;
+    updatedAt: Schema.Attribute.DateTime;
+    updatedBy: Schema.Attribute.Relation<'oneToOne', 'admin::user'> &
+      Schema.Attribute.Private;
+  };
+}
+
 export interface ApiNewsArticleNewsArticle extends Struct.CollectionTypeSchema {
   collectionName: 'news_articles';
   info: {
@@ -652,6 +735,115 @@ export interface ApiPagePage extends Struct.CollectionTypeSchema {
   };
 }
 
+export interface ApiRedirectHitRedirectHit extends Struct.CollectionTypeSchema {
+  collectionName: 'redirect_hits';
+  info: {
+    description: 'Hit counters for redirects, written in batches by the redirects middleware.';
+    displayName: 'redirect-hits';
+    pluralName: 'redirect-hits';
+    singularName: 'redirect-hit';
+  };
+  options: {
+    draftAndPublish: false;
+  };
+  pluginOptions: {
+    'content-manager': {
+      visible: false;
+    };
+    'content-type-builder': {
+      visible: false;
+    };
+  };
+  attributes: {
+    createdAt: Schema.Attribute.DateTime;
+    createdBy: Schema.Attribute.Relation<'oneToOne', 'admin::user'> &
+      Schema.Attribute.Private;
+    firstHitAt: Schema.Attribute.DateTime;
+    fromPath: Schema.Attribute.String;
+    hitCount: Schema.Attribute.Integer & Schema.Attribute.DefaultTo<0>;
+    lastHitAt: Schema.Attribute.DateTime;
+    locale: Schema.Attribute.String & Schema.Attribute.Private;
+    localizations: Schema.Attribute.Relation<
+      'oneToMany',
+      'api::redirect-hit.redirect-hit'
+    > &
+      Schema.Attribute.Private;
+    publishedAt: Schema.Attribute.DateTime;
+    redirectDocumentId: Schema.Attribute.String &
+      Schema.Attribute.Required &
+      Schema.Attribute.Unique;
+    topReferrers: Schema.Attribute.JSON;
+    updatedAt: Schema.Attribute.DateTime;
+    updatedBy: Schema.Attribute.Relation<'oneToOne', 'admin::user'> &
+      Schema.Attribute.Private;
+  };
+}
+
+export interface ApiRedirectImportBatchRedirectImportBatch
+  extends Struct.CollectionTypeSchema {
+  collectionName: 'redirect_import_batches';
+  info: {
+    description: 'One run of the Redirect Import page: a background job with its progress, and the state of every redirect it changed so it can be rolled back.';
+    displayName: 'redirect-import-batches';
+    pluralName: 'redirect-import-batches';
+    singularName: 'redirect-import-batch';
+  };
+  options: {
+    draftAndPublish: false;
+  };
+  pluginOptions: {
+    'content-manager': {
+      visible: false;
+    };
+    'content-type-builder': {
+      visible: false;
+    };
+  };
+  attributes: {
+    changes: Schema.Attribute.JSON;
+    createdAt: Schema.Attribute.DateTime;
+    createdBy: Schema.Attribute.Relation<'oneToOne', 'admin::user'> &
+      Schema.Attribute.Private;
+    errorMessage: Schema.Attribute.Text;
+    fileName: Schema.Attribute.String;
+    finishedAt: Schema.Attribute.DateTime;
+    format: Schema.Attribute.String;
+    locale: Schema.Attribute.String & Schema.Attribute.Private;
+    localizations: Schema.Attribute.Relation<
+      'oneToMany',
+      'api::redirect-import-batch.redirect-import-batch'
+    > &
+      Schema.Attribute.Private;
+    options: Schema.Attribute.JSON;
+    processed: Schema.Attribute.Integer & Schema.Attribute.DefaultTo<0>;
+    publishedAt: Schema.Attribute.DateTime;
+    results: Schema.Attribute.JSON;
+    rollbackResults: Schema.Attribute.JSON;
+    rolledBackAt: Schema.Attribute.DateTime;
+    rolledBackBy: Schema.Attribute.String;
+    state: Schema.Attribute.Enumeration<
+      [
+        'queued',
+        'running',
+        'completed',
+        'cancelled',
+        'failed',
+        'rolled-back',
+        'partially-rolled-back',
+      ]
+    > &
+      Schema.Attribute.Required &
+      Schema.Attribute.DefaultTo<'queued'>;
+    summary: Schema.Attribute.JSON;
+    total: Schema.Attribute.Integer & Schema.Attribute.DefaultTo<0>;
+    updatedAt: Schema.Attribute.DateTime;
+    updatedBy: Schema.Attribute.Relation<'oneToOne', 'admin::user'> &
+      Schema.Attribute.Private;
+    userId: Schema.Attribute.Integer;
+    userName: Schema.Attribute.String;
+  };
+}
+
 export interface ApiRedirectRedirect extends Struct.CollectionTypeSchema {
   collectionName: 'redirects';
   info: {
@@ -663,9 +855,12 @@ export interface ApiRedirectRedirect extends Struct.CollectionTypeSchema {
     draftAndPublish: true;
   };
   attributes: {
+    activeFrom: Schema.Attribute.DateTime;
+    activeUntil: Schema.Attribute.DateTime;
     createdAt: Schema.Attribute.DateTime;
     createdBy: Schema.Attribute.Relation<'oneToOne', 'admin::user'> &
       Schema.Attribute.Private;
+    dropParams: Schema.Attribute.String;
     fromPath: Schema.Attribute.String & Schema.Attribute.Required;
     isActive: Schema.Attribute.Boolean & Schema.Attribute.DefaultTo<true>;
     locale: Schema.Attribute.String & Schema.Attribute.Private;
@@ -674,14 +869,33 @@ export interface ApiRedirectRedirect extends Struct.CollectionTypeSchema {
       'api::redirect.redirect'
     > &
       Schema.Attribute.Private;
+    matchType: Schema.Attribute.Enumeration<
+      ['exact', 'prefix', 'wildcard', 'regex']
+    > &
+      Schema.Attribute.Required &
+      Schema.Attribute.DefaultTo<'exact'>;
     notes: Schema.Attribute.String;
     publishedAt: Schema.Attribute.DateTime;
+    queryMatch: Schema.Attribute.String;
+    queryPolicy: Schema.Attribute.Enumeration<
+      ['preserve', 'ignore', 'drop', 'match-exact', 'match-params']
+    > &
+      Schema.Attribute.Required &
+      Schema.Attribute.DefaultTo<'preserve'>;
+    sourceHost: Schema.Attribute.String;
     statusCode: Schema.Attribute.Enumeration<
-      ['Redirect-301', 'Redirecct-302']
+      [
+        'Redirect-301',
+        'Redirect-302',
+        'Redirect-307',
+        'Redirect-308',
+        'Gone-410',
+        'Unavailable-451',
+      ]
     > &
       Schema.Attribute.Required &
       Schema.Attribute.DefaultTo<'Redirect-301'>;
-    toUrl: Schema.Attribute.String & Schema.Attribute.Required;
+    toUrl: Schema.Attribute.String;
     updatedAt: Schema.Attribute.DateTime;
     updatedBy: Schema.Attribute.Relation<'oneToOne', 'admin::user'> &
       Schema.Attribute.Private;
@@ -758,9 +972,16 @@ export interface ApiSiteSettingSiteSetting extends Struct.SingleTypeSchema {
       'api::site-setting.site-setting'
     > &
       Schema.Attribute.Private;
+    newsPublicationLanguage: Schema.Attribute.String &
+      Schema.Attribute.SetMinMaxLength<{
+        maxLength: 7;
+      }>;
+    newsPublicationName: Schema.Attribute.String;
     publishedAt: Schema.Attribute.DateTime;
     robotsTxt: Schema.Attribute.Text;
     sitemapXml: Schema.Attribute.Text;
+    sitemapXmlMode: Schema.Attribute.Enumeration<['append', 'override']> &
+      Schema.Attribute.DefaultTo<'append'>;
     siteUrl: Schema.Attribute.UID<'defaultMetaTitle'>;
     sitewideSchemaJson: Schema.Attribute.Text;
     updatedAt: Schema.Attribute.DateTime;
@@ -769,6 +990,113 @@ export interface ApiSiteSettingSiteSetting extends Struct.SingleTypeSchema {
   };
 }
 
+export interface ApiWebhookEndpointWebhookEndpoint
+  extends Struct.CollectionTypeSchema {
+  collectionName: 'webhook_endpoints';
+  info: {
+    description: 'An outbound webhook notified about content changes, such as a static build hook, a search indexer or a chat relay.';
+    displayName: 'webhook-endpoints';
+    pluralName: 'webhook-endpoints';
+    singularName: 'webhook-endpoint';
+  };
+  options: {
+    draftAndPublish: false;
+  };
+  pluginOptions: {
+    'content-type-builder': {
+      visible: false;
+    };
+  };
+  attributes: {
+    contentTypes: Schema.Attribute.JSON;
+    createdAt: Schema.Attribute.DateTime;
+    createdBy: Schema.Attribute.Relation<'oneToOne', 'admin::user'> &
+      Schema.Attribute.Private;
+    events: Schema.Attribute.JSON;
+    headers: Schema.Attribute.JSON;
+    isActive: Schema.Attribute.Boolean & Schema.Attribute.DefaultTo<true>;
+    locale: Schema.Attribute.String & Schema.Attribute.Private;
+    localizations: Schema.Attribute.Relation<
+      'oneToMany',
+      'api::webhook-endpoint.webhook-endpoint'
+    > &
+      Schema.Attribute.Private;
+    name: Schema.Attribute.String &
+      Schema.Attribute.Required &
+      Schema.Attribute.Unique;
+    notes: Schema.Attribute.Text;
+    payloadTemplate: Schema.Attribute.Text;
+    publishedAt: Schema.Attribute.DateTime;
+    secret: Schema.Attribute.String & Schema.Attribute.Private;
+    updatedAt: Schema.Attribute.DateTime;
+    updatedBy: Schema.Attribute.Relation<'oneToOne', 'admin::user'> &
+      Schema.Attribute.Private;
+    url: Schema.Attribute.String & Schema.Attribute.Required;
+  };
+}
+
+export interface ApiWebsiteDeliveryWebsiteDelivery
+  extends Struct.CollectionTypeSchema {
+  collectionName: 'website_deliveries';
+  info: {
+    description: 'One request Strapi sent out, a website cache purge or a webhook: what was sent, who or what triggered it, and how the receiver answered.';
+    displayName: 'website-deliveries';
+    pluralName: 'website-deliveries';
+    singularName: 'website-delivery';
+  };
+  options: {
+    draftAndPublish: false;
+  };
+  pluginOptions: {
+    'content-manager': {
+      visible: false;
+    };
+    'content-type-builder': {
+      visible: false;
+    };
+  };
+  attributes: {
+    attempts: Schema.Attribute.Integer & Schema.Attribute.DefaultTo<0>;
+    createdAt: Schema.Attribute.DateTime;
+    createdBy: Schema.Attribute.Relation<'oneToOne', 'admin::user'> &
+      Schema.Attribute.Private;
+    durationMs: Schema.Attribute.Integer;
+    endpointId: Schema.Attribute.String;
+    endpointName: Schema.Attribute.String;
+    errorMessage: Schema.Attribute.Text;
+    event: Schema.Attribute.String;
+    finishedAt: Schema.Attribute.DateTime;
+    kind: Schema.Attribute.Enumeration<['purge', 'webhook']> &
+      Schema.Attribute.Required &
+      Schema.Attribute.DefaultTo<'purge'>;
+    locale: Schema.Attribute.String & Schema.Attribute.Private;
+    localizations: Schema.Attribute.Relation<
+      'oneToMany',
+      'api::website-delivery.website-delivery'
+    > &
+      Schema.Attribute.Private;
+    nextAttemptAt: Schema.Attribute.DateTime;
+    payload: Schema.Attribute.JSON;
+    publishedAt: Schema.Attribute.DateTime;
+    responseBody: Schema.Attribute.Text;
+    responseStatus: Schema.Attribute.Integer;
+    retryOf: Schema.Attribute.String;
+    state: Schema.Attribute.Enumeration<
+      ['sending', 'succeeded', 'failed', 'retry-scheduled']
+    > &
+      Schema.Attribute.Required &
+      Schema.Attribute.DefaultTo<'sending'>;
+    trigger: Schema.Attribute.Enumeration<['manual', 'automatic']> &
+      Schema.Attribute.Required;
+    updatedAt: Schema.Attribute.DateTime;
+    updatedBy: Schema.Attribute.Relation<'oneToOne', 'admin::user'> &
+      Schema.Attribute.Private;
+    url: Schema.Attribute.String;
+    userId: Schema.Attribute.Integer;
+    userName: Schema.Attribute.String;
+  };
+}
+
 export interface PluginContentReleasesRelease
   extends Struct.CollectionTypeSchema {
   collectionName: 'strapi_releases';
@@ -1283,11 +1611,17 @@ declare module '@strapi/strapi' {
       'admin::user': AdminUser;
       'api::blog-post.blog-post': ApiBlogPostBlogPost;
       'api::content-tag.content-tag': ApiContentTagContentTag;
+      'api::host-rule.host-rule': ApiHostRuleHostRule;
+      'api::missing-path.missing-path': ApiMissingPathMissingPath;
       'api::news-article.news-article': ApiNewsArticleNewsArticle;
       'api::page.page': ApiPagePage;
+      'api::redirect-hit.redirect-hit': ApiRedirectHitRedirectHit;
+      'api::redirect-import-batch.redirect-import-batch': ApiRedirectImportBatchRedirectImportBatch;
       'api::redirect.redirect': ApiRedirectRedirect;
       'api::seo-page.seo-page': ApiSeoPageSeoPage;
       'api::site-setting.site-setting': ApiSiteSettingSiteSetting;
+      'api::webhook-endpoint.webhook-endpoint': ApiWebhookEndpointWebhookEndpoint;
+      'api::website-delivery.website-delivery': ApiWebsiteDeliveryWebsiteDelivery;
       'plugin::content-releases.release': PluginContentReleasesRelease;
       'plugin::content-releases.release-action': PluginContentReleasesReleaseAction;
       'plugin::i18n.locale': PluginI18NLocale;